@@ -41,4 +41,8 @@ using Test
     @testset "Network Structure Tests" begin
         include("test_network_structures.jl")
     end
+    
+    @testset "Visualise LIP Tests" begin
+        include("test_visualise_lip.jl")
+    end
 end
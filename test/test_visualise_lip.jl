@@ -0,0 +1,92 @@
+# Test the JSON exports of visualiseLIP/lip_json.jl read by the LIP viewer
+
+using Test
+using NetworkTrading
+using JSON3
+using Combinatorics
+
+include(joinpath(@__DIR__, "..", "visualiseLIP", "lip_json.jl"))
+
+@testset "Visualise LIP Tests" begin
+    @testset "Dynamic Traces" begin
+        Ω = [(1,2), (2,3)]
+        valuation = [
+            generate_unit_valuation(1, Ω, -10),
+            generate_intermediary_valuation(2, Ω),
+            generate_unit_valuation(3, Ω, 20)
+        ]
+        market = Market(Ω, valuation)
+        offers = [
+            Dict(1 => 9, 2 => 0),
+            Dict(1 => 21, 2 => 16),
+            Dict(2 => 1, 1 => 0)
+        ]
+        ds = DynamicState(market, offers)
+        initial_offers = deepcopy(ds.offers)
+        steps, data = dynamic(market, ds)
+
+        trace = dynamic_trace_to_json(market, data; initial_offers = initial_offers)
+        @test trace["trades"] == [[1, 2], [2, 3]]
+        @test length(trace["steps"]) == steps
+        for (t, step) in enumerate(trace["steps"])
+            @test step["selected"] == data.selected[t]
+            @test step["unsatisfied"] == sort(collect(data.unsatisfied[t]))
+            @test length(step["offers"]) == market.n
+        end
+        # Offers are keyed by the trade ω as a string
+        @test trace["steps"][end]["offers"][1] == Dict(string(ω) => x for (ω, x) in data.offers[end][1])
+        @test trace["initial_offers"] == [Dict("1" => 9, "2" => 0), Dict("1" => 21, "2" => 16), Dict("2" => 1, "1" => 0)]
+        @test !haskey(dynamic_trace_to_json(market, data), "initial_offers")
+
+        # The file holds the same trace
+        mktempdir() do dir
+            filename = joinpath(dir, "trace.json")
+            written = create_dynamic_trace_file(filename, market, data; initial_offers = initial_offers)
+            @test written == trace
+            saved = JSON3.read(read(filename, String))
+            @test saved.trades == [[1, 2], [2, 3]]
+            @test length(saved.steps) == steps
+            @test saved.steps[1].selected == data.selected[1]
+            @test length(saved.initial_offers) == market.n
+        end
+    end
+
+    @testset "Market Valuations" begin
+        Ω = [(1,2), (2,3)]
+        valuation = [
+            generate_unit_valuation(1, Ω, -10),
+            generate_intermediary_valuation(2, Ω),
+            generate_unit_valuation(3, Ω, 20)
+        ]
+        market = Market(Ω, valuation)
+
+        json = market_valuations_to_json(market)
+        @test json["trades"] == [[1, 2], [2, 3]]
+        @test length(json["valuations"]) == 3
+        @test json["valuations"][1] == Dict("∅" => 0, "{1}" => -10)
+        @test json["valuations"][3] == Dict("∅" => 0, "{2}" => 20)
+        @test json["valuations"][2] == Dict(bundle_to_string(Bundle(Φ)) => valuation[2](Set(Φ)) for Φ in powerset([1, 2]))
+    end
+
+    @testset "Non-finite Values" begin
+        @test exact_to_json(3//2) == "3/2"
+        @test exact_to_json(-4) == -4
+        @test_throws ArgumentError exact_to_json(Inf)
+        @test_throws ArgumentError exact_to_json(NaN)
+
+        # Bundles valued -Inf are outside the valuation's domain and left out of the table
+        Ω = [(1,2), (2,3)]
+        intermediary(Φ) = length(Φ) == 1 ? -Inf : 0
+        valuation = [
+            generate_unit_valuation(1, Ω, -10),
+            intermediary,
+            generate_unit_valuation(3, Ω, 20)
+        ]
+        market = Market(Ω, valuation)
+        json = market_valuations_to_json(market)
+        @test json["valuations"][2] == Dict("∅" => 0, "{1,2}" => 0)
+
+        # Other non-finite values are errors
+        @test_throws ArgumentError valuation_to_json_format(Φ -> isempty(Φ) ? 0 : NaN, [Bundle(), Bundle([1])])
+    end
+end
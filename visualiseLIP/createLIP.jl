@@ -16,9 +16,8 @@ using Random
 # Use the NetworkTrading module which already includes all the iterators
 using NetworkTrading
 
-# Type aliases
-const Prices = Vector{Rational{Int}}
-const Bundle = Set{Int}
+# Bundle strings and the JSON formats read by the viewer
+include("lip_json.jl")
 
 # Set up solver for Polyhedra operations
 const lib = DefaultLibrary{Float64}(GLPK.Optimizer)
@@ -27,17 +26,6 @@ const lib = DefaultLibrary{Float64}(GLPK.Optimizer)
 # Utility functions
 # ============================================================================
 
-"""
-    bundle_to_string(bundle)
-
-Convert a bundle (set of goods) to its string representation.
-"""
-function bundle_to_string(bundle::Bundle)
-    isempty(bundle) && return "∅"
-    sorted_bundle = sort(collect(bundle))
-    return "{" * join(sorted_bundle, ",") * "}"
-end
-
 """
     compute_bundle_price_sum(bundle, χ, p)
 
@@ -88,8 +76,8 @@ function compute_halfspace_constraint(Φ::Bundle, Ψ::Bundle, v::Function, χ::P
     coeffs = build_constraint_coefficients(Φ, Ψ, χ)
     rhs = Rational{Int}(v(Ψ) - v(Φ))
     
-    # Create halfspace: coeffs' * p ≥ rhs
-    return HalfSpace(coeffs, rhs)
+    # Polyhedra reads HalfSpace(a, β) as a' * p ≤ β, so coeffs' * p ≥ rhs is negated
+    return HalfSpace(-coeffs, -rhs)
 end
 
 """
@@ -373,72 +361,13 @@ function compute_all_label_positions(polyhedra::Dict{Bundle, Any})
             push!(labels, center)
         else
             # Fallback: use origin if center computation fails
-            push!(labels, zeros(Rational{Int}, 3))
+            push!(labels, zeros(Rational{Int}, fulldim(polyhedra[bundle])))
         end
     end
     
     return labels, bundle_order
 end
 
-# ============================================================================
-# JSON formatting functions
-# ============================================================================
-
-"""
-    vertices_to_json_format(vertices)
-
-Convert rational vertices to float arrays for JSON compatibility.
-"""
-function vertices_to_json_format(vertices::Vector{Prices})
-    return [[clean_float(Float64(coord)) for coord in vertex] for vertex in vertices]
-end
-
-function clean_float(x::Float64)
-    return Float64(round(Int, x))
-end
-
-"""
-    facets_to_json_format(facets)
-
-Convert facet indices to JSON arrays (1-indexed to 0-indexed).
-"""
-function facets_to_json_format(facets::Vector{Vector{Int}})
-    # Convert from 1-indexed Julia to 0-indexed for JSON
-    return [indices .- 1 for indices in facets]
-end
-
-"""
-    labels_to_json_format(labels)
-
-Convert label positions to JSON format.
-"""
-function labels_to_json_format(labels::Vector{Prices})
-    return [[clean_float(Float64(coord)) for coord in label] for label in labels]
-end
-
-"""
-    bundles_to_json_format(bundles)
-
-Convert bundle sets to string arrays.
-"""
-function bundles_to_json_format(bundles::Vector{Bundle})
-    return [bundle_to_string(bundle) for bundle in bundles]
-end
-
-"""
-    assemble_json_output(vertices, facets, labels, bundles)
-
-Create the final JSON structure for LIP visualization.
-"""
-function assemble_json_output(vertices, facets, labels, bundles)
-    return Dict(
-        "vertices" => vertices_to_json_format(vertices),
-        "facets" => facets_to_json_format(facets),
-        "labels" => labels_to_json_format(labels),
-        "bundles" => bundles_to_json_format(bundles)
-    )
-end
-
 # ============================================================================
 # Main orchestrating function
 # ============================================================================
@@ -453,7 +382,8 @@ Create the LIP JSON file for visualization given:
 - L: minimum value for bounding box [L,U]^n
 - U: maximum value for bounding box [L,U]^n
 
-Returns a JSON-compatible dictionary with vertices, facets, labels, and bundles.
+Returns a JSON-compatible dictionary with vertices, facets, labels, and bundles,
+plus the optional valuation table, χ and the bounds [L, U].
 """
 function create_LIP_json(v::Function, A::Vector{Bundle}, χ::Vector{<:Real}, L::Real, U::Real)
     # Convert χ, L, and U to rational for exact arithmetic
@@ -473,6 +403,13 @@ function create_LIP_json(v::Function, A::Vector{Bundle}, χ::Vector{<:Real}, L::
     # Assemble the final JSON output
     json_data = assemble_json_output(vertices, facets, labels, bundle_order)
     
+    # Optional fields: the valuation and χ let the viewer compute demand
+    json_data["valuation"] = valuation_to_json_format(v, A)
+    json_data["chi"] = [exact_to_json(c) for c in χ_rational]
+    
+    # The box [L,U]^n the LIP was cut to, checked by the viewer's validator
+    json_data["bounds"] = [exact_to_json(L_rational), exact_to_json(U_rational)]
+    
     return json_data
 end
 
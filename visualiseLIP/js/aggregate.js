@@ -0,0 +1,271 @@
+/**
+ * LIPAggregate - The aggregate LIP of several agents' LIPs over the same prices
+ * The LIP of aggregate demand is the union of the individual LIPs counted with
+ * multiplicity. This overlays the agents' facets exactly: coplanar overlaps become
+ * pieces of higher multiplicity, and transversal facets meet in new edges and vertices
+ */
+
+import { Rational } from './rational.js';
+
+const ZERO = Rational.ZERO;
+
+function sub(a, b) { return a.map((x, k) => x.sub(b[k])); }
+function add(a, b) { return a.map((x, k) => x.add(b[k])); }
+function scale(a, t) { return a.map(x => x.mul(t)); }
+function dot(a, b) { return a.reduce((total, x, k) => total.add(x.mul(b[k])), ZERO); }
+function cross(a, b) {
+    return [
+        a[1].mul(b[2]).sub(a[2].mul(b[1])),
+        a[2].mul(b[0]).sub(a[0].mul(b[2])),
+        a[0].mul(b[1]).sub(a[1].mul(b[0]))
+    ];
+}
+function same(a, b) { return a.every((x, k) => x.equals(b[k])); }
+function pointKey(point) { return point.map(x => x.toString()).join(','); }
+
+export class LIPAggregate {
+    /**
+     * Exact convex polygons of one agent's 2D facets, as
+     * [{ agent, facetId, points, normal, offset, key }] with normal · p = offset on the
+     * facet, normal primitive and integral, so that coplanar facets share a key.
+     */
+    static facetPolygons(geometry, facetGeometries, agent) {
+        return facetGeometries
+            .filter(facet => facet.dimension === 2 && facet.primitiveNormal)
+            .map(facet => {
+                const points = facet.indices.map(i => geometry.getExactVertex(i));
+                const normal = facet.primitiveNormal.map(c => Rational.parse(c));
+                const offset = dot(normal, points[0]);
+                return { agent, facetId: facet.id, points, normal, offset, key: `${normal.join(',')}|${offset}` };
+            });
+    }
+
+    /** Split a convex polygon by the plane normal · p = offset into its parts below and above. */
+    static splitPolygon(points, normal, offset) {
+        const below = [];
+        const above = [];
+        const sides = points.map(point => dot(normal, point).sub(offset));
+
+        points.forEach((point, i) => {
+            const j = (i + 1) % points.length;
+            const [s, t] = [sides[i].sign(), sides[j].sign()];
+            if (s <= 0) below.push(point);
+            if (s >= 0) above.push(point);
+            if (s * t < 0) {
+                const crossing = add(point, scale(sub(points[j], point), sides[i].div(sides[i].sub(sides[j]))));
+                below.push(crossing);
+                above.push(crossing);
+            }
+        });
+
+        return { below, above };
+    }
+
+    /** Whether a polygon has positive area, i.e. three of its points are not collinear. */
+    static hasArea(points) {
+        for (let i = 2; i < points.length; i++) {
+            if (cross(sub(points[1], points[0]), sub(points[i], points[0])).some(x => !x.isZero())) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    static centroid(points) {
+        return scale(points.reduce((sum, point) => add(sum, point)), new Rational(1n, BigInt(points.length)));
+    }
+
+    /** Whether a point of the polygon's plane lies in the closed convex polygon. */
+    static containsPoint(polygon, point) {
+        const { points, normal } = polygon;
+        let sign = 0;
+        for (let i = 0; i < points.length; i++) {
+            const side = dot(normal, cross(sub(points[(i + 1) % points.length], points[i]), sub(point, points[i]))).sign();
+            if (side === 0) continue;
+            if (sign === 0) sign = side;
+            else if (side !== sign) return false;
+        }
+        return true;
+    }
+
+    /** The segment where the plane normal · p = offset cuts a convex polygon, or null. */
+    static sectionSegment(points, normal, offset) {
+        const sides = points.map(point => dot(normal, point).sub(offset));
+        if (sides.every(side => side.isZero())) return null;
+
+        const cuts = [];
+        points.forEach((point, i) => {
+            const j = (i + 1) % points.length;
+            if (sides[i].isZero()) {
+                cuts.push(point);
+            } else if (!sides[j].isZero() && sides[i].sign() !== sides[j].sign()) {
+                cuts.push(add(point, scale(sub(points[j], point), sides[i].div(sides[i].sub(sides[j])))));
+            }
+        });
+
+        const unique = cuts.filter((point, i) => cuts.findIndex(other => same(other, point)) === i);
+        return unique.length === 0 ? null : unique;
+    }
+
+    /** Intersection point of two segments in a common plane, or null. */
+    static segmentIntersection([a, b], [c, d]) {
+        const u = sub(b, a);
+        const v = sub(d, c);
+        const z = cross(u, v);
+        const zz = dot(z, z);
+        if (zz.isZero()) return null; // Parallel
+
+        const w = sub(c, a);
+        if (!dot(w, z).isZero()) return null; // Skew
+        const s = dot(cross(w, v), z).div(zz);
+        const t = dot(cross(w, u), z).div(zz);
+        if (s.sign() < 0 || s.gt(Rational.ONE) || t.sign() < 0 || t.gt(Rational.ONE)) return null;
+        return add(a, scale(u, s));
+    }
+
+    /**
+     * Overlay the agents' polygons (from facetPolygons). Returns
+     * { pieces: [{ points, normal, multiplicity, agents }], crossings: [{ start, end, agents }],
+     *   vertices: [{ point, agents }] } where pieces are the coplanar overlaps (multiplicity ≥ 2),
+     * crossings the edges where facets of two agents meet transversally and vertices the points
+     * of the aggregate that are vertices of none of the individual LIPs.
+     * Options: logger for the summary, console by default.
+     */
+    static compute(polygons, originalVertices = [], { logger = console } = {}) {
+        const pieces = LIPAggregate.computeOverlaps(polygons);
+        const sections = LIPAggregate.computeCrossings(polygons);
+        const crossings = sections.filter(section => !same(section.start, section.end));
+
+        // New vertices: ends of crossings, corners of overlaps and crossings of crossings
+        const known = new Set(originalVertices.map(pointKey));
+        const vertices = new Map();
+        const addVertex = (point, agents) => {
+            const key = pointKey(point);
+            if (known.has(key)) return;
+            if (!vertices.has(key)) vertices.set(key, { point, agents: new Set() });
+            agents.forEach(agent => vertices.get(key).agents.add(agent));
+        };
+
+        sections.forEach(section => {
+            addVertex(section.start, section.agents);
+            addVertex(section.end, section.agents);
+        });
+        pieces.forEach(piece => piece.points.forEach(point => {
+            // Only corners where edges of different agents cross are new
+            const onEdges = polygons.filter(polygon => polygon.key === piece.key && LIPAggregate.onBoundary(polygon, point));
+            if (new Set(onEdges.map(polygon => polygon.agent)).size >= 2) {
+                addVertex(point, piece.agents);
+            }
+        }));
+        for (let i = 0; i < crossings.length; i++) {
+            for (let j = i + 1; j < crossings.length; j++) {
+                const shared = crossings[i].polygons.some(p => crossings[j].polygons.includes(p));
+                if (!shared) continue;
+                const point = LIPAggregate.segmentIntersection([crossings[i].start, crossings[i].end], [crossings[j].start, crossings[j].end]);
+                if (point) addVertex(point, [...crossings[i].agents, ...crossings[j].agents]);
+            }
+        }
+
+        const result = {
+            pieces,
+            crossings: crossings.map(({ start, end, agents }) => ({ start, end, agents })),
+            vertices: [...vertices.values()].map(vertex => ({ point: vertex.point, agents: [...vertex.agents].sort((a, b) => a - b) }))
+        };
+        logger.log(`Aggregate LIP: ${pieces.length} overlaps, ${crossings.length} crossing edges, ${result.vertices.length} new vertices`);
+        return result;
+    }
+
+    static onBoundary(polygon, point) {
+        const { points } = polygon;
+        return points.some((a, i) => {
+            const b = points[(i + 1) % points.length];
+            const ab = sub(b, a);
+            const ap = sub(point, a);
+            if (cross(ab, ap).some(x => !x.isZero())) return false;
+            const t = dot(ap, ab);
+            return t.sign() >= 0 && t.le(dot(ab, ab));
+        });
+    }
+
+    /** Coplanar overlaps of facets from different agents, with their multiplicity. */
+    static computeOverlaps(polygons) {
+        const groups = new Map();
+        polygons.forEach(polygon => {
+            if (!groups.has(polygon.key)) groups.set(polygon.key, []);
+            groups.get(polygon.key).push(polygon);
+        });
+
+        const pieces = [];
+        groups.forEach((group, key) => {
+            if (new Set(group.map(polygon => polygon.agent)).size < 2) return;
+            const seen = new Set();
+
+            group.forEach(polygon => {
+                // Cut the polygon along the edges of the other agents' polygons in this plane
+                let parts = [polygon.points];
+                group.filter(other => other.agent !== polygon.agent).forEach(other => {
+                    other.points.forEach((a, i) => {
+                        const b = other.points[(i + 1) % other.points.length];
+                        const normal = cross(polygon.normal, sub(b, a));
+                        const offset = dot(normal, a);
+                        parts = parts.flatMap(part => {
+                            const { below, above } = LIPAggregate.splitPolygon(part, normal, offset);
+                            return [below, above].filter(piece => piece.length >= 3 && LIPAggregate.hasArea(piece));
+                        });
+                    });
+                });
+
+                parts.forEach(points => {
+                    const centroid = LIPAggregate.centroid(points);
+                    const id = pointKey(centroid);
+                    if (seen.has(id)) return;
+                    seen.add(id);
+
+                    const covering = group.filter(other => LIPAggregate.containsPoint(other, centroid));
+                    const agents = [...new Set(covering.map(other => other.agent))].sort((a, b) => a - b);
+                    if (agents.length >= 2) {
+                        pieces.push({ key, points, normal: polygon.normal, multiplicity: covering.length, agents });
+                    }
+                });
+            });
+        });
+
+        return pieces;
+    }
+
+    /** Segments (possibly single points) where facets of two different agents meet at an angle. */
+    static computeCrossings(polygons) {
+        const crossings = [];
+
+        for (let i = 0; i < polygons.length; i++) {
+            for (let j = i + 1; j < polygons.length; j++) {
+                const [p, q] = [polygons[i], polygons[j]];
+                if (p.agent === q.agent || p.key === q.key) continue;
+
+                const direction = cross(p.normal, q.normal);
+                if (direction.every(x => x.isZero())) continue; // Parallel planes
+
+                const onP = LIPAggregate.sectionSegment(p.points, q.normal, q.offset);
+                const onQ = LIPAggregate.sectionSegment(q.points, p.normal, p.offset);
+                if (!onP || !onQ) continue;
+
+                // Both sections lie on the line of the two planes; intersect them along it
+                const along = point => dot(direction, point);
+                const byPosition = (a, b) => along(a).compare(along(b));
+                onP.sort(byPosition);
+                onQ.sort(byPosition);
+                const start = byPosition(onP[0], onQ[0]) >= 0 ? onP[0] : onQ[0];
+                const end = byPosition(onP[onP.length - 1], onQ[onQ.length - 1]) <= 0 ? onP[onP.length - 1] : onQ[onQ.length - 1];
+                if (byPosition(start, end) > 0) continue;
+
+                // Facets that merely share an edge do not cross
+                const middle = LIPAggregate.centroid([start, end]);
+                if (LIPAggregate.onBoundary(p, middle) && LIPAggregate.onBoundary(q, middle)) continue;
+
+                crossings.push({ start, end, agents: [p.agent, q.agent].sort((a, b) => a - b), polygons: [p, q] });
+            }
+        }
+
+        return crossings;
+    }
+}
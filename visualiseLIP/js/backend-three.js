@@ -0,0 +1,433 @@
+/**
+ * LIPThreeBackend - Three.js renderer for LIPViewer
+ * Draws a LIPScene with WebGL through Three.js: Lambert-shaded facets and demand regions
+ * lit like the main visualiser, outlines, vertices, axes and overlays, with OrbitControls
+ * for the camera. LIPViewer also renders figures (PNG, SVG) through this backend.
+ */
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { LIPRenderBackend } from './backend.js';
+
+// Field of view of the perspective camera in degrees
+const FIELD_OF_VIEW = 75;
+
+// Overlays drawn on top come after everything else
+const ON_TOP_ORDER = 999;
+
+export class LIPThreeBackend extends LIPRenderBackend {
+    constructor() {
+        super('three');
+        this.objects = null;
+        this.styles = [];
+        this.mode = 'surface';
+        this.displayMode = 'facets';
+        this.opacity = 0.7;
+        this.axesVisible = true;
+        this.sceneVisible = true;
+        this.clippingPlanes = [];
+        this.overlays = new Map();
+        this.frame = null;
+    }
+
+    async init(container) {
+        this.container = container;
+        this.renderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true });
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.setClearColor(0xf0f0f0);
+        this.renderer.localClippingEnabled = true;
+        this.renderer.domElement.style.display = 'block';
+        container.appendChild(this.renderer.domElement);
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(FIELD_OF_VIEW, this.getAspect(), 0.1, 1000);
+        this.resize();
+
+        const animate = () => {
+            this.frame = requestAnimationFrame(animate);
+            this.controls?.update();
+            this.render();
+        };
+        animate();
+        console.log('Three.js backend initialised');
+    }
+
+    setScene(scene) {
+        if (this.objects) {
+            this.scene.remove(this.objects.root);
+            this.disposeObject(this.objects.root);
+        }
+        this.lipScene = scene;
+        this.styles = scene.facets.map(facet => ({ visible: true, color: facet.color }));
+        this.useCamera(scene.dimension === 2);
+
+        const root = new THREE.Group();
+        const size = Math.max(...scene.box.max.map((x, k) => x - scene.box.min[k])) || 1;
+        const center = scene.box.min.map((low, k) => (low + scene.box.max[k]) / 2);
+        root.add(new THREE.AmbientLight(0x404040, 0.6));
+        const light = new THREE.DirectionalLight(0xffffff, 0.8);
+        light.position.set(center[0] + size, center[1] + size, center[2] + size);
+        light.target.position.set(...center);
+        root.add(light, light.target);
+
+        // One mesh per polygon, so that facets can be hidden and recoloured one by one
+        const faces = new THREE.Group();
+        this.faceMeshes = scene.facets.map(facet => {
+            if (facet.dimension !== 2) return null;
+            const mesh = new THREE.Mesh(this.meshGeometry(facet.points, facet.triangles), new THREE.MeshLambertMaterial({
+                color: facet.color,
+                transparent: true,
+                opacity: this.opacity,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            }));
+            faces.add(mesh);
+            return mesh;
+        });
+
+        const regions = new THREE.Group();
+        scene.regions.forEach(region => region.faces.forEach(face => {
+            regions.add(new THREE.Mesh(this.meshGeometry(face.points, face.triangles), new THREE.MeshLambertMaterial({
+                color: region.color,
+                transparent: true,
+                opacity: this.opacity * this.style.regionOpacity,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })));
+        }));
+
+        // Outlines and segments are filled in by updateFacets
+        const outlines = new THREE.LineSegments(
+            this.lineGeometry([]),
+            new THREE.LineBasicMaterial({ color: this.style.edgeColor, transparent: true, opacity: 0.8 })
+        );
+        const segments = new THREE.LineSegments(
+            this.lineGeometry([], []),
+            new THREE.LineBasicMaterial({ vertexColors: true })
+        );
+        const vertices = new THREE.Points(
+            this.lineGeometry(scene.vertices.flat()),
+            new THREE.PointsMaterial({ color: this.style.edgeColor, size: this.style.pointSize, sizeAttenuation: false })
+        );
+
+        const axisPositions = [];
+        const axisColors = [];
+        scene.axes.forEach(({ from, to, color }) => {
+            const rgb = new THREE.Color(color);
+            axisPositions.push(...from, ...to);
+            axisColors.push(rgb.r, rgb.g, rgb.b, rgb.r, rgb.g, rgb.b);
+        });
+        const axes = new THREE.LineSegments(
+            this.lineGeometry(axisPositions, axisColors),
+            new THREE.LineBasicMaterial({ vertexColors: true })
+        );
+
+        const highlight = new THREE.Group();
+        root.add(faces, regions, outlines, segments, vertices, axes, highlight);
+        this.scene.add(root);
+        this.objects = { root, faces, regions, outlines, segments, vertices, axes, highlight };
+        this.updateFacets();
+        this.updateVisibility();
+        this.setAxesVisible(this.axesVisible);
+        this.applyClipping();
+    }
+
+    meshGeometry(points, triangles) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(points.flat(), 3));
+        geometry.setIndex(triangles.flat());
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+
+    lineGeometry(positions, colors = null) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        if (colors) geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        return geometry;
+    }
+
+    /** Perspective camera with orbiting for 3 goods, orthographic with pan and zoom only for 2. */
+    useCamera(orthographic) {
+        if (this.camera.isOrthographicCamera !== orthographic) {
+            this.camera = orthographic
+                ? new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000)
+                : new THREE.PerspectiveCamera(FIELD_OF_VIEW, this.getAspect(), 0.1, 1000);
+        }
+        this.controls?.dispose();
+        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.enableDamping = true;
+        this.controls.dampingFactor = 0.05;
+        this.controls.enableRotate = !orthographic;
+        this.controls.addEventListener('change', () => {
+            this.camera.updateMatrixWorld(); // So that worldToScreen sees the new position before the next render
+            if (this.onViewChange) this.onViewChange();
+        });
+    }
+
+    setFacetStyles(styles) {
+        this.styles = styles;
+        if (this.objects) this.updateFacets();
+    }
+
+    /** Apply the facet styles: mesh visibility and colour, and the outlines and segments of the shown facets. */
+    updateFacets() {
+        const outlinePositions = [];
+        const segmentPositions = [];
+        const segmentColors = [];
+        this.lipScene.facets.forEach((facet, index) => {
+            const { visible, color } = this.styles[index];
+            const mesh = this.faceMeshes[index];
+            if (mesh) {
+                mesh.visible = visible;
+                mesh.material.color.setHex(color);
+            }
+            if (!visible) return;
+            if (facet.dimension === 1) {
+                const rgb = new THREE.Color(color);
+                facet.points.slice(0, 2).forEach(point => {
+                    segmentPositions.push(...point);
+                    segmentColors.push(rgb.r, rgb.g, rgb.b);
+                });
+                return;
+            }
+            facet.points.forEach((point, k) => outlinePositions.push(...point, ...facet.points[(k + 1) % facet.points.length]));
+        });
+
+        const { outlines, segments } = this.objects;
+        outlines.geometry.dispose();
+        outlines.geometry = this.lineGeometry(outlinePositions);
+        segments.geometry.dispose();
+        segments.geometry = this.lineGeometry(segmentPositions, segmentColors);
+    }
+
+    /** Which parts of the scene the render mode, display mode and scene visibility leave. */
+    updateVisibility() {
+        if (!this.objects) return;
+        const { faces, regions, outlines, segments, vertices, highlight } = this.objects;
+        const facets = this.sceneVisible && this.displayMode !== 'cells';
+        faces.visible = facets && this.mode === 'surface';
+        outlines.visible = facets && this.mode !== 'points';
+        segments.visible = facets && this.mode !== 'points';
+        regions.visible = this.sceneVisible && this.displayMode !== 'facets' && this.mode !== 'points';
+        regions.children.forEach(mesh => {
+            mesh.material.wireframe = this.mode === 'wireframe';
+        });
+        vertices.visible = this.sceneVisible;
+        highlight.visible = this.sceneVisible;
+    }
+
+    setRenderMode(mode) {
+        this.mode = mode;
+        this.updateVisibility();
+    }
+
+    setDisplayMode(mode) {
+        this.displayMode = mode;
+        this.updateVisibility();
+    }
+
+    setSceneVisible(visible) {
+        this.sceneVisible = visible;
+        this.updateVisibility();
+    }
+
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        if (!this.objects) return;
+        this.objects.faces.children.forEach(mesh => {
+            mesh.material.opacity = opacity;
+        });
+        this.objects.regions.children.forEach(mesh => {
+            mesh.material.opacity = opacity * this.style.regionOpacity;
+        });
+    }
+
+    setAxesVisible(visible) {
+        this.axesVisible = visible;
+        if (this.objects) this.objects.axes.visible = visible;
+    }
+
+    setClipPlane(plane) {
+        // THREE.Plane keeps n·p + constant ≥ 0, so -e_axis with constant value keeps p_axis ≤ value
+        this.clippingPlanes = plane
+            ? [new THREE.Plane(new THREE.Vector3().setComponent(plane.axis, -1), plane.value)]
+            : [];
+        this.applyClipping();
+    }
+
+    /** Clip the scene (except its axes) and the overlays that ask for it. */
+    applyClipping() {
+        const clip = object => object.traverse(child => {
+            if (!child.material || child === this.objects?.axes) return;
+            child.material.clippingPlanes = this.clippingPlanes;
+            child.material.needsUpdate = true;
+        });
+        if (this.objects) clip(this.objects.root);
+        this.overlays.forEach(({ group, clip: clipped }) => {
+            if (clipped) clip(group);
+        });
+    }
+
+    setOverlay(name, items, { clip = false } = {}) {
+        const previous = this.overlays.get(name);
+        if (previous) {
+            this.scene.remove(previous.group);
+            this.disposeObject(previous.group);
+            this.overlays.delete(name);
+        }
+        if (!items || items.length === 0) return;
+
+        const group = new THREE.Group();
+        group.name = name;
+        items.forEach(item => group.add(this.createOverlayObject(item)));
+        this.scene.add(group);
+        this.overlays.set(name, { group, clip });
+        if (clip) this.applyClipping();
+    }
+
+    /** A Mesh, LineSegments or Points for an overlay item, see LIPRenderBackend.setOverlay. */
+    createOverlayObject({ type, positions, color = 0xffffff, colors = null, opacity = 1, onTop = false, ...options }) {
+        const geometry = this.lineGeometry(positions, colors);
+        const common = {
+            color: colors ? 0xffffff : color,
+            vertexColors: Boolean(colors),
+            transparent: opacity < 1,
+            opacity,
+            depthTest: !onTop
+        };
+
+        let object;
+        if (type === 'triangles') {
+            geometry.computeVertexNormals();
+            const Material = options.flat ? THREE.MeshBasicMaterial : THREE.MeshLambertMaterial;
+            object = new THREE.Mesh(geometry, new Material({ ...common, side: THREE.DoubleSide, depthWrite: opacity >= 1 }));
+        } else if (type === 'lines') {
+            object = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ ...common, linewidth: options.width ?? 1 }));
+        } else {
+            object = new THREE.Points(geometry, new THREE.PointsMaterial({
+                ...common,
+                size: options.size ?? this.style.pointSize,
+                sizeAttenuation: false
+            }));
+        }
+        if (onTop) object.renderOrder = ON_TOP_ORDER;
+        return object;
+    }
+
+    setHighlight(hit) {
+        const group = this.objects.highlight;
+        group.children.slice().forEach(child => {
+            group.remove(child);
+            this.disposeObject(child);
+        });
+        if (!hit) return;
+
+        const color = this.style.highlightColor;
+        const clippingPlanes = this.clippingPlanes;
+        if (hit.kind === 'vertex') {
+            group.add(new THREE.Points(
+                this.lineGeometry(this.lipScene.vertices[hit.index]),
+                new THREE.PointsMaterial({ color, size: this.style.pointSize * 2, sizeAttenuation: false, depthTest: false, clippingPlanes })
+            ));
+            return;
+        }
+        const facet = this.lipScene.facets[hit.index];
+        const positions = facet.points.flatMap((point, k) => [...point, ...facet.points[(k + 1) % facet.points.length]]);
+        group.add(new THREE.LineSegments(this.lineGeometry(positions), new THREE.LineBasicMaterial({ color, depthTest: false, clippingPlanes })));
+        if (facet.dimension === 2) {
+            group.add(new THREE.Mesh(this.meshGeometry(facet.points, facet.triangles), new THREE.MeshBasicMaterial({
+                color,
+                transparent: true,
+                opacity: 0.6,
+                side: THREE.DoubleSide,
+                depthWrite: false,
+                clippingPlanes
+            })));
+        }
+    }
+
+    getCamera() {
+        const camera = {
+            position: this.camera.position.toArray(),
+            target: this.controls.target.toArray(),
+            up: this.camera.up.toArray()
+        };
+        if (this.camera.isOrthographicCamera) camera.parallelScale = this.camera.top / this.camera.zoom;
+        return camera;
+    }
+
+    setCamera({ position, target, parallelScale }) {
+        const distance = Math.hypot(...position.map((x, k) => x - target[k]));
+        // OrbitControls keeps p₂ up itself, so the camera's up is left alone
+        this.camera.position.set(...position);
+        this.camera.far = distance * 10;
+        if (this.camera.isOrthographicCamera && parallelScale !== undefined) {
+            this.camera.top = parallelScale;
+            this.camera.bottom = -parallelScale;
+            this.camera.zoom = 1;
+            this.fitAspect();
+        }
+        this.camera.lookAt(...target);
+        this.camera.updateProjectionMatrix();
+        this.controls.target.set(...target);
+        this.controls.update();
+        this.camera.updateMatrixWorld();
+    }
+
+    fitAspect() {
+        const aspect = this.getAspect();
+        if (this.camera.isOrthographicCamera) {
+            this.camera.left = this.camera.bottom * aspect;
+            this.camera.right = this.camera.top * aspect;
+        } else {
+            this.camera.aspect = aspect;
+        }
+        this.camera.updateProjectionMatrix();
+    }
+
+    worldToScreen(point) {
+        const projected = new THREE.Vector3(...point).project(this.camera);
+        if (projected.z > 1) return null; // Behind a perspective camera
+        return [
+            (projected.x + 1) / 2 * this.container.clientWidth,
+            (1 - projected.y) / 2 * this.container.clientHeight
+        ];
+    }
+
+    screenToRay(x, y) {
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(new THREE.Vector2(
+            x / this.container.clientWidth * 2 - 1,
+            1 - y / this.container.clientHeight * 2
+        ), this.camera);
+        return { origin: raycaster.ray.origin.toArray(), direction: raycaster.ray.direction.toArray() };
+    }
+
+    render() {
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    resize() {
+        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+        this.fitAspect();
+    }
+
+    dispose() {
+        cancelAnimationFrame(this.frame);
+        this.controls?.dispose();
+        if (this.objects) this.disposeObject(this.objects.root);
+        this.overlays.forEach(({ group }) => this.disposeObject(group));
+        this.renderer.dispose();
+        this.renderer.domElement.remove();
+        console.log('Three.js backend disposed');
+    }
+
+    disposeObject(object) {
+        object.traverse(child => {
+            child.geometry?.dispose();
+            child.material?.map?.dispose();
+            child.material?.dispose();
+        });
+    }
+}
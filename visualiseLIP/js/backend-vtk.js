@@ -0,0 +1,451 @@
+/**
+ * LIPVTKBackend - vtk.js renderer for LIPViewer
+ * Draws a LIPScene with the bundled vtk.js build (loaded on first use): facets and demand
+ * regions as polygon datasets coloured per cell, outlines, vertices, axes and overlays as
+ * separate actors, with trackball interaction for 3 goods and pan and zoom only for 2.
+ * Overlays drawn on top go to a second renderer layer sharing the camera.
+ */
+
+import { LIPRenderBackend } from './backend.js';
+
+// The UMD build defines the global vtk
+const VTK_URL = new URL('../vtk.js', import.meta.url).href;
+
+// Same field of view as the Three.js backend, so both show the same picture
+const FIELD_OF_VIEW = 75;
+
+let vtkLoading = null;
+
+function loadVTK() {
+    if (window.vtk) return Promise.resolve(window.vtk);
+    if (!vtkLoading) {
+        vtkLoading = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = VTK_URL;
+            script.onload = () => resolve(window.vtk);
+            script.onerror = () => {
+                vtkLoading = null;
+                reject(new Error(`Could not load vtk.js from ${VTK_URL}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return vtkLoading;
+}
+
+export class LIPVTKBackend extends LIPRenderBackend {
+    constructor() {
+        super('vtk');
+        this.actors = null;
+        this.styles = [];
+        this.mode = 'surface';
+        this.displayMode = 'facets';
+        this.opacity = 0.7;
+        this.axesVisible = true;
+        this.sceneVisible = true;
+        this.clipPlane = null;
+        this.overlays = new Map();
+    }
+
+    async init(container) {
+        this.vtk = await loadVTK();
+        const Core = this.vtk.Rendering.Core;
+        this.container = container;
+
+        this.element = document.createElement('div');
+        this.element.style.cssText = 'width: 100%; height: 100%; overflow: hidden;';
+        container.appendChild(this.element);
+
+        this.renderWindow = Core.vtkRenderWindow.newInstance();
+        this.renderer = Core.vtkRenderer.newInstance();
+        this.renderer.setBackground(0.94, 0.94, 0.94);
+        this.renderWindow.addRenderer(this.renderer);
+
+        // Overlays drawn on top: a second layer over the colours of the first, with its own depth
+        this.topRenderer = Core.vtkRenderer.newInstance();
+        this.topRenderer.setLayer(1);
+        this.topRenderer.setPreserveColorBuffer(true);
+        this.topRenderer.setInteractive(false);
+        this.topRenderer.setActiveCamera(this.renderer.getActiveCamera());
+        this.renderWindow.setNumberOfLayers(2);
+        this.renderWindow.addRenderer(this.topRenderer);
+
+        this.openGLRenderWindow = this.vtk.Rendering.OpenGL.vtkRenderWindow.newInstance();
+        this.openGLRenderWindow.setContainer(this.element);
+        this.renderWindow.addView(this.openGLRenderWindow);
+
+        this.interactor = Core.vtkRenderWindowInteractor.newInstance();
+        this.interactor.setView(this.openGLRenderWindow);
+        this.interactor.initialize();
+        this.interactor.bindEvents(this.element);
+
+        const camera = this.renderer.getActiveCamera();
+        camera.setViewAngle(FIELD_OF_VIEW);
+        this.cameraSubscription = camera.onModified(() => this.onViewChange && this.onViewChange());
+
+        this.resize();
+        console.log('vtk.js backend initialised');
+    }
+
+    setScene(scene) {
+        if (this.actors) {
+            Object.values(this.actors).forEach(actor => this.renderer.removeActor(actor));
+        }
+        this.lipScene = scene;
+        this.styles = scene.facets.map(facet => ({ visible: true, color: facet.color }));
+        this.useInteractorStyle(scene.dimension === 2);
+
+        // Region faces are polygons of their own points, one colour per region
+        const regionPoints = [];
+        const regionPolys = [];
+        const regionColors = [];
+        scene.regions.forEach(region => region.faces.forEach(face => {
+            regionPolys.push(face.points.map((_, k) => regionPoints.length / 3 + k));
+            regionPoints.push(...face.points.flat());
+            regionColors.push(region.color);
+        }));
+
+        const points = scene.vertices;
+        this.actors = {
+            faces: this.createActor(this.polyData(points, {})),
+            outlines: this.createActor(this.polyData(points, {})),
+            segments: this.createActor(this.polyData(points, {})),
+            regions: this.createActor(this.polyData(regionPoints, { polys: regionPolys, colors: regionColors })),
+            vertices: this.createActor(this.polyData(points, {
+                verts: points.map((_, index) => [index])
+            })),
+            axes: this.createActor(this.polyData(scene.axes.flatMap(({ from, to }) => [from, to]), {
+                lines: scene.axes.map((_, k) => [2 * k, 2 * k + 1]),
+                colors: scene.axes.map(({ color }) => color)
+            })),
+            highlight: this.createActor(this.polyData([[0, 0, 0]], {}))
+        };
+
+        const faceProperty = this.actors.faces.getProperty();
+        faceProperty.setOpacity(this.opacity);
+        faceProperty.setBackfaceCulling(false);
+        const regionProperty = this.actors.regions.getProperty();
+        regionProperty.setOpacity(this.opacity * this.style.regionOpacity);
+        regionProperty.setBackfaceCulling(false);
+        this.actors.outlines.getProperty().setColor(...LIPRenderBackend.rgb(this.style.edgeColor));
+        this.actors.outlines.getProperty().setOpacity(0.8);
+        this.actors.vertices.getProperty().setColor(...LIPRenderBackend.rgb(this.style.edgeColor));
+        this.actors.vertices.getProperty().setPointSize(this.style.pointSize);
+        [this.actors.segments, this.actors.axes].forEach(actor => actor.getProperty().setLighting(false));
+
+        this.actors.highlight.setVisibility(false);
+        Object.values(this.actors).forEach(actor => this.renderer.addActor(actor));
+        this.updateFacets();
+        this.updateVisibility();
+        this.setAxesVisible(this.axesVisible);
+        this.applyClipping();
+    }
+
+    /**
+     * vtkPolyData over points ([[x, y, z], ...] or flat), with cells given as lists of point
+     * indices and optionally one 0xRRGGBB colour per cell, or flat [r, g, b, ...] in 0..1
+     * per point, drawn as is rather than through a lookup table
+     */
+    polyData(points, { polys = [], lines = [], verts = [], colors = null, pointColors = null }) {
+        const { vtkPolyData } = this.vtk.Common.DataModel;
+        const { vtkDataArray } = this.vtk.Common.Core;
+        const cells = list => Uint32Array.from(list.flatMap(cell => [cell.length, ...cell]));
+
+        const polyData = vtkPolyData.newInstance();
+        polyData.getPoints().setData(Float32Array.from(points.flat()), 3);
+        if (polys.length > 0) polyData.getPolys().setData(cells(polys));
+        if (lines.length > 0) polyData.getLines().setData(cells(lines));
+        if (verts.length > 0) polyData.getVerts().setData(cells(verts));
+        if (colors) {
+            polyData.getCellData().setScalars(vtkDataArray.newInstance({
+                name: 'colors',
+                numberOfComponents: 3,
+                values: Uint8Array.from(colors.flatMap(hex => [hex >> 16 & 255, hex >> 8 & 255, hex & 255]))
+            }));
+        }
+        if (pointColors) {
+            polyData.getPointData().setScalars(vtkDataArray.newInstance({
+                name: 'colors',
+                numberOfComponents: 3,
+                values: Uint8Array.from(pointColors, c => Math.round(c * 255))
+            }));
+        }
+        return polyData;
+    }
+
+    createActor(polyData, { pointColors = false } = {}) {
+        const { vtkActor, vtkMapper } = this.vtk.Rendering.Core;
+        const mapper = vtkMapper.newInstance();
+        mapper.setInputData(polyData);
+        mapper.setColorModeToDirectScalars();
+        if (pointColors) {
+            mapper.setScalarModeToUsePointData();
+        } else {
+            mapper.setScalarModeToUseCellData();
+        }
+        const actor = vtkActor.newInstance();
+        actor.setMapper(mapper);
+        return actor;
+    }
+
+    /** Trackball rotation for 3 goods; 2-good LIPs stay seen from above, so only pan and zoom. */
+    useInteractorStyle(planar) {
+        const { Style, Manipulators } = this.vtk.Interaction;
+        if (!planar) {
+            this.interactor.setInteractorStyle(Style.vtkInteractorStyleTrackballCamera.newInstance());
+            return;
+        }
+        const style = Style.vtkInteractorStyleManipulator.newInstance();
+        const pan = Manipulators.vtkMouseCameraTrackballPanManipulator.newInstance();
+        pan.setButton(1);
+        const zoom = Manipulators.vtkMouseCameraTrackballZoomManipulator.newInstance();
+        zoom.setButton(3);
+        zoom.setScrollEnabled(true);
+        style.addMouseManipulator(pan);
+        style.addMouseManipulator(zoom);
+        this.interactor.setInteractorStyle(style);
+    }
+
+    setFacetStyles(styles) {
+        this.styles = styles;
+        if (!this.actors) return;
+        this.updateFacets();
+        this.render();
+    }
+
+    /** Rebuild the faces, outlines and segments from the shown facets in their style colours. */
+    updateFacets() {
+        const shown = this.lipScene.facets.filter((_, index) => this.styles[index].visible);
+        const polygons = shown.filter(facet => facet.dimension === 2);
+        const segments = shown.filter(facet => facet.dimension === 1);
+        const color = facet => this.styles[this.lipScene.facets.indexOf(facet)].color;
+        const points = this.lipScene.vertices;
+
+        // Facets share the vertices of the LIP, so every dataset indexes into the same points
+        this.actors.faces.getMapper().setInputData(this.polyData(points, {
+            polys: polygons.map(facet => facet.indices),
+            colors: polygons.map(color)
+        }));
+        this.actors.outlines.getMapper().setInputData(this.polyData(points, {
+            lines: polygons.map(facet => [...facet.indices, facet.indices[0]])
+        }));
+        this.actors.segments.getMapper().setInputData(this.polyData(points, {
+            lines: segments.map(facet => facet.indices.slice(0, 2)),
+            colors: segments.map(color)
+        }));
+    }
+
+    /** Which actors the render mode, display mode and scene visibility leave. */
+    updateVisibility() {
+        if (!this.actors) return;
+        const { faces, regions, outlines, segments, vertices, highlight } = this.actors;
+        const facets = this.sceneVisible && this.displayMode !== 'cells';
+        faces.setVisibility(facets && this.mode === 'surface');
+        outlines.setVisibility(facets && this.mode !== 'points');
+        segments.setVisibility(facets && this.mode !== 'points');
+        regions.setVisibility(this.sceneVisible && this.displayMode !== 'facets' && this.mode !== 'points');
+        if (this.mode === 'wireframe') {
+            regions.getProperty().setRepresentationToWireframe();
+        } else {
+            regions.getProperty().setRepresentationToSurface();
+        }
+        vertices.setVisibility(this.sceneVisible);
+        if (!this.sceneVisible) highlight.setVisibility(false);
+        this.render();
+    }
+
+    setRenderMode(mode) {
+        this.mode = mode;
+        this.updateVisibility();
+    }
+
+    setDisplayMode(mode) {
+        this.displayMode = mode;
+        this.updateVisibility();
+    }
+
+    setSceneVisible(visible) {
+        this.sceneVisible = visible;
+        this.updateVisibility();
+    }
+
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        if (!this.actors) return;
+        this.actors.faces.getProperty().setOpacity(opacity);
+        this.actors.regions.getProperty().setOpacity(opacity * this.style.regionOpacity);
+        this.render();
+    }
+
+    setAxesVisible(visible) {
+        this.axesVisible = visible;
+        if (!this.actors) return;
+        this.actors.axes.setVisibility(visible);
+        this.render();
+    }
+
+    setClipPlane(plane) {
+        this.clipPlane = plane;
+        this.applyClipping();
+        this.render();
+    }
+
+    /** Clip the scene (except its axes) and the overlays that ask for it. */
+    applyClipping() {
+        let plane = null;
+        if (this.clipPlane) {
+            // vtk keeps n·(p - origin) ≥ 0, so -e_axis through p_axis = value keeps p_axis ≤ value
+            const origin = [0, 0, 0];
+            const normal = [0, 0, 0];
+            origin[this.clipPlane.axis] = this.clipPlane.value;
+            normal[this.clipPlane.axis] = -1;
+            plane = this.vtk.Common.DataModel.vtkPlane.newInstance({ origin, normal });
+        }
+        const clip = actor => {
+            const mapper = actor.getMapper();
+            mapper.removeAllClippingPlanes();
+            if (plane) mapper.addClippingPlane(plane);
+        };
+        if (this.actors) {
+            Object.entries(this.actors).forEach(([name, actor]) => {
+                if (name !== 'axes') clip(actor);
+            });
+        }
+        this.overlays.forEach(({ actors, clip: clipped }) => {
+            if (clipped) actors.forEach(clip);
+        });
+    }
+
+    setOverlay(name, items, { clip = false } = {}) {
+        const previous = this.overlays.get(name);
+        if (previous) {
+            previous.actors.forEach(actor => {
+                this.renderer.removeActor(actor);
+                this.topRenderer.removeActor(actor);
+            });
+            this.overlays.delete(name);
+        }
+        if (items && items.length > 0) {
+            const actors = items.map(item => {
+                const actor = this.createOverlayActor(item);
+                (item.onTop ? this.topRenderer : this.renderer).addActor(actor);
+                return actor;
+            });
+            this.overlays.set(name, { actors, clip });
+            if (clip) this.applyClipping();
+        }
+        this.render();
+    }
+
+    /** An actor for an overlay item, see LIPRenderBackend.setOverlay. */
+    createOverlayActor({ type, positions, color = 0xffffff, colors = null, opacity = 1, ...options }) {
+        const count = positions.length / 3;
+        const indices = Array.from({ length: count }, (_, k) => k);
+        const group = size => Array.from({ length: Math.floor(count / size) }, (_, k) => indices.slice(k * size, (k + 1) * size));
+        const cells = type === 'triangles' ? { polys: group(3) } : type === 'lines' ? { lines: group(2) } : { verts: group(1) };
+
+        const actor = this.createActor(this.polyData(positions, { ...cells, pointColors: colors }), { pointColors: Boolean(colors) });
+        const property = actor.getProperty();
+        if (!colors) property.setColor(...LIPRenderBackend.rgb(color));
+        property.setOpacity(opacity);
+        property.setBackfaceCulling(false);
+        property.setLighting(type === 'triangles' && !options.flat);
+        if (type === 'lines') property.setLineWidth(options.width ?? 1);
+        if (type === 'points') property.setPointSize(options.size ?? this.style.pointSize);
+        return actor;
+    }
+
+    setHighlight(hit) {
+        const actor = this.actors.highlight;
+        actor.setVisibility(Boolean(hit) && this.sceneVisible);
+        if (!hit) {
+            this.render();
+            return;
+        }
+
+        const property = actor.getProperty();
+        property.setColor(...LIPRenderBackend.rgb(this.style.highlightColor));
+        property.setLighting(false);
+        if (hit.kind === 'vertex') {
+            actor.getMapper().setInputData(this.polyData([this.lipScene.vertices[hit.index]], { verts: [[0]] }));
+            property.setPointSize(this.style.pointSize * 2);
+            property.setOpacity(1);
+        } else {
+            const facet = this.lipScene.facets[hit.index];
+            const loop = facet.points.map((_, k) => k);
+            actor.getMapper().setInputData(facet.dimension === 2
+                ? this.polyData(facet.points, { polys: [loop], lines: [[...loop, 0]] })
+                : this.polyData(facet.points, { lines: [[0, 1]] }));
+            property.setOpacity(0.6);
+        }
+        this.render();
+    }
+
+    getCamera() {
+        const camera = this.renderer.getActiveCamera();
+        const state = {
+            position: Array.from(camera.getPosition()),
+            target: Array.from(camera.getFocalPoint()),
+            up: Array.from(camera.getViewUp())
+        };
+        if (camera.getParallelProjection()) state.parallelScale = camera.getParallelScale();
+        return state;
+    }
+
+    setCamera({ position, target, up, parallelScale }) {
+        const camera = this.renderer.getActiveCamera();
+        const direction = position.map((x, k) => x - target[k]);
+        const cross = [
+            up[1] * direction[2] - up[2] * direction[1],
+            up[2] * direction[0] - up[0] * direction[2],
+            up[0] * direction[1] - up[1] * direction[0]
+        ];
+        // Looking straight along p₂ with p₂ up (as the Three.js camera reports from above) has no
+        // defined roll; fall back to the top and bottom presets' up
+        const viewUp = Math.hypot(...cross) > 1e-6 * Math.hypot(...direction) ? up : [0, 0, direction[1] > 0 ? -1 : 1];
+        camera.setPosition(...position);
+        camera.setFocalPoint(...target);
+        camera.setViewUp(...viewUp);
+        camera.setParallelProjection(parallelScale !== undefined);
+        if (parallelScale !== undefined) camera.setParallelScale(parallelScale);
+        this.renderer.resetCameraClippingRange();
+        this.render();
+    }
+
+    worldToScreen(point) {
+        const view = this.renderer.worldToView(...point);
+        if (!this.renderer.getActiveCamera().getParallelProjection() && view[2] >= 0) return null; // Behind the camera
+        const [x, y] = this.renderer.worldToNormalizedDisplay(...point, this.getAspect());
+        return [x * this.container.clientWidth, (1 - y) * this.container.clientHeight];
+    }
+
+    screenToRay(x, y) {
+        const aspect = this.getAspect();
+        const nx = x / this.container.clientWidth;
+        const ny = 1 - y / this.container.clientHeight;
+        const near = Array.from(this.renderer.normalizedDisplayToWorld(nx, ny, 0, aspect));
+        const far = Array.from(this.renderer.normalizedDisplayToWorld(nx, ny, 1, aspect));
+        const direction = far.map((x, k) => x - near[k]);
+        const length = Math.hypot(...direction) || 1;
+        return { origin: near, direction: direction.map(x => x / length) };
+    }
+
+    render() {
+        this.renderWindow?.render();
+    }
+
+    resize() {
+        this.openGLRenderWindow.setSize(this.container.clientWidth, this.container.clientHeight);
+        this.render();
+    }
+
+    dispose() {
+        this.cameraSubscription?.unsubscribe();
+        this.interactor.unbindEvents();
+        this.interactor.delete();
+        this.openGLRenderWindow.delete();
+        this.renderWindow.delete();
+        this.element.remove();
+        console.log('vtk.js backend disposed');
+    }
+}
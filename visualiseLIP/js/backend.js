@@ -0,0 +1,160 @@
+/**
+ * LIPRenderBackend - What a renderer has to provide to show a LIPScene
+ * A backend only draws the scene and maps between screen and world; labels, picking,
+ * view presets and the controls live in LIPViewer, so every backend behaves the same.
+ * Implementations: LIPThreeBackend (backend-three.js) and LIPVTKBackend (backend-vtk.js)
+ */
+
+// Backends by name, loaded only when first chosen
+const BACKENDS = {
+    three: () => import('./backend-three.js').then(module => module.LIPThreeBackend),
+    vtk: () => import('./backend-vtk.js').then(module => module.LIPVTKBackend)
+};
+
+// Shared by all backends: facet outlines and vertices, the picked facet or vertex
+// (as LIPMaterials' highlight material), vertex size in pixels and the opacity of the
+// demand regions relative to the facets (LIPMaterials.cellOpacityScale)
+const STYLE = {
+    edgeColor: 0x333333,
+    highlightColor: 0xffff00,
+    pointSize: 5,
+    regionOpacity: 0.4
+};
+
+export class LIPRenderBackend {
+    static names() {
+        return Object.keys(BACKENDS);
+    }
+
+    static async create(name) {
+        if (!BACKENDS[name]) {
+            throw new Error(`Unknown renderer "${name}" (available: ${Object.keys(BACKENDS).join(', ')})`);
+        }
+        const Backend = await BACKENDS[name]();
+        return new Backend();
+    }
+
+    constructor(name) {
+        this.name = name;
+        this.style = STYLE;
+        this.onViewChange = null; // Called whenever the camera moves, e.g. to move the labels along
+    }
+
+    /** Create the drawing surface inside container, which the backend fills. */
+    async init(container) {
+        throw new Error(`${this.name}: init not implemented`);
+    }
+
+    /**
+     * Draw a LIPScene: facets in their colours (polygons, or segments for 2 goods),
+     * facet outlines, demand regions, vertices and axes. Replaces the previous scene;
+     * overlays stay until replaced.
+     */
+    setScene(scene) {
+        throw new Error(`${this.name}: setScene not implemented`);
+    }
+
+    /**
+     * One { visible, color } per facet of the scene: hidden facets are not drawn at all
+     * (nor their outlines), and color (0xRRGGBB) replaces the class colour.
+     */
+    setFacetStyles(styles) {
+        throw new Error(`${this.name}: setFacetStyles not implemented`);
+    }
+
+    /** 'facets', 'cells' (the demand regions) or 'both'. */
+    setDisplayMode(mode) {
+        throw new Error(`${this.name}: setDisplayMode not implemented`);
+    }
+
+    /** Hide or show the whole scene (facets, regions, vertices and the highlight); axes and overlays stay. */
+    setSceneVisible(visible) {
+        throw new Error(`${this.name}: setSceneVisible not implemented`);
+    }
+
+    /** Cut away everything beyond { axis, value } (p_axis > value) from the scene and clipped overlays, or nothing for null. */
+    setClipPlane(plane) {
+        throw new Error(`${this.name}: setClipPlane not implemented`);
+    }
+
+    /**
+     * Draw extra primitives under a name, replacing those drawn under it before; null or
+     * [] removes them. Each item is one of
+     *   { type: 'triangles', positions, color | colors, opacity = 1, flat = false, onTop = false }
+     *   { type: 'lines', positions, color | colors, opacity = 1, width = 1, onTop = false }
+     *   { type: 'points', positions, color | colors, opacity = 1, size = pointSize, onTop = false }
+     * with positions flat [x, y, z, ...] (three vertices per triangle, two per line segment),
+     * color 0xRRGGBB or colors flat [r, g, b, ...] in 0..1 per vertex. Triangles are lit unless
+     * flat; onTop draws over everything else. options.clip: cut by the clip plane as the scene.
+     */
+    setOverlay(name, items, options = {}) {
+        throw new Error(`${this.name}: setOverlay not implemented`);
+    }
+
+    /**
+     * surface   - filled facets with their outlines and vertices
+     * wireframe - facet outlines and vertices only
+     * points    - vertices only
+     * Segments of 2-good LIPs are drawn in their colours in surface and wireframe mode.
+     */
+    setRenderMode(mode) {
+        throw new Error(`${this.name}: setRenderMode not implemented`);
+    }
+
+    setOpacity(opacity) {
+        throw new Error(`${this.name}: setOpacity not implemented`);
+    }
+
+    setAxesVisible(visible) {
+        throw new Error(`${this.name}: setAxesVisible not implemented`);
+    }
+
+    /** Highlight a pick of LIPScene ({ kind: 'facet' | 'vertex', index }), or nothing for null. */
+    setHighlight(hit) {
+        throw new Error(`${this.name}: setHighlight not implemented`);
+    }
+
+    /** { position, target, up }, plus parallelScale (half the visible height) in parallel projection. */
+    getCamera() {
+        throw new Error(`${this.name}: getCamera not implemented`);
+    }
+
+    setCamera(camera) {
+        throw new Error(`${this.name}: setCamera not implemented`);
+    }
+
+    /** [x, y] in CSS pixels from the top left of the container, or null behind the camera. */
+    worldToScreen(point) {
+        throw new Error(`${this.name}: worldToScreen not implemented`);
+    }
+
+    /** { origin, direction } of the ray through (x, y) in CSS pixels, direction of unit length. */
+    screenToRay(x, y) {
+        throw new Error(`${this.name}: screenToRay not implemented`);
+    }
+
+    /** Width over height of the drawing surface. */
+    getAspect() {
+        const { clientWidth, clientHeight } = this.container;
+        return clientHeight > 0 ? clientWidth / clientHeight : 1;
+    }
+
+    render() {
+        throw new Error(`${this.name}: render not implemented`);
+    }
+
+    /** Fit the drawing surface to the container after it changed size. */
+    resize() {
+        throw new Error(`${this.name}: resize not implemented`);
+    }
+
+    /** Stop rendering and remove the drawing surface from the container. */
+    dispose() {
+        throw new Error(`${this.name}: dispose not implemented`);
+    }
+
+    /** 0xRRGGBB as [r, g, b] in 0..1. */
+    static rgb(hex) {
+        return [(hex >> 16 & 255) / 255, (hex >> 8 & 255) / 255, (hex & 255) / 255];
+    }
+}
@@ -0,0 +1,562 @@
+/**
+ * LIPComplexCheck - Geometric consistency of the polyhedral complex a LIP describes
+ * The facets and regions of a LIP should subdivide the bounding box: every ridge inside the
+ * box (an edge, or a point for 2 goods) has facets on all sides, each facet separates two
+ * regions, no facets overlap and the regions cover the box once. Finds each kind of defect
+ * and checks the vertex, edge, facet and region counts against Euler's formula
+ */
+
+import * as THREE from 'three';
+import { Rational } from './rational.js';
+
+// Sample points per axis of the grid that looks for gaps and overlaps between regions.
+// The grid is shifted off the box's symmetric positions, where facet planes tend to lie
+const GRID = 12;
+const JITTER = 0.0123;
+
+// Points beside a facet that are tested for their region: its centroid, and its corners
+// moved this fraction of the way towards the centroid
+const CORNER_SHRINK = 0.1;
+
+export class LIPComplexCheck {
+    constructor(lipGeometry, facetGeometries, cells, { logger = lipGeometry.logger } = {}) {
+        this.lipGeometry = lipGeometry;
+        this.logger = logger;
+        this.facets = facetGeometries;
+        this.cells = cells;
+        this.dimension = lipGeometry.dimension;
+        this.box = lipGeometry.getBoundingBox();
+        this.tolerance = lipGeometry.getTolerance();
+        this.labels = lipGeometry.getRegionLabels(facetGeometries);
+        this.defects = [];
+
+        // Vertices listed twice in the data count once: canonical[i] is the first index with i's coordinates
+        const first = new Map();
+        this.canonical = lipGeometry.exactVertices.map((point, index) => {
+            const key = Rational.formatPoint(point);
+            if (!first.has(key)) first.set(key, index);
+            return first.get(key);
+        });
+    }
+
+    /**
+     * Check the complex of a LIPGeometry, from its facet geometries and reconstructed cells.
+     * Returns { dimension, defects, euler, counts, summary }, where each defect is
+     * { kind, title, message, facets: [geometryIndex], segments: [[a, b]], points, centroid },
+     * plus vertex, the index in data.vertices, for vertices that are not corners of any region
+     * and euler is { vertices, edges, faces, regions, characteristic, expected }.
+     * Options: logger for the summary, the geometry's by default.
+     */
+    static analyze(lipGeometry, facetGeometries = lipGeometry.createFacetGeometries(), cells = null, options = {}) {
+        if (!facetGeometries.every(facet => facet.regions)) {
+            lipGeometry.assignFacetRegions(facetGeometries);
+        }
+        const check = new LIPComplexCheck(lipGeometry, facetGeometries, cells || lipGeometry.createCellGeometries(facetGeometries), options);
+        return check.run();
+    }
+
+    run() {
+        this.checkRidges();
+        this.checkFacetRegions();
+        this.checkOverlaps();
+        this.checkCoverage();
+        const euler = this.dimension === 3 ? this.checkEuler3D() : this.checkEuler2D();
+
+        const counts = {};
+        this.defects.forEach(defect => { counts[defect.title] = (counts[defect.title] || 0) + 1; });
+        const summary = this.summarize(euler, counts);
+        this.logger.log(summary);
+
+        return { dimension: this.dimension, defects: this.defects, euler, counts, summary };
+    }
+
+    summarize(euler, counts) {
+        const { vertices, edges, faces, regions, characteristic, expected } = euler;
+        const lines = [
+            this.dimension === 3
+                ? `Complex: ${vertices} vertices, ${edges} edges, ${faces} faces, ${regions} regions`
+                : `Complex: ${vertices} vertices, ${edges} edges, ${regions} regions`,
+            this.dimension === 3
+                ? `Euler: V − E + F − R = ${characteristic}${characteristic === expected ? ' ✓' : `, expected ${expected}`}`
+                : `Euler: E − V + 1 = ${characteristic} faces${characteristic === expected ? ' ✓' : `, but the facets border ${expected} regions`}`
+        ];
+        const kinds = Object.entries(counts);
+        lines.push(kinds.length === 0
+            ? 'No defects found'
+            : `${this.defects.length} defect${this.defects.length === 1 ? '' : 's'}: ${kinds.map(([title, n]) => `${title} × ${n}`).join(', ')}`);
+        return lines.join('\n');
+    }
+
+    addDefect(kind, title, message, { facets = [], segments = [], points = [], vertex } = {}) {
+        const anchors = [
+            ...segments.flat(),
+            ...points,
+            ...facets.map(geometryIndex => this.centroidOf(this.facets[geometryIndex].vertices))
+        ];
+        const centroid = anchors.length > 0 ? this.centroidOf(anchors) : this.box.getCenter(new THREE.Vector3());
+        const defect = { kind, title, message, facets, segments, points, centroid };
+        if (vertex !== undefined) defect.vertex = vertex;
+        this.defects.push(defect);
+    }
+
+    // ------------------------------------------------------------------
+    // Descriptions
+    // ------------------------------------------------------------------
+
+    describeFacet(geometryIndex) {
+        // Facet ids count the facets kept by LIPGeometry; facetSources maps them back to the file
+        const id = this.facets[geometryIndex].id;
+        const source = this.lipGeometry.facetSources ? this.lipGeometry.facetSources[id] : id;
+        return `${this.lipGeometry.data.projection ? 'slice facet' : 'facet'} ${source}`;
+    }
+
+    describeRegion(index) {
+        if (index === null) return 'no region';
+        const bundles = this.lipGeometry.data.bundles || [];
+        return bundles[index] !== undefined ? bundles[index] : `region ${index}`;
+    }
+
+    formatPoint(point) {
+        const coordinates = this.dimension === 3 ? [point.x, point.y, point.z] : [point.x, point.y];
+        return `(${coordinates.map(c => Number(c.toFixed(3))).join(', ')})`;
+    }
+
+    centroidOf(points) {
+        return points.reduce((sum, p) => sum.add(p), new THREE.Vector3()).multiplyScalar(1 / points.length);
+    }
+
+    /** Whether the points all lie in one side (or face) of the bounding box. */
+    onBoxBoundary(points) {
+        const axes = this.dimension === 3 ? ['x', 'y', 'z'] : ['x', 'y'];
+        return axes.some(axis =>
+            points.every(p => Math.abs(p[axis] - this.box.min[axis]) <= this.tolerance) ||
+            points.every(p => Math.abs(p[axis] - this.box.max[axis]) <= this.tolerance));
+    }
+
+    // ------------------------------------------------------------------
+    // Ridges: edges of facets in 3D, endpoints of segments in 2D
+    // ------------------------------------------------------------------
+
+    /** Parameters t in (0, 1) of the data vertices strictly inside the segment a-b, sorted. */
+    verticesInside(a, b) {
+        const edge = new THREE.Vector3().subVectors(b, a);
+        const lengthSq = edge.lengthSq();
+        const inside = [];
+        this.lipGeometry.vertices.forEach((vertex, index) => {
+            if (this.canonical[index] !== index) return;
+            const t = edge.dot(new THREE.Vector3().subVectors(vertex, a)) / lengthSq;
+            const closest = a.clone().addScaledVector(edge, t);
+            const slack = this.tolerance / Math.sqrt(lengthSq);
+            if (t > slack && t < 1 - slack && closest.distanceTo(vertex) <= this.tolerance) {
+                inside.push({ t, index });
+            }
+        });
+        return inside.sort((p, q) => p.t - q.t);
+    }
+
+    /** Whether a point lies in a facet away from its boundary. */
+    inRelativeInterior(point, facet) {
+        if (!this.lipGeometry.isPointInFacet(point, facet, this.tolerance)) return false;
+        const { vertices } = facet;
+        if (vertices.length === 2) {
+            return vertices.every(v => v.distanceTo(point) > this.tolerance);
+        }
+        return vertices.every((v, k) => new THREE.Line3(v, vertices[(k + 1) % vertices.length])
+            .closestPointToPoint(point, true, new THREE.Vector3()).distanceTo(point) > this.tolerance);
+    }
+
+    checkRidges() {
+        // A ridge is met by a facet that has it on its boundary (once), or that it passes
+        // through (twice, once from each side). Inside the box, every ridge needs facets
+        // on all sides: met once it is a loose end, and met twice by two facets they form
+        // one facet, or a fold that leaves a region that is not convex.
+        const ridges = new Map();
+        const ridge = (indices, points) => {
+            const ids = indices.map(i => this.canonical[i]);
+            const key = [...ids].sort((a, b) => a - b).join(',');
+            if (!ridges.has(key)) ridges.set(key, { indices, points, boundary: [], through: [] });
+            return ridges.get(key);
+        };
+
+        this.facets.forEach((facet, geometryIndex) => {
+            if (facet.dimension === 1) {
+                facet.indices.forEach((index, k) => ridge([index], [facet.vertices[k]]).boundary.push(geometryIndex));
+                return;
+            }
+            facet.indices.forEach((index, k) => {
+                const next = (k + 1) % facet.indices.length;
+                // Split each edge at vertices of other facets that lie on it
+                const chain = [index, ...this.verticesInside(facet.vertices[k], facet.vertices[next]).map(p => p.index), facet.indices[next]];
+                for (let j = 0; j + 1 < chain.length; j++) {
+                    const ends = [chain[j], chain[j + 1]];
+                    ridge(ends, ends.map(i => this.lipGeometry.vertices[i])).boundary.push(geometryIndex);
+                }
+            });
+        });
+
+        ridges.forEach(entry => {
+            if (this.onBoxBoundary(entry.points)) return;
+            const middle = this.centroidOf(entry.points);
+            this.facets.forEach((facet, geometryIndex) => {
+                if (entry.boundary.includes(geometryIndex)) return;
+                if (entry.points.every(p => Math.abs(facet.normal.dot(new THREE.Vector3().subVectors(p, facet.vertices[0]))) <= this.tolerance) &&
+                    this.inRelativeInterior(middle, facet)) {
+                    entry.through.push(geometryIndex);
+                }
+            });
+
+            const incidences = entry.boundary.length + 2 * entry.through.length;
+            const where = entry.indices.map(i => this.lipGeometry.formatVertex(i)).join(' – ');
+            const shape = this.dimension === 3 ? { segments: [entry.points] } : { points: entry.points };
+            if (incidences === 1) {
+                const facet = this.describeFacet(entry.boundary[0]);
+                this.addDefect('open-edge', this.dimension === 3 ? 'Open edge' : 'Loose end',
+                    this.dimension === 3
+                        ? `Edge ${where} of ${facet} is inside the box but meets no other facet`
+                        : `Endpoint ${where} of ${facet} is inside the box but meets no other facet`,
+                    { facets: entry.boundary, ...shape });
+            } else if (incidences === 2 && entry.boundary.length === 2) {
+                const [a, b] = entry.boundary;
+                const names = `${this.describeFacet(a)} and ${this.describeFacet(b)}`;
+                if (Math.abs(this.facets[a].normal.dot(this.facets[b].normal)) > 1 - 1e-9) {
+                    this.addDefect('split', 'Split facet',
+                        `${names} only meet each other at ${where}, in one ${this.dimension === 3 ? 'plane' : 'line'}, so they should be one facet`,
+                        { facets: entry.boundary, ...shape });
+                } else {
+                    this.addDefect('fold', 'Fold',
+                        `${names} only meet each other at ${where}, at an angle, so the region inside the angle is not convex`,
+                        { facets: entry.boundary, ...shape });
+                }
+            }
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // Regions on each side of a facet
+    // ------------------------------------------------------------------
+
+    checkFacetRegions() {
+        // Test points just off both sides of the facet at its centroid and near its corners;
+        // all the points on one side should lie in the same region, and the sides should differ
+        const size = this.lipGeometry.getSize();
+        const step = 1e-4 * Math.max(1, size.x, size.y, size.z);
+
+        this.facets.forEach((facet, geometryIndex) => {
+            const centroid = this.centroidOf(facet.vertices);
+            const samples = [centroid, ...facet.vertices.map(v => v.clone().lerp(centroid, CORNER_SHRINK))];
+            const [negative, positive] = [-step, step].map(offset => [...new Set(samples.map(p =>
+                this.lipGeometry.findRegionForPoint(p.clone().addScaledVector(facet.normal, offset), this.facets, this.labels)))]);
+
+            const problems = [];
+            [negative, positive].forEach(side => {
+                if (side.includes(null)) {
+                    problems.push('one side lies in no labelled region');
+                }
+                const found = side.filter(region => region !== null);
+                if (found.length > 1) {
+                    problems.push(`one side borders ${found.length} regions (${found.map(r => this.describeRegion(r)).join(', ')})`);
+                }
+            });
+            if (negative.length === 1 && positive.length === 1 && negative[0] !== null && negative[0] === positive[0]) {
+                problems.push(`it has ${this.describeRegion(negative[0])} on both sides`);
+            }
+
+            if (problems.length > 0) {
+                this.addDefect('regions', 'Facet regions',
+                    `${this.describeFacet(geometryIndex)} should separate two regions, but ${problems.join('; ')}`,
+                    { facets: [geometryIndex] });
+            }
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // Overlapping facets
+    // ------------------------------------------------------------------
+
+    /** Key of a facet's plane (or line): its primitive normal, sign fixed, and exact offset. */
+    planeKey(facet) {
+        if (!facet.primitiveNormal) return null;
+        const sign = Math.sign(facet.primitiveNormal.find(c => c !== 0));
+        const normal = facet.primitiveNormal.map(c => c * sign);
+        const point = this.lipGeometry.getExactVertex(facet.indices[0]);
+        const offset = normal.reduce((sum, c, k) => sum.add(Rational.parse(c).mul(point[k])), Rational.ZERO);
+        return `${normal.join(',')}|${offset}`;
+    }
+
+    /** Whether two convex facets in one plane (or segments on one line) share more than a boundary. */
+    overlapInPlane(first, second) {
+        const overlap = ([a, b]) => Math.min(a[1], b[1]) - Math.max(a[0], b[0]) > this.tolerance;
+        const interval = values => [Math.min(...values), Math.max(...values)];
+
+        if (this.dimension === 2) {
+            const direction = new THREE.Vector3().subVectors(first.vertices[1], first.vertices[0]).normalize();
+            return overlap([first, second].map(facet => interval(facet.vertices.map(v => v.dot(direction)))));
+        }
+
+        // Separating axis test in the plane: drop the coordinate the normal is largest in
+        const normal = first.normal;
+        const drop = ['x', 'y', 'z'].reduce((best, axis) => Math.abs(normal[axis]) > Math.abs(normal[best]) ? axis : best, 'x');
+        const [u, v] = ['x', 'y', 'z'].filter(axis => axis !== drop);
+        const polygons = [first, second].map(facet => facet.vertices.map(p => [p[u], p[v]]));
+
+        const axes = polygons.flatMap(polygon => polygon.map((p, k) => {
+            const q = polygon[(k + 1) % polygon.length];
+            return [q[1] - p[1], p[0] - q[0]];
+        }));
+        return axes.every(([ax, ay]) => {
+            const length = Math.hypot(ax, ay);
+            return length === 0 || overlap(polygons.map(polygon => interval(polygon.map(p => (p[0] * ax + p[1] * ay) / length))));
+        });
+    }
+
+    checkOverlaps() {
+        const planes = new Map();
+        this.facets.forEach((facet, geometryIndex) => {
+            const key = this.planeKey(facet);
+            if (key === null) return;
+            if (!planes.has(key)) planes.set(key, []);
+            planes.get(key).push(geometryIndex);
+        });
+
+        planes.forEach(group => {
+            for (let i = 0; i < group.length; i++) {
+                for (let j = i + 1; j < group.length; j++) {
+                    const [a, b] = [group[i], group[j]];
+                    if (!this.overlapInPlane(this.facets[a], this.facets[b])) continue;
+
+                    const ids = [a, b].map(g => [...new Set(this.facets[g].indices.map(i => this.canonical[i]))].sort((x, y) => x - y).join(','));
+                    const names = `${this.describeFacet(a)} and ${this.describeFacet(b)}`;
+                    if (ids[0] === ids[1]) {
+                        this.addDefect('overlap', 'Duplicate facet', `${names} have the same vertices`, { facets: [a, b] });
+                    } else {
+                        this.addDefect('overlap', 'Overlapping facets', `${names} lie in one ${this.dimension === 3 ? 'plane' : 'line'} and overlap`, { facets: [a, b] });
+                    }
+                }
+            }
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // Gaps and overlaps between regions
+    // ------------------------------------------------------------------
+
+    checkCoverage() {
+        // Sample a grid over the box: every point should lie in exactly one region.
+        // Regions are the reconstructed cells in 3D, which exist only for bundles that border
+        // a facet, so empty regions are never sampled; in 2D a point is in the region that
+        // findRegionForPoint gives, or on a facet, so only gaps can be found
+        const size = this.lipGeometry.getSize();
+        const depth = this.dimension === 3 ? GRID : 1;
+        const total = GRID * GRID * depth;
+        const gaps = new Map();
+        const overlaps = new Map();
+
+        for (let i = 0; i < GRID; i++) {
+            for (let j = 0; j < GRID; j++) {
+                for (let k = 0; k < depth; k++) {
+                    const point = new THREE.Vector3(
+                        this.box.min.x + size.x * (i + 0.5 + JITTER) / GRID,
+                        this.box.min.y + size.y * (j + 0.5 + JITTER) / GRID,
+                        this.dimension === 3 ? this.box.min.z + size.z * (k + 0.5 + JITTER) / GRID : 0
+                    );
+
+                    if (this.dimension === 2) {
+                        if (this.lipGeometry.findRegionForPoint(point, this.facets, this.labels) === null &&
+                            !this.facets.some(facet => this.lipGeometry.isPointInFacet(point, facet, this.tolerance))) {
+                            gaps.set(`${i},${j},${k}`, point);
+                        }
+                        continue;
+                    }
+
+                    const inside = this.cells.filter(cell => cell.halfspaces.every(h => h.normal.dot(point) <= h.offset + this.tolerance));
+                    if (inside.length === 0) {
+                        gaps.set(`${i},${j},${k}`, point);
+                    }
+                    const strictly = inside.filter(cell => cell.halfspaces.every(h => h.normal.dot(point) < h.offset - this.tolerance));
+                    for (let a = 0; a < strictly.length; a++) {
+                        for (let b = a + 1; b < strictly.length; b++) {
+                            const key = `${strictly[a].bundleIndex},${strictly[b].bundleIndex}`;
+                            if (!overlaps.has(key)) overlaps.set(key, { pair: [strictly[a].bundleIndex, strictly[b].bundleIndex], points: [] });
+                            overlaps.get(key).points.push(point);
+                        }
+                    }
+                }
+            }
+        }
+
+        // One defect per connected patch of gap points
+        const seen = new Set();
+        gaps.forEach((_, start) => {
+            if (seen.has(start)) return;
+            const component = [];
+            const queue = [start];
+            seen.add(start);
+            while (queue.length > 0) {
+                const key = queue.pop();
+                component.push(gaps.get(key));
+                const [i, j, k] = key.split(',').map(Number);
+                [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]].forEach(([di, dj, dk]) => {
+                    const neighbour = `${i + di},${j + dj},${k + dk}`;
+                    if (gaps.has(neighbour) && !seen.has(neighbour)) {
+                        seen.add(neighbour);
+                        queue.push(neighbour);
+                    }
+                });
+            }
+            const share = (100 * component.length / total).toFixed(1);
+            this.addDefect('gap', 'Gap',
+                `${component.length} of ${total} sample points (about ${share}% of the box) around ${this.formatPoint(this.centroidOf(component))} lie in no region`,
+                { points: component });
+        });
+
+        overlaps.forEach(({ pair, points }) => {
+            this.addDefect('region-overlap', 'Overlapping regions',
+                `The regions of ${this.describeRegion(pair[0])} and ${this.describeRegion(pair[1])} overlap: ${points.length} sample points lie inside both`,
+                { points });
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // Euler's formula
+    // ------------------------------------------------------------------
+
+    checkEuler3D() {
+        // The cells and their faces, edges and vertices should form a complex that
+        // subdivides the box, a ball, so V − E + F − R = 1. Faces inside the box belong
+        // to two cells, and match the 2D facets of the data one to one. R counts the cells,
+        // so bundles whose regions are empty do not count.
+        const points = [];
+        const find = point => points.findIndex(p => p.distanceTo(point) <= this.tolerance);
+        const add = point => {
+            const index = find(point);
+            return index !== -1 ? index : points.push(point) - 1;
+        };
+        const keyOf = ids => [...new Set(ids)].sort((a, b) => a - b).join(',');
+
+        const edges = new Set();
+        const faces = new Map();
+        this.cells.forEach(cell => {
+            cell.faces.forEach(face => {
+                const ids = face.vertices.map(add);
+                ids.forEach((a, k) => {
+                    const b = ids[(k + 1) % ids.length];
+                    edges.add(a < b ? `${a},${b}` : `${b},${a}`);
+                });
+                const key = keyOf(ids);
+                if (!faces.has(key)) faces.set(key, { vertices: face.vertices, cells: [], onBox: this.onBoxBoundary(face.vertices) });
+                faces.get(key).cells.push(cell.bundleIndex);
+            });
+        });
+
+        const interiorCorners = new Set();
+        faces.forEach(face => {
+            const expected = face.onBox ? 1 : 2;
+            if (!face.onBox) face.vertices.forEach(v => interiorCorners.add(find(v)));
+            if (face.cells.length === expected) return;
+            const segments = face.vertices.map((v, k) => [v, face.vertices[(k + 1) % face.vertices.length]]);
+            const regions = face.cells.map(r => this.describeRegion(r)).join(', ');
+            this.addDefect('face', 'Unmatched face',
+                face.cells.length === 1
+                    ? `A face of the region of ${regions} around ${this.formatPoint(this.centroidOf(face.vertices))} is inside the box, but is not a face of any other region`
+                    : `A face ${face.onBox ? 'in a side of the box ' : ''}around ${this.formatPoint(this.centroidOf(face.vertices))} belongs to ${face.cells.length} regions (${regions})`,
+                { segments });
+        });
+
+        this.facets.forEach((facet, geometryIndex) => {
+            // A facet in a side of the box borders a region flattened against it, which has no cell
+            if (this.onBoxBoundary(facet.vertices)) return;
+            const ids = facet.vertices.map(find);
+            const face = ids.includes(-1) ? null : faces.get(keyOf(ids));
+            if (!face || face.onBox) {
+                this.addDefect('facet', 'Unmatched facet',
+                    `${this.describeFacet(geometryIndex)} is not a face between two of the reconstructed regions`,
+                    { facets: [geometryIndex] });
+            }
+        });
+
+        const dataPoints = new Set();
+        this.lipGeometry.vertices.forEach((vertex, index) => {
+            if (this.canonical[index] !== index) return;
+            const id = find(vertex);
+            dataPoints.add(id);
+            if (id === -1) {
+                this.addDefect('vertex', 'Stray vertex',
+                    `Vertex ${index} ${this.lipGeometry.formatVertex(index)} is not a corner of any region`,
+                    { points: [vertex], vertex: index });
+            }
+        });
+        interiorCorners.forEach(id => {
+            if (dataPoints.has(id)) return;
+            this.addDefect('vertex', 'Missing vertex',
+                `Regions meet at a corner ${this.formatPoint(points[id])} that is not among the vertices`,
+                { points: [points[id]] });
+        });
+
+        const counts = { vertices: points.length, edges: edges.size, faces: faces.size, regions: this.cells.length };
+        const characteristic = counts.vertices - counts.edges + counts.faces - counts.regions;
+        if (characteristic !== 1) {
+            this.addDefect('euler', "Euler's formula",
+                `V − E + F − R = ${counts.vertices} − ${counts.edges} + ${counts.faces} − ${counts.regions} = ${characteristic}, ` +
+                'but regions that subdivide the box give 1');
+        }
+        return { ...counts, characteristic, expected: 1 };
+    }
+
+    checkEuler2D() {
+        // The segments and the sides of the box, split at the vertices on them, form a
+        // plane graph; inside the box it has V − E + 1 faces, one for each region. Those are
+        // the regions the facets border, so bundles whose regions are empty do not count
+        const corners = [
+            [this.box.min.x, this.box.min.y], [this.box.max.x, this.box.min.y],
+            [this.box.max.x, this.box.max.y], [this.box.min.x, this.box.max.y]
+        ].map(([x, y]) => new THREE.Vector3(x, y, 0));
+        const points = [];
+        const add = point => {
+            const index = points.findIndex(p => p.distanceTo(point) <= this.tolerance);
+            return index !== -1 ? index : points.push(point) - 1;
+        };
+        this.lipGeometry.vertices.forEach((vertex, index) => {
+            if (this.canonical[index] === index) add(vertex);
+        });
+        corners.forEach(add);
+
+        const edges = new Set();
+        const used = new Set();
+        const addChain = (a, b) => {
+            const edge = new THREE.Vector3().subVectors(b, a);
+            const chain = points
+                .map((p, index) => ({ index, t: edge.dot(new THREE.Vector3().subVectors(p, a)) / edge.lengthSq(), p }))
+                .filter(({ t, p }) => t > -1e-9 && t < 1 + 1e-9 && a.clone().addScaledVector(edge, t).distanceTo(p) <= this.tolerance)
+                .sort((p, q) => p.t - q.t)
+                .map(({ index }) => index);
+            chain.forEach(index => used.add(index));
+            for (let k = 0; k + 1 < chain.length; k++) {
+                const [i, j] = [chain[k], chain[k + 1]];
+                edges.add(i < j ? `${i},${j}` : `${j},${i}`);
+            }
+        };
+        this.facets.forEach(facet => addChain(facet.vertices[0], facet.vertices[1]));
+        corners.forEach((corner, k) => addChain(corner, corners[(k + 1) % 4]));
+
+        points.forEach((point, index) => {
+            if (used.has(index)) return;
+            const vertex = this.lipGeometry.vertices.findIndex(v => v.distanceTo(point) <= this.tolerance);
+            this.addDefect('vertex', 'Stray vertex',
+                `Vertex ${vertex} ${this.lipGeometry.formatVertex(vertex)} lies on no facet`,
+                { points: [point], vertex });
+        });
+
+        const regions = new Set();
+        this.facets.forEach(facet => {
+            [facet.regions.negative, facet.regions.positive].forEach(r => { if (r !== null) regions.add(r); });
+        });
+        const counts = { vertices: used.size, edges: edges.size, faces: null, regions: this.facets.length > 0 ? regions.size : 1 };
+        const characteristic = counts.edges - counts.vertices + 1;
+        if (characteristic !== counts.regions) {
+            this.addDefect('euler', "Euler's formula",
+                `E − V + 1 = ${counts.edges} − ${counts.vertices} + 1 = ${characteristic} faces inside the box, ` +
+                `but the facets border ${counts.regions} regions`);
+        }
+        return { ...counts, characteristic, expected: counts.regions };
+    }
+}
@@ -1,6 +1,6 @@
 /**
  * LIPControls - Handles user interface controls for LIP visualization
- * Provides transparency, wireframe, view presets, and other interactive controls
+ * Provides transparency, render mode, view presets, and other interactive controls
  */
 
 export class LIPControls {
@@ -49,11 +49,27 @@ export class LIPControls {
                        style="width: 100%; margin: 5px 0;">
             </div>
             
+            <div class="control-group">
+                <label style="margin-bottom: 10px; display: block;">Show:</label>
+                <div style="margin: 5px 0;">
+                    <input type="radio" name="display-mode" id="display-facets" value="facets" checked>
+                    <label for="display-facets">Facets</label>
+                    <input type="radio" name="display-mode" id="display-cells" value="cells">
+                    <label for="display-cells">Regions</label>
+                    <input type="radio" name="display-mode" id="display-both" value="both">
+                    <label for="display-both">Both</label>
+                </div>
+            </div>
+            
             <div class="control-group">
                 <label style="margin-bottom: 10px; display: block;">Display Options:</label>
                 <div style="margin: 5px 0;">
-                    <input type="checkbox" id="wireframe-toggle">
-                    <label for="wireframe-toggle">Wireframe Mode</label>
+                    <label for="render-mode">Draw as</label>
+                    <select id="render-mode">
+                        <option value="surface" selected>surfaces</option>
+                        <option value="wireframe">wireframe</option>
+                        <option value="points">points</option>
+                    </select>
                 </div>
                 <div style="margin: 5px 0;">
                     <input type="checkbox" id="labels-toggle" checked>
@@ -76,6 +92,10 @@ export class LIPControls {
                     <button class="view-btn" data-view="top">Top</button>
                     <button class="view-btn" data-view="bottom">Bottom</button>
                 </div>
+                <div style="margin-top: 6px;">
+                    <button id="add-bookmark-btn" class="view-btn">Save view</button>
+                </div>
+                <div id="bookmark-list" class="agent-list"></div>
             </div>
             
             <div class="control-group">
@@ -87,6 +107,230 @@ export class LIPControls {
             <div class="control-group">
                 <button id="fullscreen-btn" class="control-button">Toggle Fullscreen</button>
                 <button id="export-btn" class="control-button">Export Image</button>
+                <div style="margin-top: 6px; font-size: 12px;">
+                    <select id="image-format">
+                        <option value="png" selected>PNG</option>
+                        <option value="svg">SVG (vector)</option>
+                        <option value="tex">TikZ (.tex)</option>
+                    </select>
+                    <select id="image-size-mode">
+                        <option value="window" selected>window size</option>
+                        <option value="pixels">pixel size</option>
+                        <option value="dpi">print size</option>
+                    </select>
+                    <div id="image-size-pixels" style="display: none; margin-top: 4px;">
+                        <input type="number" id="image-width" min="1" max="16384" step="1" style="width: 60px;"> ×
+                        <input type="number" id="image-height" min="1" max="16384" step="1" style="width: 60px;"> px
+                    </div>
+                    <div id="image-size-dpi" style="display: none; margin-top: 4px;">
+                        <input type="number" id="image-print-width" min="0.1" step="0.1" value="6" style="width: 45px;"> ×
+                        <input type="number" id="image-print-height" min="0.1" step="0.1" style="width: 45px;"> in at
+                        <input type="number" id="image-dpi" min="1" step="1" value="300" style="width: 45px;"> DPI
+                    </div>
+                </div>
+                <div style="margin-top: 6px; font-size: 12px;">
+                    <select id="export-format">
+                        <option value="gltf" selected>glTF (.gltf)</option>
+                        <option value="glb">glTF binary (.glb)</option>
+                        <option value="obj">OBJ + MTL</option>
+                        <option value="stl">STL</option>
+                    </select>
+                    <select id="export-content">
+                        <option value="shown" selected>as shown</option>
+                        <option value="facets">facets</option>
+                        <option value="regions">regions</option>
+                        <option value="both">facets and regions</option>
+                    </select>
+                    <button id="export-model-btn" class="view-btn">Export Model</button>
+                </div>
+            </div>
+            
+            <div class="control-group">
+                <label style="margin-bottom: 10px; display: block;">Session:</label>
+                <button id="save-session-btn" class="view-btn">Save session</button>
+                <button id="open-session-btn" class="view-btn">Open session…</button>
+                <input type="file" id="session-file-input" accept=".json" style="display: none;">
+                <div style="margin: 5px 0; font-size: 12px;">
+                    <input type="checkbox" id="session-embed-data" checked>
+                    <label for="session-embed-data" title="Otherwise the session refers to the URL the LIP was loaded from">Include the LIP data</label>
+                </div>
+                <div style="font-size: 11px; color: #666;">The address bar links to the current view</div>
+            </div>
+            
+            <div class="control-group">
+                <details id="facet-class-section" open>
+                    <summary style="cursor: pointer;">Facet Classes (normal Φ − Ψ)</summary>
+                    <div id="facet-class-legend" class="facet-class-legend"></div>
+                </details>
+            </div>
+            
+            <div class="control-group">
+                <details id="diagnostics-section" open>
+                    <summary style="cursor: pointer;">Diagnostics</summary>
+                    <div id="substitutes-status" class="valuation-status">No LIP loaded</div>
+                    <div style="margin: 5px 0;">
+                        <input type="checkbox" id="violations-toggle" checked>
+                        <label for="violations-toggle">Highlight violations</label>
+                    </div>
+                    <div id="violation-list" class="violation-list"></div>
+                    <div style="margin-top: 6px;">
+                        <button id="check-complex-btn" class="view-btn">Check complex</button>
+                    </div>
+                    <div id="complex-status" class="valuation-status" style="display: none; white-space: pre-line;"></div>
+                    <div id="defect-list" class="violation-list"></div>
+                    <div style="margin: 5px 0;">
+                        <input type="checkbox" id="lattice-toggle">
+                        <label for="lattice-toggle">Integer lattice points</label>
+                    </div>
+                    <div id="lattice-status" class="valuation-status" style="display: none; white-space: pre-line; max-height: 160px; overflow-y: auto;"></div>
+                </details>
+            </div>
+            
+            <div class="control-group" id="projection-group" style="display: none;">
+                <details id="projection-section" open>
+                    <summary style="cursor: pointer;">Trades Shown</summary>
+                    <div id="projection-controls" style="margin-top: 6px; font-size: 12px;"></div>
+                </details>
+            </div>
+            
+            <div class="control-group">
+                <details id="agents-section">
+                    <summary style="cursor: pointer;">Agents</summary>
+                    <div style="margin-top: 6px;">
+                        <button id="add-agents-btn" class="view-btn">Add agent LIPs…</button>
+                        <input type="file" id="agent-file-input" accept=".json" multiple style="display: none;">
+                    </div>
+                    <div id="agent-list" class="agent-list"></div>
+                    <div style="margin: 5px 0;">
+                        <input type="checkbox" id="aggregate-toggle" checked>
+                        <label for="aggregate-toggle">Show aggregate LIP</label>
+                    </div>
+                    <div style="font-size: 12px;">
+                        Multiplicity as
+                        <select id="multiplicity-style">
+                            <option value="opacity" selected>opacity</option>
+                            <option value="thickness">thickness</option>
+                        </select>
+                    </div>
+                    <div id="aggregate-status" class="valuation-status" style="display: none;"></div>
+                </details>
+            </div>
+            
+            <div class="control-group">
+                <details id="trace-section">
+                    <summary style="cursor: pointer;">Dynamics Trace</summary>
+                    <div style="margin-top: 6px;">
+                        <button id="load-trace-btn" class="view-btn">Load trace…</button>
+                        <input type="file" id="trace-file-input" accept=".json" style="display: none;">
+                    </div>
+                    <div id="trace-controls" style="display: none; font-size: 12px;">
+                        <div style="margin: 4px 0;">
+                            Prices seen by
+                            <select id="trace-agent"></select>
+                        </div>
+                        <input type="range" id="trace-step" min="0" max="0" step="1" value="0" style="width: 100%;">
+                        <div style="margin: 4px 0;">
+                            <button id="trace-play" class="view-btn">▶ Play</button>
+                            Speed
+                            <select id="trace-speed">
+                                <option value="0.5">0.5×</option>
+                                <option value="1" selected>1×</option>
+                                <option value="2">2×</option>
+                                <option value="4">4×</option>
+                            </select>
+                        </div>
+                        <div id="trace-info" style="margin-top: 6px;"></div>
+                    </div>
+                </details>
+            </div>
+            
+            <div class="control-group">
+                <details id="price-points-section">
+                    <summary style="cursor: pointer;">Price Points</summary>
+                    <div style="margin-top: 6px; font-size: 12px;">
+                        <button id="load-points-btn" class="view-btn">Load prices…</button>
+                        <input type="file" id="points-file-input" accept=".json" style="display: none;">
+                    </div>
+                    <div style="margin-top: 4px; font-size: 12px;">
+                        p = <input type="text" id="point-input" placeholder="e.g. 3, 7/2, 5" style="width: 110px;">
+                        <button id="add-point-btn" class="view-btn">Add</button>
+                    </div>
+                    <div id="point-list" class="agent-list"></div>
+                </details>
+            </div>
+            
+            <div class="control-group">
+                <details id="landscape-section">
+                    <summary style="cursor: pointer;">Utility Landscape</summary>
+                    <div style="margin-top: 6px; font-size: 12px;">
+                        Function
+                        <select id="landscape-source">
+                            <option value="none" selected>none</option>
+                            <option value="utility">indirect utility</option>
+                            <option value="agents">Lyapunov of the agents shown</option>
+                            <option value="market">Lyapunov from valuations file…</option>
+                        </select>
+                        <input type="file" id="landscape-file-input" accept=".json" style="display: none;">
+                    </div>
+                    <div id="landscape-controls" style="display: none; font-size: 12px;">
+                        <div style="margin-top: 6px;">Level <span id="landscape-level-value"></span></div>
+                        <input type="range" id="landscape-level" min="0" max="1" step="0.01" value="0" style="width: 100%;">
+                        <div>
+                            Surfaces
+                            <select id="landscape-count">
+                                <option value="1" selected>1</option>
+                                <option value="3">3</option>
+                                <option value="5">5</option>
+                            </select>
+                            Grid
+                            <select id="landscape-resolution">
+                                <option value="16">16</option>
+                                <option value="24" selected>24</option>
+                                <option value="32">32</option>
+                                <option value="48">48</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div id="landscape-status" class="valuation-status" style="display: none;"></div>
+                </details>
+            </div>
+            
+            <div class="control-group">
+                <details id="slice-section">
+                    <summary style="cursor: pointer;">Slice</summary>
+                    <div style="margin: 6px 0;">
+                        <input type="checkbox" id="slice-toggle">
+                        <label for="slice-toggle">Slice at</label>
+                        <select id="slice-axis">
+                            <option value="0">p₁</option>
+                            <option value="1">p₂</option>
+                            <option value="2" selected>p₃</option>
+                        </select>
+                        = <input type="text" id="slice-value" value="5" style="width: 48px;">
+                    </div>
+                    <input type="range" id="slice-slider" min="0" max="10" step="0.1" value="5" style="width: 100%;">
+                    <div style="font-size: 11px; color: #666;">Drag the plane in the view to move it</div>
+                </details>
+            </div>
+            
+            <div class="control-group">
+                <details id="probe-section">
+                    <summary style="cursor: pointer;">Price Probe</summary>
+                    <div style="margin-top: 6px; font-size: 12px;">
+                        p = <input type="text" id="probe-input" placeholder="e.g. 3, 7/2, 5" style="width: 110px;">
+                        <button id="probe-btn" class="view-btn">Probe</button>
+                        <button id="probe-clear-btn" class="view-btn">Clear</button>
+                    </div>
+                    <div style="font-size: 11px; color: #666; margin-top: 4px;">Shift+click a facet or box face to probe there</div>
+                    <div id="probe-result" style="margin-top: 6px;"></div>
+                </details>
+            </div>
+            
+            <div class="control-group">
+                <details id="valuation-section">
+                    <summary style="cursor: pointer;">Valuation Editor</summary>
+                    <div id="valuation-editor" style="margin-top: 8px;"></div>
+                </details>
             </div>
             
             <div class="control-group">
@@ -146,6 +390,102 @@ export class LIPControls {
                 grid-template-columns: 1fr 1fr;
                 gap: 4px;
             }
+            .valuation-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 12px;
+            }
+            .valuation-table td {
+                padding: 1px 2px;
+            }
+            .valuation-table input[type="number"] {
+                width: 56px;
+            }
+            .chi-btn {
+                margin: 2px;
+                padding: 4px 6px;
+                border: none;
+                border-radius: 4px;
+                color: white;
+                cursor: pointer;
+                font-size: 11px;
+            }
+            .facet-class-legend {
+                max-height: 150px;
+                overflow-y: auto;
+                font-size: 12px;
+            }
+            .facet-class-swatch {
+                display: inline-block;
+                width: 12px;
+                height: 12px;
+                margin-right: 4px;
+                border: 1px solid #666;
+                vertical-align: middle;
+            }
+            .violation-list {
+                max-height: 120px;
+                overflow-y: auto;
+                font-size: 12px;
+            }
+            .violation-item {
+                padding: 2px 4px;
+                cursor: pointer;
+                border-radius: 3px;
+            }
+            .violation-item:hover {
+                background: #f3d9f3;
+            }
+            .agent-list {
+                font-size: 12px;
+                margin-top: 4px;
+            }
+            .agent-item {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                margin: 2px 0;
+            }
+            .agent-item input[type="color"] {
+                width: 22px;
+                height: 18px;
+                padding: 0;
+                border: none;
+            }
+            .agent-item .agent-name {
+                flex: 1;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            .agent-remove {
+                border: none;
+                background: none;
+                color: #dc3545;
+                cursor: pointer;
+            }
+            .point-item {
+                display: flex;
+                align-items: flex-start;
+                gap: 4px;
+                margin: 3px 0;
+                padding: 2px 4px;
+                border-left: 3px solid #2ca02c;
+                cursor: pointer;
+            }
+            .point-item.flagged {
+                border-left-color: #d62728;
+                background: #fdf0f0;
+            }
+            .point-item .point-text {
+                flex: 1;
+            }
+            .valuation-status {
+                margin-top: 6px;
+                padding: 4px 6px;
+                border-radius: 4px;
+                font-size: 12px;
+            }
         `;
         document.head.appendChild(style);
     }
@@ -163,14 +503,195 @@ export class LIPControls {
             }
         });
 
-        // Wireframe toggle
-        const wireframeToggle = document.getElementById('wireframe-toggle');
-        wireframeToggle.addEventListener('change', (event) => {
-            if (this.callbacks.onToggleWireframe) {
-                this.callbacks.onToggleWireframe(event.target.checked);
+        // Surface / wireframe / points
+        const renderMode = document.getElementById('render-mode');
+        renderMode.addEventListener('change', (event) => {
+            if (this.callbacks.onRenderModeChange) {
+                this.callbacks.onRenderModeChange(event.target.value);
+            }
+        });
+
+        // Facets / regions display mode
+        document.querySelectorAll('input[name="display-mode"]').forEach(radio => {
+            radio.addEventListener('change', (event) => {
+                if (event.target.checked && this.callbacks.onDisplayModeChange) {
+                    this.callbacks.onDisplayModeChange(event.target.value);
+                }
+            });
+        });
+
+        // Substitutes violation highlighting
+        const violationsToggle = document.getElementById('violations-toggle');
+        violationsToggle.addEventListener('change', (event) => {
+            if (this.callbacks.onToggleViolations) {
+                this.callbacks.onToggleViolations(event.target.checked);
+            }
+        });
+
+        // Consistency of the polyhedral complex, checked on demand
+        document.getElementById('check-complex-btn').addEventListener('click', () => {
+            if (this.callbacks.onCheckComplex) {
+                this.callbacks.onCheckComplex();
+            }
+        });
+
+        // Integer price vectors coloured by demand
+        document.getElementById('lattice-toggle').addEventListener('change', (event) => {
+            if (this.callbacks.onToggleLattice) {
+                this.callbacks.onToggleLattice(event.target.checked);
             }
         });
 
+        // Slicing plane
+        const sliceToggle = document.getElementById('slice-toggle');
+        const sliceAxis = document.getElementById('slice-axis');
+        const sliceSlider = document.getElementById('slice-slider');
+        const sliceValue = document.getElementById('slice-value');
+        const sliceChanged = () => {
+            if (this.callbacks.onSliceChange) {
+                this.callbacks.onSliceChange({
+                    enabled: sliceToggle.checked,
+                    axis: Number(sliceAxis.value),
+                    value: sliceValue.value.trim()
+                });
+            }
+        };
+        sliceToggle.addEventListener('change', sliceChanged);
+        sliceAxis.addEventListener('change', sliceChanged);
+        sliceSlider.addEventListener('input', () => {
+            sliceValue.value = sliceSlider.value;
+            sliceToggle.checked = true;
+            sliceChanged();
+        });
+        sliceValue.addEventListener('change', sliceChanged);
+
+        // Price probe
+        const probeInput = document.getElementById('probe-input');
+        const probe = () => {
+            if (this.callbacks.onProbe && probeInput.value.trim() !== '') {
+                this.callbacks.onProbe(probeInput.value);
+            }
+        };
+        document.getElementById('probe-btn').addEventListener('click', probe);
+        probeInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') probe();
+        });
+        document.getElementById('probe-clear-btn').addEventListener('click', () => {
+            probeInput.value = '';
+            if (this.callbacks.onClearProbe) {
+                this.callbacks.onClearProbe();
+            }
+        });
+
+        // Agents' LIPs and their aggregate
+        const agentFileInput = document.getElementById('agent-file-input');
+        document.getElementById('add-agents-btn').addEventListener('click', () => {
+            agentFileInput.click();
+        });
+        agentFileInput.addEventListener('change', () => {
+            if (agentFileInput.files.length > 0 && this.callbacks.onAddAgents) {
+                this.callbacks.onAddAgents([...agentFileInput.files]);
+            }
+            agentFileInput.value = ''; // Allow picking the same files again
+        });
+        const aggregateToggle = document.getElementById('aggregate-toggle');
+        const multiplicityStyle = document.getElementById('multiplicity-style');
+        const aggregateChanged = () => {
+            if (this.callbacks.onAggregateChange) {
+                this.callbacks.onAggregateChange({ enabled: aggregateToggle.checked, style: multiplicityStyle.value });
+            }
+        };
+        aggregateToggle.addEventListener('change', aggregateChanged);
+        multiplicityStyle.addEventListener('change', aggregateChanged);
+
+        // Best response dynamic traces
+        const traceFileInput = document.getElementById('trace-file-input');
+        document.getElementById('load-trace-btn').addEventListener('click', () => {
+            traceFileInput.click();
+        });
+        traceFileInput.addEventListener('change', () => {
+            if (traceFileInput.files.length > 0 && this.callbacks.onLoadTrace) {
+                this.callbacks.onLoadTrace(traceFileInput.files[0]);
+            }
+            traceFileInput.value = '';
+        });
+        document.getElementById('trace-agent').addEventListener('change', (event) => {
+            if (this.callbacks.onTraceAgentChange) {
+                this.callbacks.onTraceAgentChange(Number(event.target.value));
+            }
+        });
+        document.getElementById('trace-step').addEventListener('input', (event) => {
+            if (this.callbacks.onTraceStep) {
+                this.callbacks.onTraceStep(Number(event.target.value));
+            }
+        });
+        document.getElementById('trace-play').addEventListener('click', () => {
+            if (this.callbacks.onTracePlay) {
+                this.callbacks.onTracePlay();
+            }
+        });
+        document.getElementById('trace-speed').addEventListener('change', (event) => {
+            if (this.callbacks.onTraceSpeed) {
+                this.callbacks.onTraceSpeed(Number(event.target.value));
+            }
+        });
+
+        // Price points such as competitive equilibria
+        const pointsFileInput = document.getElementById('points-file-input');
+        document.getElementById('load-points-btn').addEventListener('click', () => {
+            pointsFileInput.click();
+        });
+        pointsFileInput.addEventListener('change', () => {
+            if (pointsFileInput.files.length > 0 && this.callbacks.onLoadPricePoints) {
+                this.callbacks.onLoadPricePoints(pointsFileInput.files[0]);
+            }
+            pointsFileInput.value = '';
+        });
+        const pointInput = document.getElementById('point-input');
+        const addPoint = () => {
+            if (pointInput.value.trim() !== '' && this.callbacks.onAddPricePoint) {
+                this.callbacks.onAddPricePoint(pointInput.value);
+                pointInput.value = '';
+            }
+        };
+        document.getElementById('add-point-btn').addEventListener('click', addPoint);
+        pointInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') addPoint();
+        });
+
+        // Indirect utility and Lyapunov landscapes
+        const landscapeSource = document.getElementById('landscape-source');
+        const landscapeFileInput = document.getElementById('landscape-file-input');
+        landscapeSource.addEventListener('change', () => {
+            if (landscapeSource.value === 'market') {
+                landscapeFileInput.click();
+            } else if (this.callbacks.onLandscapeSource) {
+                this.callbacks.onLandscapeSource(landscapeSource.value);
+            }
+        });
+        landscapeFileInput.addEventListener('change', () => {
+            if (landscapeFileInput.files.length > 0 && this.callbacks.onLoadLandscapeFile) {
+                this.callbacks.onLoadLandscapeFile(landscapeFileInput.files[0]);
+            }
+            landscapeFileInput.value = '';
+        });
+        const landscapeLevel = document.getElementById('landscape-level');
+        const landscapeCount = document.getElementById('landscape-count');
+        const landscapeResolution = document.getElementById('landscape-resolution');
+        const landscapeChanged = () => {
+            document.getElementById('landscape-level-value').textContent = Number(landscapeLevel.value).toFixed(2);
+            if (this.callbacks.onLandscapeChange) {
+                this.callbacks.onLandscapeChange({
+                    level: Number(landscapeLevel.value),
+                    count: Number(landscapeCount.value),
+                    resolution: Number(landscapeResolution.value)
+                });
+            }
+        };
+        landscapeLevel.addEventListener('input', landscapeChanged);
+        landscapeCount.addEventListener('change', landscapeChanged);
+        landscapeResolution.addEventListener('change', landscapeChanged);
+
         // Labels toggle
         const labelsToggle = document.getElementById('labels-toggle');
         labelsToggle.addEventListener('change', (event) => {
@@ -187,8 +708,8 @@ export class LIPControls {
             }
         });
 
-        // View preset buttons
-        const viewButtons = document.querySelectorAll('.view-btn');
+        // View preset buttons (other buttons share the .view-btn look)
+        const viewButtons = document.querySelectorAll('.view-btn[data-view]');
         viewButtons.forEach(button => {
             button.addEventListener('click', (event) => {
                 const view = event.target.getAttribute('data-view');
@@ -237,9 +758,59 @@ export class LIPControls {
         const exportBtn = document.getElementById('export-btn');
         exportBtn.addEventListener('click', () => {
             if (this.callbacks.onExportImage) {
-                this.callbacks.onExportImage();
+                this.callbacks.onExportImage(this.getImageExportOptions());
+            }
+        });
+
+        // Sizes start from the window's aspect ratio: twice its size, or 6 inches wide
+        const imageSizeMode = document.getElementById('image-size-mode');
+        imageSizeMode.addEventListener('change', () => {
+            const mode = imageSizeMode.value;
+            const aspect = window.innerHeight / window.innerWidth;
+            document.getElementById('image-size-pixels').style.display = mode === 'pixels' ? 'block' : 'none';
+            document.getElementById('image-size-dpi').style.display = mode === 'dpi' ? 'block' : 'none';
+            if (mode === 'pixels' && !document.getElementById('image-width').value) {
+                document.getElementById('image-width').value = window.innerWidth * 2;
+                document.getElementById('image-height').value = Math.round(window.innerWidth * 2 * aspect);
+            }
+            if (mode === 'dpi' && !document.getElementById('image-print-height').value) {
+                const printWidth = parseFloat(document.getElementById('image-print-width').value) || 6;
+                document.getElementById('image-print-height').value = Math.round(printWidth * aspect * 10) / 10;
+            }
+        });
+
+        document.getElementById('export-model-btn').addEventListener('click', () => {
+            if (this.callbacks.onExportModel) {
+                this.callbacks.onExportModel({
+                    format: document.getElementById('export-format').value,
+                    content: document.getElementById('export-content').value
+                });
+            }
+        });
+
+        // Saved camera views
+        document.getElementById('add-bookmark-btn').addEventListener('click', () => {
+            if (this.callbacks.onAddBookmark) {
+                this.callbacks.onAddBookmark();
+            }
+        });
+
+        // Sessions
+        const sessionFileInput = document.getElementById('session-file-input');
+        document.getElementById('save-session-btn').addEventListener('click', () => {
+            if (this.callbacks.onSaveSession) {
+                this.callbacks.onSaveSession({ embedData: document.getElementById('session-embed-data').checked });
             }
         });
+        document.getElementById('open-session-btn').addEventListener('click', () => {
+            sessionFileInput.click();
+        });
+        sessionFileInput.addEventListener('change', () => {
+            if (sessionFileInput.files.length > 0 && this.callbacks.onOpenSession) {
+                this.callbacks.onOpenSession(sessionFileInput.files[0]);
+            }
+            sessionFileInput.value = '';
+        });
 
         // Toggle panel button
         const togglePanelBtn = document.getElementById('toggle-panel');
@@ -271,11 +842,18 @@ export class LIPControls {
     }
 
     handleKeyboardShortcuts(event) {
+        // Don't steal keystrokes from the valuation editor and other inputs
+        if (event.target.closest && event.target.closest('input, textarea, select')) return;
+        
         switch (event.key.toLowerCase()) {
-            case 'w':
+            case 'w': {
                 if (event.ctrlKey || event.metaKey) return; // Don't interfere with browser shortcuts
-                document.getElementById('wireframe-toggle').click();
+                // Switches between surfaces and wireframe
+                const renderMode = document.getElementById('render-mode');
+                renderMode.value = renderMode.value === 'wireframe' ? 'surface' : 'wireframe';
+                renderMode.dispatchEvent(new Event('change'));
                 break;
+            }
             case 'l':
                 if (event.ctrlKey || event.metaKey) return;
                 document.getElementById('labels-toggle').click();
@@ -296,9 +874,564 @@ export class LIPControls {
                 if (event.ctrlKey || event.metaKey) return;
                 document.getElementById('toggle-panel').click();
                 break;
+            case 'c':
+                if (event.ctrlKey || event.metaKey) return;
+                this.cycleDisplayMode();
+                break;
+        }
+    }
+
+    cycleDisplayMode() {
+        const modes = ['facets', 'cells', 'both'];
+        const current = document.querySelector('input[name="display-mode"]:checked');
+        const next = modes[(modes.indexOf(current ? current.value : 'facets') + 1) % modes.length];
+        document.getElementById(`display-${next}`).click();
+    }
+
+    setValuationPlaceholder(message) {
+        // In place of the editor for LIPs without an editable valuation; the button starts a new one
+        this.valuationState = null;
+        const container = document.getElementById('valuation-editor');
+        if (!container) return;
+        
+        container.innerHTML = `
+            <div style="font-size: 12px; color: #666; margin-bottom: 6px;">${LIPControls.escape(message)}</div>
+            <button id="new-valuation-btn" class="control-button">Start a new valuation</button>
+        `;
+        document.getElementById('new-valuation-btn').addEventListener('click', () => {
+            if (this.callbacks.onNewValuation) {
+                this.callbacks.onNewValuation();
+            }
+        });
+    }
+
+    createValuationEditor(state, { isNew = false } = {}) {
+        // state: { values, included, chi, bounds }, keyed by bundle strings such as "{1,3}"
+        // isNew: the values are not the loaded LIP's, which the first edit replaces
+        this.valuationState = JSON.parse(JSON.stringify(state));
+        const container = document.getElementById('valuation-editor');
+        if (!container) return;
+        
+        const chiButtons = this.valuationState.chi.map((c, k) => `
+            <button class="chi-btn" data-good="${k}" style="background: ${c > 0 ? '#007bff' : '#dc3545'};">
+                ${k + 1}: ${c > 0 ? 'Buyer' : 'Seller'}
+            </button>`).join('');
+        
+        const rows = Object.keys(this.valuationState.values).map(bundle => `
+            <tr>
+                <td><input type="checkbox" class="bundle-include" data-bundle="${LIPControls.escape(bundle)}"
+                           ${this.valuationState.included[bundle] ? 'checked' : ''} title="Include in domain A"></td>
+                <td>v(${LIPControls.escape(bundle)})</td>
+                <td><input type="number" step="1" class="bundle-value" data-bundle="${LIPControls.escape(bundle)}"
+                           value="${LIPControls.escape(this.valuationState.values[bundle])}"></td>
+            </tr>`).join('');
+        
+        container.innerHTML = `
+            ${isNew ? `<div class="valuation-status" style="background: #fff3cd; margin-bottom: 6px;">
+                New valuation, not the loaded LIP's: the first edit replaces the LIP shown</div>` : ''}
+            <div style="font-size: 12px; margin-bottom: 4px;">Role per trade (χ):</div>
+            <div>${chiButtons}</div>
+            <table class="valuation-table" style="margin-top: 6px;">${rows}</table>
+            <div style="font-size: 12px; margin-top: 6px;">
+                Box [L, U]:
+                <input type="number" id="bounds-lower" step="1" value="${this.valuationState.bounds[0]}" style="width: 48px;">
+                <input type="number" id="bounds-upper" step="1" value="${this.valuationState.bounds[1]}" style="width: 48px;">
+            </div>
+            <div id="valuation-status" class="valuation-status" style="display: none;"></div>
+        `;
+        
+        const changed = () => {
+            if (this.callbacks.onValuationChange) {
+                this.callbacks.onValuationChange(JSON.parse(JSON.stringify(this.valuationState)));
+            }
+        };
+        
+        container.querySelectorAll('.chi-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const k = Number(button.dataset.good);
+                this.valuationState.chi[k] = -this.valuationState.chi[k];
+                const buyer = this.valuationState.chi[k] > 0;
+                button.textContent = `${k + 1}: ${buyer ? 'Buyer' : 'Seller'}`;
+                button.style.background = buyer ? '#007bff' : '#dc3545';
+                changed();
+            });
+        });
+        
+        container.querySelectorAll('.bundle-include').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.valuationState.included[checkbox.dataset.bundle] = checkbox.checked;
+                changed();
+            });
+        });
+        
+        container.querySelectorAll('.bundle-value').forEach(input => {
+            input.addEventListener('input', () => {
+                const value = Number(input.value);
+                if (input.value === '' || !Number.isInteger(value)) return; // Wait for a complete integer
+                this.valuationState.values[input.dataset.bundle] = value;
+                changed();
+            });
+        });
+        
+        ['bounds-lower', 'bounds-upper'].forEach((id, k) => {
+            document.getElementById(id).addEventListener('input', (event) => {
+                const value = Number(event.target.value);
+                if (event.target.value === '' || !Number.isFinite(value)) return;
+                this.valuationState.bounds[k] = value;
+                changed();
+            });
+        });
+    }
+
+    setValuationStatus(status) {
+        // status: { isSubstitutes, witness } from LIPEngine.checkSubstitutes (issubstitutes on v ∘ τ), or { error }
+        const element = document.getElementById('valuation-status');
+        if (!element) return;
+        
+        element.style.display = 'block';
+        if (status.error) {
+            element.style.background = '#f8d7da';
+            element.textContent = `⚠ ${status.error}`;
+        } else if (status.isSubstitutes) {
+            element.style.background = '#d4edda';
+            element.textContent = '✓ Gross substitutes (issubstitutes on v ∘ τ)';
+        } else {
+            const { phi, psi, good } = status.witness;
+            element.style.background = '#fff3cd';
+            element.textContent = `⚠ Not gross substitutes: issubstitutes on v ∘ τ fails for Φ=${phi}, Ψ=${psi}, ψ=${good}`;
+        }
+    }
+
+    setProjectionControls(state) {
+        // state: { dimension, axes, fixed, bounds } for LIPs of 4+ goods, or null to hide
+        const group = document.getElementById('projection-group');
+        const container = document.getElementById('projection-controls');
+        if (!group || !container) return;
+        
+        group.style.display = state ? 'block' : 'none';
+        if (!state) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const trades = Array.from({ length: state.dimension }, (_, k) => k);
+        const axisSelect = (slot) => `
+            <select class="projection-axis" data-slot="${slot}">
+                ${trades.map(k => `<option value="${k}" ${state.axes[slot] === k ? 'selected' : ''}>p${k + 1}</option>`).join('')}
+            </select>`;
+        const sliders = trades.filter(k => !state.axes.includes(k)).map(k => `
+            <div style="margin: 4px 0;">
+                p${k + 1} = <input type="text" class="projection-value" data-trade="${k}" value="${state.fixed[k]}" style="width: 48px;">
+                <input type="range" class="projection-slider" data-trade="${k}" min="${state.bounds[0]}" max="${state.bounds[1]}"
+                       step="${(state.bounds[1] - state.bounds[0]) / 100}" value="${Number(state.fixed[k].split('/')[0]) / Number(state.fixed[k].split('/')[1] || 1)}"
+                       style="width: 100%;">
+            </div>`).join('');
+        
+        container.innerHTML = `
+            <div>Display: ${axisSelect(0)} ${axisSelect(1)} ${axisSelect(2)}</div>
+            <div style="margin-top: 6px;">Fixed prices of the other trades:</div>
+            ${sliders}
+        `;
+        
+        const changed = () => {
+            const axes = [...container.querySelectorAll('.projection-axis')].map(select => Number(select.value));
+            const fixed = [...state.fixed];
+            container.querySelectorAll('.projection-value').forEach(input => {
+                fixed[Number(input.dataset.trade)] = input.value.trim();
+            });
+            if (this.callbacks.onProjectionChange) {
+                this.callbacks.onProjectionChange({ axes, fixed });
+            }
+        };
+        
+        container.querySelectorAll('.projection-axis').forEach(select => select.addEventListener('change', changed));
+        container.querySelectorAll('.projection-value').forEach(input => input.addEventListener('change', changed));
+        container.querySelectorAll('.projection-slider').forEach(slider => {
+            // Recompute once the slider is released; each slice is a full LIP computation
+            slider.addEventListener('input', () => {
+                container.querySelector(`.projection-value[data-trade="${slider.dataset.trade}"]`).value = slider.value;
+            });
+            slider.addEventListener('change', changed);
+        });
+    }
+
+    setSliceRange(min, max) {
+        const slider = document.getElementById('slice-slider');
+        if (!slider) return;
+        slider.min = min;
+        slider.max = max;
+        slider.step = (max - min) / 100;
+    }
+
+    setSliceValue(text, value) {
+        // text is the exact value shown, value its float for the slider
+        const input = document.getElementById('slice-value');
+        const slider = document.getElementById('slice-slider');
+        if (input) input.value = text;
+        if (slider) slider.value = value;
+    }
+
+    setProbeInput(text) {
+        const input = document.getElementById('probe-input');
+        if (input) input.value = text;
+        const section = document.getElementById('probe-section');
+        if (section) section.open = true;
+    }
+
+    setProbeResult(result) {
+        // result: { prices, indirectUtility, demanded, rows: [{ bundle, value, utility, demanded }] }, { error } or null
+        const element = document.getElementById('probe-result');
+        if (!element) return;
+        
+        if (!result) {
+            element.innerHTML = '';
+        } else if (result.error) {
+            element.innerHTML = `<div class="valuation-status" style="background: #f8d7da;">⚠ ${LIPControls.escape(result.error)}</div>`;
+        } else {
+            const escape = LIPControls.escape;
+            const rows = result.rows.map(row => `
+                <tr style="${row.demanded ? 'background: #d4edda; font-weight: bold;' : ''}">
+                    <td>${escape(row.bundle)}</td>
+                    <td>${escape(row.value)}</td>
+                    <td>${escape(row.utility)}</td>
+                </tr>`).join('');
+            
+            element.innerHTML = `
+                <div style="font-size: 12px;">
+                    D(p) at p = ${escape(result.prices)}: <strong>${escape(result.demanded.join(', '))}</strong><br>
+                    Indirect utility: ${escape(result.indirectUtility)}
+                </div>
+                <table class="valuation-table" style="margin-top: 4px;">
+                    <tr><th align="left">Φ</th><th align="left">v(Φ)</th><th align="left">v(Φ) − χ·p</th></tr>
+                    ${rows}
+                </table>
+            `;
+        }
+    }
+
+    setFacetClassLegend(classes) {
+        // classes: [{ key, count, color, isSubstitutes, visible }], key being the primitive normal "1,-1,0"
+        const legend = document.getElementById('facet-class-legend');
+        if (!legend) return;
+        
+        legend.innerHTML = classes.map((facetClass, index) => `
+            <div style="margin: 2px 0;">
+                <input type="checkbox" class="facet-class-toggle" id="facet-class-${index}" data-class="${facetClass.key}"
+                       ${facetClass.visible ? 'checked' : ''}>
+                <label for="facet-class-${index}">
+                    <span class="facet-class-swatch" style="background: #${facetClass.color.toString(16).padStart(6, '0')};"></span>
+                    (${facetClass.key}) × ${facetClass.count}${facetClass.isSubstitutes ? '' : ' ⚠'}
+                </label>
+            </div>`).join('');
+        
+        legend.querySelectorAll('.facet-class-toggle').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                if (this.callbacks.onToggleFacetClass) {
+                    this.callbacks.onToggleFacetClass(checkbox.dataset.class, checkbox.checked);
+                }
+            });
+        });
+    }
+
+    setAgentList(agents) {
+        // agents: [{ name, color (CSS), visible, removable }]; the first is the loaded LIP
+        const list = document.getElementById('agent-list');
+        if (!list) return;
+        
+        // Names and colours come from the loaded files and sessions, so they are escaped
+        const escape = LIPControls.escape;
+        list.innerHTML = agents.map((agent, index) => `
+            <div class="agent-item" data-agent="${index}">
+                <input type="checkbox" class="agent-visible" ${agent.visible ? 'checked' : ''} title="Show this agent's LIP">
+                <input type="color" class="agent-color" value="${escape(agent.color)}" title="Colour">
+                <span class="agent-name" title="${escape(agent.name)}">${escape(agent.name)}</span>
+                ${agent.removable ? '<button class="agent-remove" title="Remove this agent">✕</button>' : ''}
+            </div>`).join('');
+        
+        list.querySelectorAll('.agent-item').forEach(item => {
+            const index = Number(item.dataset.agent);
+            item.querySelector('.agent-visible').addEventListener('change', (event) => {
+                if (this.callbacks.onAgentChange) {
+                    this.callbacks.onAgentChange(index, { visible: event.target.checked });
+                }
+            });
+            item.querySelector('.agent-color').addEventListener('input', (event) => {
+                if (this.callbacks.onAgentChange) {
+                    this.callbacks.onAgentChange(index, { color: event.target.value });
+                }
+            });
+            const remove = item.querySelector('.agent-remove');
+            if (remove) {
+                remove.addEventListener('click', () => {
+                    if (this.callbacks.onRemoveAgent) {
+                        this.callbacks.onRemoveAgent(index);
+                    }
+                });
+            }
+        });
+    }
+
+    setAggregateStatus(text) {
+        const status = document.getElementById('aggregate-status');
+        if (!status) return;
+        status.style.display = text ? 'block' : 'none';
+        status.style.background = '#e8f0fe';
+        status.textContent = text || '';
+    }
+
+    getImageExportOptions() {
+        // { format, width, height, dpi } with width and height in pixels, or null for the window size
+        const format = document.getElementById('image-format').value;
+        const mode = document.getElementById('image-size-mode').value;
+        if (mode === 'pixels') {
+            return {
+                format,
+                width: parseInt(document.getElementById('image-width').value, 10),
+                height: parseInt(document.getElementById('image-height').value, 10),
+                dpi: null
+            };
+        }
+        if (mode === 'dpi') {
+            const dpi = parseFloat(document.getElementById('image-dpi').value);
+            return {
+                format,
+                width: Math.round(parseFloat(document.getElementById('image-print-width').value) * dpi),
+                height: Math.round(parseFloat(document.getElementById('image-print-height').value) * dpi),
+                dpi
+            };
+        }
+        return { format, width: null, height: null, dpi: null };
+    }
+
+    setDisplayState(state) {
+        // Show restored settings without firing callbacks; fields left out are not touched:
+        // { transparency, renderMode, labels, axes, displayMode, highlightViolations, lattice,
+        //   slice: { enabled, axis }, aggregate: { enabled, style }, landscape: { count, resolution } }
+        const check = (id, value) => {
+            const input = document.getElementById(id);
+            if (input && value !== undefined) input.checked = value;
+        };
+        const select = (id, value) => {
+            const input = document.getElementById(id);
+            if (input && value !== undefined) input.value = value;
+        };
+        
+        if (state.transparency !== undefined) {
+            select('transparency-slider', state.transparency);
+            const label = document.getElementById('transparency-value');
+            if (label) label.textContent = state.transparency.toFixed(1);
+        }
+        select('render-mode', state.renderMode);
+        check('labels-toggle', state.labels);
+        check('axes-toggle', state.axes);
+        check('violations-toggle', state.highlightViolations);
+        check('lattice-toggle', state.lattice);
+        if (state.displayMode) check(`display-${state.displayMode}`, true);
+        if (state.slice) {
+            check('slice-toggle', state.slice.enabled);
+            select('slice-axis', state.slice.axis);
+        }
+        if (state.aggregate) {
+            check('aggregate-toggle', state.aggregate.enabled);
+            select('multiplicity-style', state.aggregate.style);
+        }
+        if (state.landscape) {
+            select('landscape-count', state.landscape.count);
+            select('landscape-resolution', state.landscape.resolution);
         }
     }
 
+    setBookmarkList(bookmarks) {
+        // bookmarks: [{ name, camera }]
+        const list = document.getElementById('bookmark-list');
+        if (!list) return;
+        
+        list.innerHTML = bookmarks.map((bookmark, index) => `
+            <div class="agent-item" data-bookmark="${index}" style="cursor: pointer;" title="Fly to this view">
+                <span class="agent-name">${LIPControls.escape(bookmark.name)}</span>
+                <button class="agent-remove" title="Forget this view">✕</button>
+            </div>`).join('');
+        
+        list.querySelectorAll('.agent-item').forEach(item => {
+            const index = Number(item.dataset.bookmark);
+            item.addEventListener('click', () => {
+                if (this.callbacks.onSelectBookmark) {
+                    this.callbacks.onSelectBookmark(index);
+                }
+            });
+            item.querySelector('.agent-remove').addEventListener('click', (event) => {
+                event.stopPropagation();
+                if (this.callbacks.onRemoveBookmark) {
+                    this.callbacks.onRemoveBookmark(index);
+                }
+            });
+        });
+    }
+
+    setTraceControls(state) {
+        // state: { agents: [{ value, label }], agent, steps } or null when no trace is loaded
+        const controls = document.getElementById('trace-controls');
+        if (!controls) return;
+        
+        controls.style.display = state ? 'block' : 'none';
+        if (!state) return;
+        
+        const select = document.getElementById('trace-agent');
+        select.innerHTML = state.agents.map(agent =>
+            `<option value="${LIPControls.escape(agent.value)}" ${agent.value === state.agent ? 'selected' : ''}>${LIPControls.escape(agent.label)}</option>`).join('');
+        const slider = document.getElementById('trace-step');
+        slider.max = Math.max(0, state.steps - 1);
+        slider.value = 0;
+        document.getElementById('trace-section').open = true;
+    }
+
+    setTraceStep(index, html) {
+        // html is built by the caller, which escapes what it takes from the trace file
+        const slider = document.getElementById('trace-step');
+        if (slider) slider.value = index;
+        const info = document.getElementById('trace-info');
+        if (info) info.innerHTML = html;
+    }
+
+    setTracePlaying(playing) {
+        const button = document.getElementById('trace-play');
+        if (button) button.textContent = playing ? '⏸ Pause' : '▶ Play';
+    }
+
+    setPricePointList(points) {
+        // points: [{ label, prices, face, demanded, flagged, note }]
+        const list = document.getElementById('point-list');
+        if (!list) return;
+        
+        const escape = LIPControls.escape;
+        list.innerHTML = points.map((point, index) => `
+            <div class="point-item ${point.flagged ? 'flagged' : ''}" data-point="${index}" title="Probe this price">
+                <div class="point-text">
+                    <strong>${escape(point.label)}</strong> ${escape(point.prices)}<br>
+                    ${point.flagged ? '⚠ ' : ''}${escape(point.face)}: ${escape(point.demanded.join(', ') || '?')}
+                    ${point.note ? `<br><span style="color: #888;">${escape(point.note)}</span>` : ''}
+                </div>
+                <button class="agent-remove" title="Remove this point">✕</button>
+            </div>`).join('');
+        
+        list.querySelectorAll('.point-item').forEach(item => {
+            const index = Number(item.dataset.point);
+            item.addEventListener('click', () => {
+                if (this.callbacks.onSelectPricePoint) {
+                    this.callbacks.onSelectPricePoint(index);
+                }
+            });
+            item.querySelector('.agent-remove').addEventListener('click', (event) => {
+                event.stopPropagation();
+                if (this.callbacks.onRemovePricePoint) {
+                    this.callbacks.onRemovePricePoint(index);
+                }
+            });
+        });
+        if (points.length > 0) {
+            document.getElementById('price-points-section').open = true;
+        }
+    }
+
+    setLandscapeRange(range) {
+        // range: { min, max, level } of the sampled function, or null when none is shown
+        const controls = document.getElementById('landscape-controls');
+        if (!controls) return;
+        
+        controls.style.display = range ? 'block' : 'none';
+        if (!range) return;
+        
+        const slider = document.getElementById('landscape-level');
+        slider.min = range.min;
+        slider.max = range.max;
+        slider.step = Math.max((range.max - range.min) / 200, 1e-6);
+        slider.value = range.level;
+        document.getElementById('landscape-level-value').textContent = range.level.toFixed(2);
+    }
+
+    setLandscapeSource(source) {
+        const select = document.getElementById('landscape-source');
+        if (select) select.value = source;
+    }
+
+    setLandscapeStatus(text, isError = false) {
+        const status = document.getElementById('landscape-status');
+        if (!status) return;
+        status.style.display = text ? 'block' : 'none';
+        status.style.background = isError ? '#f8d7da' : '#e8f0fe';
+        status.textContent = text || '';
+    }
+
+    setLatticeStatus(text, isError = false) {
+        const status = document.getElementById('lattice-status');
+        if (!status) return;
+        status.style.display = text ? 'block' : 'none';
+        status.style.background = isError ? '#f8d7da' : '#e8f0fe';
+        status.textContent = text || '';
+    }
+
+    setSubstitutesReport(report, bundles = []) {
+        // report: { isSubstitutes, checked, violations } from LIPDiagnostics.analyzeSubstitutes
+        const status = document.getElementById('substitutes-status');
+        const list = document.getElementById('violation-list');
+        if (!status || !list) return;
+        
+        const regionName = (index) => index === null || index === undefined ? '?' : LIPControls.escape(bundles[index] ?? `#${index}`);
+        
+        if (report.isSubstitutes) {
+            status.style.background = '#d4edda';
+            status.textContent = `✓ Substitutes in the box: all ${report.checked} facet normals are ±e_i or ±(e_i − e_j)`;
+        } else {
+            status.style.background = '#f8d7da';
+            status.textContent = `⚠ Not substitutes: ${report.violations.length} of ${report.checked} facets violate`;
+        }
+        
+        list.innerHTML = report.violations.map((violation, index) => `
+            <div class="violation-item" data-violation="${index}">
+                Facet ${violation.facetId}: normal (${violation.normal.join(', ')})
+                ${violation.regions ? `between ${regionName(violation.regions.negative)} and ${regionName(violation.regions.positive)}` : ''}
+            </div>`).join('');
+        
+        list.querySelectorAll('.violation-item').forEach(item => {
+            item.addEventListener('click', () => {
+                if (this.callbacks.onSelectViolation) {
+                    this.callbacks.onSelectViolation(Number(item.dataset.violation));
+                }
+            });
+        });
+    }
+
+    setComplexReport(report) {
+        // report: { defects, summary } from LIPComplexCheck.analyze, or null before a check
+        const status = document.getElementById('complex-status');
+        const list = document.getElementById('defect-list');
+        if (!status || !list) return;
+        
+        list.replaceChildren();
+        if (!report) {
+            status.style.display = 'none';
+            return;
+        }
+        status.style.display = 'block';
+        status.style.background = report.defects.length === 0 ? '#d4edda' : '#f8d7da';
+        status.textContent = report.summary;
+        
+        // Messages quote bundle names from the file, so they are set as text
+        report.defects.forEach((defect, index) => {
+            const item = document.createElement('div');
+            item.className = 'violation-item';
+            const title = document.createElement('b');
+            title.textContent = `${defect.title}: `;
+            item.append(title, defect.message);
+            item.addEventListener('click', () => {
+                if (this.callbacks.onSelectDefect) {
+                    this.callbacks.onSelectDefect(index);
+                }
+            });
+            list.appendChild(item);
+        });
+    }
+
     showMouseInstructions() {
         const instructions = document.createElement('div');
         instructions.id = 'mouse-instructions';
@@ -321,8 +1454,11 @@ export class LIPControls {
             <div>• Left click + drag: Rotate</div>
             <div>• Right click + drag: Pan</div>
             <div>• Scroll wheel: Zoom</div>
+            <div>• Hover a facet: show the bundles it separates</div>
+            <div>• Click a label or vertex: bundle / demand details</div>
+            <div>• Shift + click: probe the price</div>
             <div style="margin-top: 8px;"><strong>Keyboard Shortcuts:</strong></div>
-            <div>• W: Wireframe • L: Labels • R: Reset • F: Fullscreen • Space: Auto-rotate • H: Hide panel</div>
+            <div>• W: Wireframe • L: Labels • R: Reset • F: Fullscreen • Space: Auto-rotate • H: Hide panel • C: Facets/Regions</div>
         `;
         
         document.body.appendChild(instructions);
@@ -435,4 +1571,9 @@ export class LIPControls {
             }
         });
     }
+
+    /** Text from loaded files (bundle, agent and point names) for use in innerHTML. */
+    static escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
 }
\ No newline at end of file
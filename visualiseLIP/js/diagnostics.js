@@ -0,0 +1,91 @@
+/**
+ * LIPDiagnostics - Economic checks read off the geometry of a LIP
+ * A valuation is substitutes iff every facet normal of its LIP is ±e_i or ±(e_i - e_j).
+ * Utilities are v(Φ) - Σ χ_ω p_ω, so the normal between Φ and Ψ is χ ∘ (Φ - Ψ): the
+ * bundle difference after τ (src/preferences.jl) flips selling trades
+ */
+
+export class LIPDiagnostics {
+    /** Whether a primitive integer facet normal is ±e_i or ±(e_i - e_j). */
+    static isSubstitutesNormal(normal) {
+        const nonzero = normal.filter(value => value !== 0);
+
+        if (nonzero.length === 1) {
+            return Math.abs(nonzero[0]) === 1;
+        }
+        if (nonzero.length === 2) {
+            return nonzero[0] + nonzero[1] === 0 && Math.abs(nonzero[0]) === 1;
+        }
+        return false;
+    }
+
+    static formatNormal(normal) {
+        return `(${normal.join(', ')})`;
+    }
+
+    /** Class key of a facet: its primitive normal, or "?" if it has none. */
+    static normalClassKey(facet) {
+        return facet.primitiveNormal ? facet.primitiveNormal.join(',') : '?';
+    }
+
+    /**
+     * Group facets by primitive normal, i.e. by the bundle difference Φ - Ψ they separate.
+     * Returns [{ key, normal, geometryIndices, isSubstitutes }] sorted by key.
+     * Options: logger for the summary, the console by default.
+     */
+    static classifyFacets(facetGeometries, { logger = console } = {}) {
+        const classes = new Map();
+
+        facetGeometries.forEach((facet, geometryIndex) => {
+            const key = LIPDiagnostics.normalClassKey(facet);
+            if (!classes.has(key)) {
+                classes.set(key, {
+                    key,
+                    normal: facet.primitiveNormal,
+                    geometryIndices: [],
+                    isSubstitutes: facet.primitiveNormal ? LIPDiagnostics.isSubstitutesNormal(facet.primitiveNormal) : false
+                });
+            }
+            classes.get(key).geometryIndices.push(geometryIndex);
+        });
+
+        logger.log(`Facet classes: ${[...classes.keys()].map(key => `(${key})×${classes.get(key).geometryIndices.length}`).join(' ')}`);
+
+        return [...classes.values()].sort((a, b) => a.key < b.key ? -1 : (a.key > b.key ? 1 : 0));
+    }
+
+    /**
+     * Check every 2D facet from LIPGeometry.createFacetGeometries.
+     * Returns { isSubstitutes, checked, violations: [{ geometryIndex, facetId, normal, regions, centroid }] }.
+     * Options: logger, as for classifyFacets.
+     */
+    static analyzeSubstitutes(facetGeometries, { logger = console } = {}) {
+        const violations = [];
+        let checked = 0;
+
+        facetGeometries.forEach((facet, geometryIndex) => {
+            if (!facet.primitiveNormal) return;
+            checked++;
+
+            if (!LIPDiagnostics.isSubstitutesNormal(facet.primitiveNormal)) {
+                const centroid = facet.vertices.reduce((sum, v) => sum.add(v), facet.vertices[0].clone().multiplyScalar(0))
+                    .multiplyScalar(1 / facet.vertices.length);
+                violations.push({
+                    geometryIndex,
+                    facetId: facet.id,
+                    normal: facet.primitiveNormal,
+                    regions: facet.regions || null,
+                    centroid
+                });
+            }
+        });
+
+        logger.log(`Substitutes check: ${checked} facets, ${violations.length} violations`);
+
+        return {
+            isSubstitutes: violations.length === 0,
+            checked,
+            violations
+        };
+    }
+}
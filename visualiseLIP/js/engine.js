@@ -0,0 +1,599 @@
+/**
+ * LIPEngine - Computes a LIP in the browser from a valuation table
+ * JavaScript port of create_LIP_json in createLIP.jl, using exact rational arithmetic
+ */
+
+import { Rational } from './rational.js';
+
+export class LIPEngine {
+    /**
+     * @param {Object} options
+     * @param {Object|Function} options.valuation - map from bundle strings ("∅", "{1,2}") to values,
+     *        or a function taking a sorted array of goods
+     * @param {Array} options.chi - χ vector, +1 for buying and -1 for selling each trade
+     * @param {Array} options.bounds - bounding box [L, U], so that prices lie in [L, U]^n
+     * @param {Array} [options.domain] - bundles A ⊆ 2^{1..n} as arrays or strings; defaults to the valuation's keys
+     * @param {Object} [options.logger] - receives the summary of compute; defaults to the console
+     */
+    constructor({ valuation, chi, bounds = [0, 10], domain = null, logger = console }) {
+        if (!Array.isArray(chi) || chi.length === 0) {
+            throw new Error('χ must be a non-empty array');
+        }
+
+        this.chi = chi.map(value => Rational.parse(value));
+        this.n = this.chi.length;
+        this.logger = logger;
+        this.lower = Rational.parse(bounds[0]);
+        this.upper = Rational.parse(bounds[1]);
+
+        if (!this.lower.lt(this.upper)) {
+            throw new Error(`Invalid bounding box [${this.lower}, ${this.upper}]`);
+        }
+
+        if (domain) {
+            this.domain = domain.map(bundle => typeof bundle === 'string' ? LIPEngine.parseBundle(bundle) : [...bundle].sort((a, b) => a - b));
+        } else if (typeof valuation === 'function') {
+            this.domain = LIPEngine.powerset(this.n);
+        } else {
+            this.domain = Object.keys(valuation).map(key => LIPEngine.parseBundle(key));
+        }
+
+        if (this.domain.length === 0) {
+            throw new Error('The domain A must contain at least one bundle');
+        }
+
+        const table = typeof valuation === 'function' ? null : LIPEngine.canonicalTable(valuation);
+        this.values = this.domain.map(bundle => {
+            const value = table ? table.get(LIPEngine.formatBundle(bundle)) : valuation(bundle);
+            if (value === undefined || value === null) {
+                throw new Error(`No value given for bundle ${LIPEngine.formatBundle(bundle)}`);
+            }
+            return Rational.parse(value);
+        });
+    }
+
+    /**
+     * Engine for a loaded LIP.json that carries the optional `valuation` and `chi` fields,
+     * with the domain in the order of `data.bundles`. Returns null if they are missing.
+     * Options: logger, as for the constructor.
+     */
+    static fromData(data, { logger = console } = {}) {
+        if (!data || !data.valuation || !Array.isArray(data.chi)) {
+            return null;
+        }
+
+        // The declared box if the file has one, otherwise the box spanned by the vertices
+        const coordinates = (data.vertices || []).flat().map(c => Rational.parse(c));
+        const bounds = Array.isArray(data.bounds)
+            ? data.bounds.map(c => Rational.parse(c))
+            : coordinates.length > 0
+                ? [coordinates.reduce((a, b) => a.min(b)), coordinates.reduce((a, b) => a.max(b))]
+                : [0, 10];
+
+        return new LIPEngine({
+            valuation: data.valuation,
+            chi: data.chi,
+            bounds: bounds[0].lt(bounds[1]) ? bounds : [0, 10],
+            domain: data.bundles || Object.keys(data.valuation),
+            logger
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // Bundles
+    // ------------------------------------------------------------------
+
+    /** Parse "∅", "{}", "{1,3}" or "(1,0,1)" into a sorted array of goods. */
+    static parseBundle(text) {
+        const trimmed = String(text).trim();
+        if (trimmed === '∅' || trimmed === '{}' || trimmed === '') {
+            return [];
+        }
+
+        const set = trimmed.match(/^\{\s*(\d+(?:\s*,\s*\d+)*)\s*\}$/);
+        if (set) {
+            return [...new Set(set[1].split(',').map(Number))].sort((a, b) => a - b);
+        }
+
+        const indicator = trimmed.match(/^\(\s*([01](?:\s*,\s*[01])*)\s*\)$/);
+        if (indicator) {
+            return indicator[1].split(',')
+                .map((bit, i) => Number(bit) === 1 ? i + 1 : null)
+                .filter(good => good !== null);
+        }
+
+        throw new Error(`Invalid bundle "${text}" - expected e.g. "∅" or "{1,3}"`);
+    }
+
+    /** Same string representation as bundle_to_string in createLIP.jl. */
+    static formatBundle(bundle) {
+        if (bundle.length === 0) {
+            return '∅';
+        }
+        return '{' + [...bundle].sort((a, b) => a - b).join(',') + '}';
+    }
+
+    /**
+     * A valuation table keyed by canonical bundle strings, so that "{2,1}" and "(1,1,0)" find
+     * the value of {1,2}. Keys that are not bundles are left out.
+     */
+    static canonicalTable(valuation) {
+        const table = new Map();
+        Object.entries(valuation).forEach(([key, value]) => {
+            try {
+                table.set(LIPEngine.formatBundle(LIPEngine.parseBundle(key)), value);
+            } catch (error) {
+                // Reported by LIPValidator
+            }
+        });
+        return table;
+    }
+
+    /** All bundles of {1, ..., n}, ordered by size and then lexicographically. */
+    static powerset(n) {
+        const bundles = [];
+        for (let mask = 0; mask < (1 << n); mask++) {
+            const bundle = [];
+            for (let good = 1; good <= n; good++) {
+                if (mask & (1 << (good - 1))) bundle.push(good);
+            }
+            bundles.push(bundle);
+        }
+        return bundles.sort((a, b) => a.length - b.length || a.join(',').localeCompare(b.join(',')));
+    }
+
+    // ------------------------------------------------------------------
+    // Halfspaces
+    // ------------------------------------------------------------------
+
+    /** χ-weighted indicator vector of a bundle, i.e. the coefficients of Σ_{ω ∈ Φ} χ_ω p_ω. */
+    bundleVector(bundle) {
+        const vector = Array.from({ length: this.n }, () => Rational.ZERO);
+        bundle.forEach(good => {
+            if (good >= 1 && good <= this.n) {
+                vector[good - 1] = this.chi[good - 1];
+            }
+        });
+        return vector;
+    }
+
+    /** Utility v(Φ) − Σ_{ω ∈ Φ} χ_ω p_ω of the bundle with domain index i at prices p. */
+    utility(i, prices) {
+        const vector = this.bundleVector(this.domain[i]);
+        return vector.reduce((total, coefficient, k) => total.sub(coefficient.mul(prices[k])), this.values[i]);
+    }
+
+    /**
+     * Demand at prices p, like generate_demand in src/preferences.jl but returning every
+     * maximiser: { utilities, indirectUtility, demanded } with demanded as domain indices.
+     */
+    demand(prices) {
+        prices = prices.map(price => Rational.parse(price));
+        if (prices.length !== this.n) {
+            throw new Error(`Expected ${this.n} prices, got ${prices.length}`);
+        }
+
+        const utilities = this.domain.map((bundle, i) => this.utility(i, prices));
+        const indirectUtility = utilities.reduce((best, u) => u.max(best));
+        const demanded = utilities
+            .map((u, i) => u.equals(indirectUtility) ? i : null)
+            .filter(i => i !== null);
+
+        return { utilities, indirectUtility, demanded };
+    }
+
+    /** max_Φ v(Φ) − χ·Φ p, as indirect_utility in src/preferences.jl. */
+    indirectUtility(prices) {
+        return this.demand(prices).indirectUtility;
+    }
+
+    /**
+     * The face of the LIP containing p: the demanded bundles and the dimension
+     * n − rank{χ ∘ (Φ − Ψ) : Φ, Ψ demanded} of the set where they tie. Dimension n
+     * means p lies strictly inside a demand region.
+     */
+    locate(prices) {
+        const { demanded } = this.demand(prices);
+        const first = this.bundleVector(this.domain[demanded[0]]);
+        const differences = demanded.slice(1).map(i => this.bundleVector(this.domain[i]).map((c, k) => c.sub(first[k])));
+        return { demanded, dimension: this.n - Rational.rank(differences) };
+    }
+
+    /**
+     * H(Φ,Ψ):Σ_{ω ∈ Ψ} χ_ω p_ω − Σ_{ω ∈ Φ} χ_ω p_ω ≥ v(Ψ) − v(Φ), returned in the
+     * form { normal, offset } meaning normal · p ≤ offset.
+     */
+    halfspace(i, j) {
+        const phi = this.bundleVector(this.domain[i]);
+        const psi = this.bundleVector(this.domain[j]);
+        return {
+            normal: phi.map((coefficient, k) => coefficient.sub(psi[k])),
+            offset: this.values[i].sub(this.values[j]),
+            source: { bundles: [i, j] }
+        };
+    }
+
+    boxHalfspaces() {
+        const halfspaces = [];
+        for (let k = 0; k < this.n; k++) {
+            const unit = Array.from({ length: this.n }, (_, l) => l === k ? Rational.ONE : Rational.ZERO);
+            halfspaces.push({ normal: unit.map(c => c.neg()), offset: this.lower.neg(), source: { box: `min-${k + 1}` } });
+            halfspaces.push({ normal: unit, offset: this.upper, source: { box: `max-${k + 1}` } });
+        }
+        return halfspaces;
+    }
+
+    /** The constraints of P_Φ = B ∩ ⋂_{Ψ ≠ Φ} H(Φ, Ψ). */
+    polyhedronHalfspaces(i) {
+        const halfspaces = this.boxHalfspaces();
+        this.domain.forEach((_, j) => {
+            if (j !== i) halfspaces.push(this.halfspace(i, j));
+        });
+        return halfspaces;
+    }
+
+    /** The inequalities H(Φ, Ψ) cutting out P_Φ, one per other bundle Ψ, as [{ bundleIndex, bundle, halfspace, text }]. */
+    regionInequalities(i) {
+        return this.domain
+            .map((bundle, j) => ({ bundle, j }))
+            .filter(({ j }) => j !== i)
+            .map(({ bundle, j }) => {
+                const halfspace = this.halfspace(i, j);
+                return {
+                    bundleIndex: j,
+                    bundle: LIPEngine.formatBundle(bundle),
+                    halfspace,
+                    text: LIPEngine.formatInequality(halfspace)
+                };
+            });
+    }
+
+    /** Write normal · p ≤ offset as e.g. "p₁ − p₃ ≤ 2". */
+    static formatInequality({ normal, offset }) {
+        const price = k => `p${String(k + 1).replace(/\d/g, digit => '₀₁₂₃₄₅₆₇₈₉'[digit])}`;
+        const terms = [];
+        normal.forEach((coefficient, k) => {
+            if (coefficient.isZero()) return;
+            const magnitude = coefficient.abs();
+            const text = magnitude.equals(Rational.ONE) ? price(k) : `${magnitude}${price(k)}`;
+            if (terms.length === 0) {
+                terms.push(coefficient.sign() < 0 ? `−${text}` : text);
+            } else {
+                terms.push(coefficient.sign() < 0 ? `− ${text}` : `+ ${text}`);
+            }
+        });
+        return `${terms.length > 0 ? terms.join(' ') : '0'} ≤ ${offset.toString().replace('-', '−')}`;
+    }
+
+    // ------------------------------------------------------------------
+    // Exact polytope computations
+    // ------------------------------------------------------------------
+
+    /** Solve the square system A x = b exactly; returns null if A is singular. */
+    static solve(matrix, rhs) {
+        const size = matrix.length;
+        const rows = matrix.map((row, i) => [...row, rhs[i]]);
+
+        for (let column = 0; column < size; column++) {
+            const pivot = rows.findIndex((row, i) => i >= column && !row[column].isZero());
+            if (pivot === -1) return null;
+            [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+            const lead = rows[column][column];
+            rows[column] = rows[column].map(entry => entry.div(lead));
+            for (let i = 0; i < size; i++) {
+                if (i === column || rows[i][column].isZero()) continue;
+                const factor = rows[i][column];
+                rows[i] = rows[i].map((entry, j) => entry.sub(factor.mul(rows[column][j])));
+            }
+        }
+
+        return rows.map(row => row[size]);
+    }
+
+    static dot(a, b) {
+        return a.reduce((total, entry, k) => total.add(entry.mul(b[k])), Rational.ZERO);
+    }
+
+    static pointKey(point) {
+        return point.map(c => c.toString()).join(',');
+    }
+
+    /** Floating point solve used to discard hopeless systems before the exact one. */
+    static solveApprox(matrix, rhs) {
+        const size = matrix.length;
+        const rows = matrix.map((row, i) => [...row, rhs[i]]);
+
+        for (let column = 0; column < size; column++) {
+            let pivot = column;
+            for (let i = column + 1; i < size; i++) {
+                if (Math.abs(rows[i][column]) > Math.abs(rows[pivot][column])) pivot = i;
+            }
+            if (Math.abs(rows[pivot][column]) < 1e-9) return null;
+            [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+            for (let i = 0; i < size; i++) {
+                if (i === column) continue;
+                const factor = rows[i][column] / rows[column][column];
+                for (let j = column; j <= size; j++) rows[i][j] -= factor * rows[column][j];
+            }
+        }
+
+        return rows.map((row, i) => row[size] / row[i]);
+    }
+
+    /**
+     * Enumerate the vertices of { x : normal · x ≤ offset } by solving every
+     * choice of `dimension` tight constraints. Exponential, but LIPs are small.
+     * Candidates are screened in floating point and then confirmed exactly.
+     */
+    static polytopeVertices(halfspaces, dimension) {
+        const vertices = new Map();
+        const chosen = [];
+        const approx = halfspaces.map(h => ({
+            normal: h.normal.map(c => c.toNumber()),
+            offset: h.offset.toNumber()
+        }));
+        const scale = Math.max(1, ...approx.map(h => Math.abs(h.offset)));
+        const confirmed = new Set(); // rounded estimates of vertices already found exactly
+        const roundedKey = estimate => estimate.map(x => Math.round(x * 1e6 / scale)).join(',');
+
+        const visit = (start) => {
+            if (chosen.length === dimension) {
+                const estimate = LIPEngine.solveApprox(
+                    chosen.map(i => approx[i].normal),
+                    chosen.map(i => approx[i].offset)
+                );
+                if (!estimate || approx.some(h => h.normal.reduce((t, c, k) => t + c * estimate[k], 0) > h.offset + 1e-6 * scale)) {
+                    return;
+                }
+                // Degenerate vertices are hit by many choices of tight constraints
+                if (confirmed.has(roundedKey(estimate))) {
+                    return;
+                }
+
+                const point = LIPEngine.solve(
+                    chosen.map(i => halfspaces[i].normal),
+                    chosen.map(i => halfspaces[i].offset)
+                );
+                if (point && halfspaces.every(h => LIPEngine.dot(h.normal, point).le(h.offset))) {
+                    vertices.set(LIPEngine.pointKey(point), point);
+                    confirmed.add(roundedKey(estimate));
+                }
+                return;
+            }
+            for (let i = start; i <= halfspaces.length - (dimension - chosen.length); i++) {
+                chosen.push(i);
+                visit(i + 1);
+                chosen.pop();
+            }
+        };
+
+        visit(0);
+        return [...vertices.values()];
+    }
+
+    /**
+     * Chebyshev centre: maximise r subject to a · x + r‖a‖ ≤ b. Norms of the integer
+     * normals are square roots, so they are replaced by the simplest rationals within
+     * 1e-9 (Rational.fromNumber). The centre is exact for those norms and, where it is
+     * unique, within about 1e-9 of the true one relative to the box; the rounding shows
+     * as large denominators such as 33461/114243, so compare labels with a tolerance.
+     * When the optimum is not unique we average the optimal vertices to keep labels central.
+     */
+    chebyshevCenter(halfspaces) {
+        const lifted = halfspaces.map(h => {
+            const squaredNorm = LIPEngine.dot(h.normal, h.normal).toNumber();
+            return { normal: [...h.normal, Rational.fromNumber(Math.sqrt(squaredNorm))], offset: h.offset };
+        });
+        // r ≥ 0
+        lifted.push({
+            normal: [...Array.from({ length: this.n }, () => Rational.ZERO), Rational.ONE.neg()],
+            offset: Rational.ZERO
+        });
+
+        const vertices = LIPEngine.polytopeVertices(lifted, this.n + 1);
+        if (vertices.length === 0) {
+            return null;
+        }
+
+        const radius = vertices.reduce((best, v) => v[this.n].max(best), vertices[0][this.n]);
+        const optimal = vertices.filter(v => v[this.n].equals(radius));
+        const count = new Rational(optimal.length);
+
+        return {
+            center: Array.from({ length: this.n }, (_, k) =>
+                optimal.reduce((total, v) => total.add(v[k]), Rational.ZERO).div(count)),
+            radius
+        };
+    }
+
+    // ------------------------------------------------------------------
+    // Gross substitutes
+    // ------------------------------------------------------------------
+
+    /** τ: trades to goods, flipping selling trades (see τ in src/preferences.jl). τ is an involution. */
+    toGoods(bundle) {
+        const goods = [];
+        for (let good = 1; good <= this.n; good++) {
+            const selling = this.chi[good - 1].sign() < 0;
+            if (bundle.includes(good) !== selling) goods.push(good);
+        }
+        return goods;
+    }
+
+    /**
+     * issubstitutes in src/preferences.jl, ported step by step and applied to the valuation moved
+     * to goods with τ, v ∘ τ on the domain τ(A), where bundles outside τ(A) are worth −∞.
+     * For Φ, Ψ in the domain and ψ ∈ Ψ \ Φ it fails if v(Ψ) + v(Φ) exceeds both
+     * v(Ψ − ψ) + v(Φ + ψ) and max(0, max over ϕ ∈ Φ \ Ψ of v((Ψ − ψ) ∪ Φ) + v(Φ + ψ − ϕ)).
+     * Returns { isSubstitutes, witness }, the witness naming the failing Φ, Ψ and ψ as trade bundles.
+     */
+    checkSubstitutes() {
+        const values = new Map();
+        const goodsDomain = this.domain.map((bundle, i) => {
+            const goods = this.toGoods(bundle);
+            values.set(goods.join(','), this.values[i]);
+            return goods;
+        });
+
+        // null stands for −∞
+        const value = goods => values.get([...new Set(goods)].sort((a, b) => a - b).join(',')) || null;
+        const sum = (a, b) => (a && b) ? a.add(b) : null;
+        const max = (a, b) => (a === null || (b !== null && b.gt(a))) ? b : a;
+        const without = (bundle, good) => bundle.filter(other => other !== good);
+
+        // Iterators.product(A, A) runs through Φ fastest
+        for (const Psi of goodsDomain) {
+            for (const Phi of goodsDomain) {
+                for (const psi of Psi.filter(good => !Phi.includes(good))) {
+                    const PsiLess = without(Psi, psi);
+                    const PhiMore = [...Phi, psi];
+                    const exchanged = Phi.filter(good => !Psi.includes(good))
+                        .reduce((best, phi) => max(best, sum(value([...PsiLess, ...Phi]), value(without(PhiMore, phi)))), Rational.ZERO);
+                    const bound = max(sum(value(PsiLess), value(PhiMore)), exchanged);
+
+                    if (sum(value(Psi), value(Phi)).gt(bound)) {
+                        return {
+                            isSubstitutes: false,
+                            witness: {
+                                phi: LIPEngine.formatBundle(this.toGoods(Phi)),
+                                psi: LIPEngine.formatBundle(this.toGoods(Psi)),
+                                good: psi
+                            }
+                        };
+                    }
+                }
+            }
+        }
+
+        return { isSubstitutes: true, witness: null };
+    }
+
+    // ------------------------------------------------------------------
+    // Slices of LIPs with more goods
+    // ------------------------------------------------------------------
+
+    /**
+     * 3D slice of the LIP through the prices `fixed` of the trades not in `axes`.
+     * With those prices fixed, Φ has utility v(Φ) − Σ_{j ∉ axes} χ_j q_j [j ∈ Φ] − χ_D·p_D,
+     * so the slice is the LIP of the best bundle for each restriction to the displayed trades.
+     * @param {Array} axes - the (0-based) trades to display, in order
+     * @param {Array} fixed - prices of all trades; entries for the displayed ones are ignored
+     * @returns LIP.json data in the displayed coordinates, labelled with the full bundles
+     */
+    project(axes, fixed) {
+        const prices = fixed.map(price => price === undefined || price === null ? Rational.ZERO : Rational.parse(price));
+        const best = new Map();
+
+        this.domain.forEach((bundle, i) => {
+            const value = bundle
+                .filter(good => !axes.includes(good - 1))
+                .reduce((total, good) => total.sub(this.chi[good - 1].mul(prices[good - 1])), this.values[i]);
+            const restricted = axes.map((axis, k) => bundle.includes(axis + 1) ? k + 1 : null).filter(good => good !== null);
+            const key = restricted.join(',');
+
+            if (!best.has(key) || value.gt(best.get(key).value)) {
+                best.set(key, { restricted, value, index: i });
+            }
+        });
+
+        const entries = [...best.values()];
+        const slice = new LIPEngine({
+            valuation: Object.fromEntries(entries.map(entry => [LIPEngine.formatBundle(entry.restricted), entry.value])),
+            chi: axes.map(axis => this.chi[axis]),
+            bounds: [this.lower, this.upper],
+            domain: entries.map(entry => entry.restricted),
+            logger: this.logger
+        });
+        const { vertices, facets, labels } = slice.compute();
+
+        return {
+            vertices,
+            facets,
+            labels,
+            bundles: entries.map(entry => LIPEngine.formatBundle(this.domain[entry.index])),
+            bounds: [this.lower, this.upper].map(c => c.toJSON()),
+            projection: {
+                dimension: this.n,
+                axes: [...axes],
+                fixed: prices.map((price, k) => axes.includes(k) ? null : price.toJSON())
+            }
+        };
+    }
+
+    // ------------------------------------------------------------------
+    // Main pipeline (compute_all_polyhedra → compute_all_facets → labels)
+    // ------------------------------------------------------------------
+
+    computePolyhedra() {
+        return this.domain.map((bundle, i) => {
+            const halfspaces = this.polyhedronHalfspaces(i);
+            return {
+                bundle,
+                index: i,
+                halfspaces,
+                vertices: LIPEngine.polytopeVertices(halfspaces, this.n)
+            };
+        });
+    }
+
+    /**
+     * F_{Φ,Ψ} = P_Φ ∩ P_Ψ. On P_Φ we have u_Φ ≥ u_Ψ, so the intersection is the face
+     * of P_Φ where u_Φ = u_Ψ, and its vertices are exactly those vertices of P_Φ.
+     */
+    computeFacets(polyhedra, vertexIndex) {
+        const facets = [];
+
+        for (let i = 0; i < this.domain.length; i++) {
+            for (let j = i + 1; j < this.domain.length; j++) {
+                const indices = polyhedra[i].vertices
+                    .filter(point => this.utility(i, point).equals(this.utility(j, point)))
+                    .map(point => vertexIndex.get(LIPEngine.pointKey(point)));
+
+                if (indices.length > 0) {
+                    facets.push({ indices, bundles: [i, j] });
+                }
+            }
+        }
+
+        return facets;
+    }
+
+    compute() {
+        const polyhedra = this.computePolyhedra();
+
+        // Unique vertices over all polyhedra (extract_unique_vertices)
+        const vertices = [];
+        const vertexIndex = new Map();
+        polyhedra.forEach(polyhedron => {
+            polyhedron.vertices.forEach(point => {
+                const key = LIPEngine.pointKey(point);
+                if (!vertexIndex.has(key)) {
+                    vertexIndex.set(key, vertices.length);
+                    vertices.push(point);
+                }
+            });
+        });
+
+        const facets = this.computeFacets(polyhedra, vertexIndex);
+
+        // Labels at the Chebyshev centres; like createLIP.jl, fall back to the origin for empty regions
+        const labels = polyhedra.map(polyhedron => {
+            const chebyshev = polyhedron.vertices.length > 0 ? this.chebyshevCenter(polyhedron.halfspaces) : null;
+            return chebyshev ? chebyshev.center : Array.from({ length: this.n }, () => Rational.ZERO);
+        });
+
+        this.logger.log(`LIPEngine: ${vertices.length} vertices, ${facets.length} facets, ${labels.length} labels`);
+
+        return {
+            vertices: vertices.map(point => point.map(c => c.toJSON())),
+            facets: facets.map(facet => facet.indices),
+            labels: labels.map(point => point.map(c => c.toJSON())),
+            bundles: this.domain.map(bundle => LIPEngine.formatBundle(bundle)),
+            bounds: [this.lower, this.upper].map(c => c.toJSON()),
+            valuation: Object.fromEntries(this.domain.map((bundle, i) => [LIPEngine.formatBundle(bundle), this.values[i].toJSON()])),
+            chi: this.chi.map(c => c.toJSON())
+        };
+    }
+}
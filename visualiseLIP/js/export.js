@@ -0,0 +1,157 @@
+/**
+ * LIPExport - Scene geometry export to glTF 2.0, OBJ/MTL and STL
+ * Builds a scene of named nodes, one per facet and demand region, whose extras
+ * carry the bundles, normal class and exact vertices, and writes it for Blender,
+ * ParaView or a slicer for 3D printing
+ */
+
+import * as THREE from 'three';
+
+export class LIPExport {
+    /**
+     * @param {Array} nodes - [{ name, kind: 'facet' | 'region', geometry, lines, color, opacity, extras }]
+     *   where geometry is a BufferGeometry of triangles, or of segments if lines is set
+     * @returns {THREE.Scene} named groups 'Facets' and 'Regions' under 'LIP'
+     */
+    static buildScene(nodes) {
+        const scene = new THREE.Scene();
+        const root = new THREE.Group();
+        root.name = 'LIP';
+        scene.add(root);
+
+        const groups = {};
+        nodes.forEach(node => {
+            const groupName = node.kind === 'region' ? 'Regions' : 'Facets';
+            if (!groups[groupName]) {
+                groups[groupName] = new THREE.Group();
+                groups[groupName].name = groupName;
+                root.add(groups[groupName]);
+            }
+
+            const material = node.lines
+                ? new THREE.LineBasicMaterial({ color: node.color })
+                : new THREE.MeshStandardMaterial({
+                    color: node.color,
+                    transparent: node.opacity < 1,
+                    opacity: node.opacity,
+                    side: THREE.DoubleSide,
+                    metalness: 0,
+                    roughness: 0.8
+                });
+            material.name = `${node.name}-material`;
+
+            const object = node.lines ? new THREE.LineSegments(node.geometry, material) : new THREE.Mesh(node.geometry, material);
+            object.name = node.name;
+            object.userData = { kind: node.kind, ...node.extras }; // Written as glTF extras
+            groups[groupName].add(object);
+        });
+
+        return scene;
+    }
+
+    /** glTF 2.0 as a JSON object with embedded buffers, or a GLB ArrayBuffer if binary. */
+    static async toGLTF(scene, { binary = false } = {}) {
+        const { GLTFExporter } = await import('three/addons/exporters/GLTFExporter.js');
+        return new GLTFExporter().parseAsync(scene, { binary, onlyVisible: true });
+    }
+
+    /** Triangles (or segments) of every exported object as arrays of world-space points. */
+    static primitives(scene) {
+        const primitives = [];
+        scene.updateMatrixWorld(true);
+        scene.traverse(object => {
+            if (!object.isMesh && !object.isLineSegments) return;
+            const geometry = object.geometry.index ? object.geometry.toNonIndexed() : object.geometry;
+            const position = geometry.attributes.position;
+            const size = object.isMesh ? 3 : 2;
+            const items = [];
+            for (let i = 0; i + size <= position.count; i += size) {
+                items.push(Array.from({ length: size }, (_, k) =>
+                    new THREE.Vector3().fromBufferAttribute(position, i + k).applyMatrix4(object.matrixWorld)));
+            }
+            primitives.push({ object, lines: object.isLineSegments, items });
+        });
+        return primitives;
+    }
+
+    /** Name usable as an OBJ object or MTL material name: "region-{1,2}" becomes "region-_1_2_". */
+    static safeName(name) {
+        return name.replace('∅', 'empty').replace(/[^A-Za-z0-9_.-]/g, '_');
+    }
+
+    /**
+     * OBJ with one object per node and its material in the companion MTL file. Bundles and
+     * normal classes are repeated as comments, since OBJ has no metadata of its own.
+     */
+    static toOBJ(scene, mtlFileName = 'lip.mtl') {
+        const format = x => Number(x.toFixed(6)).toString();
+        const obj = ['# LIP exported from the LIP visualiser', `mtllib ${mtlFileName}`];
+        const mtl = ['# Materials of the LIP exported from the LIP visualiser'];
+        let vertexCount = 0;
+
+        LIPExport.primitives(scene).forEach(({ object, lines, items }) => {
+            const name = LIPExport.safeName(object.name);
+            const material = object.material;
+            obj.push('', `o ${name}`);
+            Object.entries(object.userData).forEach(([key, value]) => {
+                obj.push(`# ${key}: ${JSON.stringify(value)}`);
+            });
+            obj.push(`usemtl ${name}`);
+
+            items.forEach(points => {
+                points.forEach(point => obj.push(`v ${format(point.x)} ${format(point.y)} ${format(point.z)}`));
+                const indices = points.map((_, k) => vertexCount + k + 1);
+                obj.push(`${lines ? 'l' : 'f'} ${indices.join(' ')}`);
+                vertexCount += points.length;
+            });
+
+            const color = material.color;
+            mtl.push('', `newmtl ${name}`,
+                `Kd ${format(color.r)} ${format(color.g)} ${format(color.b)}`,
+                `d ${format(material.opacity)}`);
+        });
+
+        return { obj: obj.join('\n') + '\n', mtl: mtl.join('\n') + '\n' };
+    }
+
+    /**
+     * ASCII STL with one solid per node. Lines and zero-thickness facets cannot be printed,
+     * so for 3D printing export the regions, which are closed polyhedra.
+     */
+    static toSTL(scene) {
+        const format = x => x.toExponential(6);
+        const stl = [];
+
+        LIPExport.primitives(scene).forEach(({ object, lines, items }) => {
+            if (lines) return;
+            const name = LIPExport.safeName(object.name);
+            stl.push(`solid ${name}`);
+            items.forEach(([a, b, c]) => {
+                const normal = new THREE.Vector3().crossVectors(new THREE.Vector3().subVectors(b, a), new THREE.Vector3().subVectors(c, a));
+                if (normal.lengthSq() === 0) return; // Degenerate triangle
+                normal.normalize();
+                stl.push(`  facet normal ${format(normal.x)} ${format(normal.y)} ${format(normal.z)}`, '    outer loop');
+                [a, b, c].forEach(point => stl.push(`      vertex ${format(point.x)} ${format(point.y)} ${format(point.z)}`));
+                stl.push('    endloop', '  endfacet');
+            });
+            stl.push(`endsolid ${name}`);
+        });
+
+        return stl.join('\n') + '\n';
+    }
+
+    /** Save a string, object (as JSON), Blob or ArrayBuffer through a temporary link. */
+    static download(content, filename, type = 'application/octet-stream') {
+        const blob = content instanceof Blob ? content
+            : new Blob([typeof content === 'object' && !(content instanceof ArrayBuffer) ? JSON.stringify(content, null, 2) : content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        console.log(`Exported ${filename} (${blob.size} bytes)`);
+    }
+}
@@ -0,0 +1,545 @@
+/**
+ * LIPFigure - Publication figures of the current view
+ * Renders high-resolution PNGs in tiles, independent of the window size, and writes
+ * vector SVGs by projecting what is visible in the scene with the current camera:
+ * depth-sorted facets and regions with their edges, vertices, labels and axes
+ */
+
+import * as THREE from 'three';
+
+// Largest tile rendered at once; the drawing buffer of every WebGL implementation allows it
+const TILE_SIZE = 2048;
+const MAX_IMAGE_SIZE = 16384;
+
+export class LIPFigure {
+    /**
+     * Render the scene at width × height pixels through the renderer's own canvas, one
+     * tile at a time, and assemble the tiles on an offscreen canvas. Resolves to a PNG
+     * Blob, with its resolution recorded if dpi is given.
+     */
+    static async renderPNG(renderer, scene, camera, { width, height, dpi = null }) {
+        LIPFigure.checkSize(width, height);
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const context = output.getContext('2d');
+
+        const canvasSize = renderer.getSize(new THREE.Vector2());
+        const pixelRatio = renderer.getPixelRatio();
+        const tile = Math.min(TILE_SIZE, renderer.capabilities.maxTextureSize);
+
+        LIPFigure.withAspect(camera, width / height, () => {
+            renderer.setPixelRatio(1);
+            try {
+                for (let y = 0; y < height; y += tile) {
+                    for (let x = 0; x < width; x += tile) {
+                        const tileWidth = Math.min(tile, width - x);
+                        const tileHeight = Math.min(tile, height - y);
+                        renderer.setSize(tileWidth, tileHeight, false); // Keep the page layout
+                        camera.setViewOffset(width, height, x, y, tileWidth, tileHeight);
+                        LIPFigure.withPointSizes(scene, size => size * height / tileHeight, size => size * height / canvasSize.y, () => {
+                            renderer.render(scene, camera);
+                        });
+                        // The drawing buffer is only valid until the browser composites it
+                        context.drawImage(renderer.domElement, 0, 0, tileWidth, tileHeight, x, y, tileWidth, tileHeight);
+                    }
+                }
+            } finally {
+                camera.clearViewOffset();
+                renderer.setPixelRatio(pixelRatio);
+                renderer.setSize(canvasSize.x, canvasSize.y, false);
+            }
+        });
+        renderer.render(scene, camera);
+
+        const blob = await new Promise((resolve, reject) => {
+            output.toBlob(result => result ? resolve(result) : reject(new Error('The browser could not encode the PNG')), 'image/png');
+        });
+        return dpi ? LIPFigure.setPNGResolution(blob, dpi) : blob;
+    }
+
+    static checkSize(width, height) {
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+            throw new Error(`Invalid image size ${width} × ${height}`);
+        }
+        if (width > MAX_IMAGE_SIZE || height > MAX_IMAGE_SIZE) {
+            throw new Error(`Images are limited to ${MAX_IMAGE_SIZE} pixels per side`);
+        }
+    }
+
+    /** Run fn with the camera's aspect ratio set to that of the figure, then restore it. */
+    static withAspect(camera, aspect, fn) {
+        const saved = camera.isOrthographicCamera ? { left: camera.left, right: camera.right } : { aspect: camera.aspect };
+        if (camera.isOrthographicCamera) {
+            const halfWidth = (camera.top - camera.bottom) / 2 * aspect;
+            const center = (camera.left + camera.right) / 2;
+            camera.left = center - halfWidth;
+            camera.right = center + halfWidth;
+        } else {
+            camera.aspect = aspect;
+        }
+        camera.updateProjectionMatrix();
+        try {
+            return fn();
+        } finally {
+            Object.assign(camera, saved);
+            camera.updateProjectionMatrix();
+        }
+    }
+
+    /**
+     * Point sizes are in pixels of the canvas, so scale them with the figure while fn runs:
+     * attenuated sizes are relative to the tile height, fixed ones to the window height.
+     */
+    static withPointSizes(scene, attenuated, fixed, fn) {
+        const saved = [];
+        scene.traverse(object => {
+            if (object.isPoints && object.material && !saved.some(([material]) => material === object.material)) {
+                saved.push([object.material, object.material.size]);
+                object.material.size = object.material.sizeAttenuation ? attenuated(object.material.size) : fixed(object.material.size);
+            }
+        });
+        try {
+            fn();
+        } finally {
+            saved.forEach(([material, size]) => { material.size = size; });
+        }
+    }
+
+    /** Copy of a PNG Blob with a pHYs chunk, so that the image opens at its physical size. */
+    static async setPNGResolution(blob, dpi) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const pixelsPerMetre = Math.round(dpi / 0.0254);
+        const chunk = new Uint8Array(21);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, 9);
+        chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+        view.setUint32(8, pixelsPerMetre);
+        view.setUint32(12, pixelsPerMetre);
+        chunk[16] = 1; // Unit: metre
+        view.setUint32(17, LIPFigure.crc32(chunk.subarray(4, 17)));
+
+        // The chunk goes right after IHDR (which ends at byte 33), replacing any the encoder wrote
+        const parts = [bytes.subarray(0, 33), chunk];
+        const data = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        for (let offset = 33; offset < bytes.length;) {
+            const end = offset + 12 + data.getUint32(offset);
+            if (String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)) !== 'pHYs') {
+                parts.push(bytes.subarray(offset, end));
+            }
+            offset = end;
+        }
+        return new Blob(parts, { type: 'image/png' });
+    }
+
+    static crc32(bytes) {
+        let crc = 0xffffffff;
+        for (const byte of bytes) {
+            crc ^= byte;
+            for (let k = 0; k < 8; k++) {
+                crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+            }
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * SVG of everything visible in the scene, seen from the camera, on a width × height canvas.
+     * Options:
+     *   units       - physical size, e.g. { width: '6in', height: '4in' }; defaults to pixels
+     *   pixelScale  - figure pixels per pixel of the window, for line widths, point and text sizes
+     *   exclude     - objects to leave out (with their children), e.g. the axes helper
+     *   axes        - { min, max, dimension, names } to draw labelled axes with ticks along the box
+     *   labelStyle  - LIPLabels, for the font and colours of sprite labels
+     */
+    static toSVG(scene, camera, { width, height, units = null, pixelScale = 1, exclude = [], axes = null, labelStyle = {} }) {
+        LIPFigure.checkSize(width, height);
+        return LIPFigure.withAspect(camera, width / height, () => {
+            scene.updateMatrixWorld(true);
+            camera.updateMatrixWorld(true);
+            const figure = new SVGFigure(camera, width, height, pixelScale, labelStyle);
+
+            const excluded = new Set();
+            exclude.filter(object => object).forEach(object => object.traverse(child => excluded.add(child)));
+
+            scene.traverseVisible(object => {
+                if (excluded.has(object)) return;
+                if (object.isSprite) {
+                    figure.addSprite(object);
+                } else if (object.isMesh) {
+                    figure.addMesh(object);
+                } else if (object.isLine) {
+                    // Outlines of a mesh are drawn as the strokes of its polygons
+                    if (!(object.parent && object.parent.isMesh && object.isLineSegments)) figure.addLine(object);
+                } else if (object.isPoints) {
+                    figure.addPoints(object);
+                }
+            });
+            if (axes) {
+                figure.addAxes(axes);
+            }
+
+            const background = scene.background && scene.background.isColor ? scene.background : null;
+            return figure.toString(units, background);
+        });
+    }
+
+    /** Boundary loops of the coplanar, edge-connected triangles of a mesh, in world space. */
+    static meshPolygons(mesh) {
+        const geometry = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry;
+        const position = geometry.attributes.position;
+        const color = mesh.material.vertexColors && geometry.attributes.color ? geometry.attributes.color : null;
+        const triangles = [];
+        for (let i = 0; i + 2 < position.count; i += 3) {
+            const points = [0, 1, 2].map(k => new THREE.Vector3().fromBufferAttribute(position, i + k).applyMatrix4(mesh.matrixWorld));
+            const normal = new THREE.Vector3().crossVectors(
+                new THREE.Vector3().subVectors(points[1], points[0]),
+                new THREE.Vector3().subVectors(points[2], points[0]));
+            if (normal.lengthSq() === 0) continue;
+            normal.normalize();
+            const colors = color ? [0, 1, 2].map(k => new THREE.Color().fromBufferAttribute(color, i + k)) : null;
+            triangles.push({ points, normal, colors });
+        }
+
+        // Per-vertex colours vary across a plane (e.g. a heatmap), so those triangles stay apart
+        if (color) {
+            return triangles.map(({ points, normal, colors }) => ({
+                points,
+                normal,
+                color: colors.reduce((sum, c) => sum.add(c), new THREE.Color(0, 0, 0)).multiplyScalar(1 / 3)
+            }));
+        }
+
+        const key = point => point.toArray().map(x => x.toFixed(5)).join(',');
+        const planes = new Map();
+        triangles.forEach(triangle => {
+            // Orient the normal canonically so both windings of a plane share a key
+            const n = triangle.normal.clone();
+            const sign = Math.sign(n.x) || Math.sign(n.y) || Math.sign(n.z);
+            n.multiplyScalar(sign);
+            const planeKey = [n.x, n.y, n.z, n.dot(triangle.points[0])].map(x => x.toFixed(4)).join(',');
+            if (!planes.has(planeKey)) planes.set(planeKey, []);
+            planes.get(planeKey).push(triangle);
+        });
+
+        const polygons = [];
+        planes.forEach(group => {
+            // Edges shared by two triangles are interior; the others form the boundary loops
+            const edges = new Map();
+            const points = new Map();
+            group.forEach(({ points: triangle }) => {
+                triangle.forEach((a, k) => {
+                    const b = triangle[(k + 1) % 3];
+                    const [ka, kb] = [key(a), key(b)];
+                    points.set(ka, a);
+                    points.set(kb, b);
+                    const edgeKey = ka < kb ? `${ka}|${kb}` : `${kb}|${ka}`;
+                    edges.set(edgeKey, edges.has(edgeKey) ? null : [ka, kb]);
+                });
+            });
+
+            const neighbours = new Map();
+            edges.forEach(edge => {
+                if (!edge) return;
+                edge.forEach((k, i) => {
+                    if (!neighbours.has(k)) neighbours.set(k, []);
+                    neighbours.get(k).push(edge[1 - i]);
+                });
+            });
+
+            const used = new Set();
+            neighbours.forEach((_, start) => {
+                if (used.has(start)) return;
+                const loop = [];
+                let previous = null;
+                let current = start;
+                while (current && !used.has(current)) {
+                    used.add(current);
+                    loop.push(points.get(current));
+                    const next = neighbours.get(current).find(k => k !== previous && !used.has(k));
+                    previous = current;
+                    current = next;
+                }
+                if (loop.length >= 3) {
+                    polygons.push({ points: loop, normal: group[0].normal, color: null });
+                }
+            });
+        });
+        return polygons;
+    }
+
+    /** Keep the part of a convex polygon on the non-negative side of every plane. */
+    static clip(points, planes) {
+        let result = points;
+        planes.forEach(plane => {
+            const clipped = [];
+            result.forEach((a, i) => {
+                const b = result[(i + 1) % result.length];
+                const [da, db] = [plane.distanceToPoint(a), plane.distanceToPoint(b)];
+                if (da >= 0) clipped.push(a);
+                if ((da >= 0) !== (db >= 0)) clipped.push(a.clone().lerp(b, da / (da - db)));
+            });
+            result = clipped;
+        });
+        return result;
+    }
+
+    /** The part of the segment ab on the non-negative side of every plane, or null. */
+    static clipSegment(a, b, planes) {
+        let [start, end] = [a, b];
+        for (const plane of planes) {
+            const [ds, de] = [plane.distanceToPoint(start), plane.distanceToPoint(end)];
+            if (ds < 0 && de < 0) return null;
+            if (ds < 0) start = start.clone().lerp(end, ds / (ds - de));
+            if (de < 0) end = end.clone().lerp(start, de / (de - ds));
+        }
+        return [start, end];
+    }
+
+    /** Round tick spacing of 1, 2 or 5 × 10^k giving about `count` ticks over the range. */
+    static tickStep(range, count = 5) {
+        const raw = range / count;
+        const power = 10 ** Math.floor(Math.log10(raw));
+        const scaled = raw / power;
+        return (scaled < 1.5 ? 1 : scaled < 3.5 ? 2 : scaled < 7.5 ? 5 : 10) * power;
+    }
+
+    static escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+}
+
+/** Depth-sorted SVG primitives of one figure; module-private helper of LIPFigure.toSVG. */
+class SVGFigure {
+    constructor(camera, width, height, pixelScale, labelStyle) {
+        this.camera = camera;
+        this.width = width;
+        this.height = height;
+        this.pixelScale = pixelScale;
+        this.labelStyle = {
+            fontSize: 48,
+            padding: 8,
+            fontFamily: 'Arial, sans-serif',
+            backgroundColor: 'rgba(255, 255, 255, 0.9)',
+            textColor: '#333',
+            borderColor: '#ccc',
+            ...Object.fromEntries(['fontSize', 'padding', 'fontFamily', 'backgroundColor', 'textColor', 'borderColor']
+                .filter(key => labelStyle[key] !== undefined).map(key => [key, labelStyle[key]]))
+        };
+        this.items = [];    // { depth, svg }, drawn far to near
+        this.overlay = [];  // Drawn on top in order, like materials without depth test
+        this.viewDirection = new THREE.Vector3();
+        camera.getWorldDirection(this.viewDirection);
+    }
+
+    project(point) {
+        const ndc = point.clone().project(this.camera);
+        const view = point.clone().applyMatrix4(this.camera.matrixWorldInverse);
+        return {
+            x: (ndc.x + 1) / 2 * this.width,
+            y: (1 - ndc.y) / 2 * this.height,
+            depth: -view.z,
+            inside: ndc.z >= -1 && ndc.z <= 1
+        };
+    }
+
+    add(material, depth, svg) {
+        if (material.depthTest === false) {
+            this.overlay.push({ depth, svg });
+        } else {
+            this.items.push({ depth, svg });
+        }
+    }
+
+    static color(color) {
+        return `#${color.getHexString()}`;
+    }
+
+    static format(x) {
+        return Number(x.toFixed(2)).toString();
+    }
+
+    static opacity(material) {
+        return material.transparent ? material.opacity : 1;
+    }
+
+    addMesh(mesh) {
+        const material = mesh.material;
+        if (Array.isArray(material) || !material.visible || SVGFigure.opacity(material) === 0) return;
+        const planes = material.clippingPlanes || [];
+        const outline = mesh.children.find(child => child.isLineSegments && child.visible && child.material.visible);
+        const lit = !material.isMeshBasicMaterial;
+        const format = SVGFigure.format;
+
+        LIPFigure.meshPolygons(mesh).forEach(polygon => {
+            const points = LIPFigure.clip(polygon.points, planes);
+            if (points.length < 3) return;
+            const projected = points.map(point => this.project(point));
+            if (!projected.every(p => p.inside)) return;
+
+            const toPolygon = this.camera.isPerspectiveCamera
+                ? new THREE.Vector3().subVectors(points[0], this.camera.position)
+                : this.viewDirection;
+            const frontFacing = polygon.normal.dot(toPolygon) < 0;
+            if ((material.side === THREE.FrontSide && !frontFacing) || (material.side === THREE.BackSide && frontFacing)) return;
+
+            // Flat colour with a headlight term, so the faces of a region stay apart
+            const color = (polygon.color || material.color).clone();
+            if (lit) color.multiplyScalar(0.6 + 0.4 * Math.abs(polygon.normal.dot(this.viewDirection)));
+
+            const opacity = SVGFigure.opacity(material);
+            const attributes = material.wireframe
+                ? `fill="none" stroke="${SVGFigure.color(color)}" stroke-opacity="${format(opacity)}" stroke-width="${format(this.pixelScale)}"`
+                : `fill="${SVGFigure.color(color)}"${opacity < 1 ? ` fill-opacity="${format(opacity)}"` : ''}` +
+                  (outline
+                      ? ` stroke="${SVGFigure.color(outline.material.color)}" stroke-opacity="${format(SVGFigure.opacity(outline.material))}" stroke-width="${format(this.pixelScale)}" stroke-linejoin="round"`
+                      : '');
+            const depth = projected.reduce((sum, p) => sum + p.depth, 0) / projected.length;
+            this.add(material, depth, `<polygon points="${projected.map(p => `${format(p.x)},${format(p.y)}`).join(' ')}" ${attributes}/>`);
+        });
+    }
+
+    addLine(line) {
+        const material = line.material;
+        if (Array.isArray(material) || !material.visible) return;
+        const geometry = line.geometry;
+        const position = geometry.attributes.position;
+        const color = material.vertexColors && geometry.attributes.color ? geometry.attributes.color : null;
+        const index = geometry.index;
+        const at = i => index ? index.getX(i) : i;
+        const count = index ? index.count : position.count;
+        const range = geometry.drawRange;
+        const start = range.start;
+        const end = Math.min(count, range.start + range.count);
+
+        const pairs = [];
+        if (line.isLineSegments) {
+            for (let i = start; i + 1 < end; i += 2) pairs.push([at(i), at(i + 1)]);
+        } else {
+            for (let i = start; i + 1 < end; i++) pairs.push([at(i), at(i + 1)]);
+            if (line.isLineLoop && end - start > 2) pairs.push([at(end - 1), at(start)]);
+        }
+
+        const format = SVGFigure.format;
+        const opacity = SVGFigure.opacity(material);
+        const width = (material.linewidth || 1) * this.pixelScale;
+        pairs.forEach(([i, j]) => {
+            const ends = [i, j].map(k => new THREE.Vector3().fromBufferAttribute(position, k).applyMatrix4(line.matrixWorld));
+            const clipped = LIPFigure.clipSegment(...ends, material.clippingPlanes || []);
+            if (!clipped) return;
+            const [a, b] = clipped.map(point => this.project(point));
+            if (!a.inside || !b.inside) return;
+            const stroke = color ? new THREE.Color().fromBufferAttribute(color, i) : material.color;
+            // Sort by the nearer end, so that edges on a face are drawn over it
+            this.add(material, Math.min(a.depth, b.depth),
+                `<line x1="${format(a.x)}" y1="${format(a.y)}" x2="${format(b.x)}" y2="${format(b.y)}" stroke="${SVGFigure.color(stroke)}"` +
+                `${opacity < 1 ? ` stroke-opacity="${format(opacity)}"` : ''} stroke-width="${format(width)}" stroke-linecap="round"/>`);
+        });
+    }
+
+    addPoints(points) {
+        const material = points.material;
+        if (Array.isArray(material) || !material.visible) return;
+        const position = points.geometry.attributes.position;
+        const planes = material.clippingPlanes || [];
+        const format = SVGFigure.format;
+        const opacity = SVGFigure.opacity(material);
+
+        for (let i = 0; i < position.count; i++) {
+            const point = new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(points.matrixWorld);
+            if (planes.some(plane => plane.distanceToPoint(point) < 0)) continue;
+            const p = this.project(point);
+            if (!p.inside) continue;
+            // As in WebGL: attenuated sizes shrink with depth in a perspective view
+            const size = material.sizeAttenuation && this.camera.isPerspectiveCamera
+                ? material.size * this.height / 2 / p.depth
+                : material.size * this.pixelScale;
+            this.add(material, p.depth,
+                `<circle cx="${format(p.x)}" cy="${format(p.y)}" r="${format(size / 2)}" fill="${SVGFigure.color(material.color)}"${opacity < 1 ? ` fill-opacity="${format(opacity)}"` : ''}/>`);
+        }
+    }
+
+    addSprite(sprite) {
+        const text = sprite.userData.formattedName ?? sprite.userData.text;
+        if (text === undefined || text === null || !sprite.material.visible) return;
+        const center = new THREE.Vector3().setFromMatrixPosition(sprite.matrixWorld);
+        if ((sprite.material.clippingPlanes || []).some(plane => plane.distanceToPoint(center) < 0)) return;
+        const p = this.project(center);
+        if (!p.inside) return;
+
+        // Sprites keep their world size facing the camera: measure it along the camera's up axis
+        const scale = new THREE.Vector3().setFromMatrixScale(sprite.matrixWorld);
+        const up = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 1).normalize();
+        const top = this.project(center.clone().addScaledVector(up, scale.y / 2));
+        const boxHeight = 2 * Math.hypot(top.x - p.x, top.y - p.y);
+        const boxWidth = boxHeight * scale.x / scale.y;
+        const style = this.labelStyle;
+        const fontSize = boxHeight * style.fontSize / (style.fontSize + 2 * style.padding);
+        const format = SVGFigure.format;
+        const opacity = sprite.material.opacity;
+
+        this.add(sprite.material, p.depth,
+            `<g${opacity < 1 ? ` opacity="${format(opacity)}"` : ''}>` +
+            `<rect x="${format(p.x - boxWidth / 2)}" y="${format(p.y - boxHeight / 2)}" width="${format(boxWidth)}" height="${format(boxHeight)}" rx="${format(boxHeight * 0.1)}" ` +
+            `fill="${style.backgroundColor}" stroke="${style.borderColor}" stroke-width="${format(boxHeight / 32)}"/>` +
+            `<text x="${format(p.x)}" y="${format(p.y)}" font-family="${LIPFigure.escape(style.fontFamily)}" font-size="${format(fontSize)}" font-weight="bold" ` +
+            `fill="${style.textColor}" text-anchor="middle" dominant-baseline="central">${LIPFigure.escape(text)}</text></g>`);
+    }
+
+    addAxes({ min, max, dimension, names }) {
+        const format = SVGFigure.format;
+        const tick = 6 * this.pixelScale;
+        const fontSize = 12 * this.pixelScale;
+        const origin = this.project(min);
+        const parts = [];
+
+        for (let k = 0; k < dimension; k++) {
+            const low = min.getComponent(k);
+            const high = max.getComponent(k);
+            const end = min.clone().setComponent(k, high);
+            const a = origin;
+            const b = this.project(end);
+            if (!a.inside || !b.inside) continue;
+            parts.push(`<line x1="${format(a.x)}" y1="${format(a.y)}" x2="${format(b.x)}" y2="${format(b.y)}" stroke="#333" stroke-width="${format(1.5 * this.pixelScale)}"/>`);
+
+            // Ticks stick out perpendicular to the axis on screen, away from the box centre
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            if (length < 1) continue;
+            let [nx, ny] = [-(b.y - a.y) / length, (b.x - a.x) / length];
+            const centre = this.project(min.clone().add(max).multiplyScalar(0.5));
+            if (nx * (centre.x - a.x) + ny * (centre.y - a.y) > 0) [nx, ny] = [-nx, -ny];
+
+            const step = LIPFigure.tickStep(high - low);
+            const first = Math.ceil(low / step - 1e-9);
+            const last = Math.floor(high / step + 1e-9);
+            for (let i = first; i <= last; i++) {
+                const value = i * step;
+                const p = this.project(min.clone().setComponent(k, value));
+                parts.push(`<line x1="${format(p.x)}" y1="${format(p.y)}" x2="${format(p.x + nx * tick)}" y2="${format(p.y + ny * tick)}" stroke="#333" stroke-width="${format(this.pixelScale)}"/>`);
+                parts.push(`<text x="${format(p.x + nx * tick * 2.2)}" y="${format(p.y + ny * tick * 2.2)}" font-family="Arial, sans-serif" font-size="${format(fontSize)}" ` +
+                    `fill="#333" text-anchor="middle" dominant-baseline="central">${Number(value.toFixed(6))}</text>`);
+            }
+
+            const label = this.project(min.clone().setComponent(k, high + (high - low) * 0.08));
+            parts.push(`<text x="${format(label.x)}" y="${format(label.y)}" font-family="Arial, sans-serif" font-size="${format(fontSize * 1.3)}" ` +
+                `font-style="italic" fill="#333" text-anchor="middle" dominant-baseline="central">${LIPFigure.escape(names[k])}</text>`);
+        }
+        this.overlay.push({ depth: 0, svg: `<g class="axes">${parts.join('')}</g>` });
+    }
+
+    toString(units, background) {
+        const format = SVGFigure.format;
+        const size = units
+            ? `width="${units.width}" height="${units.height}"`
+            : `width="${this.width}" height="${this.height}"`;
+        const body = [...this.items.sort((a, b) => b.depth - a.depth), ...this.overlay.sort((a, b) => b.depth - a.depth)].map(item => item.svg);
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" ${size} viewBox="0 0 ${format(this.width)} ${format(this.height)}">`,
+            '<!-- LIP exported from the LIP visualiser -->',
+            background ? `<rect width="100%" height="100%" fill="${SVGFigure.color(background)}"/>` : '',
+            ...body,
+            '</svg>'
+        ].filter(line => line !== '').join('\n') + '\n';
+    }
+}
@@ -4,10 +4,17 @@
  */
 
 import * as THREE from 'three';
+import { Rational } from './rational.js';
+import { LIPEngine } from './engine.js';
 
 export class LIPGeometry {
-    constructor(data) {
+    /**
+     * @param {Object} data - LIP.json of 2 or 3 goods
+     * @param {Object} options - logger receives the progress log and skipped facets (console by default)
+     */
+    constructor(data, { logger = console } = {}) {
         this.data = data;
+        this.logger = logger;
         this.vertices = this.parseVertices();
         this.facets = this.parseFacets();
     }
@@ -17,11 +24,23 @@ export class LIPGeometry {
             throw new Error('No vertices found in LIP data');
         }
         
+        // Keep the exact coordinates alongside the floats used for rendering.
+        // Coordinates may be numbers, "p/q" strings or [p, q] pairs.
+        // LIPs of 2 goods are drawn in the plane z = 0; more goods are sliced
+        // down to 3 before they get here (see LIPEngine.project).
+        this.exactVertices = [];
+        this.dimension = this.data.vertices.length > 0 ? this.data.vertices[0].length : 3;
+        if (this.dimension !== 2 && this.dimension !== 3) {
+            throw new Error(`Cannot draw a LIP of ${this.dimension} goods directly - expected [x, y] or [x, y, z] vertices`);
+        }
+        
         return this.data.vertices.map(vertex => {
-            if (!Array.isArray(vertex) || vertex.length !== 3) {
-                throw new Error('Invalid vertex format - expected [x, y, z]');
+            if (!Array.isArray(vertex) || vertex.length !== this.dimension) {
+                throw new Error(`Invalid vertex format - expected ${this.dimension} coordinates`);
             }
-            return new THREE.Vector3(vertex[0], vertex[1], vertex[2]);
+            this.exactVertices.push(Rational.parsePoint(vertex));
+            const [x, y, z = 0] = vertex.map(coordinate => Rational.toNumber(coordinate));
+            return new THREE.Vector3(x, y, z);
         });
     }
 
@@ -30,7 +49,10 @@ export class LIPGeometry {
             throw new Error('No facets found in LIP data');
         }
         
-        return this.data.facets.map(facet => {
+        // A facet of a LIP of n goods needs at least n vertices.
+        // facetSources[id] is the position in data.facets of the facet kept as id
+        this.facetSources = [];
+        return this.data.facets.map((facet, source) => {
             if (!Array.isArray(facet)) {
                 throw new Error('Invalid facet format - expected array of vertex indices');
             }
@@ -40,114 +62,219 @@ export class LIPGeometry {
                 Number.isInteger(index) && index >= 0 && index < this.vertices.length
             );
             
-            if (validIndices.length < 3) {
-                console.warn(`Skipping facet with insufficient vertices: ${facet}`);
+            if (validIndices.length < this.dimension) {
+                this.logger.warn(`Skipping facet with insufficient vertices: ${facet}`);
                 return null;
             }
             
+            this.facetSources.push(source);
             return validIndices;
         }).filter(facet => facet !== null);
     }
 
     createFacetGeometries() {
-        const geometries = [];
-        
-        console.log('=== DEBUG: Processing facets ===');
-        console.log(`Total facets: ${this.facets.length}`);
-        console.log(`Total vertices: ${this.vertices.length}`);
-        
-        // Show first few vertices to verify data loading
-        console.log('First 5 vertices:');
-        for (let i = 0; i < Math.min(5, this.vertices.length); i++) {
-            const v = this.vertices[i];
-            console.log(`  V${i}: (${v.x}, ${v.y}, ${v.z})`);
+        if (this.dimension === 2) {
+            return this.createSegmentGeometries();
         }
         
-        // Analyze facet dimensions
-        const facetsBySize = {};
-        this.facets.forEach((facetIndices, index) => {
-            const size = facetIndices.length;
-            if (!facetsBySize[size]) facetsBySize[size] = [];
-            facetsBySize[size].push(index);
-        });
-        
-        console.log('Facets by vertex count:');
-        Object.keys(facetsBySize).forEach(size => {
-            console.log(`  ${size} vertices: ${facetsBySize[size].length} facets`);
-        });
+        const geometries = [];
+        let skipped = 0;
         
         this.facets.forEach((facetIndices, index) => {
             try {
-                const facetVertices = facetIndices.map(i => this.vertices[i]);
+                // Julia emits every non-empty P_Φ ∩ P_Ψ, so some entries are edges or points
+                const uniqueIndices = [...new Set(facetIndices)];
+                const facetVertices = uniqueIndices.map(i => this.vertices[i]);
                 
-                // DEBUG: Only show the FIRST four-vertex facet to debug triangulation
-                if (facetVertices.length === 4 && index > 0) {
-                    console.log(`Skipping facet ${index} (showing only FIRST four-vertex facet for debugging)`);
+                if (this.getExactAffineDimension(uniqueIndices) !== 2) {
+                    skipped++;
                     return;
                 }
                 
-                // Debug the first few 4-vertex facets (these should be our main planes)
-                if (facetVertices.length === 4 && index < 5) {
-                    console.log(`\nDEBUG Facet ${index} (4 vertices):`);
-                    console.log('  Indices:', facetIndices);
-                    console.log('  Vertices:');
-                    facetVertices.forEach((v, i) => {
-                        console.log(`    V${i}: (${v.x.toFixed(3)}, ${v.y.toFixed(3)}, ${v.z.toFixed(3)})`);
-                    });
-                    
-                    // Check if this is one of our expected planes (p₁=1, p₂=1, or p₃=1)
-                    const coords = facetVertices.map(v => [v.x, v.y, v.z]);
-                    const x_coords = coords.map(c => c[0]);
-                    const y_coords = coords.map(c => c[1]); 
-                    const z_coords = coords.map(c => c[2]);
-                    
-                    const x_const = Math.abs(Math.max(...x_coords) - Math.min(...x_coords)) < 0.001;
-                    const y_const = Math.abs(Math.max(...y_coords) - Math.min(...y_coords)) < 0.001;
-                    const z_const = Math.abs(Math.max(...z_coords) - Math.min(...z_coords)) < 0.001;
-                    
-                    if (x_const && Math.abs(x_coords[0] - 1) < 0.001) {
-                        console.log('  → This is the p₁ = 1 plane! ✓');
-                    } else if (y_const && Math.abs(y_coords[0] - 1) < 0.001) {
-                        console.log('  → This is the p₂ = 1 plane! ✓');
-                    } else if (z_const && Math.abs(z_coords[0] - 1) < 0.001) {
-                        console.log('  → This is the p₃ = 1 plane! ✓');
-                    } else {
-                        console.log('  → Not a simple coordinate plane');
-                        console.log(`    X range: [${Math.min(...x_coords).toFixed(3)}, ${Math.max(...x_coords).toFixed(3)}]`);
-                        console.log(`    Y range: [${Math.min(...y_coords).toFixed(3)}, ${Math.max(...y_coords).toFixed(3)}]`);
-                        console.log(`    Z range: [${Math.min(...z_coords).toFixed(3)}, ${Math.max(...z_coords).toFixed(3)}]`);
-                    }
-                }
+                // Vertices come in arbitrary order, so sort them into a cycle first
+                const order = this.orderPolygonVertices(facetVertices);
+                const orderedVertices = order.map(i => facetVertices[i]);
+                const orderedIndices = order.map(i => uniqueIndices[i]);
                 
-                // Render 4-vertex facets as simple wireframes (avoid triangulation issues)
-                if (facetVertices.length === 4) {
-                    console.log(`Creating wireframe for facet ${index} with 4 vertices`);
-                    
-                    // Create simple wireframe geometry - just the edges of the rectangle
-                    const wireframeGeometry = this.createWireframeQuad(facetVertices);
-                    
-                    if (wireframeGeometry) {
-                        geometries.push({
-                            geometry: wireframeGeometry,
-                            vertices: facetVertices,
-                            indices: facetIndices,
-                            id: index,
-                            dimension: 2,
-                            isWireframe: true
-                        });
-                        
-                        console.log(`✓ Added wireframe facet ${index}`);
-                    }
+                const geometry = this.createFacetGeometry(orderedVertices, index);
+                if (!geometry) {
+                    skipped++;
+                    return;
                 }
+                
+                geometries.push({
+                    geometry: geometry,
+                    outline: this.createOutlineGeometry(orderedVertices),
+                    vertices: orderedVertices,
+                    indices: orderedIndices,
+                    normal: this.calculatePolygonNormal(orderedVertices),
+                    primitiveNormal: this.getExactFacetNormal(orderedIndices),
+                    id: index,
+                    dimension: 2
+                });
             } catch (error) {
-                console.warn(`Failed to create geometry for facet ${index}:`, error);
+                this.logger.warn(`Failed to create geometry for facet ${index}:`, error);
+            }
+        });
+        
+        this.logger.log(`Created ${geometries.length} face geometries (${this.facets.length} total facets, ${skipped} lower-dimensional or degenerate)`);
+        return geometries;
+    }
+
+    createSegmentGeometries() {
+        // Facets of a 2-good LIP are segments; draw them as lines in the plane
+        const geometries = [];
+        let skipped = 0;
+        
+        this.facets.forEach((facetIndices, index) => {
+            const uniqueIndices = [...new Set(facetIndices)];
+            if (this.getExactAffineDimension(uniqueIndices) !== 1) {
+                skipped++;
+                return;
             }
+            
+            // The segment runs between its two extreme vertices
+            const exact = uniqueIndices.map(i => this.exactVertices[i]);
+            const order = uniqueIndices.map((_, i) => i).sort((a, b) =>
+                exact[a][0].compare(exact[b][0]) || exact[a][1].compare(exact[b][1]));
+            const endpoints = [uniqueIndices[order[0]], uniqueIndices[order[order.length - 1]]];
+            const vertices = endpoints.map(i => this.vertices[i]);
+            
+            const geometry = new THREE.BufferGeometry().setFromPoints(vertices);
+            const direction = new THREE.Vector3().subVectors(vertices[1], vertices[0]);
+            
+            geometries.push({
+                geometry: geometry,
+                outline: null,
+                vertices: vertices,
+                indices: endpoints,
+                normal: new THREE.Vector3(-direction.y, direction.x, 0).normalize(),
+                primitiveNormal: this.getExactFacetNormal(endpoints),
+                id: index,
+                dimension: 1
+            });
         });
         
-        console.log(`\nCreated ${geometries.length} face geometries (${this.facets.length} total facets)`);
+        this.logger.log(`Created ${geometries.length} segment geometries (${this.facets.length} total facets, ${skipped} degenerate)`);
         return geometries;
     }
 
+    getAffineDimension(vertices, tolerance = 1e-9) {
+        if (vertices.length === 0) return -1;
+        if (vertices.length === 1) return 0;
+        
+        // Dimension of the affine hull, measured relative to the facet's extent
+        const origin = vertices[0];
+        const scale = Math.max(1, ...vertices.map(v => v.distanceTo(origin)));
+        const edges = vertices.slice(1).map(v => new THREE.Vector3().subVectors(v, origin));
+        
+        const direction = edges.reduce((longest, e) => e.length() > longest.length() ? e : longest);
+        if (direction.length() < tolerance * scale) return 0;
+        
+        const maxCross = Math.max(...edges.map(e => new THREE.Vector3().crossVectors(direction, e).length()));
+        if (maxCross < tolerance * scale * scale) return 1;
+        
+        const normal = this.calculatePlaneNormal(vertices);
+        const maxOffset = Math.max(...edges.map(e => Math.abs(e.dot(normal))));
+        return maxOffset < tolerance * scale ? 2 : 3;
+    }
+
+    getExactAffineDimension(indices) {
+        if (indices.length === 0) return -1;
+        
+        const origin = this.exactVertices[indices[0]];
+        const differences = indices.slice(1).map(i => this.exactVertices[i].map((c, k) => c.sub(origin[k])));
+        return Rational.rank(differences);
+    }
+
+    getExactFacetNormal(indices) {
+        // Primitive integer normal of a facet, from the exact cross product of two edges
+        // (or the perpendicular of the segment for 2 goods).
+        // This is the bundle difference Φ − Ψ (weighted by χ) that the facet separates.
+        const origin = this.exactVertices[indices[0]];
+        const edges = indices.slice(1).map(i => this.exactVertices[i].map((c, k) => c.sub(origin[k])));
+        
+        if (this.dimension === 2) {
+            const edge = edges.find(e => e.some(c => !c.isZero()));
+            return edge ? Rational.toPrimitiveIntegers([edge[1].neg(), edge[0]]) : null;
+        }
+        
+        for (let a = 0; a < edges.length; a++) {
+            for (let b = a + 1; b < edges.length; b++) {
+                const [u, w] = [edges[a], edges[b]];
+                const cross = [
+                    u[1].mul(w[2]).sub(u[2].mul(w[1])),
+                    u[2].mul(w[0]).sub(u[0].mul(w[2])),
+                    u[0].mul(w[1]).sub(u[1].mul(w[0]))
+                ];
+                if (cross.some(c => !c.isZero())) {
+                    return Rational.toPrimitiveIntegers(cross);
+                }
+            }
+        }
+        
+        return null;
+    }
+
+    getExactVertex(index) {
+        return this.exactVertices[index];
+    }
+
+    formatVertex(index) {
+        return Rational.formatPoint(this.exactVertices[index]);
+    }
+
+    calculatePlaneNormal(vertices) {
+        // Newell's method needs the vertices in cyclic order, so for an unordered
+        // point set take the largest cross product spanned from the first vertex
+        const origin = vertices[0];
+        const best = new THREE.Vector3();
+        
+        for (let i = 1; i < vertices.length; i++) {
+            const e1 = new THREE.Vector3().subVectors(vertices[i], origin);
+            for (let j = i + 1; j < vertices.length; j++) {
+                const e2 = new THREE.Vector3().subVectors(vertices[j], origin);
+                const cross = new THREE.Vector3().crossVectors(e1, e2);
+                if (cross.lengthSq() > best.lengthSq()) {
+                    best.copy(cross);
+                }
+            }
+        }
+        
+        return best.lengthSq() > 0 ? best.normalize() : new THREE.Vector3(0, 1, 0);
+    }
+
+    orderPolygonVertices(vertices) {
+        // Returns the permutation that puts coplanar vertices into cyclic order.
+        // Projecting along the dominant normal axis is an affine bijection of the
+        // facet's plane, so sorting by angle in 2D gives a valid cycle in 3D.
+        const normal = this.calculatePlaneNormal(vertices);
+        const projected = this.projectVerticesTo2D(vertices, normal);
+        
+        const cx = projected.reduce((sum, p) => sum + p.x, 0) / projected.length;
+        const cy = projected.reduce((sum, p) => sum + p.y, 0) / projected.length;
+        
+        return projected
+            .map((p, i) => ({ i, angle: Math.atan2(p.y - cy, p.x - cx) }))
+            .sort((a, b) => a.angle - b.angle)
+            .map(entry => entry.i);
+    }
+
+    createOutlineGeometry(orderedVertices) {
+        const positions = [];
+        
+        for (let i = 0; i < orderedVertices.length; i++) {
+            const v1 = orderedVertices[i];
+            const v2 = orderedVertices[(i + 1) % orderedVertices.length];
+            positions.push(v1.x, v1.y, v1.z);
+            positions.push(v2.x, v2.y, v2.z);
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        return geometry;
+    }
+
     createFacetGeometry(vertices, facetId) {
         if (vertices.length < 3) {
             return null;
@@ -194,7 +321,7 @@ export class LIPGeometry {
             const triangles = this.triangulatePolygon(vertices);
             
             if (triangles.length === 0) {
-                console.warn(`Failed to triangulate facet ${facetId}`);
+                this.logger.warn(`Failed to triangulate facet ${facetId}`);
                 return null;
             }
             
@@ -215,11 +342,9 @@ export class LIPGeometry {
             geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
             geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
             
-            console.log(`Created geometry with ${positions.length/3} vertices from ${triangles.length} triangles`);
-            
             return geometry;
         } catch (error) {
-            console.warn(`Failed to create polygon geometry for facet ${facetId}:`, error);
+            this.logger.warn(`Failed to create polygon geometry for facet ${facetId}:`, error);
             return null;
         }
     }
@@ -228,7 +353,7 @@ export class LIPGeometry {
         // Generic solution using Three.js Shape and ShapeGeometry
         // Works for any number of vertices
         
-        console.log(`Creating ShapeGeometry for ${vertices.length} vertices`);
+        this.logger.log(`Creating ShapeGeometry for ${vertices.length} vertices`);
         
         // Calculate polygon normal to determine best projection plane
         const normal = this.calculatePolygonNormal(vertices);
@@ -236,9 +361,9 @@ export class LIPGeometry {
         // Project vertices to 2D plane
         const projected2D = this.projectVerticesTo2D(vertices, normal);
         
-        console.log('Projected 2D coordinates:');
+        this.logger.log('Projected 2D coordinates:');
         projected2D.forEach((p, i) => {
-            console.log(`  P${i}: (${p.x.toFixed(3)}, ${p.y.toFixed(3)})`);
+            this.logger.log(`  P${i}: (${p.x.toFixed(3)}, ${p.y.toFixed(3)})`);
         });
         
         // Create Three.js Shape from 2D points
@@ -255,7 +380,7 @@ export class LIPGeometry {
         // Transform back to 3D space
         this.transformGeometryTo3D(shapeGeometry, vertices, normal, projected2D);
         
-        console.log(`✓ Created ShapeGeometry with ${shapeGeometry.attributes.position.count} vertices`);
+        this.logger.log(`✓ Created ShapeGeometry with ${shapeGeometry.attributes.position.count} vertices`);
         return shapeGeometry;
     }
 
@@ -268,15 +393,12 @@ export class LIPGeometry {
         if (absNormal.z >= absNormal.x && absNormal.z >= absNormal.y) {
             // Project to XY plane (ignore Z)
             projectedPoints = vertices.map(v => ({ x: v.x, y: v.y }));
-            console.log('Projecting to XY plane');
         } else if (absNormal.y >= absNormal.x && absNormal.y >= absNormal.z) {
             // Project to XZ plane (ignore Y)
             projectedPoints = vertices.map(v => ({ x: v.x, y: v.z }));
-            console.log('Projecting to XZ plane');
         } else {
             // Project to YZ plane (ignore X)
             projectedPoints = vertices.map(v => ({ x: v.y, y: v.z }));
-            console.log('Projecting to YZ plane');
         }
         
         return projectedPoints;
@@ -339,71 +461,20 @@ export class LIPGeometry {
     }
 
     triangulatePolygon(vertices) {
-        console.log(`Triangulating ${vertices.length}-vertex polygon:`);
-        vertices.forEach((v, i) => {
-            console.log(`  V${i}: (${v.x.toFixed(3)}, ${v.y.toFixed(3)}, ${v.z.toFixed(3)})`);
-        });
-        
-        if (vertices.length === 3) {
-            console.log('Already a triangle');
-            return [vertices];
-        }
-        
-        if (vertices.length === 4) {
-            // For 4 vertices, use a simple but reliable approach
-            console.log('Using simple quad triangulation');
-            return [
-                [vertices[0], vertices[1], vertices[2]],
-                [vertices[0], vertices[2], vertices[3]]
-            ];
+        // Expects vertices in cyclic order (see orderPolygonVertices). LIP facets
+        // are intersections of halfspaces and hence convex, so a fan is exact.
+        if (vertices.length < 3) {
+            return [];
         }
         
-        // For 5+ vertices, use fan triangulation from first vertex
-        console.log(`Using fan triangulation for ${vertices.length} vertices`);
         const triangles = [];
         for (let i = 1; i < vertices.length - 1; i++) {
             triangles.push([vertices[0], vertices[i], vertices[i + 1]]);
-            console.log(`Triangle: V0-V${i}-V${i+1}`);
         }
         
-        console.log(`Created ${triangles.length} triangles`);
         return triangles;
     }
 
-    createWireframeQuad(vertices) {
-        // Create a simple wireframe for a 4-vertex polygon
-        // Just draw the edges - no triangulation needed!
-        
-        if (vertices.length !== 4) {
-            return null;
-        }
-        
-        const positions = [];
-        
-        // Create lines for each edge of the quad
-        // Edge 0-1
-        positions.push(vertices[0].x, vertices[0].y, vertices[0].z);
-        positions.push(vertices[1].x, vertices[1].y, vertices[1].z);
-        
-        // Edge 1-2  
-        positions.push(vertices[1].x, vertices[1].y, vertices[1].z);
-        positions.push(vertices[2].x, vertices[2].y, vertices[2].z);
-        
-        // Edge 2-3
-        positions.push(vertices[2].x, vertices[2].y, vertices[2].z);
-        positions.push(vertices[3].x, vertices[3].y, vertices[3].z);
-        
-        // Edge 3-0 (close the quad)
-        positions.push(vertices[3].x, vertices[3].y, vertices[3].z);
-        positions.push(vertices[0].x, vertices[0].y, vertices[0].z);
-        
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        
-        console.log(`Created wireframe quad with ${positions.length/3} line vertices`);
-        return geometry;
-    }
-
     calculateNormal(v1, v2, v3) {
         const edge1 = new THREE.Vector3().subVectors(v2, v1);
         const edge2 = new THREE.Vector3().subVectors(v3, v1);
@@ -431,53 +502,41 @@ export class LIPGeometry {
         return normal.normalize();
     }
 
-    orderRectangleVertices(vertices) {
-        if (vertices.length !== 4) {
-            return vertices; // Not a quad, return as-is
+    orderRectangleVertices(indices) {
+        if (indices.length !== 4) {
+            return indices; // Not a quad, return as-is
         }
         
         // For a plane perpendicular to one axis (like p₁=1, p₂=1, p₃=1),
-        // we need to sort vertices to form a proper rectangle cycle
-        
-        // Find which coordinate is constant (determines the plane)
-        const coords = vertices.map(v => [v.x, v.y, v.z]);
-        const x_values = coords.map(c => c[0]);
-        const y_values = coords.map(c => c[1]);
-        const z_values = coords.map(c => c[2]);
-        
-        const x_const = Math.abs(Math.max(...x_values) - Math.min(...x_values)) < 0.001;
-        const y_const = Math.abs(Math.max(...y_values) - Math.min(...y_values)) < 0.001;
-        const z_const = Math.abs(Math.max(...z_values) - Math.min(...z_values)) < 0.001;
-        
-        if (x_const) {
-            // x is constant, sort by y then z to get proper rectangle order
-            return vertices.sort((a, b) => {
-                if (Math.abs(a.y - b.y) < 0.001) {
-                    return a.z - b.z; // Same y, sort by z
-                }
-                return a.y - b.y; // Sort by y first
-            });
-        } else if (y_const) {
+        // we need to sort vertices to form a proper rectangle cycle.
+        // Comparisons use the exact coordinates, so no tolerance is needed.
+        const coords = indices.map(i => this.exactVertices[i]);
+        const isConstant = axis => coords.every(c => c[axis].equals(coords[0][axis]));
+        
+        const sortBy = (first, second) => (a, b) => {
+            const ca = this.exactVertices[a];
+            const cb = this.exactVertices[b];
+            return ca[first].compare(cb[first]) || ca[second].compare(cb[second]);
+        };
+        
+        let sorted;
+        if (isConstant(0)) {
+            // x is constant, sort by y then z
+            sorted = [...indices].sort(sortBy(1, 2));
+        } else if (isConstant(1)) {
             // y is constant, sort by x then z
-            return vertices.sort((a, b) => {
-                if (Math.abs(a.x - b.x) < 0.001) {
-                    return a.z - b.z; // Same x, sort by z
-                }
-                return a.x - b.x; // Sort by x first
-            });
-        } else if (z_const) {
+            sorted = [...indices].sort(sortBy(0, 2));
+        } else if (isConstant(2)) {
             // z is constant, sort by x then y
-            return vertices.sort((a, b) => {
-                if (Math.abs(a.x - b.x) < 0.001) {
-                    return a.y - b.y; // Same x, sort by y
-                }
-                return a.x - b.x; // Sort by x first
-            });
+            sorted = [...indices].sort(sortBy(0, 1));
+        } else {
+            // Not a simple axis-aligned plane, return as-is for now
+            this.logger.warn('Complex polygon - using original vertex order');
+            return indices;
         }
         
-        // Not a simple axis-aligned plane, return as-is for now
-        console.warn('Complex polygon - using original vertex order');
-        return vertices;
+        // Lexicographic order visits the corners as a zig-zag; swap the last two to close the cycle
+        return [sorted[0], sorted[1], sorted[3], sorted[2]];
     }
 
     triangulateQuadSimple(vertices) {
@@ -502,14 +561,14 @@ export class LIPGeometry {
         const area1 = this.getTriangleArea(v0, v1, v2) + this.getTriangleArea(v0, v2, v3);
         const area2 = this.getTriangleArea(v0, v1, v3) + this.getTriangleArea(v1, v2, v3);
         
-        console.log(`Option 1 (diagonal 0-2) total area: ${area1.toFixed(4)}`);
-        console.log(`Option 2 (diagonal 1-3) total area: ${area2.toFixed(4)}`);
+        this.logger.log(`Option 1 (diagonal 0-2) total area: ${area1.toFixed(4)}`);
+        this.logger.log(`Option 2 (diagonal 1-3) total area: ${area2.toFixed(4)}`);
         
         // Choose the option with larger total area (more likely to be correct)
         const chosen = area1 >= area2 ? option1 : option2;
         const diag = area1 >= area2 ? "0-2" : "1-3";
         
-        console.log(`Chose diagonal ${diag} triangulation`);
+        this.logger.log(`Chose diagonal ${diag} triangulation`);
         return chosen;
     }
     
@@ -526,23 +585,24 @@ export class LIPGeometry {
             return null;
         }
         
-        let mesh;
+        const mesh = geometryData.dimension === 1
+            ? new THREE.Line(geometryData.geometry, material)
+            : new THREE.Mesh(geometryData.geometry, material);
         
-        if (geometryData.isWireframe) {
-            // Create LineSegments for wireframes
-            const lineMaterial = new THREE.LineBasicMaterial({ 
-                color: 0x0077ff,
-                linewidth: 2
+        // Outline the polygon so adjacent coplanar facets stay distinguishable
+        if (geometryData.outline) {
+            const outlineMaterial = new THREE.LineBasicMaterial({
+                color: 0x333333,
+                transparent: true,
+                opacity: 0.8
             });
-            mesh = new THREE.LineSegments(geometryData.geometry, lineMaterial);
-            console.log('Created LineSegments for wireframe facet');
-        } else {
-            // Create regular mesh for solid faces
-            mesh = new THREE.Mesh(geometryData.geometry, material);
-            console.log('Created Mesh for solid facet');
+            const outline = new THREE.LineSegments(geometryData.outline, outlineMaterial);
+            outline.name = `facet-outline-${geometryData.id}`;
+            mesh.add(outline);
         }
         
         // Store metadata for interaction
+        mesh.name = `facet-${geometryData.id}`;
         mesh.userData = {
             facetId: geometryData.id,
             vertexIndices: geometryData.indices,
@@ -608,6 +668,583 @@ export class LIPGeometry {
         return geometry;
     }
 
+    // ------------------------------------------------------------------
+    // Demand regions (cells)
+    //
+    // LIP.json does not record which pair of bundles a facet separates, so
+    // we recover it: a point just off either side of a facet belongs to the
+    // bundle demanded there when the file carries its valuation, and otherwise
+    // to the region whose label can be reached without crossing another facet
+    // (regions are convex). Each region P_Φ is then the bounding box cut by
+    // the halfspaces of the facets that border it.
+    // ------------------------------------------------------------------
+
+    /** LIPEngine for the valuation the data carries (see LIPEngine.fromData), or null. */
+    getEngine() {
+        if (this.engine === undefined) {
+            try {
+                this.engine = LIPEngine.fromData(this.data, { logger: this.logger });
+            } catch (error) {
+                this.logger.warn(`Ignoring the valuation in the LIP data: ${error.message}`);
+                this.engine = null;
+            }
+            if (this.engine && this.engine.n !== this.dimension) {
+                this.engine = null;
+            }
+        }
+        return this.engine;
+    }
+
+    getTolerance() {
+        const size = this.getSize();
+        return 1e-7 * Math.max(1, size.x, size.y, size.z);
+    }
+
+    getLabelPositions() {
+        return (this.data.labels || []).map(label => new THREE.Vector3(...label.map(c => Rational.toNumber(c))));
+    }
+
+    getExactLabelPositions() {
+        return (this.data.labels || []).map(label => Rational.parsePoint(label));
+    }
+
+    /**
+     * Label positions that lie in their own region, null for the others. createLIP.jl and
+     * LIPEngine put the labels of empty regions at the origin, which can lie in another
+     * region. With a valuation a label counts if its bundle is demanded there; without one,
+     * a label at the origin that shares its region with another label is left out.
+     */
+    getRegionLabels(facetGeometries) {
+        const labels = this.getLabelPositions();
+        const engine = this.getEngine();
+        if (engine) {
+            return this.getExactLabelPositions().map((label, i) =>
+                engine.demand(label).demanded.includes(i) ? labels[i] : null);
+        }
+
+        const tolerance = this.getTolerance();
+        const isOrigin = label => label.lengthSq() === 0;
+        return labels.map((label, i) => {
+            const shared = isOrigin(label) && labels.some((other, j) => j !== i && !isOrigin(other) &&
+                !facetGeometries.some(facet => this.segmentCrossesFacet(label, other, facet, tolerance)));
+            return shared ? null : label;
+        });
+    }
+
+    getBoxHalfspaces() {
+        // Halfspaces are stored as { normal, offset } meaning normal · p ≤ offset
+        const box = this.getBoundingBox();
+        const axes = [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)];
+        const halfspaces = [];
+        
+        axes.forEach((axis, k) => {
+            const key = ['x', 'y', 'z'][k];
+            halfspaces.push({ normal: axis.clone(), offset: box.max[key], source: { box: `max-${key}` } });
+            halfspaces.push({ normal: axis.clone().negate(), offset: -box.min[key], source: { box: `min-${key}` } });
+        });
+        
+        return halfspaces;
+    }
+
+    isPointInFacet(point, facet, tolerance = this.getTolerance()) {
+        // facet.vertices must be in cyclic order, facet.normal its plane normal
+        const { vertices, normal } = facet;
+        if (Math.abs(normal.dot(new THREE.Vector3().subVectors(point, vertices[0]))) > tolerance) {
+            return false;
+        }
+        
+        // Segments of 2-good LIPs: the point must lie between the endpoints
+        if (vertices.length === 2) {
+            const edge = new THREE.Vector3().subVectors(vertices[1], vertices[0]);
+            const t = edge.dot(new THREE.Vector3().subVectors(point, vertices[0])) / edge.lengthSq();
+            const slack = tolerance / Math.max(edge.length(), tolerance);
+            return t >= -slack && t <= 1 + slack;
+        }
+        
+        let sign = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            const edge = new THREE.Vector3().subVectors(b, a);
+            const toPoint = new THREE.Vector3().subVectors(point, a);
+            const side = normal.dot(new THREE.Vector3().crossVectors(edge, toPoint)) / Math.max(edge.length(), tolerance);
+            
+            if (Math.abs(side) <= tolerance) continue;
+            if (sign === 0) sign = Math.sign(side);
+            else if (Math.sign(side) !== sign) return false;
+        }
+        
+        return true;
+    }
+
+    segmentCrossesFacet(start, end, facet, tolerance = this.getTolerance()) {
+        const origin = facet.vertices[0];
+        const s0 = facet.normal.dot(new THREE.Vector3().subVectors(start, origin));
+        const s1 = facet.normal.dot(new THREE.Vector3().subVectors(end, origin));
+        
+        if (Math.abs(s1) <= tolerance) {
+            // The target itself lies on this facet
+            return this.isPointInFacet(end, facet, tolerance);
+        }
+        if (Math.abs(s0) <= tolerance || Math.sign(s0) === Math.sign(s1)) {
+            return false;
+        }
+        
+        const t = s0 / (s0 - s1);
+        const crossing = new THREE.Vector3().lerpVectors(start, end, t);
+        return this.isPointInFacet(crossing, facet, tolerance);
+    }
+
+    /**
+     * Index of the bundle whose region contains the point, or null on the LIP or outside every
+     * region. labelPositions are those of getRegionLabels; they are not needed with a valuation.
+     */
+    findRegionForPoint(point, facetGeometries, labelPositions = this.getRegionLabels(facetGeometries)) {
+        const engine = this.getEngine();
+        if (engine) {
+            const { demanded } = engine.demand(point.toArray().slice(0, this.dimension));
+            return demanded.length === 1 ? demanded[0] : null;
+        }
+
+        const tolerance = this.getTolerance();
+        const reachable = [];
+        labelPositions.forEach((label, index) => {
+            if (!label) return;
+            const blocked = facetGeometries.some(facet => this.segmentCrossesFacet(point, label, facet, tolerance));
+            if (!blocked) reachable.push(index);
+        });
+        
+        if (reachable.length <= 1) {
+            return reachable.length === 1 ? reachable[0] : null;
+        }
+        
+        // Two labels in one region: the closest one
+        return reachable.reduce((best, index) =>
+            labelPositions[index].distanceToSquared(point) < labelPositions[best].distanceToSquared(point) ? index : best
+        );
+    }
+
+    assignFacetRegions(facetGeometries) {
+        // Annotates every facet with the bundle index on each side of its normal
+        const size = this.getSize();
+        const step = 1e-4 * Math.max(1, size.x, size.y, size.z);
+        const labelPositions = this.getEngine() ? [] : this.getRegionLabels(facetGeometries);
+        
+        facetGeometries.forEach(facet => {
+            const centroid = facet.vertices
+                .reduce((sum, v) => sum.add(v), new THREE.Vector3())
+                .multiplyScalar(1 / facet.vertices.length);
+            const offset = facet.normal.clone().multiplyScalar(step);
+            
+            facet.regions = {
+                negative: this.findRegionForPoint(centroid.clone().sub(offset), facetGeometries, labelPositions),
+                positive: this.findRegionForPoint(centroid.clone().add(offset), facetGeometries, labelPositions)
+            };
+        });
+        
+        return facetGeometries;
+    }
+
+    createCellGeometries(facetGeometries) {
+        // Solid regions only exist in 3D; 2-good LIPs are drawn as line arrangements
+        if (this.dimension !== 3) {
+            return [];
+        }
+        
+        if (!facetGeometries.every(facet => facet.regions)) {
+            this.assignFacetRegions(facetGeometries);
+        }
+        
+        const bundles = this.data.bundles || [];
+        const labelPositions = this.getLabelPositions();
+        const cells = [];
+        
+        bundles.forEach((bundle, bundleIndex) => {
+            const halfspaces = this.getBoxHalfspaces();
+            
+            facetGeometries.forEach(facet => {
+                const offset = facet.normal.dot(facet.vertices[0]);
+                if (facet.regions.negative === bundleIndex) {
+                    halfspaces.push({ normal: facet.normal.clone(), offset, source: { facetId: facet.id } });
+                } else if (facet.regions.positive === bundleIndex) {
+                    halfspaces.push({ normal: facet.normal.clone().negate(), offset: -offset, source: { facetId: facet.id } });
+                }
+            });
+            
+            // A region bordered by no facet is only the whole box if it is the only one
+            if (halfspaces.length === 6 && facetGeometries.length > 0) {
+                return;
+            }
+            
+            const cell = this.createCellGeometry(halfspaces);
+            if (!cell) {
+                this.logger.warn(`Could not reconstruct a solid region for bundle ${bundle}`);
+                return;
+            }
+            
+            cells.push({
+                ...cell,
+                bundleIndex,
+                bundle,
+                label: labelPositions[bundleIndex] || null
+            });
+        });
+        
+        this.logger.log(`Reconstructed ${cells.length} demand regions (${bundles.length} bundles)`);
+        return cells;
+    }
+
+    createCellGeometry(halfspaces) {
+        const vertices = this.computePolytopeVertices(halfspaces);
+        if (vertices.length < 4 || this.getAffineDimension(vertices) !== 3) {
+            return null;
+        }
+        
+        const faces = this.computePolytopeFaces(halfspaces, vertices);
+        const positions = [];
+        const normals = [];
+        
+        faces.forEach(face => {
+            this.triangulatePolygon(face.vertices).forEach(triangle => {
+                // Wind each triangle so that it faces out of the polytope
+                const triangleNormal = this.calculateNormal(triangle[0], triangle[1], triangle[2]);
+                const ordered = triangleNormal.dot(face.normal) < 0 ? [triangle[0], triangle[2], triangle[1]] : triangle;
+                ordered.forEach(vertex => {
+                    positions.push(vertex.x, vertex.y, vertex.z);
+                    normals.push(face.normal.x, face.normal.y, face.normal.z);
+                });
+            });
+        });
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+        
+        return { geometry, vertices, faces, halfspaces };
+    }
+
+    computePolytopeVertices(halfspaces, tolerance = this.getTolerance()) {
+        // Brute-force vertex enumeration: intersect every triple of planes and
+        // keep the feasible points. Cells have few enough faces for this.
+        const vertices = [];
+        const n = halfspaces.length;
+        
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                for (let k = j + 1; k < n; k++) {
+                    const point = this.intersectPlanes(halfspaces[i], halfspaces[j], halfspaces[k]);
+                    if (!point) continue;
+                    
+                    const feasible = halfspaces.every(h => h.normal.dot(point) <= h.offset + tolerance);
+                    const duplicate = vertices.some(v => v.distanceTo(point) <= tolerance);
+                    if (feasible && !duplicate) {
+                        vertices.push(point);
+                    }
+                }
+            }
+        }
+        
+        return vertices;
+    }
+
+    intersectPlanes(h1, h2, h3) {
+        const n1 = h1.normal, n2 = h2.normal, n3 = h3.normal;
+        const n2xn3 = new THREE.Vector3().crossVectors(n2, n3);
+        const det = n1.dot(n2xn3);
+        if (Math.abs(det) < 1e-12) {
+            return null;
+        }
+        
+        // Cramer's rule in vector form
+        return n2xn3.multiplyScalar(h1.offset)
+            .add(new THREE.Vector3().crossVectors(n3, n1).multiplyScalar(h2.offset))
+            .add(new THREE.Vector3().crossVectors(n1, n2).multiplyScalar(h3.offset))
+            .divideScalar(det);
+    }
+
+    computePolytopeFaces(halfspaces, vertices, tolerance = this.getTolerance()) {
+        const faces = [];
+        
+        halfspaces.forEach(halfspace => {
+            const onPlane = vertices.filter(v => Math.abs(halfspace.normal.dot(v) - halfspace.offset) <= tolerance);
+            if (onPlane.length < 3 || this.getAffineDimension(onPlane) !== 2) {
+                return;
+            }
+            
+            // Two halfspaces can support the same face (e.g. a facet lying on the box)
+            const normal = halfspace.normal.clone().normalize();
+            if (faces.some(face => face.normal.dot(normal) > 1 - 1e-9 && face.vertices.length === onPlane.length &&
+                                   onPlane.every(v => face.vertices.some(w => w.distanceTo(v) <= tolerance)))) {
+                return;
+            }
+            
+            const order = this.orderPolygonVertices(onPlane);
+            faces.push({
+                vertices: order.map(i => onPlane[i]),
+                normal,
+                source: halfspace.source
+            });
+        });
+        
+        return faces;
+    }
+
+    createCellMesh(cell, material) {
+        const mesh = new THREE.Mesh(cell.geometry, material);
+        mesh.name = `cell-${cell.bundleIndex}`;
+        mesh.userData = {
+            bundleIndex: cell.bundleIndex,
+            bundle: cell.bundle,
+            vertexCount: cell.vertices.length
+        };
+        
+        return mesh;
+    }
+
+    // ------------------------------------------------------------------
+    // Demand regions
+    // ------------------------------------------------------------------
+
+    findExactVertex(position, tolerance = this.getTolerance()) {
+        // Cells are reconstructed in floats; their corners are LIP vertices, whose exact
+        // coordinates come from the data. Returns null for points that are not.
+        const index = this.vertices.findIndex(vertex => vertex.distanceTo(position) <= tolerance);
+        return index === -1 ? null : this.exactVertices[index];
+    }
+
+    /**
+     * Everything the region inspector shows about the region P_Φ of one bundle:
+     * { bundleIndex, bundle, cell, vertices: [{ position, exact }], volume, exactVolume,
+     *   bounded, boxPlanes, neighbours: [{ bundleIndex, bundle, geometryIndices, facetIds, normal }] }.
+     * Volume and vertices need a reconstructed cell, so they are null for 2 goods.
+     */
+    getRegionInfo(bundleIndex, cells, facetGeometries) {
+        if (!facetGeometries.every(facet => facet.regions)) {
+            this.assignFacetRegions(facetGeometries);
+        }
+        
+        const bundles = this.data.bundles || [];
+        const info = {
+            bundleIndex,
+            bundle: bundles[bundleIndex],
+            cell: cells.find(cell => cell.bundleIndex === bundleIndex) || null,
+            vertices: null,
+            volume: null,
+            exactVolume: false,
+            bounded: null,
+            boxPlanes: [],
+            neighbours: []
+        };
+        
+        // Neighbours are the bundles on the other side of the facets around P_Φ
+        const neighbours = new Map();
+        facetGeometries.forEach((facet, geometryIndex) => {
+            const { negative, positive } = facet.regions;
+            if (negative === positive || (negative !== bundleIndex && positive !== bundleIndex)) return;
+            const other = negative === bundleIndex ? positive : negative;
+            if (other === null) return;
+            
+            if (!neighbours.has(other)) {
+                neighbours.set(other, { bundleIndex: other, bundle: bundles[other], geometryIndices: [], facetIds: [], normal: facet.primitiveNormal });
+            }
+            neighbours.get(other).geometryIndices.push(geometryIndex);
+            neighbours.get(other).facetIds.push(facet.id);
+        });
+        info.neighbours = [...neighbours.values()].sort((a, b) => a.bundleIndex - b.bundleIndex);
+        
+        if (!info.cell) {
+            return info;
+        }
+        
+        const { cell } = info;
+        info.vertices = cell.vertices.map(position => ({ position, exact: this.findExactVertex(position) }));
+        
+        // Volume by the divergence theorem over fan triangulations of the outward faces,
+        // exactly when every corner is a known LIP vertex
+        const exactFaces = cell.faces.map(face => face.vertices.map(v => this.findExactVertex(v)));
+        info.exactVolume = exactFaces.every(face => face.every(point => point !== null));
+        
+        const det = (a, b, c, add, sub, mul) => add(add(
+            mul(a[0], sub(mul(b[1], c[2]), mul(b[2], c[1]))),
+            mul(a[1], sub(mul(b[2], c[0]), mul(b[0], c[2])))),
+            mul(a[2], sub(mul(b[0], c[1]), mul(b[1], c[0]))));
+        
+        let exactTotal = Rational.ZERO;
+        let total = 0;
+        cell.faces.forEach((face, f) => {
+            const [a, b, c] = face.vertices;
+            const outward = new THREE.Vector3().crossVectors(
+                new THREE.Vector3().subVectors(b, a), new THREE.Vector3().subVectors(c, a)).dot(face.normal) > 0;
+            
+            for (let k = 1; k + 1 < face.vertices.length; k++) {
+                const [i, j] = outward ? [k, k + 1] : [k + 1, k];
+                if (info.exactVolume) {
+                    const points = [exactFaces[f][0], exactFaces[f][i], exactFaces[f][j]];
+                    exactTotal = exactTotal.add(det(...points, (x, y) => x.add(y), (x, y) => x.sub(y), (x, y) => x.mul(y)));
+                } else {
+                    const points = [face.vertices[0], face.vertices[i], face.vertices[j]].map(v => [v.x, v.y, v.z]);
+                    total += det(...points, (x, y) => x + y, (x, y) => x - y, (x, y) => x * y);
+                }
+            }
+        });
+        info.volume = info.exactVolume ? exactTotal.div(new Rational(6n)) : total / 6;
+        
+        // P_Φ is unbounded iff the box cuts it, i.e. it has a face on the box that no facet supports
+        const tolerance = this.getTolerance();
+        cell.faces.forEach(face => {
+            if (!face.source || !face.source.box) return;
+            const supported = cell.halfspaces.some(h => h.source && h.source.facetId !== undefined &&
+                h.normal.clone().normalize().dot(face.normal) > 1 - 1e-9 &&
+                Math.abs(h.normal.dot(face.vertices[0]) - h.offset) <= tolerance);
+            if (!supported) {
+                const [bound, axis] = face.source.box.split('-');
+                const k = ['x', 'y', 'z'].indexOf(axis);
+                info.boxPlanes.push({ axis: k, bound, value: this.getBoundingBox()[bound][axis] });
+            }
+        });
+        info.bounded = info.boxPlanes.length === 0;
+        
+        return info;
+    }
+
+    // ------------------------------------------------------------------
+    // Axis-aligned slices p_k = c
+    //
+    // The slice of the LIP is the 2D LIP of the conditional valuation
+    // v(Φ) − χ_k c [k ∈ Φ]. Facets are cut exactly; regions in floats,
+    // since they are only drawn.
+    // ------------------------------------------------------------------
+
+    getSliceAxes(axis) {
+        // The two coordinates that remain in the slice, in increasing order
+        return [0, 1, 2].filter(k => k !== axis);
+    }
+
+    sliceFacet(facet, axis, value) {
+        // Returns { start, end } (exact points) where the plane cuts the facet, or null
+        const c = Rational.parse(value);
+        const points = facet.indices.map(i => this.exactVertices[i]);
+        const offsets = points.map(point => point[axis].sub(c));
+
+        // Facets lying in the plane are part of the slice boundary, not a segment of it
+        if (offsets.every(offset => offset.isZero())) {
+            return null;
+        }
+
+        const cuts = [];
+        points.forEach((a, i) => {
+            const b = points[(i + 1) % points.length];
+            const [sa, sb] = [offsets[i].sign(), offsets[(i + 1) % points.length].sign()];
+
+            if (sa === 0) {
+                cuts.push(a);
+            } else if (sb !== 0 && sa !== sb) {
+                const t = offsets[i].div(offsets[i].sub(offsets[(i + 1) % points.length]));
+                cuts.push(a.map((coordinate, k) => coordinate.add(b[k].sub(coordinate).mul(t))));
+            }
+        });
+
+        const unique = cuts.filter((point, i) => cuts.findIndex(other => other.every((x, k) => x.equals(point[k]))) === i);
+        if (unique.length < 2) {
+            return null; // The plane only touches a vertex
+        }
+
+        // Keep the two extreme cuts (more only arise if the polygon has collinear vertices)
+        const [u, v] = this.getSliceAxes(axis);
+        unique.sort((p, q) => p[u].compare(q[u]) || p[v].compare(q[v]));
+        return { start: unique[0], end: unique[unique.length - 1] };
+    }
+
+    sliceFacets(facetGeometries, axis, value) {
+        const segments = [];
+        const same = (p, q) => p.every((x, k) => x.equals(q[k]));
+        
+        facetGeometries.forEach((facet, geometryIndex) => {
+            const segment = this.sliceFacet(facet, axis, value);
+            // Facets meeting the plane in a shared edge from both sides give the same segment
+            if (segment && !segments.some(other => same(other.start, segment.start) && same(other.end, segment.end))) {
+                segments.push({
+                    ...segment,
+                    geometryIndex,
+                    facetId: facet.id,
+                    regions: facet.regions || null
+                });
+            }
+        });
+        return segments;
+    }
+
+    sliceCell(cell, axis, value) {
+        // Polygon { q : n_2D · q ≤ offset − n_k c } as ordered 2D points [u, v], or null if empty
+        const c = Rational.toNumber(value);
+        const [u, v] = this.getSliceAxes(axis);
+        const keys = ['x', 'y', 'z'];
+        const tolerance = this.getTolerance();
+
+        const lines = cell.halfspaces.map(h => ({
+            a: h.normal[keys[u]],
+            b: h.normal[keys[v]],
+            offset: h.offset - h.normal[keys[axis]] * c
+        }));
+
+        const points = [];
+        for (let i = 0; i < lines.length; i++) {
+            for (let j = i + 1; j < lines.length; j++) {
+                const det = lines[i].a * lines[j].b - lines[i].b * lines[j].a;
+                if (Math.abs(det) < 1e-12) continue;
+
+                const x = (lines[i].offset * lines[j].b - lines[i].b * lines[j].offset) / det;
+                const y = (lines[i].a * lines[j].offset - lines[i].offset * lines[j].a) / det;
+                const inside = lines.every(line => line.a * x + line.b * y <= line.offset + tolerance);
+                const duplicate = points.some(([px, py]) => Math.abs(px - x) <= tolerance && Math.abs(py - y) <= tolerance);
+                if (inside && !duplicate) {
+                    points.push([x, y]);
+                }
+            }
+        }
+
+        if (points.length < 3) {
+            return null;
+        }
+
+        const centroid = points.reduce(([sx, sy], [x, y]) => [sx + x / points.length, sy + y / points.length], [0, 0]);
+        points.sort((p, q) => Math.atan2(p[1] - centroid[1], p[0] - centroid[0]) - Math.atan2(q[1] - centroid[1], q[0] - centroid[0]));
+
+        // Drop slivers where the plane only grazes the region
+        let area = 0;
+        points.forEach(([x0, y0], i) => {
+            const [x1, y1] = points[(i + 1) % points.length];
+            area += (x0 * y1 - x1 * y0) / 2;
+        });
+        if (Math.abs(area) <= tolerance) {
+            return null;
+        }
+
+        return { points, centroid, area: Math.abs(area) };
+    }
+
+    sliceCells(cells, axis, value) {
+        // Regions count as half-open [min, max) along the axis, so that a plane through
+        // a facet shows the region above it rather than both
+        const c = Rational.toNumber(value);
+        const key = ['x', 'y', 'z'][axis];
+        const tolerance = this.getTolerance();
+        const top = this.getBoundingBox().max[key];
+        
+        return cells
+            .filter(cell => {
+                const max = Math.max(...cell.vertices.map(vertex => vertex[key]));
+                return max > c + tolerance || Math.abs(top - c) <= tolerance;
+            })
+            .map(cell => ({ cell, polygon: this.sliceCell(cell, axis, value) }))
+            .filter(entry => entry.polygon)
+            .map(({ cell, polygon }) => ({
+                bundleIndex: cell.bundleIndex,
+                bundle: cell.bundle,
+                ...polygon
+            }));
+    }
+
     getBoundingBox() {
         if (this.vertices.length === 0) {
             return new THREE.Box3();
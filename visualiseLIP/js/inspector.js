@@ -0,0 +1,183 @@
+/**
+ * LIPInspector - Docked panel describing the demand region P_Φ of a selected bundle
+ * Shows the region's vertices, volume and boundedness, its neighbours across each
+ * facet and, when the LIP carries a valuation, v(Φ) and the inequalities H(Φ, Ψ)
+ */
+
+// Bundle names come from the loaded file and are written into the rows' HTML
+const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+export class LIPInspector {
+    constructor() {
+        this.panel = null;
+        this.body = null;
+        this.title = null;
+        this.state = null;
+        this.width = 300;
+        this.onSelectNeighbour = null; // Called with the neighbour's bundle index
+        this.onHoverNeighbour = null; // Called with the shared facets' geometry indices, or null
+        this.onClose = null;
+    }
+
+    create() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'region-inspector';
+        this.panel.style.cssText = `
+            position: fixed;
+            top: 0;
+            right: 0;
+            bottom: 0;
+            width: ${this.width}px;
+            box-sizing: border-box;
+            background: rgba(255, 255, 255, 0.96);
+            border-left: 1px solid #ccc;
+            padding: 15px;
+            font-family: Arial, sans-serif;
+            font-size: 13px;
+            overflow-y: auto;
+            z-index: 1000;
+            box-shadow: -4px 0 8px rgba(0, 0, 0, 0.1);
+            display: none;
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;';
+
+        this.title = document.createElement('div');
+        this.title.style.cssText = 'font-weight: bold; font-size: 15px; color: #333;';
+        header.appendChild(this.title);
+
+        const closeButton = document.createElement('button');
+        closeButton.id = 'close-region-inspector';
+        closeButton.textContent = '×';
+        closeButton.title = 'Close the inspector';
+        closeButton.style.cssText = `
+            border: none;
+            background: none;
+            font-size: 20px;
+            cursor: pointer;
+            color: #666;
+        `;
+        closeButton.addEventListener('click', () => {
+            this.hide();
+            if (this.onClose) this.onClose();
+        });
+        header.appendChild(closeButton);
+
+        this.panel.appendChild(header);
+
+        this.body = document.createElement('div');
+        this.panel.appendChild(this.body);
+
+        document.body.appendChild(this.panel);
+    }
+
+    isOpen() {
+        return !!this.panel && this.panel.style.display !== 'none';
+    }
+
+    hide() {
+        if (this.panel) {
+            this.panel.style.display = 'none';
+        }
+        this.state = null;
+    }
+
+    /**
+     * @param {Object} state
+     * @param {string} state.bundle - the selected bundle Φ
+     * @param {string} state.color - its region colour
+     * @param {string} state.status - "Bounded" or "Unbounded (cut by …)"
+     * @param {string|null} state.volume - exact or approximate volume in the box
+     * @param {string|null} state.value - v(Φ), if the LIP carries a valuation
+     * @param {Array|null} state.vertices - exact coordinates of the region's vertices
+     * @param {Array} state.neighbours - [{ bundleIndex, bundle, facets, geometryIndices }]
+     * @param {Array|null} state.inequalities - [{ bundle, text, tight }]
+     * @param {string} [state.note] - shown when part of the information is unavailable
+     */
+    render(state) {
+        if (!this.panel) this.create();
+        this.state = state;
+        this.title.textContent = `Region of ${state.bundle}`;
+        this.body.innerHTML = '';
+
+        const section = (heading) => {
+            const element = document.createElement('div');
+            element.style.cssText = 'margin-top: 12px;';
+            const label = document.createElement('div');
+            label.textContent = heading;
+            label.style.cssText = 'font-weight: bold; color: #555; margin-bottom: 4px;';
+            element.appendChild(label);
+            this.body.appendChild(element);
+            return element;
+        };
+        const row = (parent, html, style = '') => {
+            const element = document.createElement('div');
+            element.innerHTML = html;
+            element.style.cssText = `padding: 2px 0; ${style}`;
+            parent.appendChild(element);
+            return element;
+        };
+
+        const summary = document.createElement('div');
+        summary.style.cssText = `border-left: 4px solid ${state.color}; padding-left: 8px;`;
+        this.body.appendChild(summary);
+        row(summary, `<strong>Status:</strong> ${escape(state.status)}`);
+        if (state.volume !== null) {
+            row(summary, `<strong>Volume in box:</strong> ${escape(state.volume)}`);
+        }
+        if (state.value !== null) {
+            row(summary, `<strong>v(${escape(state.bundle)}):</strong> ${escape(state.value)}`);
+        }
+        if (state.note) {
+            row(summary, escape(state.note), 'color: #888; font-style: italic;');
+        }
+
+        const neighbours = section(`Neighbours (${state.neighbours.length})`);
+        if (state.neighbours.length === 0) {
+            row(neighbours, 'None inside the box', 'color: #888;');
+        }
+        state.neighbours.forEach(neighbour => {
+            const element = row(neighbours, `<strong>${escape(neighbour.bundle)}</strong> <span style="color: #666;">via ${escape(neighbour.facets)}</span>`,
+                'cursor: pointer; border-radius: 3px; padding: 3px 4px;');
+            element.className = 'region-neighbour';
+            element.title = `Inspect ${neighbour.bundle}`;
+            element.addEventListener('click', () => {
+                if (this.onSelectNeighbour) this.onSelectNeighbour(neighbour.bundleIndex);
+            });
+            element.addEventListener('mouseenter', () => {
+                element.style.background = '#e8f0fe';
+                if (this.onHoverNeighbour) this.onHoverNeighbour(neighbour.geometryIndices);
+            });
+            element.addEventListener('mouseleave', () => {
+                element.style.background = '';
+                if (this.onHoverNeighbour) this.onHoverNeighbour(null);
+            });
+        });
+
+        if (state.inequalities) {
+            const inequalities = section('Defining inequalities u_Φ ≥ u_Ψ');
+            state.inequalities.forEach(inequality => {
+                row(inequalities, `<span style="color: #666;">vs ${escape(inequality.bundle)}:</span> ${escape(inequality.text)}`,
+                    inequality.tight ? 'font-weight: bold;' : 'color: #999;');
+            });
+            row(inequalities, 'Bold inequalities define facets inside the box', 'color: #888; font-size: 11px; margin-top: 4px;');
+        }
+
+        if (state.vertices) {
+            const vertices = section(`Vertices (${state.vertices.length})`);
+            vertices.style.fontFamily = 'monospace';
+            state.vertices.forEach(vertex => row(vertices, escape(vertex)));
+        }
+
+        this.panel.style.display = 'block';
+    }
+
+    dispose() {
+        if (this.panel && this.panel.parentNode) {
+            this.panel.parentNode.removeChild(this.panel);
+        }
+        this.panel = null;
+        this.state = null;
+    }
+}
@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { Rational } from './rational.js';
 
 export class LIPLabels {
     constructor(data, camera, renderer) {
@@ -13,6 +14,7 @@ export class LIPLabels {
         this.labels = [];
         this.sprites = [];
         this.visible = true;
+        this.onSelect = null; // Called with (index, bundleName) when a label is clicked
         this.labelGroup = new THREE.Group();
         this.labelGroup.name = 'LIP-Labels';
         
@@ -95,7 +97,11 @@ export class LIPLabels {
         this.sprites = [];
         this.labels = [];
         
-        this.data.labels.forEach((position, index) => {
+        this.data.labels.forEach((label, index) => {
+            // Label coordinates may be exact ("7/3" or [7, 3]); sprites need floats.
+            // Labels of 2-good LIPs lie in the plane z = 0.
+            const position = label.map(coordinate => Rational.toNumber(coordinate));
+            if (position.length === 2) position.push(0);
             if (index < this.data.bundles.length) {
                 const sprite = this.createLabelSprite(
                     position,
@@ -110,6 +116,7 @@ export class LIPLabels {
                     this.labels.push({
                         sprite: sprite,
                         position3D: new THREE.Vector3(position[0], position[1], position[2]),
+                        exactPosition: Rational.parsePoint(label),
                         bundleName: this.data.bundles[index],
                         index: index,
                         visible: true
@@ -166,6 +173,10 @@ export class LIPLabels {
     }
 
     formatBundleName(bundleName) {
+        return LIPLabels.formatBundleName(bundleName);
+    }
+
+    static formatBundleName(bundleName) {
         // Remove outer braces and clean up the bundle name
         return bundleName.replace(/[{}]/g, '').trim() || '∅';
     }
@@ -262,66 +273,10 @@ export class LIPLabels {
         
         window.dispatchEvent(event);
         
-        // Show bundle information
-        this.showBundleInfo(index, bundleName, position);
-    }
-
-    showBundleInfo(index, bundleName, position) {
-        // Remove existing info panel
-        const existing = document.getElementById('bundle-info');
-        if (existing) {
-            existing.remove();
+        // Open the region inspector, which LIPVisualization attaches here
+        if (this.onSelect) {
+            this.onSelect(index, bundleName);
         }
-        
-        // Create info panel
-        const infoPanel = document.createElement('div');
-        infoPanel.id = 'bundle-info';
-        infoPanel.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: rgba(255, 255, 255, 0.95);
-            border: 2px solid #333;
-            border-radius: 8px;
-            padding: 15px;
-            font-family: Arial, sans-serif;
-            font-size: 14px;
-            max-width: 250px;
-            z-index: 1000;
-            box-shadow: 0 4px 8px rgba(0, 0, 0, 0.2);
-        `;
-        
-        infoPanel.innerHTML = `
-            <div style="font-weight: bold; margin-bottom: 10px; color: #333;">
-                Bundle Information
-            </div>
-            <div><strong>Bundle:</strong> ${bundleName}</div>
-            <div><strong>Index:</strong> ${index}</div>
-            <div><strong>Position:</strong> (${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)})</div>
-            <button id="close-bundle-info" style="
-                margin-top: 10px;
-                padding: 5px 10px;
-                background: #f44336;
-                color: white;
-                border: none;
-                border-radius: 4px;
-                cursor: pointer;
-            ">Close</button>
-        `;
-        
-        document.body.appendChild(infoPanel);
-        
-        // Add close button handler
-        document.getElementById('close-bundle-info').addEventListener('click', () => {
-            infoPanel.remove();
-        });
-        
-        // Auto-close after 10 seconds
-        setTimeout(() => {
-            if (infoPanel.parentNode) {
-                infoPanel.remove();
-            }
-        }, 10000);
     }
 
     updateLabelContent(index, newContent) {
@@ -0,0 +1,245 @@
+/**
+ * LIPLandscape - Indirect utility and Lyapunov functions sampled over price space
+ * Each function is a sum over agents of max_Φ (v(Φ) − Σ_{ω ∈ Φ} χ_ω p_ω), i.e.
+ * indirect_utility in src/preferences.jl for one agent and the aggregate
+ * generate_lyapunov_function(market) for several. Sublevel sets are extracted
+ * from a grid with marching tetrahedra (3 goods) or triangles (2 goods)
+ */
+
+import { Rational } from './rational.js';
+import { LIPEngine } from './engine.js';
+
+// The six tetrahedra of a cube around its diagonal from corner 0 to corner 7,
+// corner k being at offset (k & 1, k >> 1 & 1, k >> 2 & 1)
+const CUBE_TETRAHEDRA = [[0, 1, 3, 7], [0, 3, 2, 7], [0, 2, 6, 7], [0, 6, 4, 7], [0, 4, 5, 7], [0, 5, 1, 7]];
+
+// Viridis, sampled at five points
+const COLORMAP = [[0.267, 0.005, 0.329], [0.229, 0.322, 0.546], [0.128, 0.567, 0.551], [0.369, 0.789, 0.383], [0.993, 0.906, 0.144]];
+
+export class LIPLandscape {
+    /**
+     * @param {Array} agents - [{ name, terms: [{ value, coefficients }] }] where each term is
+     *   one bundle's affine utility value − coefficients · p in the shown price space
+     */
+    constructor(agents, name) {
+        this.agents = agents;
+        this.name = name;
+        this.goods = agents[0].terms[0].coefficients.length;
+    }
+
+    /** Terms of one agent from a valuation table and χ, through LIPEngine's exact bundle vectors. */
+    static agentTerms(valuation, chi) {
+        const engine = new LIPEngine({ valuation, chi });
+        return engine.domain.map((bundle, i) => ({
+            value: engine.values[i].toNumber(),
+            coefficients: engine.bundleVector(bundle).map(c => c.toNumber())
+        }));
+    }
+
+    /** The indirect utility of the agent whose LIP carries valuation and chi. */
+    static indirectUtility(data, name = 'Indirect utility') {
+        if (!data.valuation || !data.chi) {
+            throw new Error('The indirect utility needs a LIP with valuation and chi fields');
+        }
+        return new LIPLandscape([{ name, terms: LIPLandscape.agentTerms(data.valuation, data.chi) }], name);
+    }
+
+    /** The aggregate Lyapunov function Σ_i u^i(p) of agents given by LIPs over the same prices. */
+    static lyapunovFromLIPs(datas, names = []) {
+        const missing = datas.findIndex(data => !data.valuation || !data.chi);
+        if (missing !== -1) {
+            throw new Error(`${names[missing] || `Agent ${missing + 1}`} has no valuation and chi fields`);
+        }
+        return new LIPLandscape(datas.map((data, i) => ({
+            name: names[i] || `Agent ${i + 1}`,
+            terms: LIPLandscape.agentTerms(data.valuation, data.chi)
+        })), 'Lyapunov function');
+    }
+
+    /**
+     * The aggregate Lyapunov function of a market
+     * { trades: Ω as (seller, buyer) pairs, valuations: [{ "{1,3}": 5, ... }, ...] } where
+     * agent i's valuation is keyed by sets of its trades ω, as the functions market.valuation[i].
+     * Every trade is a good of the price space, so Ω must have as many trades as the LIP has goods.
+     */
+    static lyapunovFromMarket(json) {
+        const trades = json && (json.trades || json['Ω']);
+        if (!Array.isArray(trades) || !Array.isArray(json.valuations)) {
+            throw new Error('Expected { "trades": [[seller, buyer], ...], "valuations": [...] }');
+        }
+        if (json.valuations.length === 0) {
+            throw new Error('"valuations" lists no agents');
+        }
+        const m = trades.length;
+
+        return new LIPLandscape(json.valuations.map((valuation, index) => {
+            const agent = index + 1;
+            // χ(i, ω, Ω): +1 where the agent buys, −1 where it sells, 0 on other trades
+            const chi = trades.map(([seller, buyer]) => buyer === agent ? 1 : seller === agent ? -1 : 0);
+            const terms = Object.entries(valuation).map(([bundleText, value]) => {
+                const coefficients = new Array(m).fill(0);
+                LIPEngine.parseBundle(bundleText).forEach(ω => {
+                    if (ω < 1 || ω > m || chi[ω - 1] === 0) {
+                        throw new Error(`Agent ${agent} values ${bundleText}, but is not part of trade ${ω}`);
+                    }
+                    coefficients[ω - 1] = chi[ω - 1];
+                });
+                return { value: Rational.parse(value).toNumber(), coefficients };
+            });
+            if (!terms.some(term => term.coefficients.every(c => c === 0))) {
+                throw new Error(`Agent ${agent}'s valuation needs a value for ∅`);
+            }
+            return { name: `Agent ${agent}`, terms };
+        }), 'Lyapunov function');
+    }
+
+    evaluate(prices) {
+        return this.agents.reduce((total, agent) => total + agent.terms.reduce((best, term) => {
+            let utility = term.value;
+            for (let k = 0; k < prices.length; k++) {
+                utility -= term.coefficients[k] * prices[k];
+            }
+            return Math.max(best, utility);
+        }, -Infinity), 0);
+    }
+
+    /**
+     * Sample over the box with `resolution` cells per axis. `toPrices` maps a point of the
+     * shown space to the function's prices, e.g. to fill in the fixed trades of a slice.
+     * Returns { dimension, resolution, min, max, step, values, range: [low, high], argmin }.
+     */
+    sample(min, max, resolution, toPrices = point => point) {
+        const dimension = min.length;
+        const size = resolution + 1;
+        const step = min.map((low, k) => (max[k] - low) / resolution);
+        const values = new Float32Array(size ** dimension);
+        let low = Infinity;
+        let high = -Infinity;
+        let argmin = null;
+
+        for (let index = 0; index < values.length; index++) {
+            const point = this.gridPoint({ min, step, size, dimension }, index);
+            const value = this.evaluate(toPrices(point));
+            values[index] = value;
+            if (value < low) {
+                low = value;
+                argmin = point;
+            }
+            high = Math.max(high, value);
+        }
+
+        return { dimension, resolution, min, max, step, size, values, range: [low, high], argmin };
+    }
+
+    gridPoint({ min, step, size, dimension }, index) {
+        const point = [];
+        for (let k = 0; k < dimension; k++) {
+            point.push(min[k] + (index % size) * step[k]);
+            index = Math.floor(index / size);
+        }
+        return point;
+    }
+
+    /**
+     * Triangles of the level set f = level on a 3D grid, as a flat position array, each
+     * wound so that its normal points towards higher values.
+     */
+    static isosurface(grid, level) {
+        const { size, values } = grid;
+        const positions = [];
+        const corner = (x, y, z, k) => [x + (k & 1), y + (k >> 1 & 1), z + (k >> 2 & 1)];
+        const at = ([x, y, z]) => values[x + size * (y + size * z)] - level;
+        const toWorld = point => point.map((c, k) => grid.min[k] + c * grid.step[k]);
+        const cut = (a, b) => {
+            const t = a.value / (a.value - b.value);
+            return a.point.map((c, k) => c + t * (b.point[k] - c));
+        };
+
+        for (let z = 0; z < size - 1; z++) {
+            for (let y = 0; y < size - 1; y++) {
+                for (let x = 0; x < size - 1; x++) {
+                    const corners = Array.from({ length: 8 }, (_, k) => {
+                        const point = corner(x, y, z, k);
+                        return { point, value: at(point) };
+                    });
+                    if (corners.every(c => c.value < 0) || corners.every(c => c.value >= 0)) continue;
+
+                    CUBE_TETRAHEDRA.forEach(tetrahedron => {
+                        const vertices = tetrahedron.map(k => corners[k]);
+                        const below = vertices.filter(v => v.value < 0);
+                        const above = vertices.filter(v => v.value >= 0);
+                        if (below.length === 0 || above.length === 0) return;
+
+                        let polygon;
+                        if (below.length === 1) {
+                            polygon = above.map(v => cut(below[0], v));
+                        } else if (above.length === 1) {
+                            polygon = below.map(v => cut(v, above[0]));
+                        } else {
+                            polygon = [cut(below[0], above[0]), cut(below[0], above[1]), cut(below[1], above[1]), cut(below[1], above[0])];
+                        }
+                        LIPLandscape.pushPolygon(positions, polygon.map(toWorld), toWorld(above[0].point));
+                    });
+                }
+            }
+        }
+
+        return new Float32Array(positions);
+    }
+
+    /** Fan-triangulate a convex polygon, flipping it so that `towards` is on its front side. */
+    static pushPolygon(positions, polygon, towards) {
+        const [a, b, c] = polygon;
+        const u = b.map((x, k) => x - a[k]);
+        const v = c.map((x, k) => x - a[k]);
+        const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+        const side = normal.reduce((total, x, k) => total + x * (towards[k] - a[k]), 0);
+        const ordered = side < 0 ? [...polygon].reverse() : polygon;
+        for (let k = 1; k + 1 < ordered.length; k++) {
+            positions.push(...ordered[0], ...ordered[k], ...ordered[k + 1]);
+        }
+    }
+
+    /** Segments of the level set f = level on a 2D grid, as a flat [x, y, 0, ...] array. */
+    static contour(grid, level) {
+        const { size, values } = grid;
+        const positions = [];
+        const toWorld = ([x, y]) => [grid.min[0] + x * grid.step[0], grid.min[1] + y * grid.step[1], 0];
+
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                // Two triangles per square, so the cuts are unambiguous
+                [[[x, y], [x + 1, y], [x + 1, y + 1]], [[x, y], [x + 1, y + 1], [x, y + 1]]].forEach(triangle => {
+                    const vertices = triangle.map(point => ({ point, value: values[point[0] + size * point[1]] - level }));
+                    const cuts = [];
+                    vertices.forEach((a, i) => {
+                        const b = vertices[(i + 1) % 3];
+                        if ((a.value < 0) !== (b.value < 0)) {
+                            const t = a.value / (a.value - b.value);
+                            cuts.push(a.point.map((c, k) => c + t * (b.point[k] - c)));
+                        }
+                    });
+                    if (cuts.length === 2) {
+                        positions.push(...toWorld(cuts[0]), ...toWorld(cuts[1]));
+                    }
+                });
+            }
+        }
+
+        return new Float32Array(positions);
+    }
+
+    /** Viridis colour of t ∈ [0, 1] as [r, g, b]. */
+    static colormap(t) {
+        const scaled = Math.min(1, Math.max(0, t)) * (COLORMAP.length - 1);
+        const i = Math.min(COLORMAP.length - 2, Math.floor(scaled));
+        const f = scaled - i;
+        return COLORMAP[i].map((c, k) => c + f * (COLORMAP[i + 1][k] - c));
+    }
+
+    /** Evenly spaced levels from the minimum up to `level`, the highest being `level` itself. */
+    static levels(range, level, count) {
+        if (count <= 1) return [level];
+        return Array.from({ length: count }, (_, i) => range[0] + (level - range[0]) * (i + 1) / count);
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * LIPLattice - The integer price vectors in the bounding box of a LIP
+ * With integer valuations, integer prices are the candidates for equilibrium prices, so
+ * every lattice point is located: the bundle demanded there, or the bundles that tie
+ * when it lies on the LIP. Demand is exact with the LIP's valuation; without one it is
+ * read off the reconstructed regions (the cells, or the labels for 2 goods)
+ */
+
+import * as THREE from 'three';
+import { Rational } from './rational.js';
+
+// Each point is located and drawn on its own, so larger boxes are refused
+const MAX_POINTS = 10000;
+
+export class LIPLattice {
+    /**
+     * Locate the integer points of the drawn box. Options:
+     *   engine - a LIPEngine for exact demand, or null to use the regions
+     *   expand - turns displayed prices into the engine's prices (for slices of 4+ goods)
+     *   bundles - names of the engine's bundles (the drawn data's bundles otherwise)
+     *   facetGeometries, cells - the drawn complex
+     *   logger - receives the summary (the geometry's logger by default)
+     * Returns { method, dimension, total, points: [{ position, bundles, onLIP }], regions: [{ bundle, count }],
+     * onLIP, unassigned, vertices: [{ index, text, bundles }], summary }; a point on the LIP
+     * lists the bundles that tie there, and a point in no region lists none.
+     */
+    static compute(lipGeometry, {
+        engine = null,
+        expand = prices => prices,
+        bundles = lipGeometry.data.bundles || [],
+        facetGeometries = lipGeometry.createFacetGeometries(),
+        cells = [],
+        logger = lipGeometry.logger
+    } = {}) {
+        const box = lipGeometry.getBoundingBox();
+        const tolerance = lipGeometry.getTolerance();
+        const axes = lipGeometry.dimension === 3 ? ['x', 'y', 'z'] : ['x', 'y'];
+        const ranges = axes.map(axis => [Math.ceil(box.min[axis] - tolerance), Math.floor(box.max[axis] + tolerance)]);
+        const total = ranges.reduce((product, [low, high]) => product * Math.max(0, high - low + 1), 1);
+        if (total > MAX_POINTS) {
+            throw new Error(`The box holds ${total} integer points; the lattice is drawn for at most ${MAX_POINTS}`);
+        }
+
+        if (!engine && !facetGeometries.every(facet => facet.regions)) {
+            lipGeometry.assignFacetRegions(facetGeometries);
+        }
+        const locate = LIPLattice.locator(lipGeometry, { engine, expand, bundles, facetGeometries, cells });
+
+        // Every integer vector in the ranges, first coordinate slowest
+        const coordinates = ranges.reduce((vectors, [low, high]) => vectors.flatMap(vector =>
+            Array.from({ length: Math.max(0, high - low + 1) }, (_, k) => [...vector, low + k])), [[]]);
+        const points = coordinates.map(vector => {
+            const located = locate(vector.map(c => Rational.parse(c)));
+            return { position: [...vector, 0].slice(0, 3), ...located };
+        });
+
+        // Regions in the order of the drawn bundles (those of the slice, for 4+ goods)
+        const counts = new Map((lipGeometry.data.bundles || []).map(bundle => [bundle, 0]));
+        points.forEach(point => {
+            if (!point.onLIP && point.bundles.length === 1) {
+                counts.set(point.bundles[0], (counts.get(point.bundles[0]) || 0) + 1);
+            }
+        });
+
+        // Integer vertices of the complex, once each, with the bundles that tie there
+        const seen = new Set();
+        const vertices = [];
+        lipGeometry.exactVertices.forEach((vertex, index) => {
+            const text = Rational.formatPoint(vertex);
+            if (seen.has(text) || !vertex.every(c => c.isInteger())) return;
+            seen.add(text);
+            vertices.push({ index, text, bundles: locate(vertex).bundles });
+        });
+
+        const result = {
+            method: engine ? 'valuation' : 'regions',
+            dimension: lipGeometry.dimension,
+            total,
+            points,
+            regions: [...counts].map(([bundle, count]) => ({ bundle, count })),
+            onLIP: points.filter(point => point.onLIP).length,
+            unassigned: points.filter(point => point.bundles.length === 0).length,
+            vertices
+        };
+        result.summary = LIPLattice.summarize(result);
+        logger.log(result.summary);
+        return result;
+    }
+
+    /** Function from exact displayed prices to { bundles, onLIP }. */
+    static locator(lipGeometry, { engine, expand, bundles, facetGeometries, cells }) {
+        if (engine) {
+            return prices => {
+                const { demanded } = engine.demand(expand(prices));
+                return { bundles: demanded.map(i => bundles[i]), onLIP: demanded.length > 1 };
+            };
+        }
+
+        // On the LIP if the point lies in a facet, or in more than one cell
+        const names = lipGeometry.data.bundles || [];
+        const tolerance = lipGeometry.getTolerance();
+        const labels = lipGeometry.getRegionLabels(facetGeometries);
+        return prices => {
+            const [x, y, z = 0] = prices.map(price => price.toNumber());
+            const point = new THREE.Vector3(x, y, z);
+            const through = facetGeometries.filter(facet => lipGeometry.isPointInFacet(point, facet, tolerance));
+
+            if (lipGeometry.dimension === 3) {
+                const inside = cells.filter(cell => cell.halfspaces.every(h => h.normal.dot(point) <= h.offset + tolerance));
+                return { bundles: inside.map(cell => cell.bundle), onLIP: through.length > 0 || inside.length > 1 };
+            }
+            if (through.length > 0) {
+                const regions = new Set(through.flatMap(facet => [facet.regions.negative, facet.regions.positive]));
+                regions.delete(null);
+                return { bundles: [...regions].map(region => names[region]), onLIP: true };
+            }
+            const region = lipGeometry.findRegionForPoint(point, facetGeometries, labels);
+            return { bundles: region === null ? [] : [names[region]], onLIP: false };
+        };
+    }
+
+    static summarize({ method, dimension, total, regions, onLIP, unassigned, vertices }) {
+        const lines = [
+            `ℤ${dimension === 3 ? '³' : '²'} in the box: ${total} point${total === 1 ? '' : 's'}, ` +
+            (method === 'valuation' ? 'demand from the valuation' : 'located in the reconstructed regions'),
+            ...regions.map(({ bundle, count }) => `  ${bundle}: ${count}`),
+            `  on the LIP: ${onLIP}`
+        ];
+        if (unassigned > 0) {
+            lines.push(`  in no region: ${unassigned}`);
+        }
+        lines.push(vertices.length === 0
+            ? 'No integer vertices'
+            : `Integer vertices (${vertices.length}):`);
+        vertices.forEach(vertex => lines.push(`  ${vertex.text}: ${vertex.bundles.join(', ')}`));
+        return lines.join('\n');
+    }
+}
@@ -1,32 +1,65 @@
 /**
- * Main Three.js application for LIP visualization
- * Handles scene setup, camera controls, and main render loop
+ * Main application for LIP visualization
+ * Loads LIPs and drives the panels; everything is drawn, picked and viewed through
+ * LIPViewer, with the Three.js or vtk.js backend
  */
 
 console.log('Loading main.js module...');
 
 // Import modules with error handling
-let THREE, OrbitControls, LIPGeometry, LIPMaterials, LIPLabels, LIPControls;
+let THREE, LIPGeometry, LIPMaterials, LIPControls, Rational, LIPEngine, LIPDiagnostics, LIPSlicePanel, LIPInspector, LIPAggregate, LIPTrajectory, LIPPricePoints, LIPLandscape, LIPExport, LIPTikZ, LIPSession, LIPViewer, LIPRenderBackend, LIPValidator, LIPReportPanel, LIPComplexCheck, LIPLattice;
 let modulesLoaded = false;
 
 async function loadModules() {
     try {
         console.log('Loading Three.js modules...');
-        const [threeModule, orbitModule, geometryModule, materialsModule, labelsModule, controlsModule] = await Promise.all([
+        const [threeModule, geometryModule, materialsModule, controlsModule, rationalModule, engineModule, diagnosticsModule, sliceModule, inspectorModule, aggregateModule, trajectoryModule, pricePointsModule, landscapeModule, exportModule, tikzModule, sessionModule, viewerModule, backendModule, validatorModule, reportModule, complexModule, latticeModule] = await Promise.all([
             import('three'),
-            import('three/addons/controls/OrbitControls.js'),
             import('./geometry.js'),
             import('./materials.js'),
-            import('./labels.js'),
-            import('./controls.js')
+            import('./controls.js'),
+            import('./rational.js'),
+            import('./engine.js'),
+            import('./diagnostics.js'),
+            import('./slice.js'),
+            import('./inspector.js'),
+            import('./aggregate.js'),
+            import('./trajectory.js'),
+            import('./pricepoints.js'),
+            import('./landscape.js'),
+            import('./export.js'),
+            import('./tikz.js'),
+            import('./session.js'),
+            import('./viewer.js'),
+            import('./backend.js'),
+            import('./validator.js'),
+            import('./report.js'),
+            import('./complex.js'),
+            import('./lattice.js')
         ]);
         
         THREE = threeModule;
-        OrbitControls = orbitModule.OrbitControls;
         LIPGeometry = geometryModule.LIPGeometry;
         LIPMaterials = materialsModule.LIPMaterials;
-        LIPLabels = labelsModule.LIPLabels;
         LIPControls = controlsModule.LIPControls;
+        Rational = rationalModule.Rational;
+        LIPEngine = engineModule.LIPEngine;
+        LIPDiagnostics = diagnosticsModule.LIPDiagnostics;
+        LIPSlicePanel = sliceModule.LIPSlicePanel;
+        LIPInspector = inspectorModule.LIPInspector;
+        LIPAggregate = aggregateModule.LIPAggregate;
+        LIPTrajectory = trajectoryModule.LIPTrajectory;
+        LIPPricePoints = pricePointsModule.LIPPricePoints;
+        LIPLandscape = landscapeModule.LIPLandscape;
+        LIPExport = exportModule.LIPExport;
+        LIPTikZ = tikzModule.LIPTikZ;
+        LIPSession = sessionModule.LIPSession;
+        LIPViewer = viewerModule.LIPViewer;
+        LIPRenderBackend = backendModule.LIPRenderBackend;
+        LIPValidator = validatorModule.LIPValidator;
+        LIPReportPanel = reportModule.LIPReportPanel;
+        LIPComplexCheck = complexModule.LIPComplexCheck;
+        LIPLattice = latticeModule.LIPLattice;
         
         modulesLoaded = true;
         console.log('All modules loaded successfully');
@@ -39,15 +72,50 @@ async function loadModules() {
 
 class LIPVisualization {
     constructor() {
-        this.scene = null;
-        this.camera = null;
-        this.renderer = null;
-        this.controls = null;
+        this.viewer = null; // LIPViewer drawing everything, see initViewer
+        this.rendererName = 'three'; // Backend of the viewer: 'three' or 'vtk'
         this.lipGeometry = null;
         this.lipMaterials = null;
-        this.lipLabels = null;
         this.lipControls = null;
         this.data = null;
+        this.dataSource = null; // URL the LIP was fetched from, shared in links to the view
+        this.facetGeometries = [];
+        this.facetClassKeys = []; // Normal class key of each facet geometry
+        this.cells = [];
+        this.displayMode = 'facets'; // 'facets', 'cells' or 'both'
+        this.substitutesReport = null;
+        this.facetClasses = [];
+        this.hiddenFacetClasses = new Set(); // Normal classes unticked in the legend, kept across reloads
+        this.probeEngine = null;
+        this.probePrices = null;
+        this.slice = { enabled: false, axis: 2, value: null }; // Slicing plane p_axis = value
+        this.slicePanel = null;
+        this.reportPanel = null; // Lists the problems of a LIP file that failed validation
+        this.dimension = 3; // Number of goods drawn: 2 or 3
+        this.sourceData = null; // Full data of a LIP with 4+ goods, shown through this.projection
+        this.projection = null;
+        this.highlightViolations = true;
+        this.focusedViolation = null;
+        this.complexReport = null; // Defects of the polyhedral complex, from the last Check complex
+        this.showLattice = false; // Integer lattice overlay, see updateLattice
+        this.latticeReport = null;
+        this.hoveredFacet = null; // Geometry index of the facet under the pointer
+        this.inspector = null;
+        this.selectedBundle = null; // Bundle string of the region open in the inspector
+        this.inspectorHighlight = []; // Facets highlighted from the inspector's neighbour list
+        this.agents = []; // Other agents' LIPs overlaid on the loaded one, which is agent 1
+        this.primaryAgent = { name: 'Agent 1 (loaded LIP)', color: null, visible: true };
+        this.aggregate = { enabled: true, style: 'opacity' };
+        this.aggregateResult = null;
+        this.trace = null; // Loaded dynamic() trace, see setTrace
+        this.tracePlayback = null;
+        this.traceSpeed = 1; // Steps per half second
+        this.pricePoints = []; // Labelled price vectors, e.g. competitive equilibria, in the LIP's coordinates
+        this.pricePointReport = []; // [{ label, prices, face, dimension, demanded, flagged }] for scripts
+        this.landscape = { source: 'none', market: null, fn: null, grid: null, level: null, count: 1, resolution: 24 };
+        this.bookmarks = []; // Saved camera views: [{ name, camera: { position, target, up, parallelScale } }]
+        this.hashUpdateTimer = null;
+        this.agentColors = ['#1f77b4', '#d62728', '#2ca02c', '#ff7f0e', '#9467bd', '#8c564b', '#e377c2', '#17becf'];
         this.boundingBox = { min: { x: 0, y: 0, z: 0 }, max: { x: 10, y: 10, z: 10 } };
     }
 
@@ -65,22 +133,55 @@ class LIPVisualization {
             }
         }
         
-        // Initialize Three.js components only if modules loaded successfully
+        // Initialize the viewer only if modules loaded successfully
         try {
-            this.initScene();
-            this.initCamera();
-            this.initRenderer();
-            this.initControls();
-            this.initLighting();
-            console.log('Three.js components initialized');
+            await this.initViewer();
         } catch (error) {
-            console.error('Failed to initialize Three.js components:', error);
+            console.error('Failed to initialize the viewer:', error);
         }
         
         console.log('Initialization complete');
     }
+
+    async initViewer() {
+        if (this.viewer) return;
+        
+        // ?renderer=vtk starts with vtk.js, as in vtk-app.html
+        const requested = new URLSearchParams(window.location.search).get('renderer');
+        if (requested && LIPRenderBackend.names().includes(requested)) {
+            this.rendererName = requested;
+        }
+        
+        const viewer = new LIPViewer(document.getElementById('canvas-container'));
+        viewer.onPick = (hit) => this.onPick(hit);
+        viewer.onHover = (hit, event) => this.onHover(hit, event);
+        viewer.onShiftClick = (x, y) => this.probeAt(x, y);
+        viewer.onViewChange = () => this.scheduleHashUpdate();
+        try {
+            await viewer.setBackend(this.rendererName);
+        } catch (error) {
+            // vtk.js is loaded separately; fall back to Three.js if it is missing
+            if (this.rendererName === 'three') throw error;
+            console.warn(`Could not start the ${this.rendererName} renderer, using Three.js:`, error);
+            this.rendererName = 'three';
+            await viewer.setBackend('three');
+        }
+        this.viewer = viewer;
+        this.setupSliceDragging();
+    }
+
+    /** Switch the viewer's backend ('three' or 'vtk'); the view, overlays and camera carry over. */
+    async setRenderer(name) {
+        if (!this.viewer) await this.initViewer();
+        await this.viewer.setBackend(name);
+        this.rendererName = name;
+    }
     
-    async initWithData(data) {
+    async initWithData(data, options = {}) {
+        // preserveCamera: swap the scene in place, e.g. after editing the valuation
+        // projected: data is a 3D slice of this.sourceData (see applyProjection)
+        // source: URL the data was fetched from, if any, for links to the view
+        const { preserveCamera = false, projected = false, source = null } = options;
         try {
             console.log('=== DEBUG: initWithData called ===');
             console.log('Data keys:', Object.keys(data));
@@ -100,10 +201,8 @@ class LIPVisualization {
             }
             
             this.data = data;
-            
-            // Update bounding box from actual data
-            if (this.data.vertices && this.data.vertices.length > 0) {
-                this.updateBoundingBox();
+            if (!preserveCamera && !projected) {
+                this.dataSource = source;
             }
             
             // Ensure modules are loaded before proceeding
@@ -115,36 +214,78 @@ class LIPVisualization {
                 }
             }
             
-            // Ensure Three.js components are initialized
-            if (!this.scene || !this.camera || !this.renderer) {
-                console.log('Three.js components not initialized, initializing now...');
-                this.initScene();
-                this.initCamera();
-                this.initRenderer();
-                this.initControls();
-                this.initLighting();
-            } else {
-                // Update existing camera and controls with new bounding box
-                this.updateCameraAndControls();
+            // LIPs of 4+ goods are shown as 3D slices through fixed prices of the other trades
+            if (!projected) {
+                const dimension = data.vertices && data.vertices.length > 0 ? data.vertices[0].length : 3;
+                this.sourceData = dimension >= 4 ? data : null;
+                if (this.sourceData) {
+                    if (!preserveCamera || !this.projection || this.projection.dimension !== dimension) {
+                        this.resetProjection();
+                    }
+                    this.data = this.computeProjection();
+                }
+            }
+            this.dimension = this.data.vertices && this.data.vertices.length > 0 ? this.data.vertices[0].length : 3;
+            
+            // Update bounding box from actual data
+            if (this.data.vertices && this.data.vertices.length > 0) {
+                this.updateBoundingBox();
+            }
+            
+            // Ensure the viewer is initialized; its settings carry over from the previous LIP
+            if (!this.viewer) {
+                console.log('Viewer not initialized, initializing now...');
+                await this.initViewer();
             }
             
-            // Initialize LIP-specific components with the loaded data
             this.lipGeometry = new LIPGeometry(this.data);
-            this.lipMaterials = new LIPMaterials();
-            this.lipLabels = new LIPLabels(this.data, this.camera, this.renderer);
-            this.lipControls = new LIPControls();
+            this.probeEngine = undefined; // Built on the first price query
+            this.lipMaterials = new LIPMaterials(); // Colours of bundles and violations
             
             // Create the visualization
-            await this.createVisualization();
+            await this.createVisualization({ keepCamera: preserveCamera });
             
-            // Setup UI
-            this.setupUI();
+            // Setup UI once; later loads reuse the same panel
+            if (!this.lipControls) {
+                this.lipControls = new LIPControls();
+                this.setupUI();
+            }
+            if (!preserveCamera) {
+                this.resetSlice();
+                this.resetValuationEditor();
+            } else {
+                this.updateSlice();
+            }
+            this.lipControls.setProjectionControls(this.sourceData ? this.getProjectionState() : null);
+            this.lipControls.setSubstitutesReport(this.substitutesReport, this.data.bundles || []);
+            this.lipControls.setComplexReport(null);
+            this.updateLattice();
+            this.updateFacetClassLegend();
             
-            // Start render loop
-            this.animate();
+            // Keep the inspected region open if the new LIP still has its bundle
+            this.refreshInspector();
+            
+            // Other agents' LIPs stay overlaid on the new one if they live in the same price space
+            this.syncAgents();
+            
+            // A loaded dynamics trace is projected again onto the new LIP
+            if (this.trace) {
+                this.setTraceAgent(this.trace.agent, { step: this.trace.step });
+            }
+            this.updatePricePoints();
+            if (this.landscape.source !== 'none') {
+                this.setLandscapeSource(this.landscape.source, { keepLevel: preserveCamera });
+            }
+            
+            // Keep an open price query current, e.g. while editing the valuation
+            if (this.probePrices) {
+                this.probePrice(this.probePrices);
+            }
             
             // Visualization is ready - the new interface handles UI updates
             
+            this.scheduleHashUpdate();
+            
             console.log('LIP Visualization initialized successfully');
             window.dispatchEvent(new CustomEvent('lipVisualizationReady'));
         } catch (error) {
@@ -153,6 +294,20 @@ class LIPVisualization {
         }
     }
 
+    async initWithValuation({ valuation, chi, bounds, domain }) {
+        // Same inputs as create_LIP_json in createLIP.jl, computed in the browser
+        if (!modulesLoaded) {
+            const success = await loadModules();
+            if (!success) {
+                throw new Error('Failed to load Three.js modules. Please refresh the page and try again.');
+            }
+        }
+        
+        const data = new LIPEngine({ valuation, chi, bounds, domain }).compute();
+        await this.initWithData(data);
+        return data;
+    }
+
     async loadData() {
         try {
             const response = await fetch('./data/LIP.json');
@@ -177,313 +332,2290 @@ class LIPVisualization {
         }
     }
 
-    updateBoundingBox() {
-        const vertices = this.data.vertices;
-        const min = new THREE.Vector3(Infinity, Infinity, Infinity);
-        const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
+    updateBoundingBox() {
+        const vertices = this.data.vertices;
+        const min = new THREE.Vector3(Infinity, Infinity, Infinity);
+        const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
+        
+        vertices.forEach(coordinates => {
+            // 2-good LIPs lie in the plane z = 0
+            const [x, y, z = 0] = coordinates.map(coordinate => Rational.toNumber(coordinate));
+            const vertex = [x, y, z];
+            min.x = Math.min(min.x, vertex[0]);
+            min.y = Math.min(min.y, vertex[1]);
+            min.z = Math.min(min.z, vertex[2]);
+            max.x = Math.max(max.x, vertex[0]);
+            max.y = Math.max(max.y, vertex[1]);
+            max.z = Math.max(max.z, vertex[2]);
+        });
+        
+        this.boundingBox = { min, max };
+        console.log('Updated bounding box:', this.boundingBox);
+    }
+
+    async createVisualization({ keepCamera = false } = {}) {
+        // Create polyhedral geometry
+        const geometries = this.lipGeometry.createFacetGeometries();
+        if (this.sourceData) {
+            this.liftFacetNormals(geometries);
+        }
+        this.facetClassKeys = geometries.map(geometry => LIPDiagnostics.normalClassKey(geometry));
+        this.facetClasses = LIPDiagnostics.classifyFacets(geometries);
+        this.facetGeometries = geometries;
+        this.hoveredFacet = null;
+        this.inspectorHighlight = [];
+        
+        // The unique demand regions, drawn as translucent solids with one colour per bundle
+        this.cells = this.lipGeometry.createCellGeometries(geometries);
+        this.viewer.setData(this.data, {
+            geometry: this.lipGeometry,
+            facetGeometries: geometries,
+            cells: this.cells,
+            keepCamera
+        });
+        this.setDisplayMode(this.displayMode);
+        
+        // Substitutes check on the facet normals
+        this.substitutesReport = LIPDiagnostics.analyzeSubstitutes(geometries);
+        this.focusedViolation = null;
+        this.complexReport = null;
+        this.viewer.setOverlay('defects', null);
+        this.viewer.setOverlay('selection', null);
+        this.updateFacetStyles();
+        
+        // Add bounding box faces
+        this.addBoundingBoxFaces();
+    }
+
+    /**
+     * Facet colours and visibility from the view state: hidden normal classes, the
+     * primary agent's colour, substitutes violations, and the hovered, focused and
+     * inspector facets highlighted
+     */
+    updateFacetStyles() {
+        if (!this.viewer || !this.viewer.scene) return;
+        const baseColor = this.agents.length > 0 && this.primaryAgent.color ? new THREE.Color(this.primaryAgent.color).getHex() : null;
+        const violations = new Set(this.highlightViolations && this.substitutesReport
+            ? this.substitutesReport.violations.map(violation => violation.geometryIndex)
+            : []);
+        const highlighted = new Set([this.hoveredFacet, this.focusedViolation, ...this.inspectorHighlight]);
+        this.viewer.setFacetStyles(this.facetGeometries.map((geometry, index) => ({
+            visible: !this.hiddenFacetClasses.has(this.facetClassKeys[index]),
+            color: violations.has(index) ? this.lipMaterials.violationColor : baseColor,
+            highlighted: highlighted.has(index)
+        })));
+    }
+
+    setupUI() {
+        const callbacks = {
+            onTransparencyChange: (value) => {
+                this.setTransparency(value);
+            },
+            onRenderModeChange: (mode) => {
+                this.setRenderMode(mode);
+            },
+            onToggleLabels: (enabled) => {
+                this.viewer.setLabelsVisible(enabled);
+            },
+            onToggleAxes: (enabled) => {
+                this.toggleAxes(enabled);
+            },
+            onViewPreset: (preset) => {
+                this.setViewPreset(preset);
+            },
+            onResetView: () => {
+                this.setViewPreset('isometric');
+            },
+            onDisplayModeChange: (mode) => {
+                this.setDisplayMode(mode);
+            },
+            onValuationChange: (state) => {
+                this.scheduleValuationUpdate(state);
+            },
+            onNewValuation: () => {
+                this.startNewValuation();
+            },
+            onToggleViolations: (enabled) => {
+                this.setViolationHighlight(enabled);
+            },
+            onSelectViolation: (index) => {
+                this.focusViolation(index);
+            },
+            onCheckComplex: () => {
+                this.checkComplex();
+            },
+            onSelectDefect: (index) => {
+                this.focusDefect(index);
+            },
+            onToggleLattice: (enabled) => {
+                this.setLatticeOverlay(enabled);
+            },
+            onToggleFacetClass: (key, visible) => {
+                this.setFacetClassVisibility(key, visible);
+            },
+            onProbe: (text) => {
+                try {
+                    this.probePrice(Rational.parsePoint(text.split(/[\s,;]+/).filter(part => part !== '')));
+                } catch (error) {
+                    this.lipControls.setProbeResult({ error: error.message });
+                }
+            },
+            onClearProbe: () => {
+                this.clearProbe();
+            },
+            onProjectionChange: (state) => {
+                this.applyProjection(state);
+            },
+            onSliceChange: ({ enabled, axis, value }) => {
+                try {
+                    this.setSlice({ enabled, axis, value: Rational.parse(value) });
+                } catch (error) {
+                    console.warn('Invalid slice value:', error.message);
+                }
+            },
+            onAddAgents: (files) => {
+                this.addAgentFiles(files);
+            },
+            onAgentChange: (index, change) => {
+                this.setAgent(index, change);
+            },
+            onRemoveAgent: (index) => {
+                this.removeAgent(index);
+            },
+            onAggregateChange: ({ enabled, style }) => {
+                this.aggregate = { enabled, style };
+                this.updateAggregate();
+            },
+            onLoadTrace: (file) => {
+                this.loadTraceFile(file);
+            },
+            onTraceAgentChange: (agent) => {
+                this.setTraceAgent(agent);
+            },
+            onTraceStep: (step) => {
+                this.setTracePlaying(false);
+                this.setTraceStep(step);
+            },
+            onTracePlay: () => {
+                this.setTracePlaying(!this.tracePlayback);
+            },
+            onLoadPricePoints: (file) => {
+                this.loadPricePointsFile(file);
+            },
+            onAddPricePoint: (text) => {
+                try {
+                    this.addPricePoints(LIPPricePoints.parse({ points: [{ prices: text.split(/[\s,;]+/).filter(part => part !== '') }] }));
+                } catch (error) {
+                    this.showError(error.message);
+                }
+            },
+            onSelectPricePoint: (index) => {
+                this.selectPricePoint(index);
+            },
+            onRemovePricePoint: (index) => {
+                this.pricePoints.splice(index, 1);
+                this.updatePricePoints();
+            },
+            onExportImage: (options) => {
+                this.exportImage(options).catch(error => {
+                    console.error('Image export failed:', error);
+                    this.showError('Image export failed: ' + error.message);
+                });
+            },
+            onExportModel: ({ format, content }) => {
+                this.exportModel({ format, content }).catch(error => {
+                    console.error('Export failed:', error);
+                    this.showError('Export failed: ' + error.message);
+                });
+            },
+            onLandscapeSource: (source) => {
+                this.setLandscapeSource(source);
+            },
+            onLoadLandscapeFile: (file) => {
+                this.loadLandscapeFile(file);
+            },
+            onLandscapeChange: ({ level, count, resolution }) => {
+                const resample = resolution !== this.landscape.resolution;
+                Object.assign(this.landscape, { level, count, resolution });
+                if (resample) {
+                    this.computeLandscape({ keepLevel: true });
+                } else {
+                    this.renderLandscape();
+                }
+            },
+            onTraceSpeed: (speed) => {
+                this.traceSpeed = speed;
+                if (this.tracePlayback) {
+                    this.setTracePlaying(false);
+                    this.setTracePlaying(true);
+                }
+            },
+            onSaveSession: ({ embedData }) => {
+                this.saveSession({ embedData });
+            },
+            onOpenSession: (file) => {
+                this.loadSessionFile(file);
+            },
+            onAddBookmark: () => {
+                this.addBookmark();
+            },
+            onSelectBookmark: (index) => {
+                this.goToBookmark(index);
+            },
+            onRemoveBookmark: (index) => {
+                this.bookmarks.splice(index, 1);
+                this.lipControls.setBookmarkList(this.bookmarks);
+            }
+        };
+        
+        // Anything changed from the panel may change the view state kept in the URL
+        this.lipControls.setupUI(Object.fromEntries(Object.entries(callbacks).map(([name, callback]) => [name, (...args) => {
+            const result = callback(...args);
+            this.scheduleHashUpdate();
+            return result;
+        }])));
+    }
+
+    setTransparency(value) {
+        this.viewer.setOpacity(Math.max(0.1, Math.min(1, value)));
+        this.lipControls?.setDisplayState({ transparency: this.viewer.opacity });
+        this.renderAgents();
+    }
+
+    /** 'surface', 'wireframe' or 'points', for the LIP and its demand regions alike. */
+    setRenderMode(mode) {
+        this.viewer.setRenderMode(mode);
+        this.lipControls?.setDisplayState({ renderMode: mode });
+    }
+
+    getValuationBounds() {
+        // The box the file declares, otherwise the integer box around the vertices
+        if (Array.isArray(this.data.bounds)) {
+            return this.data.bounds.map(c => Rational.toNumber(c));
+        }
+        const lower = Math.floor(Math.min(this.boundingBox.min.x, this.boundingBox.min.y, this.boundingBox.min.z));
+        const upper = Math.ceil(Math.max(this.boundingBox.max.x, this.boundingBox.max.y, this.boundingBox.max.z));
+        return [lower, upper];
+    }
+
+    resetValuationEditor() {
+        // The editor starts from the valuation carried by a 3-good file; other LIPs cannot be
+        // edited, and only get an editor once a new valuation is asked for
+        if (this.data.valuation && this.data.chi && this.data.chi.length === 3 && !this.sourceData) {
+            const bundles = LIPEngine.powerset(3).map(bundle => LIPEngine.formatBundle(bundle));
+            const known = Object.fromEntries(Object.entries(this.data.valuation)
+                .map(([bundle, value]) => [LIPEngine.formatBundle(LIPEngine.parseBundle(bundle)), Rational.toNumber(value)]));
+            this.lipControls.createValuationEditor({
+                values: Object.fromEntries(bundles.map(bundle => [bundle, known[bundle] ?? 0])),
+                included: Object.fromEntries(bundles.map(bundle => [bundle, bundle in known])),
+                chi: this.data.chi.map(c => Rational.toNumber(c)),
+                bounds: this.getValuationBounds()
+            });
+            return;
+        }
+        
+        const goods = (this.sourceData || this.data).vertices[0].length;
+        this.lipControls.setValuationPlaceholder(goods !== 3
+            ? `The editor is for 3 goods; this LIP has ${goods}.`
+            : 'This LIP has no valuation and chi fields, so there is nothing to edit.');
+    }
+
+    startNewValuation() {
+        // The cardinality valuation v(Φ) = |Φ| of a pure buyer, which is what createLIP.jl uses
+        // for the sample data; the first edit replaces the loaded LIP
+        const bundles = LIPEngine.powerset(3).map(bundle => LIPEngine.formatBundle(bundle));
+        this.lipControls.createValuationEditor({
+            values: Object.fromEntries(bundles.map(bundle => [bundle, LIPEngine.parseBundle(bundle).length])),
+            included: Object.fromEntries(bundles.map(bundle => [bundle, true])),
+            chi: [1, 1, 1],
+            bounds: this.getValuationBounds()
+        }, { isNew: true });
+    }
+
+    scheduleValuationUpdate(state) {
+        // Typing in the editor fires many events; recompute once it settles
+        clearTimeout(this.valuationUpdateTimer);
+        this.valuationUpdateTimer = setTimeout(() => this.applyValuation(state), 250);
+    }
+
+    async applyValuation(state) {
+        const domain = Object.keys(state.values).filter(bundle => state.included[bundle]);
+        if (domain.length === 0) {
+            this.lipControls.setValuationStatus({ error: 'The domain A is empty' });
+            return;
+        }
+        
+        try {
+            const engine = new LIPEngine({
+                valuation: Object.fromEntries(domain.map(bundle => [bundle, state.values[bundle]])),
+                chi: state.chi,
+                bounds: state.bounds,
+                domain
+            });
+            
+            this.lipControls.setValuationStatus(engine.checkSubstitutes());
+            this.dataSource = null; // The edited LIP is no longer the file it came from
+            await this.initWithData(engine.compute(), { preserveCamera: true });
+        } catch (error) {
+            console.error('Error recomputing LIP:', error);
+            this.lipControls.setValuationStatus({ error: error.message });
+        }
+    }
+
+    setViolationHighlight(enabled) {
+        this.highlightViolations = enabled;
+        this.updateFacetStyles();
+    }
+
+    resetProjection() {
+        // Show the first three trades, with the others fixed at the middle of the box
+        const dimension = this.sourceData.vertices[0].length;
+        const coordinates = this.sourceData.vertices.flat().map(c => Rational.toNumber(c));
+        const lower = Math.min(...coordinates);
+        const upper = Math.max(...coordinates);
+        
+        this.projection = {
+            dimension,
+            axes: [0, 1, 2],
+            fixed: Array.from({ length: dimension }, () => Rational.fromNumber(Math.round((lower + upper) / 2))),
+            bounds: [lower, upper]
+        };
+    }
+
+    computeProjection() {
+        const engine = LIPEngine.fromData(this.sourceData);
+        if (!engine) {
+            throw new Error('LIPs of 4 or more goods need the valuation and chi fields to compute slices');
+        }
+        return engine.project(this.projection.axes, this.projection.fixed);
+    }
+
+    getProjectionState() {
+        return {
+            dimension: this.projection.dimension,
+            axes: [...this.projection.axes],
+            fixed: this.projection.fixed.map(price => price.toString()),
+            bounds: this.projection.bounds
+        };
+    }
+
+    async applyProjection({ axes, fixed }) {
+        if (new Set(axes).size !== 3) {
+            console.warn('Choose three different trades to display');
+            return;
+        }
+        
+        try {
+            this.projection = {
+                ...this.projection,
+                axes,
+                fixed: fixed.map(price => Rational.parse(price))
+            };
+            await this.initWithData(this.computeProjection(), { preserveCamera: true, projected: true });
+        } catch (error) {
+            console.error('Error computing slice:', error);
+            this.showError('Failed to compute slice: ' + error.message);
+        }
+    }
+
+    liftFacetNormals(geometries) {
+        // In a slice, the normal of the facet between Φ and Ψ is χ ∘ (Φ − Ψ) over all trades,
+        // not just the displayed ones; recover it from the bundles on either side
+        const chi = this.sourceData.chi.map(c => Rational.parse(c));
+        this.lipGeometry.assignFacetRegions(geometries);
+        
+        geometries.forEach(facet => {
+            const { negative, positive } = facet.regions;
+            if (negative === null || positive === null || negative === positive) return;
+            
+            const phi = LIPEngine.parseBundle(this.data.bundles[negative]);
+            const psi = LIPEngine.parseBundle(this.data.bundles[positive]);
+            const difference = chi.map((c, k) => c.mul((phi.includes(k + 1) ? 1 : 0) - (psi.includes(k + 1) ? 1 : 0)));
+            if (difference.some(d => !d.isZero())) {
+                facet.primitiveNormal = Rational.toPrimitiveIntegers(difference);
+            }
+        });
+    }
+
+    expandPrices(prices) {
+        // Prices typed or picked in a slice only give the displayed trades
+        if (!this.sourceData || prices.length === this.projection.dimension) {
+            return prices;
+        }
+        const full = [...this.projection.fixed];
+        this.projection.axes.forEach((axis, k) => {
+            full[axis] = prices[k];
+        });
+        return full;
+    }
+
+    displayedPrices(prices) {
+        return this.sourceData ? this.projection.axes.map(axis => prices[axis]) : prices;
+    }
+
+    getDemandEngine() {
+        // Built on the first query after each load; null if the LIP has no valuation
+        if (this.probeEngine === undefined) {
+            this.probeEngine = LIPEngine.fromData(this.sourceData || this.data);
+        }
+        return this.probeEngine;
+    }
+
+    probePrice(prices) {
+        // Demand and v(Φ) − χ·p at p, as generate_demand / indirect_utility in src/preferences.jl
+        const source = this.sourceData || this.data;
+        if (!this.getDemandEngine()) {
+            this.lipControls.setProbeResult({ error: 'This LIP has no valuation and chi fields, so demand cannot be evaluated' });
+            return;
+        }
+        
+        prices = this.expandPrices(prices);
+        const { utilities, indirectUtility, demanded } = this.probeEngine.demand(prices);
+        this.probePrices = prices;
+        
+        this.lipControls.setProbeResult({
+            prices: Rational.formatPoint(prices),
+            indirectUtility: indirectUtility.toString(),
+            demanded: demanded.map(i => source.bundles[i]),
+            rows: source.bundles.map((bundle, i) => ({
+                bundle,
+                value: this.probeEngine.values[i].toString(),
+                utility: utilities[i].toString(),
+                demanded: demanded.includes(i)
+            }))
+        });
+        this.updateProbeMarker(this.displayedPrices(prices).map(price => price.toNumber()));
+        this.updateSlicePanel();
+        console.log(`Demand at ${Rational.formatPoint(prices)}:`, demanded.map(i => source.bundles[i]));
+    }
+
+    updateProbeMarker(position) {
+        // Drawn on top, so that the marker stays visible through facets
+        this.viewer.setOverlay('probe', [{
+            type: 'points',
+            positions: [position[0], position[1], position[2] ?? 0],
+            color: 0xff0000,
+            size: 12,
+            onTop: true
+        }]);
+    }
+
+    clearProbe() {
+        this.probePrices = null;
+        this.viewer.setOverlay('probe', null);
+        this.lipControls.setProbeResult(null);
+        this.updateSlicePanel();
+    }
+
+    probeAt(x, y) {
+        // Shift+click probes the price under the cursor on a facet, a bounding box face or the slicing plane
+        if (!this.data || !this.viewer.scene) return;
+        const point = this.probeTarget(this.viewer.backend.screenToRay(x, y));
+        if (!point) return;
+        
+        // Clicked points are floats; snap to a nearby simple rational
+        const prices = point.slice(0, this.dimension).map(x => Rational.fromNumber(x, 1e-3, 1000));
+        this.lipControls.setProbeInput(prices.map(price => price.toString()).join(', '));
+        this.probePrice(prices);
+    }
+
+    probeTarget(ray) {
+        // Nearest point along the ray on a shown facet, the box surface left by the slice, or the slicing plane
+        const at = distance => ray.origin.map((x, k) => x + ray.direction[k] * distance);
+        const distances = [];
+        
+        const facet = this.viewer.scene.intersectRay(ray, index => this.viewer.isFacetVisible(index), point => this.viewer.isShown(point));
+        if (facet) distances.push(facet.distance);
+        
+        // Entry and exit of the box, slab by slab
+        const box = { min: this.boundingBox.min.toArray(), max: this.boundingBox.max.toArray() };
+        let near = -Infinity;
+        let far = Infinity;
+        for (let k = 0; k < 3; k++) {
+            const [origin, direction] = [ray.origin[k], ray.direction[k]];
+            if (Math.abs(direction) < 1e-12) {
+                if (origin < box.min[k] || origin > box.max[k]) far = -Infinity;
+                continue;
+            }
+            const [a, b] = [(box.min[k] - origin) / direction, (box.max[k] - origin) / direction];
+            near = Math.max(near, Math.min(a, b));
+            far = Math.min(far, Math.max(a, b));
+        }
+        if (near <= far) {
+            distances.push(...[near, far].filter(distance => distance > 0 && this.viewer.isShown(at(distance))));
+        }
+        
+        const slice = this.slicePlaneHit(ray);
+        if (slice) distances.push(slice.distance);
+        return distances.length > 0 ? at(Math.min(...distances)) : null;
+    }
+
+    slicePlaneHit(ray) {
+        // Where the ray crosses the slicing plane inside the box, or null
+        if (!this.slice.enabled || this.dimension !== 3 || !this.slice.value) return null;
+        const axis = this.slice.axis;
+        const direction = ray.direction[axis];
+        if (Math.abs(direction) < 1e-12) return null;
+        const distance = (this.slice.value.toNumber() - ray.origin[axis]) / direction;
+        if (distance <= 0) return null;
+        
+        const point = ray.origin.map((x, k) => x + ray.direction[k] * distance);
+        const margin = 1e-6 * Math.max(1, this.boundingBox.max.distanceTo(this.boundingBox.min));
+        const inside = [0, 1, 2].every(k => k === axis ||
+            (point[k] >= this.boundingBox.min.getComponent(k) - margin && point[k] <= this.boundingBox.max.getComponent(k) + margin));
+        return inside ? { distance, point } : null;
+    }
+
+    getFacetBundles(geometryIndex) {
+        // The two bundles demanded on either side of a facet
+        const facet = this.facetGeometries[geometryIndex];
+        if (!facet.regions) {
+            this.lipGeometry.assignFacetRegions(this.facetGeometries);
+        }
+        const bundles = this.data.bundles || [];
+        const name = index => (index === null || bundles[index] === undefined) ? '?' : bundles[index];
+        return [name(facet.regions.negative), name(facet.regions.positive)];
+    }
+
+    onHover(hit, event) {
+        // Picks of the viewer under the pointer; only facets are highlighted and described
+        this.hoveredFacet = hit && hit.kind === 'facet' ? hit.index : null;
+        this.updateFacetStyles();
+        
+        if (this.hoveredFacet === null) {
+            this.viewer.hideTooltip();
+            window.dispatchEvent(new CustomEvent('facetHover', { detail: null }));
+            return;
+        }
+        
+        const facet = this.facetGeometries[hit.index];
+        const bundles = this.getFacetBundles(hit.index);
+        const normal = facet.primitiveNormal ? LIPDiagnostics.formatNormal(facet.primitiveNormal) : '?';
+        this.viewer.showTooltip([`Facet ${facet.id}: ${bundles[0]} | ${bundles[1]}`, `normal ${normal}`], event);
+        
+        window.dispatchEvent(new CustomEvent('facetHover', {
+            detail: {
+                facetId: facet.id,
+                geometryIndex: hit.index,
+                bundles,
+                normal: facet.primitiveNormal,
+                point: hit.point ? new THREE.Vector3(...hit.point) : null
+            }
+        }));
+    }
+
+    onPick(hit) {
+        if (!hit) return;
+        if (hit.kind === 'label') {
+            const label = this.viewer.scene.labels[hit.index];
+            console.log(`Clicked label ${hit.index}: ${label.bundle}`);
+            window.dispatchEvent(new CustomEvent('labelClick', {
+                detail: { index: hit.index, bundleName: label.bundle, position: new THREE.Vector3(...label.position) }
+            }));
+            this.inspectRegion(label.bundleIndex);
+        } else if (hit.kind === 'vertex') {
+            this.selectVertex(hit.index);
+        } else if (hit.kind === 'facet') {
+            const facet = this.facetGeometries[hit.index];
+            console.log(`Selected facet ${facet.id}`);
+            window.dispatchEvent(new CustomEvent('facetSelect', {
+                detail: {
+                    facetId: facet.id,
+                    geometryIndex: hit.index,
+                    bundles: this.getFacetBundles(hit.index),
+                    normal: facet.primitiveNormal,
+                    vertexIndices: facet.indices,
+                    point: hit.point ? new THREE.Vector3(...hit.point) : null
+                }
+            }));
+        }
+    }
+
+    getVertexBundles(index) {
+        // With a valuation, demand at the vertex is exact; otherwise collect the
+        // bundles on both sides of every facet through the vertex
+        const source = this.sourceData || this.data;
+        if (this.getDemandEngine()) {
+            const prices = this.expandPrices(this.lipGeometry.getExactVertex(index));
+            return this.probeEngine.demand(prices).demanded.map(i => source.bundles[i]);
+        }
+        
+        const bundles = this.data.bundles || [];
+        const regions = new Set();
+        this.facetGeometries.forEach((facet, geometryIndex) => {
+            if (!this.lipGeometry.facets[facet.id].includes(index)) return;
+            if (!facet.regions) {
+                this.lipGeometry.assignFacetRegions(this.facetGeometries);
+            }
+            [facet.regions.negative, facet.regions.positive].forEach(region => {
+                if (region !== null) regions.add(region);
+            });
+        });
+        return [...regions].sort((a, b) => a - b).map(i => bundles[i]);
+    }
+
+    selectVertex(index) {
+        const position = this.lipGeometry.formatVertex(index);
+        const bundles = this.getVertexBundles(index);
+        console.log(`Selected vertex ${index} at ${position}:`, bundles);
+        
+        this.showInfoPanel('Vertex Information', [
+            ['Vertex', String(index)],
+            ['Price', position],
+            ['Demanded', bundles.length > 0 ? bundles.join(', ') : '?']
+        ]);
+        
+        window.dispatchEvent(new CustomEvent('vertexSelect', {
+            detail: { index, position, bundles }
+        }));
+    }
+
+    showInfoPanel(title, rows) {
+        // Small panel at the top right with [label, text] rows, closed by its button
+        document.getElementById('bundle-info')?.remove();
+        
+        const panel = document.createElement('div');
+        panel.id = 'bundle-info';
+        panel.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            background: rgba(255, 255, 255, 0.95);
+            border: 2px solid #333;
+            border-radius: 8px;
+            padding: 15px;
+            font-family: Arial, sans-serif;
+            font-size: 14px;
+            max-width: 250px;
+            z-index: 1000;
+            box-shadow: 0 4px 8px rgba(0, 0, 0, 0.2);
+        `;
+        
+        const heading = document.createElement('div');
+        heading.style.cssText = 'font-weight: bold; margin-bottom: 10px; color: #333;';
+        heading.textContent = title;
+        panel.appendChild(heading);
+        rows.forEach(([label, text]) => {
+            const row = document.createElement('div');
+            const strong = document.createElement('strong');
+            strong.textContent = `${label}:`;
+            row.append(strong, ` ${text}`);
+            panel.appendChild(row);
+        });
+        
+        const close = document.createElement('button');
+        close.textContent = 'Close';
+        close.style.cssText = 'margin-top: 10px; padding: 5px 10px; background: #f44336; color: white; border: none; border-radius: 4px; cursor: pointer;';
+        close.addEventListener('click', () => panel.remove());
+        panel.appendChild(close);
+        document.body.appendChild(panel);
+    }
+
+    inspectRegion(bundleIndex, { fly = false } = {}) {
+        if (!this.inspector) {
+            this.inspector = new LIPInspector();
+            this.inspector.onSelectNeighbour = (index) => this.inspectRegion(index, { fly: true });
+            this.inspector.onHoverNeighbour = (geometryIndices) => this.highlightInspectorFacets(geometryIndices || []);
+            this.inspector.onClose = () => this.clearRegionSelection();
+        }
+        
+        const info = this.lipGeometry.getRegionInfo(bundleIndex, this.cells, this.facetGeometries);
+        this.selectedBundle = info.bundle;
+        this.highlightInspectorFacets([]);
+        console.log(`Inspecting region of ${info.bundle}:`, info);
+        
+        // Status and volume
+        let status = 'Not reconstructed';
+        if (info.bounded === true) {
+            status = 'Bounded';
+        } else if (info.bounded === false) {
+            const planes = info.boxPlanes.map(plane => `${this.getPriceName(plane.axis)} = ${Rational.fromNumber(plane.value)}`);
+            status = `Unbounded (cut by the box at ${planes.join(', ')})`;
+        }
+        let volume = null;
+        if (info.volume !== null) {
+            volume = info.exactVolume
+                ? (info.volume.isInteger() ? info.volume.toString() : `${info.volume} ≈ ${info.volume.toNumber().toFixed(3)}`)
+                : `≈ ${info.volume.toFixed(3)}`;
+        }
+        
+        const notes = [];
+        if (!info.cell) {
+            notes.push(this.dimension === 2
+                ? 'Vertices and volume are only reconstructed for 3 goods.'
+                : 'This region has no interior inside the box.');
+        }
+        
+        // v(Φ) and H(Φ, Ψ) come from the valuation, over all trades in slices of 4+ goods
+        let value = null;
+        let inequalities = null;
+        const engine = this.getDemandEngine();
+        const source = this.sourceData || this.data;
+        const sourceIndex = (source.bundles || []).indexOf(info.bundle);
+        if (engine && sourceIndex !== -1) {
+            const neighbours = new Set(info.neighbours.map(neighbour => neighbour.bundle));
+            value = engine.values[sourceIndex].toString();
+            inequalities = engine.regionInequalities(sourceIndex)
+                .map(inequality => ({ ...inequality, tight: neighbours.has(inequality.bundle) }))
+                .sort((a, b) => b.tight - a.tight);
+        } else {
+            notes.push('Add valuation and chi fields to the LIP to see v(Φ) and the defining inequalities.');
+        }
+        
+        this.inspector.render({
+            bundle: info.bundle,
+            color: this.lipMaterials.getBundleColor(bundleIndex),
+            status,
+            volume,
+            value,
+            vertices: info.vertices && info.vertices.map(vertex => vertex.exact
+                ? Rational.formatPoint(vertex.exact)
+                : `≈ (${vertex.position.toArray().slice(0, this.dimension).map(x => x.toFixed(3)).join(', ')})`),
+            neighbours: info.neighbours.map(neighbour => ({
+                bundleIndex: neighbour.bundleIndex,
+                bundle: neighbour.bundle,
+                geometryIndices: neighbour.geometryIndices,
+                facets: `facet ${neighbour.facetIds.join(', ')}` +
+                    (neighbour.normal ? `, normal ${LIPDiagnostics.formatNormal(neighbour.normal)}` : '')
+            })),
+            inequalities,
+            note: notes.join(' ')
+        });
+        
+        this.updateSelectionOutline(info);
+        this.layoutDockedPanels();
+        this.scheduleHashUpdate();
+        
+        if (fly) {
+            this.flyToRegion(info);
+        }
+    }
+
+    refreshInspector() {
+        if (!this.inspector || !this.inspector.isOpen() || this.selectedBundle === null) return;
+        
+        const bundleIndex = (this.data.bundles || []).indexOf(this.selectedBundle);
+        if (bundleIndex === -1) {
+            this.inspector.hide();
+            this.clearRegionSelection();
+        } else {
+            this.inspectRegion(bundleIndex);
+        }
+    }
+
+    clearRegionSelection() {
+        this.selectedBundle = null;
+        this.highlightInspectorFacets([]);
+        this.removeSelectionOutline();
+        this.layoutDockedPanels();
+        this.scheduleHashUpdate();
+    }
+
+    highlightInspectorFacets(geometryIndices) {
+        this.inspectorHighlight = geometryIndices;
+        this.updateFacetStyles();
+    }
+
+    removeSelectionOutline() {
+        this.viewer.setOverlay('selection', null);
+    }
+
+    updateSelectionOutline(info) {
+        // Outline the selected region: its cell's faces in 3D, its bordering segments in 2D
+        
+        const loops = info.cell
+            ? info.cell.faces.map(face => face.vertices)
+            : info.neighbours.flatMap(neighbour => neighbour.geometryIndices.map(index => this.facetGeometries[index].vertices));
+        const positions = [];
+        loops.forEach(loop => {
+            const count = loop.length === 2 ? 1 : loop.length;
+            for (let i = 0; i < count; i++) {
+                const a = loop[i];
+                const b = loop[(i + 1) % loop.length];
+                positions.push(a.x, a.y, a.z, b.x, b.y, b.z);
+            }
+        });
+        this.viewer.setOverlay('selection', positions.length > 0
+            ? [{ type: 'lines', positions, color: 0x111111, onTop: true }]
+            : null, { clip: true, attached: true });
+    }
+
+    flyToRegion(info) {
+        // Keep the viewing direction and distance, and centre the region
+        const center = info.cell
+            ? info.cell.vertices.reduce((sum, v) => sum.add(v), new THREE.Vector3()).multiplyScalar(1 / info.cell.vertices.length)
+            : this.lipGeometry.getLabelPositions()[info.bundleIndex];
+        if (!center) return;
+        
+        const camera = this.viewer.getCamera();
+        const offset = camera.position.map((x, k) => x - camera.target[k]);
+        this.viewer.animateCamera({ ...camera, position: center.toArray().map((x, k) => x + offset[k]), target: center.toArray() });
+    }
+
+    layoutDockedPanels() {
+        // The slice panel moves left of the docked inspector while it is open
+        if (this.slicePanel && this.slicePanel.panel) {
+            const docked = this.inspector && this.inspector.isOpen();
+            this.slicePanel.panel.style.right = docked ? `${this.inspector.width + 20}px` : '20px';
+        }
+    }
+
+    async addAgentFiles(files) {
+        // Each file is one agent's LIP.json over the same trades as the loaded LIP
+        for (const file of files) {
+            try {
+                const data = JSON.parse(await this.readFileAsText(file));
+                this.validateLIPData(data);
+                this.addAgent(data, file.name.replace(/\.json$/i, ''));
+            } catch (error) {
+                console.error(`Could not add agent ${file.name}:`, error);
+                this.showLoadError(`Could not add agent ${file.name}`, error, file.name);
+            }
+        }
+    }
+
+    addAgent(data, name = `Agent ${this.agents.length + 2}`) {
+        if (!this.data) {
+            throw new Error('Load a LIP before adding other agents');
+        }
+        const dimension = data.vertices.length > 0 ? data.vertices[0].length : 0;
+        if (this.sourceData || dimension !== this.dimension) {
+            throw new Error(`Agents' LIPs must have the same number of goods as the loaded LIP (${this.sourceData ? this.sourceData.vertices[0].length : this.dimension}), and overlays support 2 or 3 goods`);
+        }
+        
+        const geometry = new LIPGeometry(data);
+        this.agents.push({
+            name: `Agent ${this.agents.length + 2} (${name})`,
+            label: name,
+            data,
+            geometry,
+            facetGeometries: geometry.createFacetGeometries(),
+            color: this.agentColors[(this.agents.length + 1) % this.agentColors.length],
+            visible: true
+        });
+        if (this.primaryAgent.color === null) {
+            this.primaryAgent.color = this.agentColors[0];
+        }
+        console.log(`Added ${name} as agent ${this.agents.length + 1}`);
+        
+        this.renderAgents();
+    }
+
+    removeAgent(index) {
+        // index counts the loaded LIP as agent 0
+        this.agents.splice(index - 1, 1);
+        this.renderAgents();
+    }
+
+    setAgent(index, { visible, color }) {
+        const agent = index === 0 ? this.primaryAgent : this.agents[index - 1];
+        if (color !== undefined) {
+            agent.color = color;
+            if (index === 0) {
+                this.updateFacetStyles();
+            } else {
+                this.drawAgents();
+            }
+        }
+        if (visible !== undefined) {
+            agent.visible = visible;
+            if (index === 0) {
+                this.viewer.setSceneVisible(visible);
+            } else {
+                this.drawAgents();
+            }
+            this.updateAggregate(); // The aggregate is taken over the agents shown
+        }
+    }
+
+    syncAgents() {
+        if (this.agents.length === 0) return;
+        
+        const dimension = this.agents[0].geometry.dimension;
+        if (this.sourceData || dimension !== this.dimension) {
+            console.warn('The new LIP lives in a different price space; removing the other agents');
+            this.agents = [];
+        }
+        this.viewer.setSceneVisible(this.primaryAgent.visible);
+        this.renderAgents();
+    }
+
+    renderAgents() {
+        this.aggregateResult = null;
+        
+        if (this.agents.length === 0) {
+            this.primaryAgent.color = null;
+            this.primaryAgent.visible = true;
+            this.viewer.setSceneVisible(true);
+        }
+        // With other agents shown the loaded LIP takes its agent colour, otherwise its class colours
+        this.updateFacetStyles();
+        this.drawAgents();
+        this.updateAggregate();
+    }
+
+    drawAgents() {
+        // The other agents' LIPs, each in its colour, cut by the slice along with the loaded LIP
+        const items = this.agents.filter(agent => agent.visible).flatMap(agent => {
+            const color = new THREE.Color(agent.color).getHex();
+            return [
+                ...this.facetItems(agent.facetGeometries, color),
+                { type: 'points', positions: agent.geometry.vertices.flatMap(vertex => vertex.toArray()), color }
+            ];
+        });
+        this.viewer.setOverlay('agents', items, { clip: true });
+    }
+
+    facetItems(facetGeometries, color) {
+        // Facets as viewer primitives: translucent polygons with their outlines, or segments for 2 goods
+        const opacity = this.viewer.opacity;
+        const triangles = [];
+        const outlines = [];
+        const segments = [];
+        facetGeometries.forEach(facet => {
+            const points = facet.vertices.map(vertex => vertex.toArray());
+            if (points.length < facet.dimension + 1) return;
+            if (facet.dimension === 1) {
+                segments.push(...points[0], ...points[1]);
+                return;
+            }
+            for (let k = 1; k + 1 < points.length; k++) {
+                triangles.push(...points[0], ...points[k], ...points[k + 1]);
+            }
+            points.forEach((point, k) => outlines.push(...point, ...points[(k + 1) % points.length]));
+        });
+        return [
+            { type: 'triangles', positions: triangles, color, opacity },
+            { type: 'lines', positions: outlines, color: 0x333333, opacity: 0.8 },
+            { type: 'lines', positions: segments, color, opacity }
+        ].filter(item => item.positions.length > 0);
+    }
+
+    updateAggregate() {
+        this.viewer.setOverlay('aggregate', null);
+        this.aggregateResult = null;
+        
+        // The Lyapunov function of the agents shown changes with them
+        if (this.landscape.source === 'agents') {
+            this.setLandscapeSource('agents', { keepLevel: true });
+        }
+        
+        const panelAgents = [this.primaryAgent, ...this.agents].map((agent, index) => ({
+            name: agent.name,
+            color: agent.color || this.agentColors[0],
+            visible: agent.visible,
+            removable: index > 0
+        }));
+        this.lipControls.setAgentList(this.agents.length > 0 ? panelAgents : []);
+        
+        if (this.agents.length === 0) {
+            this.lipControls.setAggregateStatus(null);
+            return;
+        }
+        if (this.dimension !== 3) {
+            this.lipControls.setAggregateStatus('The aggregate LIP is computed for 3 goods only');
+            return;
+        }
+        
+        // Union of the shown agents' facets, with agent 0 the loaded LIP
+        const shown = [{ geometry: this.lipGeometry, facetGeometries: this.facetGeometries, visible: this.primaryAgent.visible }, ...this.agents]
+            .map((agent, index) => ({ ...agent, index }))
+            .filter(agent => agent.visible);
+        const polygons = shown.flatMap(agent => LIPAggregate.facetPolygons(agent.geometry, agent.facetGeometries, agent.index));
+        const vertices = shown.flatMap(agent => agent.geometry.exactVertices);
+        this.aggregateResult = LIPAggregate.compute(polygons, vertices);
+        
+        const { pieces, crossings, vertices: newVertices } = this.aggregateResult;
+        const maxMultiplicity = pieces.reduce((max, piece) => Math.max(max, piece.multiplicity), 1);
+        this.lipControls.setAggregateStatus(`${shown.length} agents shown: ${pieces.length} overlapping pieces` +
+            (pieces.length > 0 ? ` (up to ×${maxMultiplicity})` : '') +
+            `, ${crossings.length} crossing edges, ${newVertices.length} new vertices`);
+        
+        if (!this.aggregate.enabled) return;
+        
+        const toVector = point => new THREE.Vector3(...point.map(c => c.toNumber()));
+        const size = new THREE.Vector3().subVectors(this.boundingBox.max, this.boundingBox.min);
+        const maxSize = Math.max(size.x, size.y, size.z);
+        
+        // Overlaps, weighted by multiplicity through their opacity or thickness; one item per opacity
+        const overlaps = new Map();
+        pieces.forEach(piece => {
+            const points = piece.points.map(toVector);
+            const normal = new THREE.Vector3(...piece.normal.map(c => c.toNumber())).normalize();
+            const opacity = this.aggregate.style === 'thickness' ? 0.6 : Math.min(0.9, 0.25 * piece.multiplicity);
+            const positions = this.aggregate.style === 'thickness'
+                ? this.createSlabGeometry(points, normal, piece.multiplicity * maxSize * 0.002)
+                : points.slice(1, -1).flatMap((point, k) => [points[0], point, points[k + 2]]).flatMap(point => point.toArray());
+            if (!overlaps.has(opacity)) overlaps.set(opacity, []);
+            overlaps.get(opacity).push(...positions);
+        });
+        const items = [...overlaps].map(([opacity, positions]) => ({ type: 'triangles', positions, color: 0x222222, opacity }));
+        
+        // Edges and vertices where facets of different agents cross
+        items.push({
+            type: 'lines',
+            positions: crossings.flatMap(crossing => [...toVector(crossing.start).toArray(), ...toVector(crossing.end).toArray()]),
+            color: 0x000000
+        }, {
+            type: 'points',
+            positions: newVertices.flatMap(vertex => toVector(vertex.point).toArray()),
+            color: 0xff0000,
+            size: 8
+        });
+        this.viewer.setOverlay('aggregate', items.filter(item => item.positions.length > 0), { clip: true });
+    }
+
+    createSlabGeometry(points, normal, thickness) {
+        // Triangles of a convex polygon thickened by ±thickness/2 along its normal, as flat positions
+        const top = points.map(point => point.clone().addScaledVector(normal, thickness / 2));
+        const bottom = points.map(point => point.clone().addScaledVector(normal, -thickness / 2));
+        const triangles = [];
+        for (let k = 1; k + 1 < points.length; k++) {
+            triangles.push(top[0], top[k], top[k + 1], bottom[0], bottom[k + 1], bottom[k]);
+        }
+        points.forEach((_, k) => {
+            const next = (k + 1) % points.length;
+            triangles.push(bottom[k], bottom[next], top[next], bottom[k], top[next], top[k]);
+        });
+        return triangles.flatMap(point => point.toArray());
+    }
+
+    async loadTraceFile(file) {
+        try {
+            const json = JSON.parse(await this.readFileAsText(file));
+            this.setTrace(LIPTrajectory.parse(json), file.name, json);
+        } catch (error) {
+            console.error(`Could not load trace ${file.name}:`, error);
+            this.showError(`Could not load trace ${file.name}: ${error.message}`);
+        }
+    }
+
+    setTrace(trace, name = 'trace', json = null) {
+        // trace: as returned by LIPTrajectory.parse; json: the file it was read from, kept for sessions
+        if (!this.data) {
+            throw new Error('Load a LIP before loading a dynamics trace');
+        }
+        this.setTracePlaying(false);
+        
+        const source = this.sourceData || this.data;
+        const agent = LIPTrajectory.matchAgent(trace, source.vertices[0].length, source.chi);
+        
+        this.trace = { trace, name, json, agent, states: [], step: 0 };
+        console.log(`Loaded trace ${name}: ${trace.agents} agents, ${trace.trades.length} trades, ${trace.steps.length} steps`);
+        this.setTraceAgent(agent);
+    }
+
+    setTraceAgent(agent, { step = 0 } = {}) {
+        const { trace } = this.trace;
+        const source = this.sourceData || this.data;
+        const goods = source.vertices[0].length;
+        const trades = LIPTrajectory.agentTrades(trace, agent);
+        this.trace.agent = agent;
+        
+        this.lipControls.setTraceControls({
+            agents: Array.from({ length: trace.agents }, (_, i) => ({
+                value: i + 1,
+                label: `Agent ${i + 1} (trades ${LIPTrajectory.agentTrades(trace, i + 1).join(', ')})`
+            })),
+            agent,
+            steps: trace.steps.length + (trace.initialOffers ? 1 : 0)
+        });
+        
+        let states = [];
+        let error = trades.length !== goods ? `Agent ${agent} has ${trades.length} trades but this LIP has ${goods} goods` : null;
+        if (!error) {
+            try {
+                states = LIPTrajectory.project(trace, agent);
+            } catch (projectionError) {
+                error = projectionError.message;
+            }
+        }
+        if (error) {
+            this.setTracePlaying(false);
+            this.trace.states = [];
+            this.renderTrace();
+            this.lipControls.setTraceStep(0, `<div class="valuation-status" style="background: #f8d7da;">⚠ ${LIPControls.escape(error)}</div>`);
+            return;
+        }
+        
+        this.trace.states = this.projectTrace(states);
+        this.renderTrace();
+        this.setTraceStep(Math.min(step, this.trace.states.length - 1));
+        
+        const chi = source.chi;
+        if (chi && LIPTrajectory.agentChi(trace, agent).some((c, k) => c !== chi[k])) {
+            console.warn(`Agent ${agent} buys and sells different trades than the LIP's chi says`);
+        }
+    }
+
+    projectTrace(states) {
+        // Annotate each state with the demanded bundles and the facets crossed since the previous state
+        const source = this.sourceData || this.data;
+        const engine = this.getDemandEngine();
+        const labelPositions = this.lipGeometry.getRegionLabels(this.facetGeometries);
+        const toVector = prices => new THREE.Vector3(...this.displayedPrices(prices).map(price => price.toNumber()), 0);
+        
+        return states.map((state, index) => {
+            const position = toVector(state.prices);
+            let demanded;
+            if (engine) {
+                demanded = engine.demand(state.prices).demanded.map(i => source.bundles[i]);
+            } else {
+                const region = this.lipGeometry.findRegionForPoint(position, this.facetGeometries, labelPositions);
+                demanded = region === null ? [] : [this.data.bundles[region]];
+            }
+            
+            const previous = index > 0 ? states[index - 1] : null;
+            // Facets of a slice of 4+ goods say nothing about moves in the hidden trades
+            const crossed = previous && !this.sourceData
+                ? this.facetGeometries
+                    .filter(facet => this.lipGeometry.segmentCrossesFacet(toVector(previous.prices), position, facet))
+                    .map(facet => facet.id)
+                : [];
+            
+            return { ...state, position, demanded, crossed };
+        }).map((state, index, annotated) => ({
+            ...state,
+            demandChanged: index > 0 && state.demanded.join() !== annotated[index - 1].demanded.join()
+        }));
+    }
+
+    renderTrace() {
+        if (!this.trace || this.trace.states.length === 0) {
+            this.viewer.setOverlay('trace', null);
+            return;
+        }
+        this.drawTrace(Math.min(this.trace.step, this.trace.states.length - 1));
+    }
+
+    drawTrace(index) {
+        const positions = this.trace.states.map(state => state.position.toArray());
+        const segments = upTo => positions.slice(1, upTo + 1).flatMap((position, k) => [...positions[k], ...position]);
+        
+        // Steps that cross a facet or change the demand are drawn larger
+        const crossings = this.trace.states.filter(state => state.crossed.length > 0 || state.demandChanged);
+        
+        // The whole path faintly, and the part travelled up to the current step on top
+        this.viewer.setOverlay('trace', [
+            { type: 'lines', positions: segments(positions.length - 1), color: 0x555555, opacity: 0.4 },
+            { type: 'lines', positions: segments(index), color: 0xff6600, onTop: true },
+            { type: 'points', positions: positions.flat(), color: 0x555555, size: 4 },
+            { type: 'points', positions: crossings.flatMap(state => state.position.toArray()), color: 0xff0000, size: 8, onTop: true },
+            { type: 'points', positions: positions[index], color: 0xff6600, size: 12, onTop: true }
+        ].filter(item => item.positions.length > 0));
+    }
+
+    setTraceStep(index) {
+        if (!this.trace || this.trace.states.length === 0) return;
+        
+        this.trace.step = index;
+        const state = this.trace.states[index];
+        this.drawTrace(index);
+        
+        // Bundle names and agents come from the files, so they are escaped
+        const { agent } = this.trace;
+        const escape = LIPControls.escape;
+        const lines = [
+            `<strong>Step ${state.step} of ${this.trace.trace.steps.length}</strong>` +
+                (state.step === 0 ? ' (initial offers)' : state.selected !== null ? ` · agent ${escape(state.selected)} responded` : ''),
+            `Prices seen by agent ${escape(agent)}: ${Rational.formatPoint(state.prices)}`,
+            escape(state.demanded.length > 1
+                ? `Indifferent between ${state.demanded.join(', ')}`
+                : `Demands ${state.demanded[0] ?? '(outside the LIP)'}`)
+        ];
+        if (state.crossed.length > 0) {
+            lines.push(`<span style="color: #d62728;">Crossed facet${state.crossed.length > 1 ? 's' : ''} ${escape(state.crossed.join(', '))}</span>`);
+        } else if (state.demandChanged) {
+            lines.push(`<span style="color: #d62728;">Demand changed from ${escape(this.trace.states[index - 1].demanded.join(', '))}</span>`);
+        }
+        const step = state.step > 0 ? this.trace.trace.steps[state.step - 1] : null;
+        if (step && step.unsatisfied) {
+            lines.push(`<span style="color: #666;">Unsatisfied: ${step.unsatisfied.length > 0 ? escape(step.unsatisfied.join(', ')) : 'none'}</span>`);
+        }
+        this.lipControls.setTraceStep(index, lines.join('<br>'));
+        
+        window.dispatchEvent(new CustomEvent('traceStep', {
+            detail: { step: state.step, agent, prices: state.prices.map(price => price.toString()), demanded: state.demanded, crossed: state.crossed }
+        }));
+    }
+
+    setTracePlaying(playing) {
+        if (this.tracePlayback) {
+            clearInterval(this.tracePlayback);
+            this.tracePlayback = null;
+        }
+        if (playing && this.trace && this.trace.states.length > 1) {
+            const last = this.trace.states.length - 1;
+            if (this.trace.step >= last) {
+                this.setTraceStep(0);
+            }
+            this.tracePlayback = setInterval(() => {
+                this.setTraceStep(this.trace.step + 1);
+                if (this.trace.step >= last) {
+                    this.setTracePlaying(false);
+                }
+            }, 500 / this.traceSpeed);
+        }
+        if (this.lipControls) {
+            this.lipControls.setTracePlaying(!!this.tracePlayback);
+        }
+    }
+
+    async loadPricePointsFile(file) {
+        try {
+            const parsed = LIPPricePoints.parse(JSON.parse(await this.readFileAsText(file)));
+            this.addPricePoints(parsed);
+        } catch (error) {
+            console.error(`Could not load price points from ${file.name}:`, error);
+            this.showError(`Could not load price points from ${file.name}: ${error.message}`);
+        }
+    }
+
+    addPricePoints({ trades, agent, points }) {
+        // points: from LIPPricePoints.parse; market prices (one per trade in Ω) are read off for one agent
+        if (!this.data) {
+            throw new Error('Load a LIP before adding price points');
+        }
+        const source = this.sourceData || this.data;
+        const goods = source.vertices[0].length;
+        const offset = this.pricePoints.length;
+        
+        points.forEach((point, index) => {
+            let prices = point.prices;
+            let note = point.snapped ? 'Rounded to nearby fractions' : null;
+            if (prices.length !== goods) {
+                if (!trades || prices.length !== trades.length) {
+                    throw new Error(`${point.label} has ${prices.length} prices but this LIP has ${goods} goods; give "trades" to read market prices off one agent`);
+                }
+                const market = { trades, agents: Math.max(...trades.flat()) };
+                const owner = agent ?? LIPTrajectory.matchAgent(market, goods, source.chi);
+                const agentTrades = LIPTrajectory.agentTrades(market, owner);
+                if (agentTrades.length !== goods) {
+                    throw new Error(`Agent ${owner} has ${agentTrades.length} trades but this LIP has ${goods} goods`);
+                }
+                prices = agentTrades.map(ω => prices[ω - 1]);
+                note = [note, `Prices of agent ${owner}'s trades ${agentTrades.join(', ')}`].filter(Boolean).join('; ');
+            }
+            this.pricePoints.push({
+                label: point.label ?? `P${offset + index + 1}`,
+                prices,
+                note
+            });
+        });
+        console.log(`Added ${points.length} price points`);
+        this.updatePricePoints();
+    }
+
+    locatePrice(prices) {
+        // The face of the LIP containing p and the bundles demanded there; exact with a valuation
+        const source = this.sourceData || this.data;
+        const goods = source.vertices[0].length;
+        let dimension;
+        let demanded;
+        
+        if (this.getDemandEngine()) {
+            const located = this.probeEngine.locate(prices);
+            dimension = located.dimension;
+            demanded = located.demanded.map(i => source.bundles[i]);
+        } else {
+            // From the drawn complex: the facets through p, whose normals span the face's normal space,
+            // or else the region around p
+            const position = new THREE.Vector3(...prices.map(price => price.toNumber()), 0);
+            const facets = this.facetGeometries
+                .map((facet, geometryIndex) => ({ facet, geometryIndex }))
+                .filter(({ facet }) => this.lipGeometry.isPointInFacet(position, facet));
+            
+            if (facets.length > 0) {
+                dimension = goods - Rational.rank(facets.map(({ facet }) => facet.primitiveNormal));
+                demanded = [...new Set(facets.flatMap(({ geometryIndex }) => this.getFacetBundles(geometryIndex)))]
+                    .sort((a, b) => source.bundles.indexOf(a) - source.bundles.indexOf(b));
+            } else {
+                const region = this.lipGeometry.findRegionForPoint(position, this.facetGeometries);
+                dimension = goods;
+                demanded = region === null ? [] : [source.bundles[region]];
+            }
+        }
+        
+        return {
+            dimension,
+            face: LIPPricePoints.faceName(dimension, goods),
+            demanded,
+            flagged: dimension === goods // Strictly inside a region: the agent is not indifferent
+        };
+    }
+
+    updatePricePoints() {
+        if (!this.lipControls) return;
+        
+        const goods = (this.sourceData || this.data).vertices[0].length;
+        const located = this.pricePoints.map(point => point.prices.length === goods
+            ? { ...point, ...this.locatePrice(point.prices) }
+            : { ...point, face: 'not in this LIP', demanded: [], flagged: false, note: `Has ${point.prices.length} prices` });
+        this.pricePointReport = located.map(point => ({
+            label: point.label,
+            prices: point.prices.map(price => price.toString()),
+            face: point.face,
+            dimension: point.dimension,
+            demanded: point.demanded,
+            flagged: point.flagged
+        }));
+        this.lipControls.setPricePointList(located.map(point => ({ ...point, prices: Rational.formatPoint(point.prices) })));
+        
+        const shown = located.filter(point => point.prices.length === goods);
+        if (shown.length === 0) {
+            this.viewer.setOverlay('price-points', null);
+            return;
+        }
+        
+        const size = new THREE.Vector3().subVectors(this.boundingBox.max, this.boundingBox.min);
+        const maxSize = Math.max(size.x, size.y, size.z);
+        const positions = shown.map(point => [...this.displayedPrices(point.prices).map(price => price.toNumber()), 0].slice(0, 3));
+        
+        // Markers on top of everything, labelled above in the style of the bundle labels
+        this.viewer.setOverlay('price-points', [{
+            type: 'points',
+            positions: positions.flat(),
+            colors: shown.flatMap(point => new THREE.Color(point.flagged ? 0xd62728 : 0x2ca02c).toArray()),
+            size: 12,
+            onTop: true
+        }], {
+            labels: shown.map((point, index) => ({
+                text: point.label,
+                position: positions[index].map((x, k) => x + (k === (this.dimension === 2 ? 1 : 2) ? maxSize * 0.05 : 0))
+            }))
+        });
+        
+        const flagged = located.filter(point => point.flagged);
+        if (flagged.length > 0) {
+            console.warn(`Price points strictly inside a demand region: ${flagged.map(point => point.label).join(', ')}`);
+        }
+    }
+
+    selectPricePoint(index) {
+        // Probing the point lists the utilities of all bundles there
+        const point = this.pricePoints[index];
+        this.lipControls.setProbeInput(point.prices.map(price => price.toString()).join(', '));
+        if (this.getDemandEngine()) {
+            this.probePrice(point.prices);
+        } else {
+            this.updateProbeMarker(this.displayedPrices(point.prices).map(price => price.toNumber()));
+        }
+    }
+
+    async loadLandscapeFile(file) {
+        try {
+            this.landscape.market = JSON.parse(await this.readFileAsText(file));
+            this.setLandscapeSource('market');
+        } catch (error) {
+            console.error(`Could not read valuations from ${file.name}:`, error);
+            this.lipControls.setLandscapeStatus(`⚠ ${file.name}: ${error.message}`, true);
+            this.lipControls.setLandscapeSource(this.landscape.source);
+        }
+    }
+
+    setLandscapeSource(source, { keepLevel = false } = {}) {
+        // 'utility': the loaded agent's indirect utility; 'agents': Σ_i u^i over the agents shown;
+        // 'market': Σ_i u^i of a market's valuations (see LIPLandscape.lyapunovFromMarket)
+        const data = this.sourceData || this.data;
+        let fn = null;
+        try {
+            if (source === 'utility') {
+                fn = LIPLandscape.indirectUtility(data);
+            } else if (source === 'agents') {
+                const shown = [{ data: data, name: this.primaryAgent.name, visible: this.primaryAgent.visible }, ...this.agents]
+                    .filter(agent => agent.visible);
+                if (shown.length === 0) {
+                    throw new Error('No agents are shown');
+                }
+                fn = LIPLandscape.lyapunovFromLIPs(shown.map(agent => agent.data), shown.map(agent => agent.name));
+            } else if (source === 'market') {
+                fn = LIPLandscape.lyapunovFromMarket(this.landscape.market);
+            }
+            if (fn && fn.goods !== data.vertices[0].length) {
+                throw new Error(`The function has ${fn.goods} prices but this LIP has ${data.vertices[0].length} goods`);
+            }
+        } catch (error) {
+            console.warn('Cannot show the landscape:', error.message);
+            this.lipControls.setLandscapeStatus(`⚠ ${error.message}`, true);
+            this.lipControls.setLandscapeSource('none');
+            this.landscape.source = 'none';
+            fn = null;
+        }
+        
+        if (fn) {
+            this.landscape.source = source;
+        } else if (source === 'none') {
+            this.landscape.source = 'none';
+            this.lipControls.setLandscapeStatus(null);
+        }
+        this.landscape.fn = fn;
+        this.computeLandscape({ keepLevel });
+    }
+
+    computeLandscape({ keepLevel = false } = {}) {
+        const { fn, resolution } = this.landscape;
+        if (!fn) {
+            this.landscape.grid = null;
+            this.lipControls.setLandscapeRange(null);
+            this.renderLandscape();
+            return;
+        }
+        
+        // Sample the shown box; slices of 4+ goods fill in the fixed prices of the other trades
+        const corners = [this.boundingBox.min, this.boundingBox.max].map(corner => [corner.x, corner.y, corner.z].slice(0, this.dimension));
+        const fixed = this.sourceData ? this.projection.fixed.map(price => price.toNumber()) : null;
+        const toPrices = fixed
+            ? point => {
+                const prices = [...fixed];
+                this.projection.axes.forEach((axis, k) => { prices[axis] = point[k]; });
+                return prices;
+            }
+            : point => point;
+        const grid = fn.sample(corners[0], corners[1], resolution, toPrices);
+        this.landscape.grid = grid;
+        
+        const [low, high] = grid.range;
+        if (!keepLevel || this.landscape.level === null || this.landscape.level < low || this.landscape.level > high) {
+            this.landscape.level = low + (high - low) / 4;
+        }
+        this.lipControls.setLandscapeRange({ min: low, max: high, level: this.landscape.level });
+        this.lipControls.setLandscapeStatus(`${fn.name} from ${low.toFixed(2)} to ${high.toFixed(2)} in the box; ` +
+            `smallest at (${grid.argmin.map(x => Number(x.toFixed(2))).join(', ')}) on a ${resolution}-cell grid`);
+        this.renderLandscape();
+    }
+
+    renderLandscape() {
+        const { grid, level, count } = this.landscape;
+        if (!grid) {
+            this.viewer.setOverlay('landscape', null);
+            return;
+        }
+        
+        const [low, high] = grid.range;
+        const shade = value => new THREE.Color(...LIPLandscape.colormap(high > low ? (value - low) / (high - low) : 0));
+        const levels = LIPLandscape.levels(grid.range, level, count);
+        const items = [];
+        
+        if (grid.dimension === 3) {
+            // Nested sublevel sets {f ≤ level}, coloured by their level
+            levels.forEach(value => items.push({
+                type: 'triangles',
+                positions: Array.from(LIPLandscape.isosurface(grid, value)),
+                color: shade(value).getHex(),
+                opacity: count > 1 ? 0.3 : 0.5
+            }));
+        } else {
+            // Shade the plane by value under the LIP's segments, with contour lines at the levels
+            const { size, values } = grid;
+            const corner = index => grid.min.map((start, k) => start + (k === 0 ? index % size : Math.floor(index / size)) * grid.step[k]);
+            const positions = [];
+            const colors = [];
+            const add = index => {
+                positions.push(...corner(index), -0.01);
+                colors.push(...shade(values[index]).toArray());
+            };
+            for (let y = 0; y < size - 1; y++) {
+                for (let x = 0; x < size - 1; x++) {
+                    const a = x + size * y;
+                    [a, a + 1, a + size + 1, a, a + size + 1, a + size].forEach(add);
+                }
+            }
+            items.push({ type: 'triangles', positions, colors, opacity: 0.45, flat: true });
+            levels.forEach(value => items.push({
+                type: 'lines',
+                positions: Array.from(LIPLandscape.contour(grid, value)),
+                color: shade(value).multiplyScalar(0.6).getHex()
+            }));
+        }
+        
+        this.viewer.setOverlay('landscape', items.filter(item => item.positions.length > 0), { clip: true });
+    }
+
+    async exportImage({ format = 'png', width = null, height = null, dpi = null } = {}) {
+        // Without a size the figure has the viewer's size, in device pixels for PNG
+        const container = this.viewer.container;
+        const ratio = format === 'png' ? window.devicePixelRatio : 1;
+        const size = width && height
+            ? { width, height }
+            : { width: Math.round(container.clientWidth * ratio), height: Math.round(container.clientHeight * ratio) };
         
-        vertices.forEach(vertex => {
-            min.x = Math.min(min.x, vertex[0]);
-            min.y = Math.min(min.y, vertex[1]);
-            min.z = Math.min(min.z, vertex[2]);
-            max.x = Math.max(max.x, vertex[0]);
-            max.y = Math.max(max.y, vertex[1]);
-            max.z = Math.max(max.z, vertex[2]);
+        if (format === 'tex') {
+            LIPExport.download(this.getTikZFigure(), 'lip.tex', 'application/x-tex');
+        } else if (format === 'svg') {
+            const svg = await this.viewer.toSVG({
+                ...size,
+                units: dpi ? { width: `${size.width / dpi}in`, height: `${size.height / dpi}in` } : null,
+                names: [0, 1, 2].map(k => this.getPriceName(k))
+            });
+            LIPExport.download(svg, 'lip.svg', 'image/svg+xml');
+        } else {
+            const blob = await this.viewer.renderPNG({ ...size, dpi });
+            LIPExport.download(blob, 'lip.png');
+        }
+    }
+
+    facetBaseColor(geometryIndex) {
+        // The colour a facet is drawn in, without hover, inspector or violation highlights
+        const agentColor = this.agents.length > 0 && this.primaryAgent.color;
+        return new THREE.Color(agentColor || this.viewer.scene.facets[geometryIndex].color);
+    }
+
+    isFacetShown(geometryIndex) {
+        return !this.hiddenFacetClasses.has(this.facetClassKeys[geometryIndex]);
+    }
+
+    getTikZFigure() {
+        // Facets hidden by the facet class toggles and labels hidden by Show Labels are left out
+        const toArray = vector => [vector.x, vector.y, vector.z];
+        const facets = [];
+        this.facetGeometries.forEach((facet, geometryIndex) => {
+            if (!facet.geometry || !this.isFacetShown(geometryIndex)) return;
+            facets.push({
+                id: facet.id,
+                points: facet.vertices.map(toArray),
+                color: this.facetBaseColor(geometryIndex).getHexString(),
+                bundles: this.getFacetBundles(geometryIndex),
+                normal: facet.primitiveNormal ? facet.primitiveNormal.map(c => c.toString()) : null
+            });
         });
         
-        this.boundingBox = { min, max };
-        console.log('Updated bounding box:', this.boundingBox);
+        // Seen from the viewer's camera: right = up × direction
+        const camera = this.viewer.getCamera();
+        const direction = new THREE.Vector3(...camera.position).sub(new THREE.Vector3(...camera.target)).normalize();
+        const right = new THREE.Vector3(...camera.up).cross(direction).normalize();
+        const labels = this.viewer.scene.labels.filter((label, index) => !this.viewer.hiddenLabels.has(index));
+        return LIPTikZ.toTeX({
+            dimension: this.dimension,
+            facets,
+            vertices: this.lipGeometry.vertices.map(toArray),
+            labels: this.viewer.labelsVisible
+                ? labels.map(label => ({ position: label.position, bundle: label.bundle }))
+                : null,
+            box: { min: toArray(this.boundingBox.min), max: toArray(this.boundingBox.max) },
+            view: { direction: toArray(direction), right: toArray(right) },
+            opacity: this.viewer.opacity,
+            axes: this.viewer.axesVisible ? [0, 1, 2].map(k => `p_{${this.getPriceTrade(k)}}`) : null
+        });
     }
 
-    updateCameraAndControls() {
-        const box = this.boundingBox;
-        const size = new THREE.Vector3().subVectors(box.max, box.min);
-        const center = new THREE.Vector3().addVectors(box.min, box.max).multiplyScalar(0.5);
-        const maxSize = Math.max(size.x, size.y, size.z);
+    getExportNodes(content = 'shown') {
+        // content: 'facets', 'regions', 'both' or 'shown' (as the display mode and facet class toggles say)
+        const source = this.sourceData || this.data;
+        const bundles = this.data.bundles || [];
+        const includeFacets = content === 'facets' || content === 'both' || (content === 'shown' && this.displayMode !== 'cells');
+        const includeRegions = content === 'regions' || content === 'both' || (content === 'shown' && this.displayMode !== 'facets');
+        const exactPoint = point => point.map(c => c.toString());
+        const nodes = [];
         
-        // Update camera position and look-at
-        this.camera.position.set(
-            center.x + maxSize * 1.5,
-            center.y + maxSize * 1.5,
-            center.z + maxSize * 1.5
-        );
-        this.camera.lookAt(center);
+        if (includeFacets) {
+            this.facetGeometries.forEach((facet, geometryIndex) => {
+                if (!facet.geometry || (content === 'shown' && !this.isFacetShown(geometryIndex))) return;
+                nodes.push({
+                    name: `facet-${facet.id}`,
+                    kind: 'facet',
+                    geometry: facet.geometry.clone(),
+                    lines: this.dimension === 2,
+                    color: this.facetBaseColor(geometryIndex), // Without hover highlights
+                    opacity: this.dimension === 2 ? 1 : this.viewer.opacity,
+                    extras: {
+                        facetId: facet.id,
+                        bundles: this.getFacetBundles(geometryIndex),
+                        normalClass: LIPDiagnostics.normalClassKey(facet),
+                        normal: facet.primitiveNormal || null,
+                        vertices: this.lipGeometry.facets[facet.id].map(index => exactPoint(this.lipGeometry.getExactVertex(index)))
+                    }
+                });
+            });
+        }
         
-        // Update camera far plane
-        this.camera.far = maxSize * 10;
-        this.camera.updateProjectionMatrix();
+        if (includeRegions) {
+            const engine = this.getDemandEngine();
+            this.cells.forEach(cell => {
+                const info = this.lipGeometry.getRegionInfo(cell.bundleIndex, this.cells, this.facetGeometries);
+                const sourceIndex = source.bundles ? source.bundles.indexOf(cell.bundle) : -1;
+                nodes.push({
+                    name: `region-${cell.bundle}`,
+                    kind: 'region',
+                    geometry: cell.geometry.clone(),
+                    lines: false,
+                    color: new THREE.Color(this.viewer.scene.bundleColors[cell.bundleIndex]),
+                    opacity: this.viewer.opacity * this.lipMaterials.cellOpacityScale,
+                    extras: {
+                        bundle: cell.bundle,
+                        bundleIndex: cell.bundleIndex,
+                        bounded: info.bounded,
+                        volume: info.volume === null ? null : info.volume.toString(),
+                        value: engine && sourceIndex >= 0 ? engine.values[sourceIndex].toString() : null,
+                        // Corners cut by the box are not LIP vertices and are given as floats
+                        vertices: info.vertices.map(vertex => vertex.exact ? exactPoint(vertex.exact) : vertex.position.toArray())
+                    }
+                });
+            });
+        }
         
-        // Update controls target to the actual center of the data
-        if (this.controls) {
-            this.controls.target.copy(center);
-            this.controls.update();
+        return nodes;
+    }
+
+    async exportModel({ format = 'gltf', content = 'shown' } = {}) {
+        // STL is for printing, which needs the closed region solids rather than the facets
+        const nodes = this.getExportNodes(format === 'stl' && content === 'shown' ? 'regions' : content);
+        if (nodes.length === 0) {
+            throw new Error(format === 'stl' && this.cells.length === 0
+                ? 'STL needs the solid regions of a 3-good LIP'
+                : 'Nothing to export: no facets or regions are selected');
         }
+        const scene = LIPExport.buildScene(nodes);
         
-        // Update axes helper size and position - origin at (0,0,0), rotation center at cube center
-        if (this.axesHelper) {
-            this.scene.remove(this.axesHelper);
-            this.axesHelper = new THREE.AxesHelper(maxSize * 0.8);
-            this.axesHelper.name = 'axes-helper';
-            this.axesHelper.position.set(box.min.x, box.min.y, box.min.z); // Position at origin (0,0,0)
-            this.scene.add(this.axesHelper);
-            console.log('Updated axes helper size to:', maxSize * 0.8, 'positioned at origin');
+        if (format === 'gltf' || format === 'glb') {
+            const gltf = await LIPExport.toGLTF(scene, { binary: format === 'glb' });
+            LIPExport.download(gltf, `lip.${format}`, format === 'glb' ? 'model/gltf-binary' : 'model/gltf+json');
+        } else if (format === 'obj') {
+            const { obj, mtl } = LIPExport.toOBJ(scene, 'lip.mtl');
+            LIPExport.download(obj, 'lip.obj', 'text/plain');
+            LIPExport.download(mtl, 'lip.mtl', 'text/plain');
+        } else if (format === 'stl') {
+            LIPExport.download(LIPExport.toSTL(scene), 'lip.stl', 'model/stl');
+        } else {
+            throw new Error(`Unknown export format ${format}`);
         }
         
-        console.log('Updated camera and controls center to:', center);
+        scene.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
     }
 
-    initScene() {
-        if (!modulesLoaded || !THREE) return;
-        
-        this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(0xf0f0f0);
+    resetSlice() {
+        // Centre the plane in the box for a freshly loaded LIP, keeping the chosen axis
+        const key = ['x', 'y', 'z'][this.slice.axis];
+        const min = this.boundingBox.min[key];
+        const max = this.boundingBox.max[key];
+        this.slice.value = Rational.fromNumber((min + max) / 2);
         
-        // Add coordinate system helper - use a reasonable default size initially
-        this.axesHelper = new THREE.AxesHelper(5); // Default size, will update later
-        this.axesHelper.name = 'axes-helper';
-        this.scene.add(this.axesHelper);
-        console.log('Added axes helper to scene');
+        this.lipControls.setSliceRange(min, max);
+        this.lipControls.setSliceValue(this.slice.value.toString(), this.slice.value.toNumber());
+        this.updateSlice();
     }
 
-    initCamera() {
-        if (!modulesLoaded || !THREE) return;
+    setSlice({ enabled, axis, value }) {
+        this.slice = { enabled, axis, value };
+        this.updateSlice();
+    }
+
+    updateSlice() {
+        const { axis, value } = this.slice;
+        const enabled = this.slice.enabled && this.dimension === 3; // A 2-good LIP is already flat
         
-        const box = this.boundingBox;
-        const size = new THREE.Vector3().subVectors(box.max, box.min);
-        const center = new THREE.Vector3().addVectors(box.min, box.max).multiplyScalar(0.5);
-        const maxSize = Math.max(size.x, size.y, size.z);
+        // Clip everything in the LIP to the side p_axis ≤ c
+        this.viewer.setClipPlane(enabled ? { axis, value: value.toNumber() } : null);
+        if (!enabled) {
+            this.viewer.setOverlay('slice', null);
+            this.sliceSegments = null;
+            if (this.slicePanel) this.slicePanel.hide();
+            return;
+        }
+        
+        // Translucent plane spanning the box, around the intersection of the LIP with it
+        const [u, v] = this.lipGeometry.getSliceAxes(axis);
+        const corner = (a, b) => {
+            const point = [];
+            point[axis] = value.toNumber();
+            point[u] = (a ? this.boundingBox.max : this.boundingBox.min).getComponent(u);
+            point[v] = (b ? this.boundingBox.max : this.boundingBox.min).getComponent(v);
+            return point;
+        };
+        const quad = [corner(0, 0), corner(1, 0), corner(1, 1), corner(0, 0), corner(1, 1), corner(0, 1)];
         
-        this.camera = new THREE.PerspectiveCamera(
-            75,
-            window.innerWidth / window.innerHeight,
-            0.1,
-            maxSize * 10
-        );
+        this.sliceSegments = this.lipGeometry.sliceFacets(this.facetGeometries, axis, value);
+        this.sliceRegions = this.lipGeometry.sliceCells(this.cells, axis, value);
         
-        // Position camera to view the entire bounding box
-        this.camera.position.set(
-            center.x + maxSize * 1.5,
-            center.y + maxSize * 1.5,
-            center.z + maxSize * 1.5
-        );
-        this.camera.lookAt(center);
+        const positions = [];
+        this.sliceSegments.forEach(segment => {
+            positions.push(...segment.start.map(c => c.toNumber()), ...segment.end.map(c => c.toNumber()));
+        });
+        this.viewer.setOverlay('slice', [
+            { type: 'triangles', positions: quad.flat(), color: 0x3399ff, opacity: 0.15, flat: true },
+            { type: 'lines', positions, color: 0x000000, width: 2 }
+        ]);
+        console.log(`Slice p${axis + 1} = ${value}: ${this.sliceSegments.length} segments, ${this.sliceRegions.length} regions`);
+        
+        this.updateSlicePanel();
     }
 
-    initRenderer() {
-        if (!modulesLoaded || !THREE) return;
+    updateSlicePanel() {
+        if (!this.slice.enabled || !this.sliceSegments) return;
+        
+        if (!this.slicePanel) {
+            this.slicePanel = new LIPSlicePanel();
+            this.slicePanel.onPick = ([a, b]) => this.probeSlicePoint(a, b);
+        }
+        
+        const { axis, value } = this.slice;
+        const [u, v] = this.lipGeometry.getSliceAxes(axis);
+        const toSlice = point => [u, v].map(k => Rational.toNumber(point[k]));
+        const hex = color => `#${color.toString(16).padStart(6, '0')}`;
+        const bounds = [this.boundingBox.min, this.boundingBox.max].map(corner => [corner.x, corner.y, corner.z]);
+        const { bundleColors, classColors } = this.viewer.scene;
         
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(window.devicePixelRatio);
-        this.renderer.shadowMap.enabled = true;
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.slicePanel.show();
+        this.slicePanel.render({
+            title: `${this.getPriceName(axis)} = ${value}`,
+            axisLabels: [this.getPriceName(u), this.getPriceName(v)],
+            bounds: { min: toSlice(bounds[0]), max: toSlice(bounds[1]) },
+            regions: this.sliceRegions.map(region => ({
+                ...region,
+                color: bundleColors[region.bundleIndex] === undefined ? '#cccccc' : hex(bundleColors[region.bundleIndex])
+            })),
+            segments: this.sliceSegments.map(segment => ({
+                start: toSlice(segment.start),
+                end: toSlice(segment.end),
+                color: hex(classColors[LIPDiagnostics.normalClassKey(this.facetGeometries[segment.geometryIndex])])
+            })),
+            probe: this.probePrices && this.displayedPrices(this.probePrices)[axis].equals(value)
+                ? toSlice(this.displayedPrices(this.probePrices)) : null
+        });
+        this.layoutDockedPanels();
+    }
+
+    getPriceTrade(k) {
+        // Trade of the k-th displayed price, which differ in slices of 4+ goods
+        return this.sourceData ? this.projection.axes[k] + 1 : k + 1;
+    }
+
+    getPriceName(k) {
+        return `p${String(this.getPriceTrade(k)).replace(/\d/g, digit => '₀₁₂₃₄₅₆₇₈₉'[digit])}`;
+    }
+
+    probeSlicePoint(a, b) {
+        // A click in the 2D panel, completed with the slice coordinate
+        const { axis, value } = this.slice;
+        const [u, v] = this.lipGeometry.getSliceAxes(axis);
+        const prices = [];
+        prices[axis] = value;
+        prices[u] = Rational.fromNumber(a, 1e-3, 1000);
+        prices[v] = Rational.fromNumber(b, 1e-3, 1000);
         
-        document.getElementById('canvas-container').appendChild(this.renderer.domElement);
+        this.lipControls.setProbeInput(this.expandPrices(prices).map(price => price.toString()).join(', '));
+        this.probePrice(prices);
     }
 
-    initControls() {
-        if (!modulesLoaded || !OrbitControls) return;
+    setupSliceDragging() {
+        // Dragging the slicing plane moves it along its axis instead of orbiting: the press is
+        // caught on its way down to the backend's camera controls
+        const container = this.viewer.container;
+        const dragPlane = new THREE.Plane();
+        let dragging = false;
+        
+        const getRay = (event) => {
+            const rect = container.getBoundingClientRect();
+            return this.viewer.backend.screenToRay(event.clientX - rect.left, event.clientY - rect.top);
+        };
         
-        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+        container.addEventListener('pointerdown', (event) => {
+            if (event.button !== 0 || event.shiftKey || !this.viewer.scene) return;
+            const ray = getRay(event);
+            const hit = this.slicePlaneHit(ray);
+            if (!hit) return;
+            
+            // Drag within the plane through the hit point that contains the axis and faces the camera
+            const point = new THREE.Vector3(...hit.point);
+            const axisDirection = new THREE.Vector3().setComponent(this.slice.axis, 1);
+            const view = new THREE.Vector3(...this.viewer.getCamera().position).sub(point);
+            const normal = view.sub(axisDirection.clone().multiplyScalar(view.dot(axisDirection)));
+            if (normal.lengthSq() < 1e-12) return; // Looking straight down the axis
+            dragPlane.setFromNormalAndCoplanarPoint(normal.normalize(), point);
+            
+            dragging = true;
+            event.stopPropagation();
+        }, { capture: true });
         
-        // Set target to center of bounding box
-        const center = new THREE.Vector3().addVectors(this.boundingBox.min, this.boundingBox.max).multiplyScalar(0.5);
-        this.controls.target.copy(center);
+        window.addEventListener('pointermove', (event) => {
+            if (!dragging) return;
+            const { origin, direction } = getRay(event);
+            const point = new THREE.Ray(new THREE.Vector3(...origin), new THREE.Vector3(...direction))
+                .intersectPlane(dragPlane, new THREE.Vector3());
+            if (!point) return;
+            
+            const key = ['x', 'y', 'z'][this.slice.axis];
+            const min = this.boundingBox.min[key];
+            const max = this.boundingBox.max[key];
+            const c = Math.min(max, Math.max(min, point.getComponent(this.slice.axis)));
+            // Snap to a grid of 1/100 of the box so that the slice value stays a short fraction
+            const value = Rational.fromNumber(min + Math.round((c - min) / (max - min) * 100) * (max - min) / 100, 1e-6, 1000);
+            
+            if (!value.equals(this.slice.value)) {
+                this.lipControls.setSliceValue(value.toString(), value.toNumber());
+                this.setSlice({ ...this.slice, value });
+            }
+        });
         
-        this.controls.enableDamping = true;
-        this.controls.dampingFactor = 0.05;
-        this.controls.enableZoom = true;
-        this.controls.enablePan = true;
-        this.controls.enableRotate = true;
+        window.addEventListener('pointerup', () => {
+            dragging = false;
+        });
+    }
+
+    setFacetClassVisibility(key, visible) {
+        if (visible) {
+            this.hiddenFacetClasses.delete(key);
+        } else {
+            this.hiddenFacetClasses.add(key);
+        }
+        this.updateFacetStyles();
+    }
+
+    updateFacetClassLegend() {
+        this.lipControls.setFacetClassLegend(this.facetClasses.map(facetClass => ({
+            key: facetClass.key,
+            count: facetClass.geometryIndices.length,
+            color: this.viewer.scene.classColors[facetClass.key],
+            isSubstitutes: facetClass.isSubstitutes,
+            visible: !this.hiddenFacetClasses.has(facetClass.key)
+        })));
     }
 
-    initLighting() {
-        if (!modulesLoaded || !THREE) return;
+    focusViolation(index) {
+        const violation = this.substitutesReport?.violations[index];
+        if (!violation) return;
         
-        // Ambient light for overall illumination
-        const ambientLight = new THREE.AmbientLight(0x404040, 0.6);
-        this.scene.add(ambientLight);
+        this.focusedViolation = violation.geometryIndex;
+        this.updateFacetStyles();
         
-        // Directional light for shadows and definition
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        const box = this.boundingBox;
-        const center = new THREE.Vector3().addVectors(box.min, box.max).multiplyScalar(0.5);
-        const size = new THREE.Vector3().subVectors(box.max, box.min);
-        const maxSize = Math.max(size.x, size.y, size.z);
+        // Look at the facet head-on from whichever side the camera is already on
+        const facet = this.facetGeometries[violation.geometryIndex];
+        const size = new THREE.Vector3().subVectors(this.boundingBox.max, this.boundingBox.min);
+        const distance = Math.max(size.x, size.y, size.z) * 0.8;
+        // 2-good LIPs are always seen from above
+        const normal = this.dimension === 2 ? new THREE.Vector3(0, 0, 1) : facet.normal.clone().normalize();
+        const camera = new THREE.Vector3(...this.viewer.getCamera().position);
+        if (normal.dot(camera.sub(violation.centroid)) < 0) {
+            normal.negate();
+        }
         
-        directionalLight.position.set(
-            center.x + maxSize,
-            center.y + maxSize,
-            center.z + maxSize
-        );
-        directionalLight.target.position.copy(center);
-        directionalLight.castShadow = true;
-        
-        // Configure shadow camera
-        directionalLight.shadow.camera.left = -maxSize;
-        directionalLight.shadow.camera.right = maxSize;
-        directionalLight.shadow.camera.top = maxSize;
-        directionalLight.shadow.camera.bottom = -maxSize;
-        directionalLight.shadow.camera.near = 0.1;
-        directionalLight.shadow.camera.far = maxSize * 3;
-        directionalLight.shadow.mapSize.width = 2048;
-        directionalLight.shadow.mapSize.height = 2048;
-        
-        this.scene.add(directionalLight);
-        this.scene.add(directionalLight.target);
-    }
-
-    async createVisualization() {
-        // Clear existing visualization objects (but keep axes and lights)
-        const objectsToRemove = [];
-        this.scene.traverse((object) => {
-            if (object.isMesh || object.isPoints || object.isGroup) {
-                // Don't remove axes helper or lights
-                if (!object.isAxisHelper && !object.isLight) {
-                    objectsToRemove.push(object);
-                }
-            }
+        // Show facets so the violation is actually visible
+        if (this.displayMode === 'cells') {
+            document.getElementById('display-both')?.click();
+        }
+        this.viewer.animateCamera({
+            position: violation.centroid.clone().addScaledVector(normal, distance).toArray(),
+            target: violation.centroid.toArray()
         });
-        objectsToRemove.forEach(obj => this.scene.remove(obj));
+    }
+
+    checkComplex() {
+        if (!this.lipGeometry) return;
         
-        // Create polyhedral geometry
-        const geometries = this.lipGeometry.createFacetGeometries();
-        const materials = this.lipMaterials.createFacetMaterials(geometries.length);
-        
-        // Add facets to scene
-        geometries.forEach((geometry, index) => {
-            if (geometry.vertices.length >= 3) {
-                const mesh = this.lipGeometry.createFacetMesh(geometry, materials[index]);
-                if (mesh) {
-                    mesh.castShadow = true;
-                    mesh.receiveShadow = true;
-                    this.scene.add(mesh);
+        // The gap and overlap tests sample the whole box, so let the indicator paint first
+        this.showProcessingIndicator('Checking the complex...');
+        setTimeout(() => {
+            try {
+                this.complexReport = LIPComplexCheck.analyze(this.lipGeometry, this.facetGeometries, this.cells);
+                this.lipControls.setComplexReport(this.complexReport);
+                this.showDefects();
+            } catch (error) {
+                this.showError(`Could not check the complex: ${error.message}`);
+            } finally {
+                this.hideProcessingIndicator();
+            }
+        }, 0);
+    }
+
+    showDefects(selected = null) {
+        // Defects are drawn over the LIP in red, the selected one in yellow:
+        // the edges of their facets and segments, and their points
+        this.removeDefects();
+        if (!this.complexReport || this.complexReport.defects.length === 0) return;
+        
+        const items = [];
+        this.complexReport.defects.forEach((defect, index) => {
+            const color = index === selected ? 0xffcc00 : 0xff2222;
+            const positions = [];
+            const loops = [...defect.segments, ...defect.facets.map(geometryIndex => this.facetGeometries[geometryIndex].vertices)];
+            loops.forEach(loop => {
+                const count = loop.length === 2 ? 1 : loop.length;
+                for (let i = 0; i < count; i++) {
+                    const a = loop[i];
+                    const b = loop[(i + 1) % loop.length];
+                    positions.push(a.x, a.y, a.z, b.x, b.y, b.z);
                 }
+            });
+            
+            if (positions.length > 0) {
+                items.push({ type: 'lines', positions, color, onTop: true });
+            }
+            if (defect.points.length > 0) {
+                items.push({ type: 'points', positions: defect.points.flatMap(point => point.toArray()), color, size: 6, onTop: true });
             }
         });
+        this.viewer.setOverlay('defects', items, { clip: true, attached: true });
+    }
+
+    removeDefects() {
+        this.viewer.setOverlay('defects', null);
+    }
+
+    focusDefect(index) {
+        const defect = this.complexReport?.defects[index];
+        if (!defect) return;
+        
+        this.showDefects(index);
         
-        // Add vertex markers
-        const vertexGeometry = this.lipGeometry.createVertexGeometry();
-        const vertexMaterial = this.lipMaterials.createVertexMaterial();
-        const vertexMesh = new THREE.Points(vertexGeometry, vertexMaterial);
-        this.scene.add(vertexMesh);
+        // Keep the viewing direction, at the distance used for substitutes violations
+        const size = new THREE.Vector3().subVectors(this.boundingBox.max, this.boundingBox.min);
+        const distance = Math.max(size.x, size.y, size.z) * 0.8;
+        const camera = this.viewer.getCamera();
+        const direction = new THREE.Vector3(...camera.position).sub(new THREE.Vector3(...camera.target)).normalize();
+        this.viewer.animateCamera({
+            position: defect.centroid.clone().addScaledVector(direction, distance).toArray(),
+            target: defect.centroid.toArray()
+        });
+    }
+
+    setLatticeOverlay(enabled) {
+        this.showLattice = enabled;
+        this.updateLattice();
+        this.scheduleHashUpdate();
+    }
+
+    updateLattice() {
+        // Integer prices in the box, coloured by the bundle demanded there as the regions are;
+        // points on the LIP are drawn larger in black. Demand is exact if the LIP has a valuation
+        this.removeLattice();
+        this.latticeReport = null;
+        if (!this.showLattice || !this.lipGeometry) {
+            this.lipControls.setLatticeStatus(null);
+            return;
+        }
         
-        // Add edge visualization for debugging (1D facets)
-        const edgeGeometry = this.lipGeometry.createEdgeGeometry();
-        if (edgeGeometry.attributes.position.count > 0) {
-            const edgeMaterial = new THREE.LineBasicMaterial({ 
-                color: 0x00ff00, 
-                linewidth: 2,
-                transparent: true,
-                opacity: 0.6
+        const source = this.sourceData || this.data;
+        try {
+            this.latticeReport = LIPLattice.compute(this.lipGeometry, {
+                engine: this.getDemandEngine(),
+                expand: prices => this.expandPrices(prices),
+                bundles: source.bundles || [],
+                facetGeometries: this.facetGeometries,
+                cells: this.cells
             });
-            const edgeMesh = new THREE.LineSegments(edgeGeometry, edgeMaterial);
-            edgeMesh.name = 'polyhedral-edges';
-            this.scene.add(edgeMesh);
-            console.log('Added', edgeGeometry.attributes.position.count / 2, 'polyhedral edges');
+        } catch (error) {
+            this.lipControls.setLatticeStatus(error.message, true);
+            return;
         }
+        this.lipControls.setLatticeStatus(this.latticeReport.summary);
         
-        // Add bounding box faces
-        this.addBoundingBoxFaces();
+        const bundles = this.data.bundles || [];
+        const regionPositions = [];
+        const regionColors = [];
+        const lipPositions = [];
+        this.latticeReport.points.forEach(point => {
+            if (point.onLIP) {
+                lipPositions.push(...point.position);
+                return;
+            }
+            const index = point.bundles.length === 1 ? bundles.indexOf(point.bundles[0]) : -1;
+            const color = new THREE.Color(index === -1 ? 0x999999 : this.lipMaterials.getBundleColor(index));
+            regionPositions.push(...point.position);
+            regionColors.push(color.r, color.g, color.b);
+        });
         
-        // Add labels
-        this.lipLabels.createLabels();
-        this.lipLabels.addToScene(this.scene);
+        this.viewer.setOverlay('lattice', [
+            { type: 'points', positions: regionPositions, colors: regionColors, size: 5 },
+            { type: 'points', positions: lipPositions, color: 0x111111, size: 8 }
+        ].filter(item => item.positions.length > 0), { clip: true, attached: true });
     }
 
-    setupUI() {
-        this.lipControls.setupUI({
-            onTransparencyChange: (value) => {
-                this.lipMaterials.updateTransparency(value);
-            },
-            onToggleWireframe: (enabled) => {
-                this.lipMaterials.toggleWireframe(enabled);
+    removeLattice() {
+        this.viewer.setOverlay('lattice', null);
+    }
+
+    setDisplayMode(mode) {
+        this.displayMode = mode;
+        this.viewer.setDisplayMode(mode);
+    }
+
+    setViewPreset(preset) {
+        // Same presets for both renderers; 2-good LIPs have a single view from above
+        this.viewer.setViewPreset(preset, { animate: true });
+    }
+
+    toggleAxes(visible) {
+        this.viewer.setAxesVisible(visible);
+    }
+
+    getViewState() {
+        // What a link to the view carries, see LIPSession.encodeHash
+        return {
+            source: this.dataSource,
+            camera: this.viewer.getCamera(),
+            transparency: this.viewer.opacity,
+            renderMode: this.viewer.mode,
+            labels: this.viewer.labelsVisible,
+            axes: this.viewer.axesVisible,
+            displayMode: this.displayMode,
+            selectedBundle: this.selectedBundle,
+            slice: {
+                enabled: this.slice.enabled,
+                axis: this.slice.axis,
+                value: this.slice.value ? this.slice.value.toString() : null
             },
-            onToggleLabels: (enabled) => {
-                this.lipLabels.toggleVisibility(enabled);
+            hiddenFacetClasses: [...this.hiddenFacetClasses],
+            lattice: this.showLattice
+        };
+    }
+
+    toViewerCamera(camera) {
+        // Links and sessions from before the renderer backends store an orthographic zoom
+        // instead of parallelScale, and no up vector
+        const current = this.viewer.getCamera();
+        const result = { position: camera.position, target: camera.target, up: camera.up || current.up };
+        if (current.parallelScale !== undefined) {
+            result.parallelScale = camera.parallelScale
+                ?? this.viewer.getPresetCamera('isometric').parallelScale / (camera.zoom || 1);
+        }
+        return result;
+    }
+
+    applyViewState(view) {
+        // view: as from getViewState or LIPSession.decodeHash; fields left out stay as they are
+        if (!this.data) return;
+        
+        if (view.transparency !== undefined) this.setTransparency(view.transparency);
+        if (view.renderMode) this.setRenderMode(view.renderMode);
+        if (view.labels !== undefined) this.viewer.setLabelsVisible(view.labels);
+        if (view.axes !== undefined) this.toggleAxes(view.axes);
+        if (view.displayMode) this.setDisplayMode(view.displayMode);
+        if (view.highlightViolations !== undefined) this.setViolationHighlight(view.highlightViolations);
+        if (view.lattice !== undefined && view.lattice !== this.showLattice) this.setLatticeOverlay(view.lattice);
+        if (view.hiddenLabels) {
+            this.viewer.scene.labels.forEach((label, index) => this.viewer.setLabelVisible(index, !view.hiddenLabels.includes(label.bundle)));
+        }
+        
+        if (view.hiddenFacetClasses) {
+            // Classes this LIP lacks stay hidden for later loads, as when unticked in the legend
+            const hidden = new Set(view.hiddenFacetClasses);
+            this.facetClasses.forEach(facetClass => this.setFacetClassVisibility(facetClass.key, !hidden.has(facetClass.key)));
+            this.hiddenFacetClasses = hidden;
+            this.updateFacetClassLegend();
+        }
+        
+        if (view.slice) {
+            try {
+                const axis = view.slice.axis ?? this.slice.axis;
+                const value = view.slice.value ? Rational.parse(view.slice.value) : this.slice.value;
+                if (axis !== this.slice.axis) {
+                    const key = ['x', 'y', 'z'][axis];
+                    this.lipControls.setSliceRange(this.boundingBox.min[key], this.boundingBox.max[key]);
+                }
+                this.setSlice({ enabled: view.slice.enabled, axis, value });
+                this.lipControls.setSliceValue(value.toString(), value.toNumber());
+            } catch (error) {
+                console.warn('Invalid slice in the view state:', error.message);
+            }
+        }
+        
+        if (view.selectedBundle !== undefined) {
+            const bundleIndex = view.selectedBundle === null ? -1 : (this.data.bundles || []).indexOf(view.selectedBundle);
+            if (bundleIndex !== -1) {
+                this.inspectRegion(bundleIndex);
+            } else if (this.inspector && this.inspector.isOpen()) {
+                this.inspector.hide();
+                this.clearRegionSelection();
+            }
+        }
+        
+        if (view.camera) {
+            this.viewer.setCamera(this.toViewerCamera(view.camera));
+        }
+        
+        const state = this.getViewState();
+        this.lipControls.setDisplayState({ ...state, highlightViolations: this.highlightViolations });
+        this.scheduleHashUpdate();
+    }
+
+    scheduleHashUpdate() {
+        // Camera moves fire many changes; write the URL once they settle, without adding history entries
+        if (!this.data || !LIPSession) return;
+        clearTimeout(this.hashUpdateTimer);
+        this.hashUpdateTimer = setTimeout(() => {
+            const hash = LIPSession.encodeHash(this.getViewState());
+            if (hash !== window.location.hash) {
+                history.replaceState(null, '', hash);
+            }
+        }, 300);
+    }
+
+    async restoreFromHash() {
+        // Open a shared link: fetch its LIP unless already shown, then restore the view
+        if (!modulesLoaded) return;
+        const view = LIPSession.decodeHash(window.location.hash);
+        if (!view) return;
+        
+        if (view.source && view.source !== this.dataSource) {
+            try {
+                this.showProcessingIndicator('Loading shared view...');
+                await this.loadDataFromURL(view.source);
+            } catch (error) {
+                console.error('Error loading the shared view:', error);
+                this.showLoadError(`Failed to load ${view.source}`, error, view.source);
+                return;
+            } finally {
+                this.hideProcessingIndicator();
+            }
+        }
+        this.applyViewState(view);
+    }
+
+    addBookmark(name = `View ${this.bookmarks.length + 1}`) {
+        const { camera } = this.getViewState();
+        this.bookmarks.push({ name, camera });
+        this.lipControls.setBookmarkList(this.bookmarks);
+    }
+
+    goToBookmark(index) {
+        const bookmark = this.bookmarks[index];
+        if (!bookmark) return;
+        this.viewer.animateCamera(this.toViewerCamera(bookmark.camera));
+    }
+
+    getSession({ embedData = true } = {}) {
+        // embedData: store the LIP in the session, otherwise only the URL it was loaded from
+        const { source, ...view } = this.getViewState();
+        const data = this.sourceData || this.data;
+        const hiddenLabels = [...this.viewer.hiddenLabels].map(index => this.viewer.scene.labels[index].bundle);
+        
+        return LIPSession.create({
+            source,
+            data: embedData || !source ? data : null,
+            view: {
+                ...view,
+                highlightViolations: this.highlightViolations,
+                hiddenLabels,
+                projection: this.sourceData ? { axes: this.projection.axes, fixed: this.projection.fixed.map(price => price.toString()) } : null
             },
-            onToggleAxes: (enabled) => {
-                this.toggleAxes(enabled);
+            bookmarks: this.bookmarks,
+            agents: {
+                primary: { color: this.primaryAgent.color, visible: this.primaryAgent.visible },
+                others: this.agents.map(agent => ({ name: agent.label, data: agent.data, color: agent.color, visible: agent.visible })),
+                aggregate: this.aggregate
             },
-            onViewPreset: (preset) => {
-                this.setViewPreset(preset);
+            pricePoints: this.pricePoints.map(point => ({
+                label: point.label,
+                prices: point.prices.map(price => price.toString()),
+                note: point.note
+            })),
+            probe: this.probePrices ? this.probePrices.map(price => price.toString()) : null,
+            trace: this.trace && this.trace.json
+                ? { name: this.trace.name, json: this.trace.json, agent: this.trace.agent, step: this.trace.step }
+                : null,
+            landscape: {
+                source: this.landscape.source,
+                market: this.landscape.market,
+                level: this.landscape.level,
+                count: this.landscape.count,
+                resolution: this.landscape.resolution
             }
         });
     }
 
-    setViewPreset(preset) {
-        const center = new THREE.Vector3().addVectors(this.boundingBox.min, this.boundingBox.max).multiplyScalar(0.5);
-        const size = new THREE.Vector3().subVectors(this.boundingBox.max, this.boundingBox.min);
-        const maxSize = Math.max(size.x, size.y, size.z);
-        const distance = maxSize * 2;
-        
-        let position;
-        switch (preset) {
-            case 'front':
-                position = new THREE.Vector3(center.x, center.y, center.z + distance);
-                break;
-            case 'back':
-                position = new THREE.Vector3(center.x, center.y, center.z - distance);
-                break;
-            case 'left':
-                position = new THREE.Vector3(center.x - distance, center.y, center.z);
-                break;
-            case 'right':
-                position = new THREE.Vector3(center.x + distance, center.y, center.z);
-                break;
-            case 'top':
-                position = new THREE.Vector3(center.x, center.y + distance, center.z);
-                break;
-            case 'bottom':
-                position = new THREE.Vector3(center.x, center.y - distance, center.z);
-                break;
-            case 'isometric':
-            default:
-                position = new THREE.Vector3(
-                    center.x + distance * 0.7,
-                    center.y + distance * 0.7,
-                    center.z + distance * 0.7
-                );
-                break;
-        }
-        
-        // Animate camera to new position
-        this.animateCamera(position, center);
-    }
-
-    animateCamera(targetPosition, targetLookAt) {
-        const duration = 1000; // ms
-        const startPosition = this.camera.position.clone();
-        const startTarget = this.controls.target.clone();
-        const startTime = performance.now();
-        
-        const animate = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            
-            // Smooth easing function
-            const eased = progress * progress * (3 - 2 * progress);
-            
-            // Interpolate position
-            this.camera.position.lerpVectors(startPosition, targetPosition, eased);
-            
-            // Interpolate target
-            this.controls.target.lerpVectors(startTarget, targetLookAt, eased);
-            
-            this.controls.update();
-            
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            }
-        };
-        
-        requestAnimationFrame(animate);
+    saveSession({ embedData = true } = {}) {
+        if (!this.data) {
+            this.showError('Load a LIP before saving a session');
+            return;
+        }
+        if (this.trace && !this.trace.json) {
+            console.warn('The dynamics trace was not loaded from a file and is left out of the session');
+        }
+        LIPExport.download(this.getSession({ embedData }), 'lip-session.json', 'application/json');
     }
 
-    toggleAxes(visible) {
-        if (this.axesHelper) {
-            this.axesHelper.visible = visible;
+    async loadSessionFile(file) {
+        try {
+            await this.openSession(JSON.parse(await this.readFileAsText(file)));
+        } catch (error) {
+            console.error(`Could not open session ${file.name}:`, error);
+            this.showLoadError(`Could not open session ${file.name}`, error, file.name);
+        }
+    }
+
+    async openSession(json) {
+        // json: a parsed session file, see getSession and LIPSession.parse
+        const session = LIPSession.parse(json);
+        let data = session.data;
+        if (!data) {
+            const response = await fetch(session.source);
+            if (!response.ok) {
+                throw new Error(`${session.source}: HTTP ${response.status}: ${response.statusText}`);
+            }
+            data = await response.json();
+        }
+        this.validateLIPData(data);
+        
+        // The session replaces everything layered on the previous LIP
+        this.agents = [];
+        this.pricePoints = [];
+        this.setTracePlaying(false);
+        this.trace = null;
+        this.probePrices = null;
+        this.landscape.source = 'none';
+        
+        const view = session.view || {};
+        await this.initWithData(data, { source: session.source || null });
+        this.lipControls.setTraceControls(null);
+        this.renderTrace();
+        this.renderAgents();
+        if (view.projection && this.sourceData) {
+            await this.applyProjection(view.projection);
+        }
+        
+        const agents = session.agents || {};
+        (agents.others || []).forEach((agent, index) => {
+            this.addAgent(agent.data, agent.name);
+            this.setAgent(index + 1, { color: agent.color, visible: agent.visible });
+        });
+        if (agents.primary) {
+            if (agents.primary.color) this.setAgent(0, { color: agents.primary.color });
+            this.setAgent(0, { visible: agents.primary.visible !== false });
+        }
+        if (agents.aggregate) {
+            this.aggregate = { ...agents.aggregate };
+            this.lipControls.setDisplayState({ aggregate: this.aggregate });
+            this.updateAggregate();
         }
+        
+        this.pricePoints = (session.pricePoints || []).map(point => ({
+            label: point.label,
+            prices: point.prices.map(price => Rational.parse(price)),
+            note: point.note ?? null
+        }));
+        this.updatePricePoints();
+        
+        if (session.trace) {
+            this.setTrace(LIPTrajectory.parse(session.trace.json), session.trace.name, session.trace.json);
+            this.setTraceAgent(session.trace.agent, { step: session.trace.step });
+        }
+        
+        const landscape = session.landscape;
+        if (landscape) {
+            Object.assign(this.landscape, {
+                market: landscape.market ?? null,
+                level: landscape.level ?? null,
+                count: landscape.count ?? 1,
+                resolution: landscape.resolution ?? 24
+            });
+            this.lipControls.setDisplayState({ landscape: this.landscape });
+        }
+        this.lipControls.setLandscapeSource(landscape ? landscape.source : 'none');
+        this.setLandscapeSource(landscape ? landscape.source : 'none', { keepLevel: true });
+        
+        if (session.probe) {
+            this.probePrice(session.probe.map(price => Rational.parse(price)));
+            this.lipControls.setProbeInput(session.probe.join(', '));
+        } else {
+            this.clearProbe();
+        }
+        
+        this.bookmarks = session.bookmarks || [];
+        this.lipControls.setBookmarkList(this.bookmarks);
+        this.applyViewState(view);
+        console.log(`Opened session saved ${session.saved || 'at an unknown time'}`);
     }
 
     addBoundingBoxFaces() {
@@ -513,84 +2645,31 @@ class LIPVisualization {
             [1, 5, 6, 2], // Right face (x = max.x)
         ];
 
-        // Create wireframe material for bounding box
-        const wireframeMaterial = new THREE.LineBasicMaterial({ 
-            color: 0x888888,
-            transparent: true,
-            opacity: 0.3,
-            linewidth: 1
-        });
-
-        // Create semi-transparent face material for bounding box
-        const faceMaterial = new THREE.MeshBasicMaterial({
-            color: 0xcccccc,
-            transparent: true,
-            opacity: 0.1,
-            side: THREE.DoubleSide,
-            depthWrite: false
-        });
-
-        faces.forEach((face, faceIndex) => {
-            // Create face geometry
-            const faceGeometry = new THREE.BufferGeometry();
-            
-            // Convert quad to triangles
-            const triangles = [
-                [boxVertices[face[0]], boxVertices[face[1]], boxVertices[face[2]]], // Triangle 1
-                [boxVertices[face[0]], boxVertices[face[2]], boxVertices[face[3]]]  // Triangle 2
-            ];
-            
-            const positions = [];
-            triangles.forEach(triangle => {
-                triangle.forEach(vertex => {
-                    positions.push(vertex.x, vertex.y, vertex.z);
-                });
+        const facePositions = [];
+        const edgePositions = [];
+        faces.forEach(face => {
+            // Two triangles per face
+            [face[0], face[1], face[2], face[0], face[2], face[3]].forEach(index => {
+                const vertex = boxVertices[index];
+                facePositions.push(vertex.x, vertex.y, vertex.z);
             });
             
-            faceGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-            faceGeometry.computeVertexNormals();
-            
-            // Create face mesh
-            const faceMesh = new THREE.Mesh(faceGeometry, faceMaterial);
-            faceMesh.name = `bounding-box-face-${faceIndex}`;
-            this.scene.add(faceMesh);
-            
-            // Create wireframe edges for the face
-            const edgeGeometry = new THREE.BufferGeometry();
-            const edgePositions = [];
-            
-            // Add edges around the face
+            // Edges around the face
             for (let i = 0; i < face.length; i++) {
                 const v1 = boxVertices[face[i]];
                 const v2 = boxVertices[face[(i + 1) % face.length]];
                 edgePositions.push(v1.x, v1.y, v1.z);
                 edgePositions.push(v2.x, v2.y, v2.z);
             }
-            
-            edgeGeometry.setAttribute('position', new THREE.Float32BufferAttribute(edgePositions, 3));
-            const edgeMesh = new THREE.LineSegments(edgeGeometry, wireframeMaterial);
-            edgeMesh.name = `bounding-box-edges-${faceIndex}`;
-            this.scene.add(edgeMesh);
         });
         
-        console.log('Added bounding box cube faces');
-    }
-
-    animate() {
-        requestAnimationFrame(() => this.animate());
-        
-        this.controls.update();
-        this.lipLabels?.update();
+        // Semi-transparent faces with faint edges, clipped with the LIP
+        this.viewer.setOverlay('box', [
+            { type: 'triangles', positions: facePositions, color: 0xcccccc, opacity: 0.1, flat: true },
+            { type: 'lines', positions: edgePositions, color: 0x888888, opacity: 0.3 }
+        ], { clip: true, attached: true });
         
-        this.renderer.render(this.scene, this.camera);
-    }
-
-    onWindowResize() {
-        if (this.camera && this.renderer) {
-            this.camera.aspect = window.innerWidth / window.innerHeight;
-            this.camera.updateProjectionMatrix();
-            this.renderer.setSize(window.innerWidth, window.innerHeight);
-        }
+        console.log('Added bounding box cube faces');
     }
 
     setupFileUpload() {
@@ -672,6 +2751,12 @@ class LIPVisualization {
                 throw new Error('Invalid JSON format: ' + parseError.message);
             }
             
+            // Session files bring their own LIP and view
+            if (LIPSession.isSession(data)) {
+                await this.openSession(data);
+                return;
+            }
+            
             // Validate LIP data structure
             this.validateLIPData(data);
             
@@ -680,7 +2765,7 @@ class LIPVisualization {
             
         } catch (error) {
             console.error('Error handling file:', error);
-            this.showError('Failed to load file: ' + error.message);
+            this.showLoadError('Failed to load file', error, file.name);
         } finally {
             this.hideProcessingIndicator();
         }
@@ -689,25 +2774,26 @@ class LIPVisualization {
     async loadSampleData() {
         try {
             this.showProcessingIndicator('Loading sample data...');
-            
-            const response = await fetch('./data/LIP.json');
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
-            this.validateLIPData(data);
-            
-            await this.initWithData(data);
-            
+            await this.loadDataFromURL('./data/LIP.json');
         } catch (error) {
             console.error('Error loading sample data:', error);
-            this.showError('Failed to load sample data: ' + error.message);
+            this.showLoadError('Failed to load sample data', error, 'data/LIP.json');
         } finally {
             this.hideProcessingIndicator();
         }
     }
     
+    async loadDataFromURL(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        const data = await response.json();
+        this.validateLIPData(data);
+        await this.initWithData(data, { source: url });
+    }
+    
     readFileAsText(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
@@ -718,40 +2804,46 @@ class LIPVisualization {
     }
     
     validateLIPData(data) {
-        const requiredFields = ['vertices', 'facets', 'labels', 'bundles'];
+        // Throws if the data has errors, with the full LIPValidator report as error.report
+        const report = LIPValidator.validate(data);
+        report.issues
+            .filter(issue => issue.severity === 'warning')
+            .forEach(issue => console.warn(`LIP data ${issue.path}: ${issue.message}`));
         
-        for (const field of requiredFields) {
-            if (!data[field]) {
-                throw new Error(`Missing required field: ${field}`);
-            }
-            if (!Array.isArray(data[field])) {
-                throw new Error(`Field ${field} must be an array`);
-            }
-        }
-        
-        // Basic validation
-        if (data.vertices.length === 0) {
-            throw new Error('No vertices found in LIP data');
-        }
-        
-        if (data.facets.length === 0) {
-            throw new Error('No facets found in LIP data');
-        }
-        
-        // Validate vertex format
-        for (let i = 0; i < Math.min(5, data.vertices.length); i++) {
-            const vertex = data.vertices[i];
-            if (!Array.isArray(vertex) || vertex.length !== 3) {
-                throw new Error(`Invalid vertex format at index ${i} - expected [x, y, z]`);
-            }
+        if (!report.valid) {
+            const first = report.issues[0];
+            const error = new Error(`${report.counts.error} error${report.counts.error === 1 ? '' : 's'} in the LIP data, first ${first.path}: ${first.message}`);
+            error.report = report;
+            throw error;
         }
         
+        this.reportPanel?.hide();
         console.log('LIP data validation passed:', {
             vertices: data.vertices.length,
             facets: data.facets.length,
             labels: data.labels.length,
-            bundles: data.bundles.length
+            bundles: data.bundles.length,
+            warnings: report.counts.warning,
+            notes: report.counts.info
         });
+        return report;
+    }
+    
+    showValidationReport(report, name) {
+        if (!this.reportPanel) {
+            this.reportPanel = new LIPReportPanel();
+        }
+        this.reportPanel.show(report, `Problems in ${name}`);
+        this.showError(`${name} has ${report.counts.error} error${report.counts.error === 1 ? '' : 's'} - see the validation report`);
+    }
+    
+    showLoadError(message, error, name) {
+        // Files that fail validation get the full report instead of a one-line error
+        if (error.report) {
+            this.showValidationReport(error.report, name);
+        } else {
+            this.showError(`${message}: ${error.message}`);
+        }
     }
     
     showProcessingIndicator(message) {
@@ -794,12 +2886,13 @@ window.addEventListener('DOMContentLoaded', () => {
     try {
         const visualization = new LIPVisualization();
         window.lipVisualization = visualization; // Make it accessible for debugging
-        visualization.init();
+        visualization.init().then(() => visualization.restoreFromHash());
         
-        // Handle window resize
-        window.addEventListener('resize', () => {
-            visualization.onWindowResize();
+        // Links to a view, see LIPSession.encodeHash
+        window.addEventListener('hashchange', () => {
+            visualization.restoreFromHash();
         });
+
         
         console.log('Visualization setup complete');
     } catch (error) {
@@ -8,10 +8,14 @@ import * as THREE from 'three';
 export class LIPMaterials {
     constructor() {
         this.facetMaterials = [];
+        this.classColors = {};
+        this.bundleMaterials = {};
         this.vertexMaterial = null;
         this.wireframeMaterial = null;
         this.transparency = 0.7;
         this.wireframeEnabled = false;
+        this.cellOpacityScale = 0.4; // Solid regions stay fainter than facets
+        this.violationColor = 0xff00ff; // Facets breaking the substitutes condition
         
         // Color palette for different facets
         this.colorPalette = [
@@ -25,34 +29,88 @@ export class LIPMaterials {
         ];
     }
 
-    createFacetMaterials(count) {
+    /**
+     * One material per facet, coloured by the facet's normal class (its primitive
+     * normal, e.g. "1,-1,0") so that facets of the same demand type share a colour.
+     */
+    createFacetMaterials(classKeys, { lines = false } = {}) {
+        // lines: facets of 2-good LIPs are segments, drawn with line materials
         this.facetMaterials = [];
+        this.classColors = this.assignClassColors(classKeys);
         
-        for (let i = 0; i < count; i++) {
-            const color = this.colorPalette[i % this.colorPalette.length];
+        classKeys.forEach((key, i) => {
+            const color = this.classColors[key];
             
-            const material = new THREE.MeshLambertMaterial({
-                color: color,
-                transparent: true,
-                opacity: this.transparency,
-                side: THREE.DoubleSide, // Render both sides of faces
-                wireframe: this.wireframeEnabled,
-                depthWrite: false, // Prevent Z-fighting with transparent materials
-            });
+            const material = lines
+                ? new THREE.LineBasicMaterial({
+                    color: color,
+                    transparent: true,
+                    opacity: this.transparency,
+                    linewidth: 3
+                })
+                : new THREE.MeshLambertMaterial({
+                    color: color,
+                    transparent: true,
+                    opacity: this.transparency,
+                    side: THREE.DoubleSide, // Render both sides of faces
+                    wireframe: this.wireframeEnabled,
+                    depthWrite: false, // Prevent Z-fighting with transparent materials
+                });
             
             // Store original properties for later modification
             material.userData = {
                 originalColor: color,
                 originalOpacity: this.transparency,
-                facetIndex: i
+                facetIndex: i,
+                normalClass: key
             };
             
             this.facetMaterials.push(material);
-        }
+        });
         
         return this.facetMaterials;
     }
 
+    assignClassColors(classKeys) {
+        // Palette colours for normal classes in a stable (sorted) order, shared by every renderer
+        const colors = {};
+        [...new Set(classKeys)].sort().forEach((key, index) => {
+            colors[key] = this.colorPalette[index % this.colorPalette.length];
+        });
+        return colors;
+    }
+
+    getClassColor(key) {
+        return this.classColors[key];
+    }
+
+    setBaseColor(color) {
+        // Paint every facet in one colour (e.g. its agent's), or back in its class colour for null
+        this.facetMaterials.forEach(material => {
+            material.userData.originalColor = color ?? this.classColors[material.userData.normalClass];
+            material.color = new THREE.Color(material.userData.originalColor);
+            material.needsUpdate = true;
+        });
+    }
+
+    createAgentMaterial(color, { lines = false } = {}) {
+        // Facets of another agent's LIP overlaid on the loaded one
+        return lines
+            ? new THREE.LineBasicMaterial({ color, transparent: true, opacity: this.transparency })
+            : new THREE.MeshLambertMaterial({
+                color,
+                transparent: true,
+                opacity: this.transparency,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            });
+    }
+
+    getBundleColor(bundleIndex) {
+        // Same palette order as createBundleMaterials, as a CSS colour
+        return `#${new THREE.Color(this.colorPalette[bundleIndex % this.colorPalette.length]).getHexString()}`;
+    }
+
     createVertexMaterial() {
         this.vertexMaterial = new THREE.PointsMaterial({
             color: 0x333333,
@@ -103,6 +161,11 @@ export class LIPMaterials {
             material.opacity = this.transparency;
             material.needsUpdate = true;
         });
+        
+        Object.values(this.bundleMaterials).forEach(material => {
+            material.opacity = this.transparency * this.cellOpacityScale;
+            material.needsUpdate = true;
+        });
     }
 
     toggleWireframe(enabled) {
@@ -112,13 +175,27 @@ export class LIPMaterials {
             material.wireframe = enabled;
             material.needsUpdate = true;
         });
+        
+        Object.values(this.bundleMaterials).forEach(material => {
+            material.wireframe = enabled;
+            material.needsUpdate = true;
+        });
     }
 
     highlightFacet(facetIndex, highlight = true) {
         if (facetIndex >= 0 && facetIndex < this.facetMaterials.length) {
             const material = this.facetMaterials[facetIndex];
             
-            if (highlight) {
+            if (material.isLineBasicMaterial) {
+                // Lines have no emissive term; brighten the colour instead
+                if (highlight) {
+                    material.userData.unhighlightedColor = material.color.getHex();
+                    material.color.offsetHSL(0, 0, 0.25);
+                } else if (material.userData.unhighlightedColor !== undefined) {
+                    material.color.setHex(material.userData.unhighlightedColor);
+                    delete material.userData.unhighlightedColor;
+                }
+            } else if (highlight) {
                 material.emissive = new THREE.Color(0x444444);
                 material.opacity = Math.min(1.0, this.transparency + 0.3);
             } else {
@@ -178,7 +255,7 @@ export class LIPMaterials {
             bundleMaterials[bundle] = new THREE.MeshLambertMaterial({
                 color: color,
                 transparent: true,
-                opacity: this.transparency,
+                opacity: this.transparency * this.cellOpacityScale,
                 side: THREE.DoubleSide,
                 wireframe: this.wireframeEnabled,
                 depthWrite: false
@@ -191,6 +268,7 @@ export class LIPMaterials {
             };
         });
         
+        this.bundleMaterials = bundleMaterials;
         return bundleMaterials;
     }
 
@@ -223,11 +301,15 @@ export class LIPMaterials {
         this.facetMaterials.forEach(material => {
             material.dispose();
         });
+        Object.values(this.bundleMaterials).forEach(material => {
+            material.dispose();
+        });
         
         if (this.vertexMaterial) this.vertexMaterial.dispose();
         if (this.wireframeMaterial) this.wireframeMaterial.dispose();
         
         this.facetMaterials = [];
+        this.bundleMaterials = {};
         this.vertexMaterial = null;
         this.wireframeMaterial = null;
     }
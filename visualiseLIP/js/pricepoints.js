@@ -0,0 +1,80 @@
+/**
+ * LIPPricePoints - Labelled price vectors, e.g. competitive equilibrium prices
+ * Reads price vectors such as the output of find_competitive_equilibrium_prices and
+ * names the face of the LIP that contains each of them
+ */
+
+import { Rational } from './rational.js';
+
+export class LIPPricePoints {
+    /**
+     * Normalise a file of price vectors to { trades, agent, points: [{ label, prices, snapped }] },
+     * label being null where the file gives none.
+     * Accepts a single vector [3, 5, 2], a list of vectors, or an object
+     * { trades?, agent?, points: [{ label, prices } | [...]] } (or { prices } for one point).
+     * With trades Ω the vectors are market prices, one per trade, and are read off for
+     * one agent's trades; without, they are prices in the LIP's own coordinates.
+     */
+    static parse(json) {
+        let points;
+        let trades = null;
+        let agent = null;
+
+        if (Array.isArray(json)) {
+            points = json.length > 0 && json.every(entry => !Array.isArray(entry) && typeof entry !== 'object') ? [json] : json;
+        } else if (json && typeof json === 'object') {
+            trades = json.trades || json['Ω'] || null;
+            agent = json.agent ?? null;
+            points = json.points || (json.prices ? [json] : null);
+        }
+        if (!Array.isArray(points) || points.length === 0) {
+            throw new Error('Expected a price vector, a list of them, or { "points": [...] }');
+        }
+        if (trades && !trades.every(trade => Array.isArray(trade) && trade.length === 2)) {
+            throw new Error('"trades" must list the trades Ω as (seller, buyer) pairs');
+        }
+
+        return {
+            trades,
+            agent,
+            points: points.map((point, index) => {
+                const label = Array.isArray(point) ? null : point.label;
+                const values = Array.isArray(point) ? point : point.prices;
+                if (!Array.isArray(values) || values.length === 0) {
+                    throw new Error(`Point ${index + 1} has no prices`);
+                }
+                const { prices, snapped } = LIPPricePoints.parsePrices(values);
+                return { label: label ?? null, prices, snapped };
+            })
+        };
+    }
+
+    /**
+     * Exact prices from JSON values. Solver output such as 2.9999999997 is snapped to the
+     * simplest fraction within 1e-6, so points on facets are recognised as such.
+     */
+    static parsePrices(values) {
+        let snapped = false;
+        const prices = values.map(value => {
+            if (typeof value !== 'number' || Number.isInteger(value)) {
+                return Rational.parse(value);
+            }
+            const price = Rational.fromNumber(value, 1e-6, 1000);
+            if (price.toNumber() !== value) snapped = true;
+            return price;
+        });
+        return { prices, snapped };
+    }
+
+    /**
+     * Name of a face of dimension k in a LIP of n goods: a cell (k = n) is the interior
+     * of a demand region, where the agent is not indifferent.
+     */
+    static faceName(dimension, goods) {
+        if (dimension === goods) return 'cell';
+        if (dimension === 0) return 'vertex';
+        if (dimension === goods - 1) return 'facet';
+        if (dimension === 1) return 'edge';
+        return `${dimension}-face`;
+    }
+}
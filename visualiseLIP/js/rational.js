@@ -0,0 +1,259 @@
+/**
+ * Rational - Exact rational arithmetic for LIP coordinates
+ * Mirrors Julia's Rational{Int} so vertices computed in createLIP.jl survive the trip to the browser
+ */
+
+function gcd(a, b) {
+    a = a < 0n ? -a : a;
+    b = b < 0n ? -b : b;
+    while (b !== 0n) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+export class Rational {
+    constructor(numerator, denominator = 1n) {
+        let num = BigInt(numerator);
+        let den = BigInt(denominator);
+
+        if (den === 0n) {
+            throw new Error('Rational with zero denominator');
+        }
+        if (den < 0n) {
+            num = -num;
+            den = -den;
+        }
+
+        const divisor = gcd(num, den) || 1n;
+        this.num = num / divisor;
+        this.den = den / divisor;
+    }
+
+    static get ZERO() { return new Rational(0n); }
+    static get ONE() { return new Rational(1n); }
+
+    /**
+     * Parse any coordinate accepted by the LIP.json format:
+     * a number, a string such as "7/3" or "-2", or a [numerator, denominator] pair.
+     */
+    static parse(value) {
+        if (value instanceof Rational) {
+            return value;
+        }
+        if (typeof value === 'bigint') {
+            return new Rational(value);
+        }
+        if (typeof value === 'number') {
+            return Rational.fromNumber(value);
+        }
+        if (typeof value === 'string') {
+            const match = value.trim().match(/^([+-]?\d+)\s*(?:\/\s*(\d+))?$/);
+            if (match) {
+                return new Rational(BigInt(match[1]), BigInt(match[2] || '1'));
+            }
+            const number = Number(value);
+            if (value.trim() !== '' && Number.isFinite(number)) {
+                return Rational.fromNumber(number);
+            }
+            throw new Error(`Invalid rational "${value}" - expected e.g. "7/3"`);
+        }
+        if (Array.isArray(value) && value.length === 2 &&
+            value.every(part => Number.isInteger(part) || typeof part === 'bigint' || /^[+-]?\d+$/.test(part))) {
+            return new Rational(BigInt(value[0]), BigInt(value[1]));
+        }
+        throw new Error(`Invalid rational ${JSON.stringify(value)} - expected a number, "p/q" or [p, q]`);
+    }
+
+    /**
+     * Plain JSON numbers are floats that were usually rounded from rationals on the
+     * Julia side, so recover the simplest nearby fraction like Julia's `rationalize`.
+     */
+    static fromNumber(x, tolerance = 1e-9, maxDenominator = 1e6) {
+        if (!Number.isFinite(x)) {
+            throw new Error(`Cannot convert ${x} to a rational`);
+        }
+        if (Number.isInteger(x)) {
+            return new Rational(BigInt(x));
+        }
+
+        // Continued fraction expansion, stopping at the first convergent within tolerance
+        const target = Math.abs(x);
+        let [h0, h1] = [0, 1];
+        let [k0, k1] = [1, 0];
+        let rest = target;
+
+        for (let i = 0; i < 64; i++) {
+            const a = Math.floor(rest);
+            [h0, h1] = [h1, a * h1 + h0];
+            [k0, k1] = [k1, a * k1 + k0];
+            if (k1 > maxDenominator) break;
+            if (Math.abs(h1 / k1 - target) <= tolerance * Math.max(1, target)) {
+                return new Rational(BigInt(Math.sign(x) * h1), BigInt(k1));
+            }
+            const fraction = rest - a;
+            if (fraction === 0) break;
+            rest = 1 / fraction;
+        }
+
+        // No simple fraction nearby: fall back to the exact value of the decimal string
+        const [mantissa, exponent = '0'] = String(target).split('e');
+        const [whole, decimals = ''] = mantissa.split('.');
+        const shift = decimals.length - Number(exponent);
+        const digits = BigInt(whole + decimals);
+        const value = shift >= 0 ? new Rational(digits, 10n ** BigInt(shift)) : new Rational(digits * 10n ** BigInt(-shift));
+        return x < 0 ? value.neg() : value;
+    }
+
+    /** Float used for rendering: the original number if one was given, else num/den. */
+    static toNumber(value) {
+        if (typeof value === 'number') {
+            return value;
+        }
+        return Rational.parse(value).toNumber();
+    }
+
+    static parsePoint(point) {
+        if (!Array.isArray(point)) {
+            throw new Error(`Invalid point ${JSON.stringify(point)} - expected an array of coordinates`);
+        }
+        return point.map(coordinate => Rational.parse(coordinate));
+    }
+
+    static formatPoint(point) {
+        return `(${point.map(coordinate => Rational.parse(coordinate).toString()).join(', ')})`;
+    }
+
+    /** Rank of a matrix of rationals, by exact Gaussian elimination. */
+    static rank(matrix) {
+        const rows = matrix.map(row => row.map(entry => Rational.parse(entry)));
+        const columns = rows.length > 0 ? rows[0].length : 0;
+        let rank = 0;
+
+        for (let column = 0; column < columns && rank < rows.length; column++) {
+            const pivot = rows.findIndex((row, i) => i >= rank && !row[column].isZero());
+            if (pivot === -1) continue;
+            [rows[rank], rows[pivot]] = [rows[pivot], rows[rank]];
+
+            for (let i = rank + 1; i < rows.length; i++) {
+                const factor = rows[i][column].div(rows[rank][column]);
+                if (factor.isZero()) continue;
+                rows[i] = rows[i].map((entry, j) => entry.sub(factor.mul(rows[rank][j])));
+            }
+            rank++;
+        }
+
+        return rank;
+    }
+
+    /**
+     * Scale a rational vector to the primitive integer vector with the same direction,
+     * with its first non-zero entry positive. Returns plain numbers.
+     */
+    static toPrimitiveIntegers(vector) {
+        const entries = vector.map(entry => Rational.parse(entry));
+        const lcm = entries.reduce((l, e) => l / gcd(l, e.den) * e.den, 1n);
+        let integers = entries.map(e => e.num * (lcm / e.den));
+        const divisor = integers.reduce((g, x) => gcd(g, x), 0n) || 1n;
+        integers = integers.map(x => x / divisor);
+
+        const first = integers.find(x => x !== 0n);
+        if (first !== undefined && first < 0n) {
+            integers = integers.map(x => -x);
+        }
+        return integers.map(x => Number(x));
+    }
+
+    add(other) {
+        other = Rational.parse(other);
+        return new Rational(this.num * other.den + other.num * this.den, this.den * other.den);
+    }
+
+    sub(other) {
+        other = Rational.parse(other);
+        return new Rational(this.num * other.den - other.num * this.den, this.den * other.den);
+    }
+
+    mul(other) {
+        other = Rational.parse(other);
+        return new Rational(this.num * other.num, this.den * other.den);
+    }
+
+    div(other) {
+        other = Rational.parse(other);
+        if (other.num === 0n) {
+            throw new Error('Division by zero');
+        }
+        return new Rational(this.num * other.den, this.den * other.num);
+    }
+
+    neg() {
+        return new Rational(-this.num, this.den);
+    }
+
+    abs() {
+        return this.num < 0n ? this.neg() : this;
+    }
+
+    sign() {
+        return this.num === 0n ? 0 : (this.num > 0n ? 1 : -1);
+    }
+
+    isZero() {
+        return this.num === 0n;
+    }
+
+    isInteger() {
+        return this.den === 1n;
+    }
+
+    compare(other) {
+        other = Rational.parse(other);
+        const difference = this.num * other.den - other.num * this.den;
+        return difference === 0n ? 0 : (difference > 0n ? 1 : -1);
+    }
+
+    equals(other) {
+        return this.compare(other) === 0;
+    }
+
+    lt(other) { return this.compare(other) < 0; }
+    le(other) { return this.compare(other) <= 0; }
+    gt(other) { return this.compare(other) > 0; }
+    ge(other) { return this.compare(other) >= 0; }
+
+    min(other) {
+        other = Rational.parse(other);
+        return this.le(other) ? this : other;
+    }
+
+    max(other) {
+        other = Rational.parse(other);
+        return this.ge(other) ? this : other;
+    }
+
+    floor() {
+        const quotient = this.num / this.den;
+        return new Rational(this.num < 0n && quotient * this.den !== this.num ? quotient - 1n : quotient);
+    }
+
+    ceil() {
+        return this.neg().floor().neg();
+    }
+
+    toNumber() {
+        return Number(this.num) / Number(this.den);
+    }
+
+    toString() {
+        return this.den === 1n ? this.num.toString() : `${this.num}/${this.den}`;
+    }
+
+    /** JSON form used by the LIP.json format: integers stay numbers, fractions become "p/q". */
+    toJSON() {
+        if (this.den === 1n && this.num <= BigInt(Number.MAX_SAFE_INTEGER) && this.num >= BigInt(-Number.MAX_SAFE_INTEGER)) {
+            return Number(this.num);
+        }
+        return this.toString();
+    }
+}
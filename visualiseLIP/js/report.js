@@ -0,0 +1,118 @@
+/**
+ * LIPReportPanel - List of the problems found in a LIP, e.g. by LIPValidator
+ * Shows each issue with its severity, JSON path and message, most severe first,
+ * with a button to copy the whole report as text
+ */
+
+import { LIPValidator } from './validator.js';
+
+const SEVERITY_COLORS = { error: '#dc3545', warning: '#d39e00', info: '#007bff' };
+
+// Longer reports are cut short in the panel; Copy report still has every issue
+const MAX_ROWS = 200;
+
+export class LIPReportPanel {
+    constructor() {
+        this.panel = null;
+        this.title = null;
+        this.summary = null;
+        this.list = null;
+        this.copyButton = null;
+        this.report = null;
+    }
+
+    create() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'report-panel';
+        this.panel.style.cssText = `
+            position: fixed;
+            top: 60px;
+            left: 50%;
+            transform: translateX(-50%);
+            width: min(720px, 90vw);
+            max-height: 70vh;
+            display: none;
+            flex-direction: column;
+            background: rgba(255, 255, 255, 0.98);
+            border: 1px solid #ccc;
+            border-radius: 8px;
+            padding: 12px;
+            font-family: Arial, sans-serif;
+            font-size: 13px;
+            z-index: 1100;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 6px;';
+        this.title = document.createElement('div');
+        this.title.style.cssText = 'font-weight: bold; color: #333; flex: 1;';
+
+        const copyButton = document.createElement('button');
+        copyButton.textContent = 'Copy report';
+        copyButton.addEventListener('click', () => {
+            navigator.clipboard.writeText(LIPValidator.formatReport(this.report))
+                .then(() => { copyButton.textContent = 'Copied'; })
+                .catch(error => console.error('Could not copy the report:', error));
+        });
+        this.copyButton = copyButton;
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = '×';
+        closeButton.title = 'Close';
+        closeButton.addEventListener('click', () => this.hide());
+        header.append(this.title, copyButton, closeButton);
+
+        this.summary = document.createElement('div');
+        this.summary.style.cssText = 'color: #666; margin-bottom: 8px;';
+
+        this.list = document.createElement('div');
+        this.list.style.cssText = 'overflow-y: auto; border-top: 1px solid #eee;';
+
+        this.panel.append(header, this.summary, this.list);
+        document.body.appendChild(this.panel);
+    }
+
+    /** Show a report of the form returned by LIPValidator.validate. */
+    show(report, title) {
+        if (!this.panel) this.create();
+        this.report = report;
+        this.title.textContent = title;
+        this.copyButton.textContent = 'Copy report';
+
+        const { error, warning, info } = report.counts;
+        this.summary.textContent = `${error} error${error === 1 ? '' : 's'}, ${warning} warning${warning === 1 ? '' : 's'}, ${info} note${info === 1 ? '' : 's'}`;
+
+        this.list.replaceChildren(...report.issues.slice(0, MAX_ROWS).map(issue => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; gap: 8px; padding: 4px 0; border-bottom: 1px solid #eee; align-items: baseline;';
+
+            const severity = document.createElement('span');
+            severity.textContent = issue.severity;
+            severity.style.cssText = `
+                flex: none; width: 56px; text-align: center; border-radius: 3px; padding: 1px 0;
+                font-size: 11px; font-weight: bold; color: white; background: ${SEVERITY_COLORS[issue.severity]};
+            `;
+            const path = document.createElement('code');
+            path.textContent = issue.path;
+            path.style.cssText = 'flex: none; color: #555;';
+            const message = document.createElement('span');
+            message.textContent = issue.message;
+
+            row.append(severity, path, message);
+            return row;
+        }));
+        if (report.issues.length > MAX_ROWS) {
+            const more = document.createElement('div');
+            more.style.cssText = 'padding: 4px 0; color: #666;';
+            more.textContent = `… and ${report.issues.length - MAX_ROWS} more (Copy report lists them all)`;
+            this.list.appendChild(more);
+        }
+
+        this.panel.style.display = 'flex';
+    }
+
+    hide() {
+        if (this.panel) this.panel.style.display = 'none';
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * LIPScene - Renderer-neutral description of a LIP, shared by the render backends
+ * Facet polygons with their triangulation and class colours, demand regions, vertices,
+ * bundle labels, axes and view presets as plain arrays, built once from LIPGeometry, and
+ * the picking every backend uses, so that the Three.js and vtk.js views draw, label and pick alike
+ */
+
+import { LIPGeometry } from './geometry.js';
+import { LIPDiagnostics } from './diagnostics.js';
+import { LIPMaterials } from './materials.js';
+import { LIPLabels } from './labels.js';
+import { Rational } from './rational.js';
+
+// p₁, p₂, p₃ axes in red, green and blue, as THREE.AxesHelper
+const AXIS_COLORS = [0xff0000, 0x00ff00, 0x0000ff];
+
+// Directions from the box centre to the camera of each preset, as LIPVisualization.setViewPreset
+const PRESET_DIRECTIONS = {
+    isometric: [0.7, 0.7, 0.7],
+    front: [0, 0, 1],
+    back: [0, 0, -1],
+    left: [-1, 0, 0],
+    right: [1, 0, 0],
+    top: [0, 1, 0],
+    bottom: [0, -1, 0]
+};
+
+export class LIPScene {
+    /**
+     * @param {Object} data - LIP.json of 2 or 3 goods (slice larger LIPs with LIPEngine.project first)
+     * @param {Object} options - geometry, facetGeometries and cells already built from data
+     *   (e.g. by LIPVisualization, with the normals of a slice lifted), so that facet and region
+     *   indices agree with the caller's; cells are only drawn when given. logger receives
+     *   the geometry log when the geometry is built here
+     *
+     * facets:   [{ id, dimension, indices, points: [[x, y, z], ...] in cyclic order,
+     *              triangles: [[i, j, k], ...] into points, normalClass, primitiveNormal, color }]
+     * regions:  [{ bundle, bundleIndex, color, faces: [{ points, triangles }] }], the solid demand regions
+     * vertices: [[x, y, z], ...], with z = 0 for 2 goods
+     * labels:   [{ position, bundle, text, bundleIndex }]
+     * axes:     [{ from, to, color }] along the box edges through its lowest corner
+     * box:      { min: [x, y, z], max: [x, y, z] } of the vertices
+     * classColors, bundleColors: 0xRRGGBB by normal class key and by bundle index
+     */
+    constructor(data, { geometry = null, facetGeometries = null, cells = [], logger = console } = {}) {
+        this.data = data;
+        this.geometry = geometry || new LIPGeometry(data, { logger });
+        this.dimension = this.geometry.dimension;
+        this.vertices = this.geometry.vertices.map(vertex => vertex.toArray());
+
+        const geometries = facetGeometries || this.geometry.createFacetGeometries();
+        const classKeys = geometries.map(facet => LIPDiagnostics.normalClassKey(facet));
+        const materials = new LIPMaterials();
+        this.classColors = materials.assignClassColors(classKeys);
+        this.facets = geometries.map((facet, index) => ({
+            id: facet.id,
+            dimension: facet.dimension,
+            indices: facet.indices,
+            points: facet.vertices.map(vertex => vertex.toArray()),
+            triangles: LIPScene.fan(facet.vertices.length),
+            normalClass: classKeys[index],
+            primitiveNormal: facet.primitiveNormal,
+            color: this.classColors[classKeys[index]]
+        }));
+
+        // Regions take the bundle colours of LIPMaterials.createBundleMaterials
+        const bundles = data.bundles || [];
+        this.bundleColors = bundles.map((_, index) => materials.colorPalette[index % materials.colorPalette.length]);
+        this.regions = cells.map(cell => ({
+            bundle: cell.bundle,
+            bundleIndex: cell.bundleIndex,
+            color: this.bundleColors[cell.bundleIndex],
+            faces: cell.faces.map(face => ({
+                points: face.vertices.map(vertex => vertex.toArray()),
+                triangles: LIPScene.fan(face.vertices.length)
+            }))
+        }));
+
+        this.labels = (data.labels || []).slice(0, bundles.length).map((label, index) => {
+            const position = label.map(coordinate => Rational.toNumber(coordinate));
+            if (position.length === 2) position.push(0);
+            return { position, bundle: bundles[index], text: LIPLabels.formatBundleName(bundles[index]), bundleIndex: index };
+        });
+
+        this.box = {
+            min: [0, 1, 2].map(k => Math.min(...this.vertices.map(vertex => vertex[k]))),
+            max: [0, 1, 2].map(k => Math.max(...this.vertices.map(vertex => vertex[k])))
+        };
+        const length = LIPScene.boxSize(this.box) * 0.8;
+        this.axes = AXIS_COLORS.slice(0, this.dimension).map((color, k) => ({
+            from: [...this.box.min],
+            to: this.box.min.map((x, i) => (i === k ? x + length : x)),
+            color
+        }));
+    }
+
+    /** Facets and region faces are convex, so a fan from the first vertex of the cycle triangulates them. */
+    static fan(count) {
+        return Array.from({ length: Math.max(0, count - 2) }, (_, k) => [0, k + 1, k + 2]);
+    }
+
+    static presets() {
+        return Object.keys(PRESET_DIRECTIONS);
+    }
+
+    static boxSize(box) {
+        return Math.max(...box.max.map((x, k) => x - box.min[k])) || 1;
+    }
+
+    /**
+     * Camera of a view preset: { position, target, up }, plus parallelScale (half the
+     * visible height) for 2-good LIPs, which are always seen from above in parallel projection.
+     * up only matters to cameras that do not keep p₂ up themselves, as OrbitControls does.
+     */
+    static viewPreset(box, preset = 'isometric', { dimension = 3, aspect = 1 } = {}) {
+        const center = box.min.map((low, k) => (low + box.max[k]) / 2);
+        const size = LIPScene.boxSize(box);
+
+        if (dimension === 2) {
+            const width = box.max[0] - box.min[0];
+            const height = box.max[1] - box.min[1];
+            return {
+                position: [center[0], center[1], Math.max(width, height, 1) * 2],
+                target: center,
+                up: [0, 1, 0],
+                parallelScale: Math.max(width / aspect, height) * 0.6
+            };
+        }
+
+        const direction = PRESET_DIRECTIONS[preset] || PRESET_DIRECTIONS.isometric;
+        const up = preset === 'top' ? [0, 0, -1] : preset === 'bottom' ? [0, 0, 1] : [0, 1, 0];
+        return {
+            position: center.map((c, k) => c + direction[k] * size * 2),
+            target: center,
+            up
+        };
+    }
+
+    /**
+     * Nearest facet crossed by a ray { origin, direction } (Möller–Trumbore on the fan
+     * triangles): { kind: 'facet', index, distance, point } or null. Segments of 2-good
+     * LIPs have no area and are picked on screen instead, see pickOnScreen.
+     * @param {Function} isVisible - (facetIndex) => whether the facet is shown
+     * @param {Function} isShown - (point) => whether that point of a facet is drawn, e.g. not clipped away
+     */
+    intersectRay(ray, isVisible = () => true, isShown = () => true) {
+        const { origin, direction } = ray;
+        const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+        const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+        const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+        let best = null;
+        this.facets.forEach((facet, index) => {
+            if (facet.dimension !== 2 || !isVisible(index)) return;
+            facet.triangles.forEach(([i, j, k]) => {
+                const a = facet.points[i];
+                const edge1 = sub(facet.points[j], a);
+                const edge2 = sub(facet.points[k], a);
+                const p = cross(direction, edge2);
+                const determinant = dot(edge1, p);
+                if (Math.abs(determinant) < 1e-12) return;
+                const t0 = sub(origin, a);
+                const u = dot(t0, p) / determinant;
+                if (u < 0 || u > 1) return;
+                const q = cross(t0, edge1);
+                const v = dot(direction, q) / determinant;
+                if (v < 0 || u + v > 1) return;
+                const distance = dot(edge2, q) / determinant;
+                if (distance <= 0 || (best && distance >= best.distance)) return;
+                const point = origin.map((x, m) => x + direction[m] * distance);
+                if (isShown(point)) {
+                    best = { kind: 'facet', index, distance, point };
+                }
+            });
+        });
+        return best;
+    }
+
+    /**
+     * Vertex, or facet edge, within tolerance pixels of (x, y) on screen, given a backend's
+     * worldToScreen: { kind: 'vertex' | 'facet', index, distance } or null. Vertices win over edges.
+     * @param {Object} options - edges: also pick facets by their edges (segments for 2 goods);
+     *   isVisible: (facetIndex) => whether the facet is shown; isShown: (point) => whether a vertex is drawn
+     */
+    pickOnScreen(x, y, worldToScreen, { tolerance = 6, edges = false, isVisible = () => true, isShown = () => true } = {}) {
+        let best = null;
+        this.vertices.forEach((vertex, index) => {
+            if (!isShown(vertex)) return;
+            const screen = worldToScreen(vertex);
+            if (!screen) return;
+            const distance = Math.hypot(screen[0] - x, screen[1] - y);
+            if (distance <= tolerance && (!best || distance < best.distance)) {
+                best = { kind: 'vertex', index, distance };
+            }
+        });
+        if (best || !edges) return best;
+
+        this.facets.forEach((facet, index) => {
+            if (!isVisible(index)) return;
+            const screen = facet.points.map(worldToScreen);
+            if (screen.some(point => !point)) return;
+            const count = facet.dimension === 1 ? 1 : screen.length;
+            for (let k = 0; k < count; k++) {
+                const distance = LIPScene.segmentDistance([x, y], screen[k], screen[(k + 1) % screen.length]);
+                if (distance <= tolerance && (!best || distance < best.distance)) {
+                    best = { kind: 'facet', index, distance };
+                }
+            }
+        });
+        return best;
+    }
+
+    static segmentDistance(point, a, b) {
+        const dx = b[0] - a[0];
+        const dy = b[1] - a[1];
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((point[0] - a[0]) * dx + (point[1] - a[1]) * dy) / lengthSq)) : 0;
+        return Math.hypot(point[0] - a[0] - t * dx, point[1] - a[1] - t * dy);
+    }
+
+    /** What a pick is, in exact coordinates: { title, lines }. */
+    describe(hit) {
+        if (hit.kind === 'vertex') {
+            return { title: `Vertex ${hit.index}`, lines: [this.geometry.formatVertex(hit.index)] };
+        }
+        if (hit.kind === 'label') {
+            const label = this.labels[hit.index];
+            return {
+                title: `Region of ${label.bundle}`,
+                lines: [`Label at ${Rational.formatPoint(this.data.labels[label.bundleIndex])}`]
+            };
+        }
+        const facet = this.facets[hit.index];
+        return {
+            title: `${facet.dimension === 1 ? 'Segment' : 'Facet'} ${facet.id}`,
+            lines: [
+                facet.primitiveNormal ? `Normal ${LIPDiagnostics.formatNormal(facet.primitiveNormal)}` : 'No exact normal',
+                ...facet.indices.map(index => this.geometry.formatVertex(index))
+            ]
+        };
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * LIPSession - Shareable view state and saved sessions
+ * Encodes the view (camera, display settings, selection, slice and data source) in
+ * the URL hash so a link reopens the same picture, and reads and writes versioned
+ * session files holding the LIP data and everything layered on top of it
+ */
+
+const SESSION_FORMAT = 'lip-session';
+const SESSION_VERSION = 1;
+
+// Upgrades from each older session version to the next, e.g. 1: session => session of version 2
+const MIGRATIONS = {};
+
+export class LIPSession {
+    /**
+     * View state as a URL hash, e.g. #src=data%2FLIP.json&cam=20,15,25,5,5,5&alpha=0.7&...
+     * view: { source, camera: { position, target, up, parallelScale }, transparency, renderMode, labels, axes,
+     *         displayMode, selectedBundle, slice: { enabled, axis, value }, hiddenFacetClasses, lattice }
+     * Missing fields are left out, so older links keep working as fields are added; links from
+     * before the renderer backends decode with camera.zoom and wireframe turned into renderMode.
+     */
+    static encodeHash(view) {
+        const params = new URLSearchParams();
+        const number = x => Number(x.toFixed(4)).toString();
+        const flag = value => (value ? '1' : '0');
+
+        if (view.source) params.set('src', view.source);
+        if (view.camera) {
+            params.set('cam', [...view.camera.position, ...view.camera.target].map(number).join(','));
+            if (view.camera.up) params.set('up', view.camera.up.map(number).join(','));
+            if (view.camera.parallelScale !== undefined) params.set('scale', number(view.camera.parallelScale));
+        }
+        if (view.transparency !== undefined) params.set('alpha', number(view.transparency));
+        if (view.renderMode) params.set('render', view.renderMode);
+        if (view.labels !== undefined) params.set('labels', flag(view.labels));
+        if (view.axes !== undefined) params.set('axes', flag(view.axes));
+        if (view.displayMode) params.set('mode', view.displayMode);
+        if (view.selectedBundle) params.set('sel', view.selectedBundle);
+        if (view.slice && view.slice.enabled) params.set('slice', `${view.slice.axis}:${view.slice.value}`);
+        if (view.hiddenFacetClasses && view.hiddenFacetClasses.length > 0) {
+            params.set('hide', view.hiddenFacetClasses.join(';'));
+        }
+        if (view.lattice !== undefined) params.set('lattice', flag(view.lattice));
+        return '#' + params.toString();
+    }
+
+    /** Inverse of encodeHash; null if the hash holds no view state. */
+    static decodeHash(hash) {
+        const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+        if ([...params.keys()].length === 0) return null;
+
+        const view = {};
+        const flag = key => params.has(key) ? params.get(key) === '1' : undefined;
+        const finite = text => {
+            const value = Number(text);
+            return Number.isFinite(value) ? value : undefined;
+        };
+
+        if (params.has('src')) view.source = params.get('src');
+        if (params.has('cam')) {
+            const numbers = params.get('cam').split(',').map(Number);
+            if (numbers.length === 6 && numbers.every(Number.isFinite)) {
+                view.camera = {
+                    position: numbers.slice(0, 3),
+                    target: numbers.slice(3)
+                };
+                const up = (params.get('up') || '').split(',').map(Number);
+                if (up.length === 3 && up.every(Number.isFinite)) view.camera.up = up;
+                if (params.has('scale')) view.camera.parallelScale = finite(params.get('scale'));
+                if (params.has('zoom')) view.camera.zoom = finite(params.get('zoom'));
+                Object.keys(view.camera).forEach(key => view.camera[key] === undefined && delete view.camera[key]);
+            }
+        }
+        if (params.has('alpha')) view.transparency = finite(params.get('alpha'));
+        if (['surface', 'wireframe', 'points'].includes(params.get('render'))) {
+            view.renderMode = params.get('render');
+        } else if (params.has('wire')) {
+            view.renderMode = flag('wire') ? 'wireframe' : 'surface';
+        }
+        view.labels = flag('labels');
+        view.axes = flag('axes');
+        if (['facets', 'cells', 'both'].includes(params.get('mode'))) view.displayMode = params.get('mode');
+        view.selectedBundle = params.get('sel');
+        if (params.has('slice')) {
+            const [axis, value] = params.get('slice').split(':');
+            view.slice = { enabled: true, axis: Number(axis), value };
+        } else {
+            view.slice = { enabled: false };
+        }
+        view.hiddenFacetClasses = params.has('hide') ? params.get('hide').split(';') : [];
+        view.lattice = flag('lattice');
+
+        Object.keys(view).forEach(key => view[key] === undefined && delete view[key]);
+        return view;
+    }
+
+    /**
+     * A session file: the LIP itself (data) or where to fetch it from (source), the view
+     * as in encodeHash plus the state layered on the LIP, see LIPVisualization.getSession.
+     */
+    static create(state) {
+        return {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            saved: new Date().toISOString(),
+            ...state
+        };
+    }
+
+    /** Check a parsed session file and bring it up to the current version. */
+    static parse(json) {
+        if (!json || json.format !== SESSION_FORMAT) {
+            throw new Error('Not a LIP session file (expected "format": "lip-session")');
+        }
+        if (!Number.isInteger(json.version) || json.version < 1) {
+            throw new Error(`Invalid session version ${json.version}`);
+        }
+        if (json.version > SESSION_VERSION) {
+            throw new Error(`The session was saved by a newer version of the visualiser (session version ${json.version}, this one reads up to ${SESSION_VERSION})`);
+        }
+
+        let session = json;
+        while (session.version < SESSION_VERSION) {
+            session = { ...MIGRATIONS[session.version](session), version: session.version + 1 };
+        }
+        if (!session.data && !session.source) {
+            throw new Error('The session has neither the LIP data nor the path to it');
+        }
+        return session;
+    }
+
+    static isSession(json) {
+        return Boolean(json) && json.format === SESSION_FORMAT;
+    }
+}
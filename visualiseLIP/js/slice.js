@@ -0,0 +1,217 @@
+/**
+ * LIPSlicePanel - Linked 2D view of an axis-aligned slice p_k = c of the LIP
+ * Draws the cross-section like plotLIP in the Julia Plots extension: segments,
+ * bundle labels and axes, on a plain canvas next to the 3D view
+ */
+
+export class LIPSlicePanel {
+    constructor() {
+        this.panel = null;
+        this.canvas = null;
+        this.title = null;
+        this.state = null;
+        this.onPick = null; // Called with [u, v] in price coordinates when the canvas is clicked
+        this.size = 320;
+        this.margin = 36;
+    }
+
+    create() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'slice-panel';
+        this.panel.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            background: rgba(255, 255, 255, 0.95);
+            border: 1px solid #ccc;
+            border-radius: 8px;
+            padding: 10px;
+            font-family: Arial, sans-serif;
+            font-size: 13px;
+            z-index: 1000;
+            box-shadow: 0 4px 8px rgba(0, 0, 0, 0.1);
+            display: none;
+        `;
+
+        this.title = document.createElement('div');
+        this.title.style.cssText = 'font-weight: bold; margin-bottom: 6px; color: #333;';
+        this.panel.appendChild(this.title);
+
+        // Render at device resolution so lines stay crisp
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.size * ratio;
+        this.canvas.height = this.size * ratio;
+        this.canvas.style.width = `${this.size}px`;
+        this.canvas.style.height = `${this.size}px`;
+        this.canvas.style.cursor = 'crosshair';
+        this.canvas.title = 'Click to probe the price here';
+        this.canvas.getContext('2d').scale(ratio, ratio);
+        this.panel.appendChild(this.canvas);
+
+        this.canvas.addEventListener('click', (event) => {
+            if (!this.state || !this.onPick) return;
+            const rect = this.canvas.getBoundingClientRect();
+            this.onPick(this.toPrices(event.clientX - rect.left, event.clientY - rect.top));
+        });
+
+        document.body.appendChild(this.panel);
+    }
+
+    show(visible = true) {
+        if (!this.panel) this.create();
+        this.panel.style.display = visible ? 'block' : 'none';
+    }
+
+    hide() {
+        this.show(false);
+    }
+
+    // Map between price coordinates (u, v) and canvas pixels, keeping the aspect ratio
+    getScale() {
+        const { min, max } = this.state.bounds;
+        const span = Math.max(max[0] - min[0], max[1] - min[1]) || 1;
+        return (this.size - 2 * this.margin) / span;
+    }
+
+    toCanvas([u, v]) {
+        const scale = this.getScale();
+        const { min } = this.state.bounds;
+        return [this.margin + (u - min[0]) * scale, this.size - this.margin - (v - min[1]) * scale];
+    }
+
+    toPrices(x, y) {
+        const scale = this.getScale();
+        const { min } = this.state.bounds;
+        return [min[0] + (x - this.margin) / scale, min[1] + (this.size - this.margin - y) / scale];
+    }
+
+    /**
+     * @param {Object} state
+     * @param {string} state.title - e.g. "p₃ = 5"
+     * @param {Array} state.axisLabels - names of the horizontal and vertical price axes
+     * @param {Object} state.bounds - { min: [u, v], max: [u, v] }
+     * @param {Array} state.regions - [{ points, centroid, bundle, color }]
+     * @param {Array} state.segments - [{ start: [u, v], end: [u, v], color }]
+     * @param {Array} [state.probe] - [u, v] of the price probe, if it lies in the slice
+     */
+    render(state) {
+        if (!this.panel) this.create();
+        this.state = state;
+        this.title.textContent = `Cross-section ${state.title}`;
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, this.size, this.size);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, this.size, this.size);
+
+        // Demand regions, faintly filled in their bundle colours
+        state.regions.forEach(region => {
+            ctx.beginPath();
+            region.points.forEach((point, i) => {
+                const [x, y] = this.toCanvas(point);
+                if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+            });
+            ctx.closePath();
+            ctx.globalAlpha = 0.25;
+            ctx.fillStyle = region.color;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        });
+
+        this.drawAxes(ctx, state);
+
+        // LIP segments, thick as in plotLIP
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        state.segments.forEach(segment => {
+            const [x0, y0] = this.toCanvas(segment.start);
+            const [x1, y1] = this.toCanvas(segment.end);
+            ctx.strokeStyle = segment.color;
+            ctx.beginPath();
+            ctx.moveTo(x0, y0);
+            ctx.lineTo(x1, y1);
+            ctx.stroke();
+        });
+
+        // Bundle labels at the region centroids
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        state.regions.forEach(region => {
+            const [x, y] = this.toCanvas(region.centroid);
+            const width = ctx.measureText(region.bundle).width + 8;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+            ctx.fillRect(x - width / 2, y - 9, width, 18);
+            ctx.fillStyle = '#000000';
+            ctx.fillText(region.bundle, x, y);
+        });
+
+        if (state.probe) {
+            const [x, y] = this.toCanvas(state.probe);
+            ctx.fillStyle = '#ff0000';
+            ctx.beginPath();
+            ctx.arc(x, y, 5, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+    }
+
+    drawAxes(ctx, state) {
+        const { min, max } = state.bounds;
+        const [x0, y0] = this.toCanvas(min);
+        const [x1, y1] = this.toCanvas(max);
+
+        ctx.strokeStyle = '#333333';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x0, y1, x1 - x0, y0 - y1);
+
+        // Integer ticks, thinned out to at most ~10 per axis
+        ctx.fillStyle = '#333333';
+        ctx.font = '10px Arial';
+        const span = Math.max(max[0] - min[0], max[1] - min[1]);
+        const step = Math.max(1, Math.ceil(span / 10));
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let u = Math.ceil(min[0] / step) * step; u <= max[0]; u += step) {
+            const [x] = this.toCanvas([u, min[1]]);
+            ctx.beginPath();
+            ctx.moveTo(x, y0);
+            ctx.lineTo(x, y0 + 4);
+            ctx.stroke();
+            ctx.fillText(String(u), x, y0 + 6);
+        }
+
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let v = Math.ceil(min[1] / step) * step; v <= max[1]; v += step) {
+            const [, y] = this.toCanvas([min[0], v]);
+            ctx.beginPath();
+            ctx.moveTo(x0, y);
+            ctx.lineTo(x0 - 4, y);
+            ctx.stroke();
+            ctx.fillText(String(v), x0 - 6, y);
+        }
+
+        // Axis names
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(state.axisLabels[0], (x0 + x1) / 2, this.size - 2);
+        ctx.save();
+        ctx.translate(12, (y0 + y1) / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textBaseline = 'middle';
+        ctx.fillText(state.axisLabels[1], 0, 0);
+        ctx.restore();
+    }
+
+    dispose() {
+        if (this.panel && this.panel.parentNode) {
+            this.panel.parentNode.removeChild(this.panel);
+        }
+        this.panel = null;
+        this.canvas = null;
+        this.state = null;
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * LIPSnapshot - Pictures of a LIP without a browser or a GPU
+ * Builds a Three.js scene graph (which needs no WebGL) from a LIPScene, in the viewer's
+ * colours with outlines, vertices and bundle labels, sets the camera from a view preset
+ * and draws it with LIPFigure's SVG projection; used by the render-lip.mjs command line
+ */
+
+import * as THREE from 'three';
+import { LIPScene } from './scene.js';
+import { LIPFigure } from './figure.js';
+import { LIPDiagnostics } from './diagnostics.js';
+import { LIPMaterials } from './materials.js';
+
+const DEFAULTS = {
+    width: 800,
+    height: 600,
+    preset: 'isometric',
+    mode: 'surface',       // surface, wireframe or points, as the render modes of LIPViewer
+    color: 'class',        // class, substitutes, or one colour for every facet such as '#4488cc'
+    opacity: 0.7,
+    labels: true,
+    vertices: true,
+    axes: true,
+    background: '#ffffff', // or 'none' for a transparent background
+    names: null,           // axis names, p₁, p₂, p₃ by default
+    logger: console        // receives the geometry log when data is LIP.json
+};
+
+// Label boxes are sized without measuring text: height in pixels, and the advance of bold Arial in ems
+const LABEL_HEIGHT = 18;
+const CHARACTER_WIDTH = 0.62;
+
+// Same as the field of view of the viewers' perspective cameras
+const FIELD_OF_VIEW = 75;
+
+export class LIPSnapshot {
+    /**
+     * SVG of a LIP (LIP.json data of 2 or 3 goods, or a LIPScene) seen from a view preset.
+     * Options are those of DEFAULTS; width and height are in pixels.
+     */
+    static toSVG(data, options = {}) {
+        const settings = { ...DEFAULTS, ...options };
+        const lipScene = data instanceof LIPScene ? data : new LIPScene(data, { logger: settings.logger });
+        const camera = LIPSnapshot.createCamera(lipScene, settings);
+        const scene = LIPSnapshot.createScene(lipScene, camera, settings);
+        const names = settings.names || ['p₁', 'p₂', 'p₃'];
+
+        return LIPFigure.toSVG(scene, camera, {
+            width: settings.width,
+            height: settings.height,
+            pixelScale: settings.height / DEFAULTS.height,
+            axes: settings.axes
+                ? { min: new THREE.Vector3(...lipScene.box.min), max: new THREE.Vector3(...lipScene.box.max), dimension: lipScene.dimension, names }
+                : null
+        });
+    }
+
+    static createCamera(lipScene, { preset, width, height }) {
+        if (!LIPScene.presets().includes(preset)) {
+            throw new Error(`Unknown view preset "${preset}" (available: ${LIPScene.presets().join(', ')})`);
+        }
+        const aspect = width / height;
+        const view = LIPScene.viewPreset(lipScene.box, preset, { dimension: lipScene.dimension, aspect });
+        const distance = Math.hypot(...view.position.map((x, k) => x - view.target[k]));
+
+        const camera = view.parallelScale !== undefined
+            ? new THREE.OrthographicCamera(-view.parallelScale * aspect, view.parallelScale * aspect, view.parallelScale, -view.parallelScale, 0.1, distance * 10)
+            : new THREE.PerspectiveCamera(FIELD_OF_VIEW, aspect, 0.1, distance * 10);
+        camera.up.set(...view.up);
+        camera.position.set(...view.position);
+        camera.lookAt(...view.target);
+        camera.updateProjectionMatrix();
+        camera.updateMatrixWorld();
+        return camera;
+    }
+
+    /** Facet colour for each facet of the scene under a colouring option. */
+    static facetColors(lipScene, color) {
+        if (color === 'class') {
+            return lipScene.facets.map(facet => facet.color);
+        }
+        if (color === 'substitutes') {
+            // As Highlight violations in the viewer: facets breaking the substitutes condition stand out
+            const violationColor = new LIPMaterials().violationColor;
+            return lipScene.facets.map(facet =>
+                facet.primitiveNormal && !LIPDiagnostics.isSubstitutesNormal(facet.primitiveNormal) ? violationColor : facet.color);
+        }
+        if (!/^#?[0-9a-f]{6}$/i.test(color)) {
+            throw new Error(`Unknown colouring "${color}" (use class, substitutes or a colour such as #4488cc)`);
+        }
+        const uniform = parseInt(color.replace('#', ''), 16);
+        return lipScene.facets.map(() => uniform);
+    }
+
+    static createScene(lipScene, camera, settings) {
+        const scene = new THREE.Scene();
+        if (settings.background !== 'none') scene.background = new THREE.Color(settings.background);
+        const colors = LIPSnapshot.facetColors(lipScene, settings.color);
+        const edgeColor = 0x333333;
+
+        if (settings.mode !== 'points') {
+            const outlinePositions = [];
+            lipScene.facets.forEach((facet, index) => {
+                if (facet.dimension === 1) {
+                    const geometry = new THREE.BufferGeometry().setFromPoints(facet.points.map(point => new THREE.Vector3(...point)));
+                    scene.add(new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: colors[index], linewidth: 3 })));
+                    return;
+                }
+                if (settings.mode === 'wireframe') {
+                    facet.points.forEach((point, k) => outlinePositions.push(...point, ...facet.points[(k + 1) % facet.points.length]));
+                    return;
+                }
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position', new THREE.Float32BufferAttribute(facet.points.flat(), 3));
+                geometry.setIndex(facet.triangles.flat());
+                const mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({
+                    color: colors[index],
+                    transparent: true,
+                    opacity: settings.opacity,
+                    side: THREE.DoubleSide
+                }));
+                // An outline child becomes the stroke of the facet's polygon in the SVG
+                const outline = new THREE.BufferGeometry();
+                outline.setAttribute('position', new THREE.Float32BufferAttribute(
+                    facet.points.flatMap((point, k) => [...point, ...facet.points[(k + 1) % facet.points.length]]), 3));
+                mesh.add(new THREE.LineSegments(outline, new THREE.LineBasicMaterial({ color: edgeColor, transparent: true, opacity: 0.8 })));
+                scene.add(mesh);
+            });
+            if (outlinePositions.length > 0) {
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position', new THREE.Float32BufferAttribute(outlinePositions, 3));
+                scene.add(new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: edgeColor })));
+            }
+        }
+
+        if (settings.vertices || settings.mode === 'points') {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(lipScene.vertices.flat(), 3));
+            scene.add(new THREE.Points(geometry, new THREE.PointsMaterial({ color: edgeColor, size: 5, sizeAttenuation: false })));
+        }
+
+        if (settings.labels) {
+            lipScene.labels.forEach(label => scene.add(LIPSnapshot.createLabel(label, camera, settings.height)));
+        }
+        return scene;
+    }
+
+    /** Label sprite of LIPLabels' proportions, LABEL_HEIGHT pixels high at its depth. */
+    static createLabel(label, camera, height) {
+        const position = new THREE.Vector3(...label.position);
+        const worldPerPixel = camera.isOrthographicCamera
+            ? (camera.top - camera.bottom) / height
+            : 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) *
+              Math.max(position.clone().applyMatrix4(camera.matrixWorldInverse).z * -1, 1e-6) / height;
+        const boxHeight = LABEL_HEIGHT * height / DEFAULTS.height * worldPerPixel;
+        // LIPLabels draws 48 px text with 8 px of padding on each side
+        const boxWidth = boxHeight * (label.text.length * CHARACTER_WIDTH * 48 + 16) / (48 + 16);
+
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ depthTest: false, depthWrite: false }));
+        sprite.position.copy(position);
+        sprite.scale.set(boxWidth, boxHeight, 1);
+        sprite.userData = { bundleName: label.bundle, formattedName: label.text };
+        return sprite;
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * LIPTikZ - Standalone LaTeX figures of a LIP
+ * Writes a tikz-3dplot scene (or a plain TikZ picture for 2 goods) seen from the
+ * viewer's camera direction: filled facets back to front in their colours, vertex
+ * dots, bundle labels and labelled price axes, ready for \input or \includegraphics
+ */
+
+import { LIPFigure } from './figure.js';
+
+// Length of the longest side of the box in the figure, in cm
+const FIGURE_SIZE = 7;
+
+export class LIPTikZ {
+    /**
+     * tikz-3dplot always draws its z axis upwards, so the view keeps p₃ vertical and takes
+     * the camera's direction: \tdplotsetmaincoords{θ}{φ} looks along
+     * (sin θ sin φ, −sin θ cos φ, cos θ) towards the origin.
+     * @param {Array} direction - unit vector from the target to the camera, in price coordinates
+     * @param {Array} right - the camera's right-hand direction, used when looking straight along p₃
+     * @returns {{ theta, phi }} in degrees
+     */
+    static viewAngles(direction, right) {
+        const [dx, dy, dz] = direction;
+        const theta = Math.acos(Math.max(-1, Math.min(1, dz))) * 180 / Math.PI;
+        const phi = Math.hypot(dx, dy) > 1e-6
+            ? Math.atan2(dx, -dy) * 180 / Math.PI
+            : Math.atan2(right[1], right[0]) * 180 / Math.PI; // Screen x of tikz-3dplot is (cos φ, sin φ, 0)
+        return { theta: LIPTikZ.round(theta, 2), phi: LIPTikZ.round((phi + 360) % 360, 2) };
+    }
+
+    /**
+     * Standalone .tex source of a figure:
+     *   dimension  - 2 or 3
+     *   facets     - [{ id, points: [[x, y, z], ...], color: 'RRGGBB', bundles: [Φ, Ψ], normal }]
+     *   vertices   - [[x, y, z], ...]
+     *   labels     - [{ position: [x, y, z], bundle }], or null to leave them out
+     *   box        - { min: [x, y, z], max: [x, y, z] }
+     *   view       - { direction, right } of the camera (3 goods only)
+     *   opacity    - fill opacity of the facets
+     *   axes       - axis names in TeX, e.g. ['p_{1}', 'p_{2}', 'p_{3}'], or null for no axes
+     */
+    static toTeX({ dimension, facets, vertices, labels = null, box, view = null, opacity = 0.7, axes = null }) {
+        const size = Math.max(...box.max.map((x, k) => x - box.min[k]).slice(0, dimension));
+        const scale = LIPTikZ.round(FIGURE_SIZE / (size || 1), 4);
+        const point = p => `(${p.slice(0, dimension).map(x => LIPTikZ.round(x, 4)).join(',')})`;
+
+        // One colour definition per distinct facet colour
+        const colors = new Map();
+        facets.forEach(facet => {
+            if (!colors.has(facet.color)) colors.set(facet.color, `lipcolor${colors.size + 1}`);
+        });
+
+        const lines = [
+            '% LIP exported from the LIP visualiser',
+            '\\documentclass[tikz,border=4pt]{standalone}'
+        ];
+        if (dimension === 3) lines.push('\\usepackage{tikz-3dplot}');
+        colors.forEach((name, hex) => lines.push(`\\definecolor{${name}}{HTML}{${hex.toUpperCase()}}`));
+        lines.push(
+            '\\tikzset{',
+            `    lip facet/.style={draw=black!70, fill opacity=${LIPTikZ.round(opacity, 2)}, line join=round, very thin},`,
+            '    lip segment/.style={line width=1.2pt, line cap=round},',
+            '    lip vertex/.style={fill=black},',
+            '    lip label/.style={font=\\footnotesize, fill=white, fill opacity=0.9, text opacity=1, draw=black!20, rounded corners=1pt, inner sep=1.5pt},',
+            '    lip axis/.style={-stealth, semithick},',
+            '    lip tick/.style={font=\\scriptsize, inner sep=1pt},',
+            '    lip box/.style={black!30, very thin},',
+            '}'
+        );
+
+        let order = facets;
+        let phi = 0;
+        if (dimension === 3) {
+            const angles = LIPTikZ.viewAngles(view.direction, view.right);
+            const theta = angles.theta;
+            phi = angles.phi;
+            lines.push(`% Camera direction θ = ${theta}°, φ = ${phi}° with p₃ upwards; edit to turn the view`);
+            lines.push(`\\tdplotsetmaincoords{${theta}}{${phi}}`);
+            // Painter's algorithm: facets further from the viewer first
+            const rad = Math.PI / 180;
+            const toViewer = [Math.sin(theta * rad) * Math.sin(phi * rad), -Math.sin(theta * rad) * Math.cos(phi * rad), Math.cos(theta * rad)];
+            const depth = facet => facet.points.reduce((sum, p) => sum + p.reduce((d, x, k) => d + x * toViewer[k], 0), 0) / facet.points.length;
+            order = [...facets].sort((a, b) => depth(a) - depth(b));
+        }
+
+        lines.push('\\begin{document}');
+        lines.push(`\\begin{tikzpicture}[${dimension === 3 ? 'tdplot_main_coords, ' : ''}scale=${scale}]`);
+
+        lines.push('    % Bounding box');
+        LIPTikZ.boxEdges(box, dimension).forEach(([a, b]) => lines.push(`    \\draw[lip box] ${point(a)} -- ${point(b)};`));
+
+        if (axes) {
+            lines.push('    % Axes');
+            lines.push(...LIPTikZ.axes(box, dimension, axes, size, point, phi).map(line => `    ${line}`));
+        }
+
+        lines.push(dimension === 3 ? '    % Facets, back to front' : '    % Facets');
+        order.forEach(facet => {
+            const normal = facet.normal ? `, normal (${facet.normal.join(',')})` : '';
+            lines.push(`    % facet ${facet.id}: ${facet.bundles.join(' | ')}${normal}`);
+            if (dimension === 3) {
+                lines.push(`    \\filldraw[lip facet, fill=${colors.get(facet.color)}] ${facet.points.map(point).join(' -- ')} -- cycle;`);
+            } else {
+                lines.push(`    \\draw[lip segment, ${colors.get(facet.color)}] ${facet.points.map(point).join(' -- ')};`);
+            }
+        });
+
+        lines.push('    % Vertices');
+        vertices.forEach(vertex => lines.push(`    \\fill[lip vertex] ${point(vertex)} circle[radius=0.8pt];`));
+
+        if (labels) {
+            lines.push('    % Bundle labels');
+            labels.forEach(({ position, bundle }) => lines.push(`    \\node[lip label] at ${point(position)} {${LIPTikZ.bundleToTeX(bundle)}};`));
+        }
+
+        lines.push('\\end{tikzpicture}', '\\end{document}');
+        return lines.join('\n') + '\n';
+    }
+
+    /** The box's edges: the 4 sides of a rectangle for 2 goods, the 12 edges of a cube for 3. */
+    static boxEdges(box, dimension) {
+        const corners = [];
+        for (let mask = 0; mask < 1 << dimension; mask++) {
+            corners.push(box.min.map((low, k) => k < dimension && mask >> k & 1 ? box.max[k] : low));
+        }
+        const edges = [];
+        corners.forEach((corner, mask) => {
+            for (let k = 0; k < dimension; k++) {
+                if (!(mask >> k & 1)) edges.push([corner, corners[mask | 1 << k]]);
+            }
+        });
+        return edges;
+    }
+
+    /**
+     * Arrows along the box edges through its lowest corner, with ticks sticking out of the box:
+     * down from horizontal axes, and from p₃ along −p₁, on whichever side of it that is on screen.
+     */
+    static axes(box, dimension, names, size, point, phi = 0) {
+        const lines = [];
+        const tick = size * 0.02;
+        for (let k = 0; k < dimension; k++) {
+            const low = box.min[k];
+            const high = box.max[k];
+            const end = [...box.min];
+            end[k] = high + (high - low) * 0.12;
+            const nameAnchor = dimension === 2 ? (k === 0 ? 'west' : 'south') : (k === 2 ? 'south' : 'north');
+            lines.push(`\\draw[lip axis] ${point(box.min)} -- ${point(end)} node[anchor=${nameAnchor}] {$${names[k]}$};`);
+
+            const across = dimension === 3 ? (k === 2 ? 0 : 2) : 1 - k;
+            const anchor = across === 2 || (dimension === 2 && across === 1) ? 'north'
+                : Math.cos(phi * Math.PI / 180) > 0 ? 'east' : 'west';
+            const step = LIPFigure.tickStep(high - low);
+            for (let i = Math.ceil(low / step - 1e-9); i <= Math.floor(high / step + 1e-9); i++) {
+                const value = LIPTikZ.round(i * step, 6);
+                if (k > 0 && value === low) continue; // The corner is labelled once, on p₁
+                const start = [...box.min];
+                start[k] = value;
+                const offset = new Array(dimension).fill(0);
+                offset[across] = -tick;
+                lines.push(`\\draw ${point(start)} -- ++${point(offset)} node[lip tick, anchor=${anchor}] {${value}};`);
+            }
+        }
+        return lines;
+    }
+
+    /** "{1,2}" as $\{1,2\}$ and "∅" as $\emptyset$. */
+    static bundleToTeX(bundle) {
+        const text = bundle.trim();
+        if (text === '∅' || text === '{}' || text === '') return '$\\emptyset$';
+        return `$${text.replace(/[{}]/g, brace => `\\${brace}`)}$`;
+    }
+
+    static round(x, digits) {
+        return Number(x.toFixed(digits));
+    }
+}
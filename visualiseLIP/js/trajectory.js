@@ -0,0 +1,107 @@
+/**
+ * LIPTrajectory - Traces of the best response dynamic as paths through an agent's LIP
+ * Reads the per-step offers recorded by dynamic(market, ds) in src/dynamic.jl and turns
+ * them into the prices one agent faces, i.e. neighbouring_offers in src/markets.jl
+ */
+
+import { Rational } from './rational.js';
+
+export class LIPTrajectory {
+    /**
+     * Normalise a trace to { trades, initialOffers, steps: [{ selected, unsatisfied, offers }] },
+     * offers being one { trade: Rational } map per agent. Accepts the step list written by
+     * create_dynamic_trace_file in lip_json.jl, or dynamic()'s named tuple of columns:
+     * { trades, offers: [...], selected: [...], unsatisfied: [...] }.
+     */
+    static parse(json) {
+        const trades = json.trades || json['Ω'];
+        if (!Array.isArray(trades) || !trades.every(trade => Array.isArray(trade) && trade.length === 2)) {
+            throw new Error('The trace needs "trades": the list Ω of (seller, buyer) pairs');
+        }
+
+        let steps;
+        if (Array.isArray(json.steps)) {
+            steps = json.steps;
+        } else if (Array.isArray(json.offers)) {
+            steps = json.offers.map((offers, t) => ({
+                offers,
+                selected: json.selected ? json.selected[t] : null,
+                unsatisfied: json.unsatisfied ? json.unsatisfied[t] : null
+            }));
+        } else {
+            throw new Error('The trace needs "steps" (or the "offers" column returned by dynamic)');
+        }
+
+        const agents = Math.max(...trades.flat());
+        const parseOffers = (offers, where) => {
+            if (!Array.isArray(offers) || offers.length !== agents) {
+                throw new Error(`${where}: expected offers of ${agents} agents`);
+            }
+            return offers.map(agentOffers => new Map(Object.entries(agentOffers || {})
+                .map(([trade, offer]) => [Number(trade), Rational.parse(offer)])));
+        };
+
+        return {
+            trades,
+            agents,
+            initialOffers: json.initial_offers ? parseOffers(json.initial_offers, 'initial_offers') : null,
+            steps: steps.map((step, t) => ({
+                selected: step.selected ?? null,
+                unsatisfied: step.unsatisfied ?? null,
+                offers: parseOffers(step.offers, `step ${t + 1}`)
+            }))
+        };
+    }
+
+    /** Trades associated with agent i (1-based), in increasing order as in the agent's LIP. */
+    static agentTrades(trace, agent) {
+        return trace.trades
+            .map((trade, index) => ({ trade, ω: index + 1 }))
+            .filter(({ trade }) => trade[0] === agent || trade[1] === agent)
+            .map(({ ω }) => ω);
+    }
+
+    /** χ of agent i on its trades: +1 where it buys, −1 where it sells. */
+    static agentChi(trace, agent) {
+        return LIPTrajectory.agentTrades(trace, agent).map(ω => trace.trades[ω - 1][1] === agent ? 1 : -1);
+    }
+
+    /**
+     * The first agent whose number of trades is the LIP's number of goods, preferring one
+     * whose roles match the LIP's χ if it has one; agent 1 if none matches.
+     */
+    static matchAgent(trace, goods, chi = null) {
+        const agents = Array.from({ length: trace.agents }, (_, i) => i + 1);
+        const matches = agent => LIPTrajectory.agentTrades(trace, agent).length === goods;
+        return agents.find(agent => matches(agent) && (!chi || LIPTrajectory.agentChi(trace, agent).every((c, k) => c === Number(chi[k]))))
+            ?? agents.find(matches) ?? 1;
+    }
+
+    /**
+     * The prices agent i faces at each recorded state: p_ω is the offer of the counterpart
+     * on trade ω. Returns [{ step, selected, prices }], step 0 being the initial offers if known.
+     */
+    static project(trace, agent) {
+        const trades = LIPTrajectory.agentTrades(trace, agent);
+        const counterpart = ω => {
+            const [seller, buyer] = trace.trades[ω - 1];
+            return seller === agent ? buyer : seller;
+        };
+        const prices = offers => trades.map(ω => {
+            const offer = offers[counterpart(ω) - 1].get(ω);
+            if (offer === undefined) {
+                throw new Error(`Agent ${counterpart(ω)} has no offer on trade ${ω}`);
+            }
+            return offer;
+        });
+
+        const states = [];
+        if (trace.initialOffers) {
+            states.push({ step: 0, selected: null, prices: prices(trace.initialOffers) });
+        }
+        trace.steps.forEach((step, t) => {
+            states.push({ step: t + 1, selected: step.selected, prices: prices(step.offers) });
+        });
+        return states;
+    }
+}
@@ -0,0 +1,381 @@
+/**
+ * LIPValidator - Checks a LIP.json file and reports every problem it finds
+ * Each issue has a severity (error: the LIP cannot be drawn as written, warning: most likely
+ * a mistake, info: allowed but worth knowing), a JSON path such as $.facets[3][1] and a
+ * message. Shared by the viewer, which lists the issues when a file fails to load, and by
+ * the validate-lip.mjs command line
+ */
+
+import { Rational } from './rational.js';
+import { LIPEngine } from './engine.js';
+
+// Issues are listed most severe first
+const SEVERITIES = ['error', 'warning', 'info'];
+
+export class LIPValidator {
+    constructor(data, { logger = console } = {}) {
+        this.data = data;
+        this.logger = logger; // for the engine that checks the labels against the valuation
+        this.issues = [];
+        this.dimension = null;
+        this.vertices = []; // Exact coordinates, null where a vertex could not be read
+        this.labels = [];
+    }
+
+    /**
+     * Report on LIP.json data: { valid, dimension, counts: { error, warning, info }, issues }.
+     * Options: logger, as for the constructor.
+     */
+    static validate(data, options = {}) {
+        return new LIPValidator(data, options).validate();
+    }
+
+    /** Plain-text report, one issue per line and a count of each severity. */
+    static formatReport(report) {
+        const { error, warning, info } = report.counts;
+        const lines = report.issues.map(issue => `${issue.severity.padEnd(7)} ${issue.path}: ${issue.message}`);
+        lines.push(`${error} error${error === 1 ? '' : 's'}, ${warning} warning${warning === 1 ? '' : 's'}, ${info} note${info === 1 ? '' : 's'}`);
+        return lines.join('\n');
+    }
+
+    validate() {
+        if (this.checkStructure()) {
+            this.checkVertices();
+            this.checkFacets();
+            this.checkLabels();
+            this.checkBundles();
+            this.checkBounds();
+            this.checkValuation();
+            this.checkDemand();
+        }
+
+        const counts = Object.fromEntries(SEVERITIES.map(severity =>
+            [severity, this.issues.filter(issue => issue.severity === severity).length]));
+        return {
+            valid: counts.error === 0,
+            dimension: this.dimension,
+            counts,
+            issues: SEVERITIES.flatMap(severity => this.issues.filter(issue => issue.severity === severity))
+        };
+    }
+
+    add(severity, path, message) {
+        this.issues.push({ severity, path, message });
+    }
+
+    checkStructure() {
+        const data = this.data;
+        if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+            this.add('error', '$', 'expected an object with vertices, facets, labels and bundles');
+            return false;
+        }
+
+        ['vertices', 'facets', 'labels', 'bundles'].forEach(field => {
+            if (data[field] === undefined) {
+                this.add('error', `$.${field}`, 'missing required field');
+            } else if (!Array.isArray(data[field])) {
+                this.add('error', `$.${field}`, 'must be an array');
+            }
+        });
+        if (Array.isArray(data.vertices) && data.vertices.length === 0) {
+            this.add('error', '$.vertices', 'no vertices');
+        }
+        if (Array.isArray(data.facets) && data.facets.length === 0) {
+            this.add('error', '$.facets', 'no facets');
+        }
+        return true;
+    }
+
+    /** Exact point of a vertex or label, or null after reporting what is wrong with it. */
+    parsePoint(point, path) {
+        if (!Array.isArray(point)) {
+            this.add('error', path, `expected an array of ${this.dimension} coordinates`);
+            return null;
+        }
+        if (point.length !== this.dimension) {
+            this.add('error', path, `has ${point.length} coordinates, expected ${this.dimension} like $.vertices[0]`);
+            return null;
+        }
+
+        let valid = true;
+        const exact = point.map((coordinate, k) => {
+            try {
+                return Rational.parse(coordinate);
+            } catch (error) {
+                this.add('error', `${path}[${k}]`, error.message);
+                valid = false;
+                return null;
+            }
+        });
+        return valid ? exact : null;
+    }
+
+    checkVertices() {
+        const vertices = this.data.vertices;
+        if (!Array.isArray(vertices) || vertices.length === 0) return;
+
+        // Vertex 0 sets the number of goods
+        const first = vertices.find(vertex => Array.isArray(vertex));
+        this.dimension = first ? first.length : null;
+        if (this.dimension === null || this.dimension < 2) {
+            this.add('error', '$.vertices[0]', 'expected at least 2 coordinates, one price per trade');
+            this.dimension = null;
+            return;
+        }
+
+        const seen = new Map();
+        this.vertices = vertices.map((vertex, i) => {
+            const exact = this.parsePoint(vertex, `$.vertices[${i}]`);
+            if (!exact) return null;
+
+            const key = exact.join(',');
+            if (seen.has(key)) {
+                this.add('warning', `$.vertices[${i}]`, `same point ${Rational.formatPoint(exact)} as $.vertices[${seen.get(key)}]`);
+            } else {
+                seen.set(key, i);
+            }
+            return exact;
+        });
+
+        if (this.dimension >= 4 && (this.data.valuation === undefined || this.data.chi === undefined)) {
+            this.add('error', '$', `LIPs of ${this.dimension} goods are shown as 3D slices, which needs the valuation and chi fields`);
+        }
+    }
+
+    checkFacets() {
+        const facets = this.data.facets;
+        if (!Array.isArray(facets) || !Array.isArray(this.data.vertices)) return;
+        const count = this.data.vertices.length;
+        const hyperplane = { 2: 'on one line', 3: 'in one plane' }[this.dimension] || 'in one hyperplane';
+
+        facets.forEach((facet, f) => {
+            const path = `$.facets[${f}]`;
+            if (!Array.isArray(facet)) {
+                this.add('error', path, 'expected an array of vertex indices');
+                return;
+            }
+            if (facet.length === 0) {
+                this.add('warning', path, 'empty facet');
+                return;
+            }
+
+            // The viewer drops bad indices, which silently changes the facet
+            const first = new Map();
+            let usable = true;
+            facet.forEach((index, k) => {
+                if (!Number.isInteger(index)) {
+                    this.add('error', `${path}[${k}]`, `vertex index ${JSON.stringify(index)} is not an integer`);
+                    usable = false;
+                } else if (index < 0 || index >= count) {
+                    this.add('error', `${path}[${k}]`, `vertex index ${index} is out of range (${count} vertices, 0 to ${count - 1})`);
+                    usable = false;
+                } else if (first.has(index)) {
+                    this.add('warning', `${path}[${k}]`, `vertex ${index} is repeated (already at ${path}[${first.get(index)}])`);
+                } else {
+                    first.set(index, k);
+                }
+            });
+
+            const points = [...first.keys()].map(index => this.vertices[index]);
+            if (!usable || this.dimension === null || points.some(point => !point)) return;
+
+            // A facet of a LIP of n goods spans n - 1 dimensions
+            const origin = points[0];
+            const rank = Rational.rank(points.slice(1).map(point => point.map((c, k) => c.sub(origin[k]))));
+            if (rank > this.dimension - 1) {
+                this.add('error', path, `vertices are not ${hyperplane}: they span ${rank} dimensions`);
+            } else if (rank < this.dimension - 1) {
+                const shape = ['a point', 'an edge', 'a polygon'][rank] || `${rank} dimensions`;
+                this.add('info', path, `spans only ${shape}, while a facet of ${this.dimension} goods spans ${this.dimension - 1} dimensions`);
+            }
+        });
+    }
+
+    checkLabels() {
+        const { labels, bundles } = this.data;
+        if (!Array.isArray(labels)) return;
+        if (Array.isArray(bundles) && labels.length !== bundles.length) {
+            this.add('error', '$.labels', `${labels.length} labels for ${bundles.length} bundles; each bundle needs one label position`);
+        }
+        if (this.dimension === null) return;
+        this.labels = labels.map((label, i) => this.parsePoint(label, `$.labels[${i}]`));
+    }
+
+    checkBundles() {
+        const bundles = this.data.bundles;
+        if (!Array.isArray(bundles)) return;
+
+        const seen = new Map();
+        bundles.forEach((text, i) => {
+            const path = `$.bundles[${i}]`;
+            if (typeof text !== 'string') {
+                this.add('error', path, `expected a bundle string such as "{1,3}", got ${JSON.stringify(text)}`);
+                return;
+            }
+
+            let bundle;
+            try {
+                bundle = LIPEngine.parseBundle(text);
+            } catch (error) {
+                this.add('error', path, error.message);
+                return;
+            }
+            const good = bundle.find(good => good < 1 || (this.dimension !== null && good > this.dimension));
+            if (good !== undefined) {
+                this.add('error', path, `good ${good} does not exist in a LIP of ${this.dimension} goods`);
+            }
+
+            const canonical = LIPEngine.formatBundle(bundle);
+            if (seen.has(canonical)) {
+                this.add('error', path, `same bundle ${canonical} as $.bundles[${seen.get(canonical)}]`);
+            } else {
+                seen.set(canonical, i);
+            }
+            if (text !== canonical) {
+                this.add('info', path, `"${text}" is written "${canonical}" by createLIP.jl`);
+            }
+        });
+    }
+
+    /**
+     * Vertices must lie in the declared box [L, U]^n (the bounds field written by
+     * createLIP.jl), and labels should; older files without it have their labels
+     * checked against the box spanned by the vertices
+     */
+    checkBounds() {
+        if (this.dimension === null) return;
+        const points = this.vertices.filter(point => point);
+        if (points.length === 0) return;
+
+        const bounds = this.data.bounds;
+        if (bounds === undefined) {
+            this.add('info', '$.bounds', 'no bounding box declared; labels are checked against the box spanned by the vertices');
+            const min = points[0].map((_, k) => points.reduce((low, point) => low.min(point[k]), points[0][k]));
+            const max = points[0].map((_, k) => points.reduce((high, point) => high.max(point[k]), points[0][k]));
+            this.labels.forEach((label, i) => {
+                if (label && label.some((c, k) => c.lt(min[k]) || c.gt(max[k]))) {
+                    this.add('warning', `$.labels[${i}]`, `${Rational.formatPoint(label)} lies outside the box spanned by the vertices`);
+                }
+            });
+            return;
+        }
+
+        let box;
+        try {
+            if (!Array.isArray(bounds) || bounds.length !== 2) throw new Error('expected [L, U]');
+            box = bounds.map(bound => Rational.parse(bound));
+        } catch (error) {
+            this.add('error', '$.bounds', `${error.message}; bounds are [L, U] for the box [L, U]^n`);
+            return;
+        }
+        if (!box[0].lt(box[1])) {
+            this.add('error', '$.bounds', `empty box: lower bound ${box[0]} is not below upper bound ${box[1]}`);
+            return;
+        }
+
+        const name = `[${box[0]}, ${box[1]}]^${this.dimension}`;
+        const outside = point => point.some(c => c.lt(box[0]) || c.gt(box[1]));
+        this.vertices.forEach((point, i) => {
+            if (point && outside(point)) {
+                this.add('error', `$.vertices[${i}]`, `${Rational.formatPoint(point)} lies outside the bounding box ${name}`);
+            }
+        });
+        // createLIP.jl puts the labels of empty regions at the origin, which may lie outside
+        this.labels.forEach((label, i) => {
+            if (label && outside(label)) {
+                this.add('warning', `$.labels[${i}]`, `${Rational.formatPoint(label)} lies outside the bounding box ${name}`);
+            }
+        });
+    }
+
+    /** The optional fields for demand queries: χ and a valuation keyed by bundle. */
+    checkValuation() {
+        const { chi, valuation, bundles } = this.data;
+        if (chi !== undefined) {
+            if (!Array.isArray(chi)) {
+                this.add('error', '$.chi', 'must be an array with one entry per trade');
+            } else {
+                if (this.dimension !== null && chi.length !== this.dimension) {
+                    this.add('error', '$.chi', `has ${chi.length} entries, expected one per trade (${this.dimension})`);
+                }
+                chi.forEach((c, k) => {
+                    let value = null;
+                    try {
+                        value = Rational.toNumber(c);
+                    } catch (error) {
+                        // Reported below
+                    }
+                    if (![1, -1].includes(value)) {
+                        this.add('error', `$.chi[${k}]`, `${JSON.stringify(c)} - expected 1 (buyer) or -1 (seller)`);
+                    }
+                });
+            }
+        }
+
+        if (valuation === undefined) return;
+        if (typeof valuation !== 'object' || valuation === null || Array.isArray(valuation)) {
+            this.add('error', '$.valuation', 'must be an object mapping bundles to values, e.g. {"{1,2}": 3}');
+            return;
+        }
+        if (chi === undefined) {
+            this.add('warning', '$.chi', 'the valuation is only used together with chi');
+        }
+
+        // Bundles are compared as sets, as LIPEngine looks them up: "{2,1}" is "{1,2}"
+        const canonical = text => {
+            try {
+                return LIPEngine.formatBundle(LIPEngine.parseBundle(text));
+            } catch (error) {
+                return null;
+            }
+        };
+        const listed = new Set((Array.isArray(bundles) ? bundles : []).map(canonical));
+        const keys = new Map();
+        Object.entries(valuation).forEach(([bundle, value]) => {
+            const path = `$.valuation[${JSON.stringify(bundle)}]`;
+            try {
+                Rational.parse(value);
+            } catch (error) {
+                this.add('error', path, error.message);
+            }
+            const key = canonical(bundle);
+            if (key === null) {
+                this.add('warning', path, `"${bundle}" is not a bundle such as "{1,3}", so it is ignored`);
+                return;
+            }
+            if (keys.has(key)) {
+                this.add('error', path, `same bundle ${key} as ${JSON.stringify(keys.get(key))}`);
+            } else {
+                keys.set(key, bundle);
+            }
+            if (Array.isArray(bundles) && !listed.has(key)) {
+                this.add('info', path, 'bundle not listed in $.bundles, so it has no region');
+            }
+        });
+        (Array.isArray(bundles) ? bundles : []).forEach((bundle, i) => {
+            const key = typeof bundle === 'string' ? canonical(bundle) : null;
+            if (key !== null && !keys.has(key)) {
+                this.add('error', `$.bundles[${i}]`, `the valuation has no value for ${bundle}`);
+            }
+        });
+    }
+
+    /**
+     * With a valuation, each label should lie in the region of its bundle: v(Φ) − χ·p is
+     * largest for Φ there. A label in another region means the valuation did not produce the file.
+     */
+    checkDemand() {
+        const { chi, valuation, bundles } = this.data;
+        if (valuation === undefined || chi === undefined || this.issues.some(issue => issue.severity === 'error')) return;
+
+        const engine = LIPEngine.fromData(this.data, { logger: this.logger });
+        this.labels.forEach((label, i) => {
+            if (!label) return;
+            const { demanded } = engine.demand(label);
+            const names = demanded.map(k => LIPEngine.formatBundle(engine.domain[k]));
+            if (!names.includes(LIPEngine.formatBundle(LIPEngine.parseBundle(bundles[i])))) {
+                this.add('warning', `$.labels[${i}]`, `the valuation demands ${names.join(', ')} at ${Rational.formatPoint(label)}, not ${bundles[i]}`);
+            }
+        });
+    }
+}
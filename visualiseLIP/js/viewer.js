@@ -0,0 +1,517 @@
+/**
+ * LIPViewer - A LIP shown through an interchangeable render backend
+ * Holds the LIPScene and the view settings (render mode, display mode, opacity, facet
+ * styles, slice, labels, axes, overlays, selection) and draws bundle labels, handles
+ * picking and hovering and moves the camera itself, on top of whichever backend
+ * (Three.js or vtk.js) renders the scene; the backend can be swapped without losing the view
+ */
+
+import * as THREE from 'three';
+import { LIPScene } from './scene.js';
+import { LIPRenderBackend } from './backend.js';
+import { LIPFigure } from './figure.js';
+import { LIPSnapshot } from './snapshot.js';
+import { LIPLabels } from './labels.js';
+
+// Pointer movement in pixels below which a press and release count as a click, not a drag
+const CLICK_TOLERANCE = 4;
+
+// Hovered and highlighted facets are drawn this far towards white
+const HIGHLIGHT_LIGHTEN = 0.35;
+
+const LABEL_STYLE = `
+    position: absolute; transform: translate(-50%, -50%); white-space: nowrap;
+    background: rgba(255, 255, 255, 0.9); color: #333; border: 1px solid #ccc; border-radius: 4px;
+    padding: 2px 6px; font: bold 12px Arial, sans-serif;
+`;
+
+export class LIPViewer {
+    constructor(container) {
+        this.container = container;
+        this.backend = null;
+        this.surface = null;
+        this.scene = null;
+        this.mode = 'surface';
+        this.displayMode = 'facets';
+        this.opacity = 0.7;
+        this.labelsVisible = true;
+        this.axesVisible = true;
+        this.sceneVisible = true;
+        this.clipPlane = null;
+        this.facetStyles = [];
+        this.hiddenLabels = new Set();
+        this.overlays = new Map();
+        this.selection = null;
+        this.hovered = null;
+        this.onPick = null;       // Called with (hit, description) when something is picked, (null, null) when cleared
+        this.onHover = null;      // Called with (hit, event) when the pick under the pointer changes; hover picking is off without it
+        this.onShiftClick = null; // Called with (x, y) in container pixels for shift+clicks, instead of picking
+        this.onViewChange = null; // Called whenever the camera moves
+
+        this.labelLayer = document.createElement('div');
+        this.labelLayer.style.cssText = 'position: absolute; inset: 0; pointer-events: none; overflow: hidden; z-index: 1;';
+        container.appendChild(this.labelLayer);
+        this.labelElements = [];
+
+        this.tooltip = document.createElement('div');
+        this.tooltip.style.cssText = `
+            position: fixed; display: none; pointer-events: none; z-index: 1500;
+            background: rgba(0, 0, 0, 0.8); color: white; padding: 6px 10px; border-radius: 4px;
+            font: 12px Arial, sans-serif; max-width: 320px;
+        `;
+        document.body.appendChild(this.tooltip);
+
+        let pressed = null;
+        container.addEventListener('pointerdown', event => {
+            pressed = [event.clientX, event.clientY];
+        });
+        container.addEventListener('pointerup', event => {
+            if (!pressed || event.button !== 0) return;
+            const moved = Math.hypot(event.clientX - pressed[0], event.clientY - pressed[1]);
+            pressed = null;
+            if (moved > CLICK_TOLERANCE || event.target.closest('.lip-viewer-label')) return;
+            const rect = container.getBoundingClientRect();
+            const [x, y] = [event.clientX - rect.left, event.clientY - rect.top];
+            if (event.shiftKey) {
+                if (this.onShiftClick) this.onShiftClick(x, y);
+                return;
+            }
+            this.select(this.pick(x, y));
+        });
+
+        // Hovering picks at most once per frame, and not while dragging the camera
+        let hoverEvent = null;
+        container.addEventListener('pointermove', event => {
+            if (!this.onHover) return;
+            if (!hoverEvent) requestAnimationFrame(() => this.hover(hoverEvent));
+            hoverEvent = event;
+        });
+        container.addEventListener('pointerleave', () => {
+            hoverEvent = null;
+            this.setHovered(null, null);
+        });
+        this.hover = event => {
+            hoverEvent = null;
+            if (!event || event.buttons !== 0) return;
+            if (event.target.closest('.lip-viewer-label')) {
+                this.setHovered(null, event);
+                return;
+            }
+            const rect = container.getBoundingClientRect();
+            this.setHovered(this.pick(event.clientX - rect.left, event.clientY - rect.top), event);
+        };
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    /** Render with the named backend ('three' or 'vtk'), keeping the camera and the view settings. */
+    async setBackend(name) {
+        const camera = this.backend && this.scene ? this.backend.getCamera() : null;
+
+        const backend = await LIPRenderBackend.create(name);
+        const surface = this.createSurface();
+        try {
+            await backend.init(surface);
+        } catch (error) {
+            surface.remove();
+            throw error;
+        }
+
+        if (this.backend) {
+            this.backend.dispose();
+            this.surface.remove();
+        }
+        this.backend = backend;
+        this.surface = surface;
+        backend.onViewChange = () => {
+            this.updateLabels();
+            if (this.onViewChange) this.onViewChange();
+        };
+        this.applyState(backend, camera);
+        this.updateLabels();
+        console.log(`Rendering with the ${name} backend`);
+    }
+
+    createSurface() {
+        const surface = document.createElement('div');
+        surface.style.cssText = 'position: absolute; inset: 0;';
+        this.container.insertBefore(surface, this.labelLayer);
+        return surface;
+    }
+
+    /** Bring a backend up to the viewer's state: settings, scene, overlays and the camera (or the isometric preset). */
+    applyState(backend, camera) {
+        backend.setRenderMode(this.mode);
+        backend.setDisplayMode(this.displayMode);
+        backend.setOpacity(this.opacity);
+        backend.setAxesVisible(this.axesVisible);
+        backend.setClipPlane(this.clipPlane);
+        if (this.scene) {
+            backend.setScene(this.scene);
+            backend.setFacetStyles(this.resolveFacetStyles());
+            backend.setSceneVisible(this.sceneVisible);
+            backend.setHighlight(this.selection);
+            backend.setCamera(camera || this.getPresetCamera('isometric', backend));
+        }
+        this.overlays.forEach((overlay, name) => this.sendOverlay(backend, name));
+    }
+
+    /**
+     * Show a LIP. Options are those of LIPScene (geometry, facetGeometries, cells) and
+     * keepCamera, to stay where the camera is when the number of goods is the same.
+     */
+    setData(data, { keepCamera = false, ...sceneOptions } = {}) {
+        const previous = this.scene;
+        this.scene = new LIPScene(data, sceneOptions);
+        this.selection = null;
+        this.hovered = null;
+        this.hideTooltip();
+        this.facetStyles = this.scene.facets.map(() => ({}));
+        this.hiddenLabels = new Set();
+        this.createLabels();
+        if (this.backend) {
+            const camera = keepCamera && previous && previous.dimension === this.scene.dimension ? this.backend.getCamera() : null;
+            this.backend.setScene(this.scene);
+            this.backend.setFacetStyles(this.resolveFacetStyles());
+            this.backend.setHighlight(null);
+            this.backend.setCamera(camera || this.getPresetCamera('isometric'));
+            this.updateLabels();
+        }
+        console.log(`Viewer showing ${this.scene.vertices.length} vertices and ${this.scene.facets.length} facets`);
+        return this.scene;
+    }
+
+    getPresetCamera(preset, backend = this.backend) {
+        return LIPScene.viewPreset(this.scene.box, preset, {
+            dimension: this.scene.dimension,
+            aspect: backend.getAspect()
+        });
+    }
+
+    setViewPreset(preset, { animate = false } = {}) {
+        if (!this.scene || !this.backend) return;
+        const camera = this.getPresetCamera(preset);
+        if (animate) {
+            this.animateCamera(camera);
+        } else {
+            this.setCamera(camera);
+        }
+    }
+
+    /** { position, target, up }, plus parallelScale for 2 goods; see LIPRenderBackend.getCamera. */
+    getCamera() {
+        return this.backend ? this.backend.getCamera() : null;
+    }
+
+    setCamera(camera) {
+        if (!this.backend) return;
+        cancelAnimationFrame(this.cameraAnimation);
+        this.backend.setCamera(camera);
+        this.updateLabels();
+    }
+
+    /** Move the camera to another view over duration milliseconds, easing in and out. */
+    animateCamera(to, duration = 1000) {
+        if (!this.backend) return;
+        cancelAnimationFrame(this.cameraAnimation);
+        const from = this.backend.getCamera();
+        const lerp = (a, b, t) => a.map((x, k) => x + (b[k] - x) * t);
+        const start = performance.now();
+
+        const step = now => {
+            const progress = Math.min((now - start) / duration, 1);
+            const eased = progress * progress * (3 - 2 * progress);
+            const camera = {
+                position: lerp(from.position, to.position, eased),
+                target: lerp(from.target, to.target, eased),
+                up: to.up || from.up
+            };
+            if (from.parallelScale !== undefined) {
+                camera.parallelScale = from.parallelScale + ((to.parallelScale ?? from.parallelScale) - from.parallelScale) * eased;
+            }
+            this.backend.setCamera(camera);
+            this.updateLabels();
+            if (progress < 1) this.cameraAnimation = requestAnimationFrame(step);
+        };
+        this.cameraAnimation = requestAnimationFrame(step);
+    }
+
+    /** 'surface', 'wireframe' or 'points', see LIPRenderBackend.setRenderMode. */
+    setRenderMode(mode) {
+        this.mode = mode;
+        this.backend?.setRenderMode(mode);
+    }
+
+    /** 'facets', 'cells' or 'both', see LIPRenderBackend.setDisplayMode. */
+    setDisplayMode(mode) {
+        this.displayMode = mode;
+        this.backend?.setDisplayMode(mode);
+    }
+
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        this.backend?.setOpacity(opacity);
+    }
+
+    setLabelsVisible(visible) {
+        this.labelsVisible = visible;
+        this.updateLabels();
+    }
+
+    /** Hide or show the label of one bundle, by its index in scene.labels. */
+    setLabelVisible(index, visible) {
+        if (visible) {
+            this.hiddenLabels.delete(index);
+        } else {
+            this.hiddenLabels.add(index);
+        }
+        this.updateLabels();
+    }
+
+    setAxesVisible(visible) {
+        this.axesVisible = visible;
+        this.backend?.setAxesVisible(visible);
+    }
+
+    /**
+     * One { visible = true, color = null, highlighted = false } per facet: hidden facets are
+     * neither drawn nor picked, color (0xRRGGBB) replaces the class colour and highlighted
+     * facets are drawn lighter.
+     */
+    setFacetStyles(styles) {
+        this.facetStyles = styles;
+        this.backend?.setFacetStyles(this.resolveFacetStyles());
+    }
+
+    resolveFacetStyles() {
+        return this.scene.facets.map((facet, index) => {
+            const { visible = true, color = null, highlighted = false } = this.facetStyles[index] || {};
+            const base = new THREE.Color(color ?? facet.color);
+            if (highlighted) base.lerp(new THREE.Color(0xffffff), HIGHLIGHT_LIGHTEN);
+            return { visible, color: base.getHex() };
+        });
+    }
+
+    isFacetVisible(index) {
+        return this.displayMode !== 'cells' && (this.facetStyles[index] || {}).visible !== false;
+    }
+
+    /** Hide or show the LIP itself, with the overlays attached to it; axes and other overlays stay. */
+    setSceneVisible(visible) {
+        this.sceneVisible = visible;
+        if (!visible) this.setHovered(null, null);
+        if (this.backend) {
+            this.backend.setSceneVisible(visible);
+            this.overlays.forEach((overlay, name) => {
+                if (overlay.attached) this.sendOverlay(this.backend, name);
+            });
+        }
+        this.updateLabels();
+    }
+
+    /** Cut away p_axis > value ({ axis: 0 | 1 | 2, value }), or nothing for null. */
+    setClipPlane(plane) {
+        this.clipPlane = plane;
+        this.backend?.setClipPlane(plane);
+        this.updateLabels();
+    }
+
+    /** Whether a point is left by the clip plane. */
+    isShown(point) {
+        return !this.clipPlane || point[this.clipPlane.axis] <= this.clipPlane.value + 1e-9;
+    }
+
+    /**
+     * Draw primitives under a name (see LIPRenderBackend.setOverlay), replacing those drawn
+     * under it before; null removes them. Options: clip, to be cut by the clip plane;
+     * attached, to be hidden with the scene; labels, [{ position, text }] drawn like the
+     * bundle labels but not clickable.
+     */
+    setOverlay(name, items, { clip = false, attached = false, labels = [] } = {}) {
+        this.overlays.get(name)?.labelElements.forEach(element => element.remove());
+        if (!items) {
+            this.overlays.delete(name);
+            this.backend?.setOverlay(name, null);
+            return;
+        }
+        const labelElements = labels.map(label => {
+            const element = document.createElement('div');
+            element.textContent = label.text;
+            element.style.cssText = LABEL_STYLE;
+            this.labelLayer.appendChild(element);
+            return element;
+        });
+        this.overlays.set(name, { items, clip, attached, labels, labelElements });
+        if (this.backend) this.sendOverlay(this.backend, name);
+        this.updateLabels();
+    }
+
+    sendOverlay(backend, name) {
+        const { items, clip, attached } = this.overlays.get(name);
+        backend.setOverlay(name, attached && !this.sceneVisible ? null : items, { clip });
+    }
+
+    createLabels() {
+        this.labelElements.forEach(element => element.remove());
+        this.labelElements = this.scene.labels.map((label, index) => {
+            const element = document.createElement('div');
+            element.className = 'lip-viewer-label';
+            element.textContent = label.text;
+            element.title = label.bundle;
+            element.style.cssText = `${LABEL_STYLE} pointer-events: auto; cursor: pointer;`;
+            element.addEventListener('click', () => this.select({ kind: 'label', index }));
+            this.labelLayer.appendChild(element);
+            return element;
+        });
+    }
+
+    /** Place the labels over their positions; called whenever the camera moves. */
+    updateLabels() {
+        if (!this.scene || !this.backend) return;
+        const place = (element, position, visible) => {
+            const screen = visible ? this.backend.worldToScreen(position) : null;
+            element.style.display = screen ? 'block' : 'none';
+            if (screen) {
+                element.style.left = `${screen[0]}px`;
+                element.style.top = `${screen[1]}px`;
+            }
+        };
+        this.labelElements.forEach((element, index) => {
+            const { position } = this.scene.labels[index];
+            place(element, position, this.labelsVisible && this.sceneVisible && !this.hiddenLabels.has(index) && this.isShown(position));
+        });
+        this.overlays.forEach(({ labels, labelElements, attached }) => {
+            labelElements.forEach((element, k) => place(element, labels[k].position, this.sceneVisible || !attached));
+        });
+    }
+
+    /**
+     * What is under (x, y), in pixels from the top left of the container: a vertex within
+     * a few pixels first, then the nearest facet along the view ray (facet edges and
+     * segments on screen when no surfaces are drawn). Points mode picks vertices only.
+     * Hidden facets, regions-only display and what the clip plane cuts away are not picked.
+     */
+    pick(x, y) {
+        if (!this.scene || !this.backend || !this.sceneVisible) return null;
+        const worldToScreen = point => this.backend.worldToScreen(point);
+        const isVisible = index => this.isFacetVisible(index);
+        const isShown = point => this.isShown(point);
+        const vertex = this.scene.pickOnScreen(x, y, worldToScreen, { isShown });
+        if (vertex || this.mode === 'points') return vertex;
+
+        if (this.mode === 'surface' && this.scene.dimension === 3) {
+            return this.scene.intersectRay(this.backend.screenToRay(x, y), isVisible, isShown);
+        }
+        return this.scene.pickOnScreen(x, y, worldToScreen, { edges: true, isVisible, isShown });
+    }
+
+    select(hit) {
+        this.selection = hit && hit.kind !== 'label' ? hit : null;
+        this.backend?.setHighlight(this.selection);
+        this.labelElements.forEach((element, index) => {
+            element.style.outline = hit && hit.kind === 'label' && hit.index === index ? '2px solid #ffcc00' : '';
+        });
+        if (this.onPick) this.onPick(hit, hit ? this.scene.describe(hit) : null);
+    }
+
+    setHovered(hit, event) {
+        const same = (a, b) => a === b || (a && b && a.kind === b.kind && a.index === b.index);
+        if (same(hit, this.hovered)) {
+            if (hit && event) this.moveTooltip(event);
+            return;
+        }
+        this.hovered = hit;
+        if (this.onHover) this.onHover(hit, event);
+    }
+
+    /** Show lines of text next to the pointer of event. */
+    showTooltip(lines, event) {
+        this.tooltip.replaceChildren(...lines.map(line => {
+            const element = document.createElement('div');
+            element.textContent = line;
+            return element;
+        }));
+        this.tooltip.style.display = 'block';
+        if (event) this.moveTooltip(event);
+    }
+
+    moveTooltip(event) {
+        this.tooltip.style.left = `${event.clientX + 12}px`;
+        this.tooltip.style.top = `${event.clientY + 12}px`;
+    }
+
+    hideTooltip() {
+        this.tooltip.style.display = 'none';
+    }
+
+    /**
+     * SVG of the current view at width × height (LIPFigure.toSVG), drawn from a Three.js
+     * backend whichever backend renders. Options: units, axes (with the axis names).
+     */
+    async toSVG({ width, height, units = null, names = ['p₁', 'p₂', 'p₃'] }) {
+        return this.withFigureBackend(height, backend => LIPFigure.toSVG(backend.scene, backend.camera, {
+            width,
+            height,
+            units,
+            pixelScale: height / (this.container.clientHeight || height),
+            exclude: [backend.objects?.axes],
+            axes: this.axesVisible && this.scene
+                ? { min: new THREE.Vector3(...this.scene.box.min), max: new THREE.Vector3(...this.scene.box.max), dimension: this.scene.dimension, names }
+                : null
+        }));
+    }
+
+    /** PNG Blob of the current view at width × height (LIPFigure.renderPNG), drawn as toSVG. */
+    async renderPNG({ width, height, dpi = null }) {
+        return this.withFigureBackend(height, backend => LIPFigure.renderPNG(backend.renderer, backend.scene, backend.camera, { width, height, dpi }));
+    }
+
+    /**
+     * Run fn with a Three.js backend showing the current view, with the shown bundle labels
+     * as sprites: the current backend if it is one, otherwise a hidden one set up alike.
+     */
+    async withFigureBackend(height, fn) {
+        if (!this.backend) throw new Error('Nothing is shown yet');
+        const own = this.backend.name === 'three';
+        let backend = this.backend;
+        let surface = null;
+        if (!own) {
+            backend = await LIPRenderBackend.create('three');
+            surface = this.createSurface();
+            surface.style.visibility = 'hidden';
+            await backend.init(surface);
+            this.applyState(backend, this.backend.getCamera());
+        }
+
+        const sprites = [];
+        if (this.scene && this.labelsVisible && this.sceneVisible) {
+            const labelStyle = new LIPLabels({});
+            backend.camera.updateMatrixWorld();
+            this.scene.labels.forEach((label, index) => {
+                if (this.hiddenLabels.has(index) || !this.isShown(label.position)) return;
+                const sprite = LIPSnapshot.createLabel(label, backend.camera, height);
+                sprite.material.map = new THREE.CanvasTexture(labelStyle.createTextCanvas(label.text));
+                sprites.push(sprite);
+            });
+            if (sprites.length > 0) backend.scene.add(...sprites);
+        }
+
+        try {
+            return await fn(backend);
+        } finally {
+            sprites.forEach(sprite => {
+                backend.scene.remove(sprite);
+                backend.disposeObject(sprite);
+            });
+            if (!own) {
+                backend.dispose();
+                surface.remove();
+            }
+        }
+    }
+
+    resize() {
+        if (!this.backend) return;
+        this.backend.resize();
+        this.updateLabels();
+    }
+}
@@ -0,0 +1,174 @@
+"""
+JSON formats of NetworkTrading.jl data read by the LIP viewer in visualiseLIP
+
+Encodes bundles, exact coordinates, valuation tables, dynamic traces and market valuations.
+Kept apart from createLIP.jl, which also needs Polyhedra and GLPK, so that the tests can load
+it with the package dependencies alone.
+"""
+
+using JSON3
+using Combinatorics
+using NetworkTrading
+
+# Type aliases
+const Prices = Vector{Rational{Int}}
+const Bundle = Set{Int}
+
+# ============================================================================
+# Bundles
+# ============================================================================
+
+"""
+    bundle_to_string(bundle)
+
+Convert a bundle (set of goods) to its string representation.
+"""
+function bundle_to_string(bundle::Bundle)
+    isempty(bundle) && return "∅"
+    sorted_bundle = sort(collect(bundle))
+    return "{" * join(sorted_bundle, ",") * "}"
+end
+
+# ============================================================================
+# JSON formatting functions
+# ============================================================================
+
+"""
+    vertices_to_json_format(vertices)
+
+Convert rational vertices to exact JSON coordinates (see `exact_to_json`).
+"""
+function vertices_to_json_format(vertices::Vector{Prices})
+    return [[exact_to_json(coord) for coord in vertex] for vertex in vertices]
+end
+
+"""
+    exact_to_json(x)
+
+Encode a coordinate exactly for LIP.json: integers stay numbers, other rationals
+become "p/q" strings. Coordinates that passed through the Float64 solver carry
+binary noise, so they are first recovered as the nearest simple rational.
+Non-finite values have no exact encoding and raise an `ArgumentError`.
+"""
+function exact_to_json(x::Real)
+    isfinite(x) || throw(ArgumentError("cannot write the non-finite value $x to LIP.json"))
+    r = x isa Rational && denominator(x) <= 10^6 ? x : rationalize(Int, Float64(x), tol=1e-9)
+    return denominator(r) == 1 ? numerator(r) : "$(numerator(r))/$(denominator(r))"
+end
+
+"""
+    facets_to_json_format(facets)
+
+Convert facet indices to JSON arrays (1-indexed to 0-indexed).
+"""
+function facets_to_json_format(facets::Vector{Vector{Int}})
+    # Convert from 1-indexed Julia to 0-indexed for JSON
+    return [indices .- 1 for indices in facets]
+end
+
+"""
+    labels_to_json_format(labels)
+
+Convert label positions to JSON format.
+"""
+function labels_to_json_format(labels::Vector{Prices})
+    return [[exact_to_json(coord) for coord in label] for label in labels]
+end
+
+"""
+    bundles_to_json_format(bundles)
+
+Convert bundle sets to string arrays.
+"""
+function bundles_to_json_format(bundles::Vector{Bundle})
+    return [bundle_to_string(bundle) for bundle in bundles]
+end
+
+"""
+    valuation_to_json_format(v, A)
+
+Record the valuation as a table keyed by bundle strings, so that the viewer can
+evaluate demand at any price vector. Bundles valued -Inf lie outside the domain of `v`
+and are left out, as the viewer reads a missing bundle as never demanded.
+"""
+function valuation_to_json_format(v::Function, A::Vector{Bundle})
+    valued = [(bundle, v(bundle)) for bundle in A]
+    return Dict(bundle_to_string(bundle) => exact_to_json(value) for (bundle, value) in valued if value != -Inf)
+end
+
+"""
+    assemble_json_output(vertices, facets, labels, bundles)
+
+Create the final JSON structure for LIP visualization.
+"""
+function assemble_json_output(vertices, facets, labels, bundles)
+    return Dict(
+        "vertices" => vertices_to_json_format(vertices),
+        "facets" => facets_to_json_format(facets),
+        "labels" => labels_to_json_format(labels),
+        "bundles" => bundles_to_json_format(bundles)
+    )
+end
+
+# ============================================================================
+# Dynamics and markets
+# ============================================================================
+
+"""
+    dynamic_trace_to_json(market::Market, data; initial_offers = nothing)
+
+Convert the `data` returned by `dynamic(market, ds)` into the trace format read by the
+viewer's Dynamics Trace section: the trades Ω as (seller, buyer) pairs and, for each step,
+the selected agent, the unsatisfied agents and every agent's offers. `dynamic` updates
+`ds.offers` in place, so pass `initial_offers = deepcopy(ds.offers)` taken beforehand to
+include the starting point.
+"""
+function dynamic_trace_to_json(market::Market, data; initial_offers = nothing)
+    offers_to_json(offers) = [Dict(string(ω) => exact_to_json(x) for (ω, x) in agent_offers) for agent_offers in offers]
+    
+    json_data = Dict{String, Any}(
+        "trades" => [[seller, buyer] for (seller, buyer) in market.Ω],
+        "steps" => [Dict(
+            "selected" => data.selected[t],
+            "unsatisfied" => sort(collect(data.unsatisfied[t])),
+            "offers" => offers_to_json(data.offers[t])
+        ) for t in eachindex(data.offers)]
+    )
+    if initial_offers !== nothing
+        json_data["initial_offers"] = offers_to_json(initial_offers)
+    end
+    
+    return json_data
+end
+
+"""
+    create_dynamic_trace_file(filename::String, market::Market, data; initial_offers = nothing)
+
+Save the trace of a `dynamic` run to disk (see `dynamic_trace_to_json`).
+"""
+function create_dynamic_trace_file(filename::String, market::Market, data; initial_offers = nothing)
+    json_data = dynamic_trace_to_json(market, data; initial_offers = initial_offers)
+    
+    open(filename, "w") do io
+        JSON3.pretty(io, json_data, indent=2)
+    end
+    
+    return json_data
+end
+
+"""
+    market_valuations_to_json(market::Market)
+
+Convert a market's trades and valuations into the format read by the viewer's Utility
+Landscape section, which draws the aggregate Lyapunov function
+`generate_lyapunov_function(market)` over price space. Agent i's valuation is tabulated
+on every subset of its trades it values finitely, keyed by trade indices ω.
+"""
+function market_valuations_to_json(market::Market)
+    valuations = [valuation_to_json_format(market.valuation[i], [Bundle(Φ) for Φ in powerset(sort(collect(market.trades[i])))])
+                  for i in 1:market.n]
+    return Dict{String, Any}(
+        "trades" => [[seller, buyer] for (seller, buyer) in market.Ω],
+        "valuations" => valuations
+    )
+end
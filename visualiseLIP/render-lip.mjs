@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+/**
+ * render-lip.mjs - Render LIP.json files to SVG (and PNG) without a browser
+ * Runs the viewer's own geometry, colours and SVG figure code (LIPScene, LIPSnapshot,
+ * LIPFigure) under Node, so it works on a headless machine without a GPU. PNGs are
+ * rasterised from the SVG with @resvg/resvg-js if it is installed, or rsvg-convert.
+ *
+ *   node render-lip.mjs data/LIP.json                       # writes data/LIP.svg
+ *   node render-lip.mjs --png --preset top --out-dir thumbs runs/*.json
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { basename, dirname, extname, join } from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { parseArgs } from 'node:util';
+import { LIPSnapshot } from './js/snapshot.js';
+import { LIPScene } from './js/scene.js';
+import { LIPEngine } from './js/engine.js';
+import { LIPValidator } from './js/validator.js';
+
+const USAGE = `Usage: node render-lip.mjs [options] LIP.json [more.json ...]
+
+Options:
+  -o, --output FILE     output file for a single input (.svg or .png)
+  --out-dir DIR         directory for the outputs (default: next to each input)
+  --png                 also write a PNG next to each SVG
+  --preset NAME         view preset: ${LIPScene.presets().join(', ')} (default isometric)
+  --width N, --height N size in pixels (default 800 × 600)
+  --mode MODE           surface, wireframe or points (default surface)
+  --color COLORING      class (by facet normal class), substitutes (violations in magenta)
+                        or one colour for all facets, e.g. '#4488cc' (default class)
+  --opacity X           facet opacity between 0 and 1 (default 0.7)
+  --background COLOR    background colour, or none (default #ffffff)
+  --no-labels           leave out the bundle labels
+  --no-vertices         leave out the vertex dots
+  --no-axes             leave out the price axes
+  --trades I,J,K        for LIPs of 4+ goods: the trades to show (default 1,2,3)
+  --prices P1,P2,...    for LIPs of 4+ goods: prices of the other trades (default 0)
+  --verbose             show the geometry log
+  -h, --help            show this help`;
+
+// Logger for the geometry modules that drops their progress log
+const QUIET = { log() {}, warn() {} };
+
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            output: { type: 'string', short: 'o' },
+            'out-dir': { type: 'string' },
+            png: { type: 'boolean', default: false },
+            preset: { type: 'string', default: 'isometric' },
+            width: { type: 'string', default: '800' },
+            height: { type: 'string', default: '600' },
+            mode: { type: 'string', default: 'surface' },
+            color: { type: 'string', default: 'class' },
+            opacity: { type: 'string', default: '0.7' },
+            background: { type: 'string', default: '#ffffff' },
+            'no-labels': { type: 'boolean', default: false },
+            'no-vertices': { type: 'boolean', default: false },
+            'no-axes': { type: 'boolean', default: false },
+            trades: { type: 'string' },
+            prices: { type: 'string' },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const integer = (name) => {
+        const value = Number(values[name]);
+        if (!Number.isInteger(value) || value < 1) throw new Error(`--${name} must be a positive integer`);
+        return value;
+    };
+    const opacity = Number(values.opacity);
+    if (!(opacity >= 0 && opacity <= 1)) throw new Error('--opacity must be between 0 and 1');
+    if (!LIPScene.presets().includes(values.preset)) {
+        throw new Error(`Unknown view preset "${values.preset}" (use ${LIPScene.presets().join(', ')})`);
+    }
+    if (!['surface', 'wireframe', 'points'].includes(values.mode)) {
+        throw new Error(`Unknown mode "${values.mode}" (use surface, wireframe or points)`);
+    }
+    if (values.output && positionals.length > 1) {
+        throw new Error('--output takes a single input; use --out-dir for several');
+    }
+
+    return {
+        files: positionals,
+        help: values.help,
+        output: values.output,
+        outDir: values['out-dir'],
+        png: values.png,
+        // The geometry modules log their progress and skipped facets for the browser console
+        logger: values.verbose ? console : QUIET,
+        trades: values.trades ? values.trades.split(',').map(Number) : null,
+        prices: values.prices ? values.prices.split(',') : null,
+        figure: {
+            preset: values.preset,
+            width: integer('width'),
+            height: integer('height'),
+            mode: values.mode,
+            color: values.color,
+            opacity,
+            background: values.background,
+            labels: !values['no-labels'],
+            vertices: !values['no-vertices'],
+            axes: !values['no-axes']
+        }
+    };
+}
+
+/** The LIP to draw: the file itself for 2 or 3 goods, a 3-trade slice of it for more. */
+function loadLIP(file, { trades, prices, logger }) {
+    const data = JSON.parse(readFileSync(file, 'utf8'));
+    const report = LIPValidator.validate(data, { logger });
+    if (!report.valid) {
+        const first = report.issues[0];
+        throw new Error(`${report.counts.error} error${report.counts.error === 1 ? '' : 's'}, first ${first.path}: ${first.message} (node validate-lip.mjs lists them all)`);
+    }
+    const goods = data.vertices.length > 0 ? data.vertices[0].length : 3;
+    const subscript = trade => String(trade).replace(/\d/g, digit => '₀₁₂₃₄₅₆₇₈₉'[digit]);
+    if (goods <= 3) {
+        return { data, names: null };
+    }
+
+    const engine = LIPEngine.fromData(data, { logger });
+    if (!engine) {
+        throw new Error(`${goods} goods; slicing to 3 needs the "valuation" and "chi" fields in the file`);
+    }
+    const shown = trades || [1, 2, 3];
+    if (shown.length !== 3 || shown.some(trade => !Number.isInteger(trade) || trade < 1 || trade > goods)) {
+        throw new Error(`--trades must list 3 trades between 1 and ${goods}`);
+    }
+    const fixed = Array.from({ length: goods }, (_, k) => (prices && prices[k] !== undefined ? prices[k] : 0));
+    return {
+        data: engine.project(shown.map(trade => trade - 1), fixed),
+        names: shown.map(trade => `p${subscript(trade)}`)
+    };
+}
+
+/** PNG bytes of an SVG, through @resvg/resvg-js if installed, otherwise rsvg-convert. */
+async function rasterise(svg) {
+    try {
+        const { Resvg } = await import('@resvg/resvg-js');
+        return new Resvg(svg, { font: { loadSystemFonts: true, defaultFontFamily: 'Arial' } }).render().asPng();
+    } catch (error) {
+        if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+    }
+
+    const result = spawnSync('rsvg-convert', ['--format', 'png'], { input: svg, maxBuffer: 1 << 30 });
+    if (result.error && result.error.code === 'ENOENT') {
+        throw new Error('PNG output needs @resvg/resvg-js (npm install --no-save @resvg/resvg-js) or rsvg-convert (librsvg) on the PATH');
+    }
+    if (result.status !== 0) {
+        throw new Error(`rsvg-convert failed: ${result.stderr.toString().trim()}`);
+    }
+    return result.stdout;
+}
+
+function outputPaths(file, options) {
+    if (options.output) {
+        const extension = extname(options.output).toLowerCase();
+        if (extension === '.png') return { png: options.output };
+        return { svg: options.output, png: options.png ? options.output.replace(/\.svg$/i, '') + '.png' : null };
+    }
+    const stem = join(options.outDir || dirname(file), basename(file, extname(file)));
+    return { svg: `${stem}.svg`, png: options.png ? `${stem}.png` : null };
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error(`render-lip: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help || options.files.length === 0) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+    if (options.outDir) mkdirSync(options.outDir, { recursive: true });
+
+    let failures = 0;
+    for (const file of options.files) {
+        try {
+            const { data, names } = loadLIP(file, options);
+            const svg = LIPSnapshot.toSVG(data, { ...options.figure, names, logger: options.logger });
+            const paths = outputPaths(file, options);
+            const written = [];
+            if (paths.svg) {
+                writeFileSync(paths.svg, svg);
+                written.push(paths.svg);
+            }
+            if (paths.png) {
+                writeFileSync(paths.png, await rasterise(svg));
+                written.push(paths.png);
+            }
+            console.log(`${file} → ${written.join(', ')}`);
+        } catch (error) {
+            failures++;
+            console.error(`render-lip: ${file}: ${error.message}`);
+        }
+    }
+    return failures > 0 ? 1 : 0;
+}
+
+process.exitCode = await main();
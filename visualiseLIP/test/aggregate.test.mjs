@@ -0,0 +1,63 @@
+/**
+ * LIPAggregate on the LIPs of additive valuations, which lie in the planes p_i = a_i:
+ * the same LIP twice, and two LIPs whose planes cross
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LIPEngine } from '../js/engine.js';
+import { LIPGeometry } from '../js/geometry.js';
+import { LIPAggregate } from '../js/aggregate.js';
+import { Rational } from '../js/rational.js';
+
+const quiet = { log() {}, warn() {} };
+
+// v(Φ) = Σ_{i ∈ Φ} a_i for 3 goods in the box [0, 10]³
+const additive = ([a1, a2, a3]) => ({
+    '∅': 0, '{1}': a1, '{2}': a2, '{3}': a3,
+    '{1,2}': a1 + a2, '{1,3}': a1 + a3, '{2,3}': a2 + a3, '{1,2,3}': a1 + a2 + a3
+});
+const agentOf = (a, agent) => {
+    const data = new LIPEngine({ valuation: additive(a), chi: [1, 1, 1], bounds: [0, 10], logger: quiet }).compute();
+    const geometry = new LIPGeometry(data, { logger: quiet });
+    return { geometry, polygons: LIPAggregate.facetPolygons(geometry, geometry.createFacetGeometries(), agent) };
+};
+const aggregate = agents => LIPAggregate.compute(
+    agents.flatMap(agent => agent.polygons),
+    agents.flatMap(agent => agent.geometry.exactVertices),
+    { logger: quiet });
+
+test('the same LIP twice has multiplicity 2 everywhere and no crossings', () => {
+    const agents = [agentOf([3, 4, 5], 0), agentOf([3, 4, 5], 1)];
+    const { pieces, crossings, vertices } = aggregate(agents);
+    assert.equal(pieces.length, agents[0].polygons.length);
+    pieces.forEach(piece => {
+        assert.equal(piece.multiplicity, 2);
+        assert.deepEqual(piece.agents, [0, 1]);
+    });
+    assert.deepEqual(crossings, []);
+    assert.deepEqual(vertices, []);
+});
+
+test('shifted LIPs cross along the lines where their planes meet', () => {
+    // Agent 0 lies in p₁ = 3, p₂ = 4, p₃ = 5 and agent 1 in p₁ = 5, p₂ = 6, p₃ = 7
+    const { pieces, crossings, vertices } = aggregate([agentOf([3, 4, 5], 0), agentOf([5, 6, 7], 1)]);
+    assert.deepEqual(pieces, []);
+
+    // Each crossing edge runs along an axis, where a plane of agent 0 meets one of agent 1
+    const length = new Map();
+    crossings.forEach(({ start, end, agents }) => {
+        assert.deepEqual(agents, [0, 1]);
+        const fixed = [0, 1, 2].filter(k => start[k].equals(end[k]));
+        assert.equal(fixed.length, 2);
+        const free = [0, 1, 2].find(k => !fixed.includes(k));
+        const line = fixed.map(k => `p${k + 1}=${start[k]}`).join(',');
+        length.set(line, (length.get(line) || 0) + Math.abs(Rational.toNumber(end[free].sub(start[free]))));
+    });
+
+    // The six lines run through the whole box
+    assert.deepEqual([...length.keys()].sort(), ['p1=3,p2=6', 'p1=3,p3=7', 'p1=5,p2=4', 'p1=5,p3=5', 'p2=4,p3=7', 'p2=6,p3=5']);
+    length.forEach((total, key) => assert.equal(total, 10, key));
+    assert.ok(vertices.length > 0);
+});
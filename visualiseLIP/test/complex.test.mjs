@@ -0,0 +1,57 @@
+/**
+ * LIPComplexCheck on LIPs computed by LIPEngine with empty regions, and on copies with
+ * seeded defects: a facet cut in half and a facet listed twice
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LIPEngine } from '../js/engine.js';
+import { LIPGeometry } from '../js/geometry.js';
+import { LIPComplexCheck } from '../js/complex.js';
+
+const quiet = { log() {}, warn() {} };
+const lipOf = (valuation, chi) => new LIPEngine({ valuation, chi, bounds: [-2, 10], logger: quiet }).compute();
+const check = lip => {
+    const geometry = new LIPGeometry(lip, { logger: quiet });
+    return LIPComplexCheck.analyze(geometry, geometry.createFacetGeometries(), null, { logger: quiet });
+};
+
+// {1,2} and {1,3} are never demanded in 3D, {1,2} never in 2D
+const three = lipOf({ '∅': 0, '{1}': 7, '{2}': 0, '{3}': 6, '{1,2}': 1, '{1,3}': 0, '{2,3}': 5, '{1,2,3}': 5 }, [1, 1, 1]);
+const two = lipOf({ '∅': 0, '{1}': 3, '{2}': 4, '{1,2}': -20 }, [1, 1]);
+
+for (const [name, lip, regions] of [['3 goods', three, 6], ['2 goods', two, 3]]) {
+    for (const [variant, data] of [['with the valuation', lip], ['without the valuation', { ...lip, valuation: undefined, chi: undefined }]]) {
+        test(`a LIP with empty regions has no defects, ${name} ${variant}`, () => {
+            const report = check(data);
+            assert.deepEqual(report.defects.map(defect => defect.message), []);
+            assert.equal(report.euler.regions, regions);
+            assert.equal(report.euler.characteristic, report.euler.expected);
+        });
+    }
+}
+
+test('half a facet leaves an open edge', () => {
+    // Facet 0 lies in p₁ = 7 for p₂ in [0, 10]; keep the half with p₂ ≥ 5
+    assert.deepEqual(three.facets[0].map(i => three.vertices[i][0]), [7, 7, 7, 7]);
+    const vertices = [...three.vertices, [7, 5, 10], [7, 5, 6]];
+    const facets = [[4, 5, vertices.length - 1, vertices.length - 2], ...three.facets.slice(1)];
+    const report = check({ ...three, vertices, facets });
+    assert.ok(report.defects.some(defect => defect.kind === 'open-edge' && defect.facets.includes(0)));
+});
+
+test('half a segment leaves a loose end', () => {
+    // Facet 2 runs from (-2, -1) to (3, 4); stop it at (1/2, 3/2)
+    const vertices = [...two.vertices, ['1/2', '3/2']];
+    const facets = [...two.facets.slice(0, 2), [5, vertices.length - 1]];
+    const report = check({ ...two, vertices, facets });
+    assert.ok(report.defects.some(defect => defect.title === 'Loose end' && defect.facets.includes(2)));
+});
+
+test('a facet listed twice overlaps itself', () => {
+    for (const lip of [three, two]) {
+        const report = check({ ...lip, facets: [...lip.facets, lip.facets[0]] });
+        assert.deepEqual(report.defects.map(defect => defect.title), ['Duplicate facet']);
+    }
+});
@@ -0,0 +1,44 @@
+/**
+ * LIPDiagnostics on LIPs computed by LIPEngine: facet classes and the substitutes check
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LIPEngine } from '../js/engine.js';
+import { LIPGeometry } from '../js/geometry.js';
+import { LIPDiagnostics } from '../js/diagnostics.js';
+
+const quiet = { log() {}, warn() {} };
+const facetsOf = valuation => {
+    const data = new LIPEngine({ valuation, chi: [1, 1, 1], bounds: [0, 10], logger: quiet }).compute();
+    return new LIPGeometry(data, { logger: quiet }).createFacetGeometries();
+};
+
+// v(Φ) = Σ_{i ∈ Φ} a_i, and the same with goods 1 and 2 complements
+const additive = { '∅': 0, '{1}': 3, '{2}': 4, '{3}': 5, '{1,2}': 7, '{1,3}': 8, '{2,3}': 9, '{1,2,3}': 12 };
+const complements = { ...additive, '{1,2}': 9, '{1,2,3}': 14 };
+
+test('an additive valuation has the facet classes e₁, e₂, e₃ and no violations', () => {
+    const facets = facetsOf(additive);
+    assert.deepEqual(LIPDiagnostics.classifyFacets(facets, { logger: quiet }).map(c => c.key), ['0,0,1', '0,1,0', '1,0,0']);
+    const report = LIPDiagnostics.analyzeSubstitutes(facets, { logger: quiet });
+    assert.equal(report.isSubstitutes, true);
+    assert.equal(report.checked, facets.length);
+});
+
+test('complements give facets with normal e₁ + e₂', () => {
+    const report = LIPDiagnostics.analyzeSubstitutes(facetsOf(complements), { logger: quiet });
+    assert.equal(report.isSubstitutes, false);
+    assert.ok(report.violations.length > 0);
+    report.violations.forEach(violation => assert.deepEqual(violation.normal.map(Math.abs), [1, 1, 0]));
+});
+
+test('the summaries go to the logger', () => {
+    const lines = [];
+    const logger = { log: line => lines.push(line), warn() {} };
+    const facets = facetsOf(additive);
+    LIPDiagnostics.classifyFacets(facets, { logger });
+    LIPDiagnostics.analyzeSubstitutes(facets, { logger });
+    assert.deepEqual(lines.map(line => line.split(':')[0]), ['Facet classes', 'Substitutes check']);
+});
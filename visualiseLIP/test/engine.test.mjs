@@ -0,0 +1,60 @@
+/**
+ * LIPEngine against data/LIP.json. Its vertices and facets were written by create_LIP_json in
+ * createLIP.jl; its labels were not. That run had the sign of H(Φ,Ψ) reversed, which swaps the
+ * regions, so the labels were moved to the centres of the right regions by hand instead of
+ * re-running createLIP.jl. They are checked by the demand at each label, not against the engine.
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { LIPEngine } from '../js/engine.js';
+import { Rational } from '../js/rational.js';
+
+const data = JSON.parse(readFileSync(new URL('../data/LIP.json', import.meta.url), 'utf8'));
+const result = LIPEngine.fromData(data).compute();
+
+const pointKey = point => Rational.formatPoint(point.map(c => Rational.parse(c)));
+const facetKeys = ({ vertices, facets }) => new Set(facets.map(facet => facet.map(i => pointKey(vertices[i])).sort().join(' | ')));
+
+test('vertices match the Julia output', () => {
+    assert.deepEqual(new Set(result.vertices.map(pointKey)), new Set(data.vertices.map(pointKey)));
+});
+
+test('facets match the Julia output', () => {
+    assert.deepEqual(facetKeys(result), facetKeys(data));
+});
+
+test('each label of the engine lies in the region of its bundle', () => {
+    const engine = LIPEngine.fromData(data);
+    result.bundles.forEach((bundle, i) => {
+        const { demanded } = engine.demand(result.labels[i]);
+        assert.deepEqual(demanded.map(k => result.bundles[k]), [bundle], `label of ${bundle}`);
+    });
+});
+
+test('labels are Chebyshev centres to within the rounding of the norms', () => {
+    // P_{1} is the triangle p₁ ≤ p₂ in [0, 1]², with incentre (r, 1 − r) for r = 1/(2 + √2)
+    const triangle = new LIPEngine({ valuation: { '{1}': 0, '{2}': 0 }, chi: [1, 1], bounds: [0, 1], logger: { log() {} } }).compute();
+    const r = 1 / (2 + Math.SQRT2);
+    const [x, y] = triangle.labels[0].map(c => Rational.parse(c).toNumber());
+    assert.ok(Math.abs(x - r) < 1e-9 && Math.abs(y - (1 - r)) < 1e-9, `label (${x}, ${y})`);
+});
+
+test('each label of the file lies in the region of its bundle', () => {
+    const engine = LIPEngine.fromData(data);
+    data.bundles.forEach((bundle, i) => {
+        const { demanded } = engine.demand(data.labels[i]);
+        assert.deepEqual(demanded.map(k => result.bundles[k]), [bundle], `label of ${bundle}`);
+    });
+});
+
+test('checkSubstitutes follows issubstitutes on the valuation in goods', () => {
+    const check = (valuation, chi) => new LIPEngine({ valuation, chi, logger: { log() {} } }).checkSubstitutes();
+    assert.equal(check({ '∅': 0, '{1}': 3, '{2}': 4, '{1,2}': 7 }, [1, 1]).isSubstitutes, true);
+    assert.deepEqual(check({ '∅': 0, '{1}': 0, '{2}': 0, '{1,2}': 5 }, [1, 1]),
+        { isSubstitutes: false, witness: { phi: '∅', psi: '{1,2}', good: 1 } });
+    // An intermediary buying trade 1 and selling trade 2 is substitutes once τ flips trade 2
+    assert.equal(check({ '∅': 0, '{1}': -100, '{2}': -100, '{1,2}': 0 }, [1, -1]).isSubstitutes, true);
+});
@@ -0,0 +1,53 @@
+/**
+ * LIPGeometry's demand regions for a LIP with empty regions, whose labels sit at the origin
+ * inside the box [-2, 10]³
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LIPEngine } from '../js/engine.js';
+import { LIPGeometry } from '../js/geometry.js';
+
+const quiet = { log() {}, warn() {} };
+const valuation = { '∅': 0, '{1}': 7, '{2}': 0, '{3}': 6, '{1,2}': 1, '{1,3}': 0, '{2,3}': 5, '{1,2,3}': 5 };
+const engine = new LIPEngine({ valuation, chi: [1, 1, 1], bounds: [-2, 10], logger: quiet });
+const data = engine.compute();
+const withoutValuation = { ...data, valuation: undefined, chi: undefined };
+
+// Bundle demanded just off either side of each facet
+const demandedBeside = facet => {
+    const centroid = facet.vertices.reduce((sum, v) => sum.add(v), new THREE.Vector3()).multiplyScalar(1 / facet.vertices.length);
+    const offset = facet.normal.clone().multiplyScalar(1e-3);
+    const demanded = point => {
+        const { demanded } = engine.demand(point.toArray());
+        return demanded.length === 1 ? demanded[0] : null;
+    };
+    return { negative: demanded(centroid.clone().sub(offset)), positive: demanded(centroid.clone().add(offset)) };
+};
+
+test('the example has empty regions labelled at the origin', () => {
+    const empty = data.bundles.filter((_, i) => data.labels[i].every(c => c === 0));
+    assert.deepEqual(empty, ['{1,2}', '{1,3}']);
+});
+
+for (const [name, lip] of [['with the valuation', data], ['without the valuation', withoutValuation]]) {
+    test(`labels of empty regions are not region labels, ${name}`, () => {
+        const geometry = new LIPGeometry(lip, { logger: quiet });
+        const labels = geometry.getRegionLabels(geometry.createFacetGeometries());
+        assert.deepEqual(data.bundles.filter((_, i) => labels[i] === null), ['{1,2}', '{1,3}']);
+    });
+
+    test(`facets separate the bundles demanded on either side, ${name}`, () => {
+        const geometry = new LIPGeometry(lip, { logger: quiet });
+        const facets = geometry.assignFacetRegions(geometry.createFacetGeometries());
+        facets.forEach(facet => assert.deepEqual(facet.regions, demandedBeside(facet), `facet ${facet.id}`));
+    });
+
+    test(`only demanded bundles get solid regions, ${name}`, () => {
+        const geometry = new LIPGeometry(lip, { logger: quiet });
+        const cells = geometry.createCellGeometries(geometry.createFacetGeometries());
+        assert.deepEqual(cells.map(cell => cell.bundle), ['∅', '{1}', '{2}', '{3}', '{2,3}', '{1,2,3}']);
+    });
+}
@@ -0,0 +1,69 @@
+/**
+ * LIPLandscape against max_Φ (v(Φ) − χ·p_Φ) computed by hand at sample prices, and its level
+ * sets against the function on them
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LIPLandscape } from '../js/landscape.js';
+
+// An intermediary that buys good 1 and sells good 2
+const valuation = { '∅': 0, '{1}': -2, '{2}': -3, '{1,2}': 4 };
+const chi = [1, -1];
+const bundles = { '∅': [], '{1}': [0], '{2}': [1], '{1,2}': [0, 1] };
+const utility = ([p1, p2]) => Math.max(...Object.entries(bundles)
+    .map(([bundle, goods]) => valuation[bundle] - goods.reduce((total, k) => total + chi[k] * [p1, p2][k], 0)));
+
+const prices = [[0, 0], [1, 3], [-2, 5], [4.5, -1], [7, 7], [2.25, 6.5]];
+
+test('the indirect utility is max over bundles of v(Φ) − χ·p', () => {
+    const landscape = LIPLandscape.indirectUtility({ valuation, chi });
+    prices.forEach(p => assert.equal(landscape.evaluate(p), utility(p), `at (${p})`));
+});
+
+test('the Lyapunov function of a market sums the agents\' indirect utilities', () => {
+    // Agent 1 sells trade 1 to agent 2, who sells trade 2 to agent 3
+    const market = {
+        trades: [[1, 2], [2, 3]],
+        valuations: [{ '∅': 0, '{1}': -1 }, valuation, { '∅': 0, '{2}': 5 }]
+    };
+    const landscape = LIPLandscape.lyapunovFromMarket(market);
+    const expected = ([p1, p2]) => Math.max(0, -1 + p1) + utility([p1, p2]) + Math.max(0, 5 - p2);
+    prices.forEach(p => assert.equal(landscape.evaluate(p), expected(p), `at (${p})`));
+});
+
+test('the sampled values and level sets agree with the function', () => {
+    const landscape = LIPLandscape.indirectUtility({ valuation, chi });
+    const grid = landscape.sample([-2, -2], [8, 8], 20);
+    grid.values.forEach((value, index) => assert.equal(value, utility(landscape.gridPoint(grid, index))));
+    assert.equal(grid.range[0], Math.min(...grid.values));
+
+    // Level set points interpolate linearly inside a grid cell, so they are off by at most
+    // the slope of the function times the cell's diagonal
+    const slack = 2 * Math.hypot(...grid.step);
+    [1, 3, 6].forEach(level => {
+        const positions = LIPLandscape.contour(grid, level);
+        assert.ok(positions.length > 0);
+        for (let k = 0; k < positions.length; k += 3) {
+            const value = utility([positions[k], positions[k + 1]]);
+            assert.ok(Math.abs(value - level) <= slack, `f = ${value} on the level set ${level}`);
+        }
+    });
+});
+
+test('the level surfaces of 3 goods lie on their level', () => {
+    const additive = { '∅': 0, '{1}': 3, '{2}': 4, '{3}': 5, '{1,2}': 7, '{1,3}': 8, '{2,3}': 9, '{1,2,3}': 12 };
+    const landscape = LIPLandscape.indirectUtility({ valuation: additive, chi: [1, 1, 1] });
+    const expected = p => [3, 4, 5].reduce((total, a, k) => total + Math.max(0, a - p[k]), 0);
+    assert.equal(landscape.evaluate([1, 6, 2]), expected([1, 6, 2]));
+
+    const grid = landscape.sample([0, 0, 0], [8, 8, 8], 8);
+    const slack = 3 * Math.hypot(...grid.step);
+    const positions = LIPLandscape.isosurface(grid, 4);
+    assert.ok(positions.length > 0);
+    for (let k = 0; k < positions.length; k += 3) {
+        const value = expected([positions[k], positions[k + 1], positions[k + 2]]);
+        assert.ok(Math.abs(value - 4) <= slack, `f = ${value} on the level surface 4`);
+    }
+});
@@ -0,0 +1,71 @@
+/**
+ * LIPLattice on additive valuations, where the bundles demanded at integer prices can be
+ * counted by hand, and on a LIP with empty regions, where the reconstructed regions must
+ * locate the points as the valuation does
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LIPEngine } from '../js/engine.js';
+import { LIPGeometry } from '../js/geometry.js';
+import { LIPLattice } from '../js/lattice.js';
+
+const quiet = { log() {}, warn() {} };
+
+// Lattice points by the engine's demand and by the reconstructed regions
+const latticesOf = (valuation, chi, bounds) => {
+    const engine = new LIPEngine({ valuation, chi, bounds, logger: quiet });
+    const data = engine.compute();
+    const geometry = new LIPGeometry({ ...data, valuation: undefined, chi: undefined }, { logger: quiet });
+    const facetGeometries = geometry.assignFacetRegions(geometry.createFacetGeometries());
+    const cells = geometry.createCellGeometries(facetGeometries);
+    return {
+        valuation: LIPLattice.compute(geometry, { engine, facetGeometries, cells, logger: quiet }),
+        regions: LIPLattice.compute(geometry, { facetGeometries, cells, logger: quiet })
+    };
+};
+const countsOf = result => Object.fromEntries(result.regions.map(({ bundle, count }) => [bundle, count]));
+
+test('2 goods: the lines p₁ = 3 and p₂ = 4 split ℤ² ∩ [0, 10]² into four blocks', () => {
+    const lattices = latticesOf({ '∅': 0, '{1}': 3, '{2}': 4, '{1,2}': 7 }, [1, 1], [0, 10]);
+    for (const [method, result] of Object.entries(lattices)) {
+        assert.equal(result.method, method);
+        assert.equal(result.total, 121);
+        // {1} is demanded for p₁ < 3 < 4 < p₂, and so on
+        assert.deepEqual(countsOf(result), { '∅': 7 * 6, '{1}': 3 * 6, '{2}': 7 * 4, '{1,2}': 3 * 4 });
+        assert.equal(result.onLIP, 11 + 11 - 1);
+        assert.equal(result.unassigned, 0);
+        const corner = result.vertices.find(vertex => vertex.text === '(3, 4)');
+        assert.deepEqual([...corner.bundles].sort(), ['{1,2}', '{1}', '{2}', '∅']);
+    }
+});
+
+test('3 goods: the planes p_i = a_i leave (a_i or 10 − a_i) points per axis to each bundle', () => {
+    const a = [3, 4, 5];
+    const lattices = latticesOf(
+        { '∅': 0, '{1}': 3, '{2}': 4, '{3}': 5, '{1,2}': 7, '{1,3}': 8, '{2,3}': 9, '{1,2,3}': 12 }, [1, 1, 1], [0, 10]);
+    for (const result of Object.values(lattices)) {
+        assert.equal(result.total, 11 ** 3);
+        result.regions.forEach(({ bundle, count }) => {
+            const goods = LIPEngine.parseBundle(bundle);
+            assert.equal(count, a.reduce((product, ak, k) => product * (goods.includes(k + 1) ? ak : 10 - ak), 1), bundle);
+        });
+        assert.equal(result.onLIP, 11 ** 3 - 10 ** 3);
+        assert.equal(result.unassigned, 0);
+    }
+});
+
+test('the regions locate points as the valuation does, and empty regions count none', () => {
+    const { valuation, regions } = latticesOf(
+        { '∅': 0, '{1}': 7, '{2}': 0, '{3}': 6, '{1,2}': 1, '{1,3}': 0, '{2,3}': 5, '{1,2,3}': 5 }, [1, 1, 1], [-2, 10]);
+    assert.deepEqual(countsOf(valuation), countsOf(regions));
+    assert.equal(countsOf(valuation)['{1,2}'], 0);
+    assert.equal(countsOf(valuation)['{1,3}'], 0);
+    assert.equal(regions.onLIP, valuation.onLIP);
+    assert.equal(regions.unassigned, 0);
+    valuation.points.forEach((point, k) => {
+        assert.equal(regions.points[k].onLIP, point.onLIP, `at (${point.position})`);
+        if (!point.onLIP) assert.deepEqual(regions.points[k].bundles, point.bundles, `at (${point.position})`);
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * LIPTrajectory on a trace of three agents: agent 2 buys trade 1 from agent 1 and trade 2 from
+ * agent 3, and its path through its LIP crosses the facets between the bundles it demands
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LIPEngine } from '../js/engine.js';
+import { LIPGeometry } from '../js/geometry.js';
+import { LIPTrajectory } from '../js/trajectory.js';
+
+const quiet = { log() {}, warn() {} };
+
+// As written by create_dynamic_trace_file: agent 1 offers on trade 1, agent 3 on trade 2
+const offers = (p1, p2) => [{ 1: p1 }, { 1: 0, 2: 0 }, { 2: p2 }];
+const json = {
+    trades: [[1, 2], [3, 2]],
+    initial_offers: offers(1, 1),
+    steps: [
+        { selected: 1, unsatisfied: [1, 2, 3], offers: offers(5, 1) },
+        { selected: 3, unsatisfied: [2, 3], offers: offers(5, 6) },
+        { selected: 1, unsatisfied: [], offers: offers('5/2', 6) }
+    ]
+};
+
+// Agent 2 values the trades additively, so its LIP lies in the lines p₁ = 3 and p₂ = 4
+const valuation = { '∅': 0, '{1}': 3, '{2}': 4, '{1,2}': 7 };
+
+test('the prices agent 2 faces are the offers of its counterparts', () => {
+    const trace = LIPTrajectory.parse(json);
+    assert.equal(trace.agents, 3);
+    assert.deepEqual(LIPTrajectory.agentTrades(trace, 2), [1, 2]);
+    assert.deepEqual(LIPTrajectory.agentChi(trace, 2), [1, 1]);
+    assert.equal(LIPTrajectory.matchAgent(trace, 2, [1, 1]), 2);
+
+    const states = LIPTrajectory.project(trace, 2);
+    assert.deepEqual(states.map(state => state.step), [0, 1, 2, 3]);
+    assert.deepEqual(states.map(state => state.prices.map(String)), [['1', '1'], ['5', '1'], ['5', '6'], ['5/2', '6']]);
+    assert.deepEqual(states.map(state => state.selected), [null, 1, 3, 1]);
+});
+
+test('the trace crosses the facets between the bundles demanded before and after each step', () => {
+    const engine = new LIPEngine({ valuation, chi: [1, 1], bounds: [0, 10], logger: quiet });
+    const geometry = new LIPGeometry(engine.compute(), { logger: quiet });
+    const facets = geometry.assignFacetRegions(geometry.createFacetGeometries());
+    const states = LIPTrajectory.project(LIPTrajectory.parse(json), 2);
+
+    const position = state => new THREE.Vector3(...state.prices.map(price => price.toNumber()), 0);
+    const demanded = states.map(state => engine.demand(state.prices).demanded);
+    assert.deepEqual(demanded, [[3], [2], [0], [1]]);
+
+    const ends = facet => facet.vertices.map(v => `(${v.x}, ${v.y})`).sort().join(' – ');
+    const crossed = states.slice(1).map((state, k) => facets
+        .filter(facet => geometry.segmentCrossesFacet(position(states[k]), position(state), facet)));
+    assert.deepEqual(crossed.map(step => step.map(ends)), [
+        ['(3, 0) – (3, 4)'],
+        ['(10, 4) – (3, 4)'],
+        ['(3, 10) – (3, 4)']
+    ]);
+
+    // Each crossed facet separates the bundles demanded on either side of it
+    crossed.forEach(([facet], k) => {
+        const sides = [facet.regions.negative, facet.regions.positive].sort();
+        assert.deepEqual(sides, [demanded[k][0], demanded[k + 1][0]].sort());
+    });
+});
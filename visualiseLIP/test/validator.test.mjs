@@ -0,0 +1,103 @@
+/**
+ * LIPValidator on data/LIP.json and on broken copies of it, and the exit codes of validate-lip.mjs
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { LIPValidator } from '../js/validator.js';
+
+const quiet = { log() {}, warn() {} };
+const file = fileURLToPath(new URL('../data/LIP.json', import.meta.url));
+const script = fileURLToPath(new URL('../validate-lip.mjs', import.meta.url));
+const data = JSON.parse(readFileSync(file, 'utf8'));
+const copy = () => JSON.parse(JSON.stringify(data));
+const validate = lip => LIPValidator.validate(lip, { logger: quiet });
+const issuesAt = (report, severity) => report.issues.filter(issue => issue.severity === severity).map(issue => issue.path);
+
+test('data/LIP.json is valid', () => {
+    const report = validate(data);
+    assert.equal(report.valid, true);
+    assert.equal(report.dimension, 3);
+    assert.deepEqual(issuesAt(report, 'warning'), []);
+});
+
+test('a facet with a missing vertex is an error at the index', () => {
+    const lip = copy();
+    lip.facets[2] = [...lip.facets[2], lip.vertices.length];
+    const report = validate(lip);
+    assert.equal(report.valid, false);
+    assert.deepEqual(issuesAt(report, 'error'), [`$.facets[2][${lip.facets[2].length - 1}]`]);
+});
+
+test('bundles are matched to the valuation as sets', () => {
+    // "{2,1}" in $.bundles next to the key "{1,2}" is a note, as the engine reads both alike
+    const lip = copy();
+    lip.bundles[lip.bundles.indexOf('{1,2}')] = '{2,1}';
+    const report = validate(lip);
+    assert.equal(report.valid, true);
+    assert.ok(issuesAt(report, 'info').includes(`$.bundles[${lip.bundles.indexOf('{2,1}')}]`));
+
+    // and the same the other way round
+    const keyed = copy();
+    keyed.valuation = Object.fromEntries(Object.entries(keyed.valuation).map(([key, value]) => [key === '{1,3}' ? '{3,1}' : key, value]));
+    assert.equal(validate(keyed).valid, true);
+});
+
+test('a bundle without a value is an error', () => {
+    const lip = copy();
+    delete lip.valuation['{1,2}'];
+    const report = validate(lip);
+    assert.equal(report.valid, false);
+    assert.deepEqual(issuesAt(report, 'error'), [`$.bundles[${lip.bundles.indexOf('{1,2}')}]`]);
+});
+
+test('a bundle valued twice is an error', () => {
+    const lip = copy();
+    lip.valuation['{2,1}'] = 5;
+    assert.deepEqual(issuesAt(validate(lip), 'error'), ['$.valuation["{2,1}"]']);
+});
+
+test('a valuation that does not produce the labels is a warning', () => {
+    const lip = copy();
+    lip.valuation['∅'] = 10;
+    const report = validate(lip);
+    assert.equal(report.valid, true);
+    assert.ok(issuesAt(report, 'warning').some(path => path.startsWith('$.labels[')));
+});
+
+test('validate-lip.mjs exits with 0, 1 or 2', () => {
+    const directory = mkdtempSync(join(tmpdir(), 'validate-lip-'));
+    try {
+        const broken = join(directory, 'broken.json');
+        const warned = join(directory, 'warned.json');
+        const lip = copy();
+        lip.facets[2] = [...lip.facets[2], lip.vertices.length];
+        writeFileSync(broken, JSON.stringify(lip));
+        const other = copy();
+        other.valuation['∅'] = 10;
+        writeFileSync(warned, JSON.stringify(other));
+        writeFileSync(join(directory, 'invalid.json'), '{ "vertices": ');
+
+        const run = (...args) => spawnSync(process.execPath, [script, ...args], { encoding: 'utf8' });
+        assert.equal(run(file).status, 0);
+        assert.equal(run(broken).status, 1);
+        assert.equal(run(file, broken).status, 1);
+        assert.equal(run(join(directory, 'invalid.json')).status, 1);
+        assert.equal(run(warned).status, 0);
+        assert.equal(run('--strict', warned).status, 1);
+        assert.equal(run().status, 2);
+        assert.equal(run('--no-such-option', file).status, 2);
+        assert.equal(run('--help').status, 0);
+
+        const reports = JSON.parse(run('--json', file, broken).stdout);
+        assert.deepEqual(reports.map(report => [report.file, report.valid]), [[file, true], [broken, false]]);
+    } finally {
+        rmSync(directory, { recursive: true, force: true });
+    }
+});
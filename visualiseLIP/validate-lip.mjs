@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * validate-lip.mjs - Check LIP.json files with the viewer's own validator (LIPValidator)
+ * Lists every problem with its severity and JSON path; the exit status is 1 if any file
+ * has errors (or warnings, with --strict), so it can guard a pipeline that writes LIPs.
+ * With --complex it also checks the geometry of the complex (LIPComplexCheck), which needs three.
+ *
+ *   node validate-lip.mjs data/LIP.json
+ *   node validate-lip.mjs --strict --json runs/*.json > report.json
+ *   node validate-lip.mjs --complex data/LIP.json
+ */
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { LIPValidator } from './js/validator.js';
+
+const USAGE = `Usage: node validate-lip.mjs [options] LIP.json [more.json ...]
+
+Options:
+  --notes      also list notes (allowed but worth knowing, e.g. lower-dimensional facets)
+  --strict     fail on warnings as well as errors
+  --complex    also look for defects of the polyhedral complex: open edges, facets not
+               between two regions, overlapping facets, gaps, and Euler's formula (needs three)
+  --json       print the reports as JSON: [{ file, valid, dimension, counts, issues }]
+  -q, --quiet  print one summary line per file
+  -h, --help   show this help`;
+
+// Logger for the geometry modules that drops their progress log
+const QUIET = { log() {}, warn() {} };
+
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            notes: { type: 'boolean', default: false },
+            strict: { type: 'boolean', default: false },
+            complex: { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false },
+            quiet: { type: 'boolean', short: 'q', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    return { files: positionals, ...values };
+}
+
+/** Report for one file; unreadable files and invalid JSON are reported as errors at $. */
+function validateFile(file) {
+    let data;
+    try {
+        data = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+        return {
+            valid: false,
+            dimension: null,
+            counts: { error: 1, warning: 0, info: 0 },
+            issues: [{ severity: 'error', path: '$', message: error.message }]
+        };
+    }
+    return LIPValidator.validate(data, { logger: QUIET });
+}
+
+/**
+ * Defects of the complex of a valid LIP, as errors at the facet they concern.
+ * The check draws the LIP as the viewer does, so it covers 2 and 3 goods.
+ */
+async function checkComplex(data) {
+    let modules;
+    try {
+        modules = await Promise.all([import('./js/geometry.js'), import('./js/complex.js')]);
+    } catch (error) {
+        if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+        throw new Error('--complex needs three (npm install --no-save three@0.154.0)');
+    }
+    const [{ LIPGeometry }, { LIPComplexCheck }] = modules;
+
+    const goods = data.vertices.length > 0 ? data.vertices[0].length : 3;
+    if (goods > 3) {
+        return [{ severity: 'info', path: '$', message: `The complex check covers 2 or 3 goods, not ${goods}` }];
+    }
+
+    // The geometry modules log their progress for the browser console
+    const geometry = new LIPGeometry(data, { logger: QUIET });
+    const facets = geometry.createFacetGeometries();
+    return LIPComplexCheck.analyze(geometry, facets).defects.map(defect => ({
+        severity: 'error',
+        path: defect.vertex !== undefined ? `$.vertices[${defect.vertex}]`
+            : defect.facets.length > 0 ? `$.facets[${geometry.facetSources[facets[defect.facets[0]].id]}]` : '$',
+        message: `${defect.title}: ${defect.message}`
+    }));
+}
+
+/** The report with more issues added, most severe first. */
+function withIssues(report, issues) {
+    const all = [...report.issues, ...issues];
+    const severities = ['error', 'warning', 'info'];
+    const counts = Object.fromEntries(severities.map(severity => [severity, all.filter(issue => issue.severity === severity).length]));
+    return {
+        ...report,
+        valid: counts.error === 0,
+        counts,
+        issues: severities.flatMap(severity => all.filter(issue => issue.severity === severity))
+    };
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error(`validate-lip: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help || options.files.length === 0) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    const reports = [];
+    for (const file of options.files) {
+        let report = validateFile(file);
+        if (options.complex && report.valid) {
+            try {
+                report = withIssues(report, await checkComplex(JSON.parse(readFileSync(file, 'utf8'))));
+            } catch (error) {
+                console.error(`validate-lip: ${error.message}`);
+                return 2;
+            }
+        }
+        reports.push({ file, ...report });
+    }
+    const failed = report => !report.valid || (options.strict && report.counts.warning > 0);
+
+    if (options.json) {
+        console.log(JSON.stringify(reports, null, 2));
+    } else {
+        reports.forEach(report => {
+            const { error, warning, info } = report.counts;
+            const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+            console.log(`${report.file}: ${failed(report) ? 'FAILED' : 'ok'} (${count(error, 'error')}, ${count(warning, 'warning')}, ${count(info, 'note')})`);
+            if (options.quiet) return;
+            report.issues
+                .filter(issue => options.notes || issue.severity !== 'info')
+                .forEach(issue => console.log(`  ${issue.severity.padEnd(7)} ${issue.path}: ${issue.message}`));
+        });
+    }
+    return reports.some(failed) ? 1 : 0;
+}
+
+process.exitCode = await main();